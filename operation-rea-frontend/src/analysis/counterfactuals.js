@@ -0,0 +1,481 @@
+/**
+ * Counterfactual Analysis Module
+ * Searches for the smallest changes to a dilemma's facts that would change a recommendation:
+ * single parameter or stakeholder-influence edits first, then pairs of edits that only change
+ * the recommendation together. Changes stay within each quantity's declared bounds and are
+ * ranked by how far they move the dilemma.
+ */
+
+import { collectNumericParameters, withParameterValue, calculateSensitivityScore } from './sensitivityAnalysis.js';
+import { getStakeholderInfluence } from './stakeholderConflicts.js';
+
+/**
+ * Default counterfactual search settings
+ */
+export const COUNTERFACTUAL_CONFIG = {
+  // Evenly spaced probes between the original value and each bound
+  steps: 8,
+  // Bisection iterations when narrowing the smallest flipping change
+  maxBisections: 12,
+  // Largest number of quantities changed together
+  maxEdits: 2,
+  // Changes that most weaken a recommendation, combined pairwise when maxEdits is 2
+  pairCandidates: 5,
+  // Maximum number of counterfactuals reported for each recommendation, nearest first
+  maxPerTarget: 5
+};
+
+/**
+ * Collect the quantities a counterfactual may change: numeric parameters within their sweep
+ * range and each stakeholder's influence within 0-1
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<Object>} Candidates with type, key, label, value, range and an apply function
+ */
+export function collectCounterfactualCandidates(dilemma) {
+  const parameters = collectNumericParameters(dilemma).map(parameter => ({
+    type: 'parameter',
+    key: parameter.key,
+    label: parameter.key,
+    location: parameter.location,
+    value: parameter.value,
+    range: parameter.range,
+    apply: (target, value) => withParameterValue(target, parameter, value)
+  }));
+
+  const stakeholders = (dilemma?.stakeholders || [])
+    .map((stakeholder, index) => ({ stakeholder, index }))
+    .filter(({ stakeholder }) => stakeholder && stakeholder.id)
+    .map(({ stakeholder, index }) => ({
+      type: 'stakeholder_influence',
+      key: `stakeholders.${stakeholder.id}.influence`,
+      label: `${stakeholder.name || stakeholder.id} influence`,
+      stakeholder: stakeholder.id,
+      value: getStakeholderInfluence(stakeholder),
+      range: { min: 0, max: 1, integer: false },
+      apply: (target, value) => {
+        const copy = JSON.parse(JSON.stringify(target));
+        copy.stakeholders[index].influence = value;
+        return copy;
+      }
+    }));
+
+  return [...parameters, ...stakeholders];
+}
+
+/**
+ * Search for counterfactuals that change the final or a framework's recommendation. A tie
+ * between actions is an outcome like any other: changes that break a tie, or that only create
+ * one, are reported with the tied actions.
+ * @param {Object} dilemma - The dilemma
+ * @param {Function} recommend - async (dilemma, target) => { action, tied_actions, scores }, where
+ *   target is 'final' or a framework name, tied_actions lists the tied actions when action is null
+ *   and scores optionally maps actions to scores
+ * @param {Object} [options] - Overrides for COUNTERFACTUAL_CONFIG, `targets`, the
+ *   recommendations to change (defaults to ['final']), and `candidateTypes`, the kinds of quantity
+ *   that may change ('parameter', 'stakeholder_influence'; defaults to both)
+ * @returns {Promise<Object>} { baseline: { target: action }, baseline_tied_actions: { target:
+ *   [action] } for tied baselines, counterfactuals: [{ target, from_action, to_action, edits,
+ *   distance, explanation }, with from_tied_actions and to_tied_actions for ties], searched:
+ *   { candidates, evaluations } }
+ */
+export async function findCounterfactuals(dilemma, recommend, options = {}) {
+  const settings = { ...COUNTERFACTUAL_CONFIG, ...options };
+  const targets = settings.targets || ['final'];
+  const candidates = collectCounterfactualCandidates(dilemma)
+    .filter(candidate => candidate.range.max > candidate.range.min)
+    .filter(candidate => !settings.candidateTypes || settings.candidateTypes.includes(candidate.type));
+
+  let evaluations = 0;
+  const evaluate = async (target, edited) => {
+    evaluations++;
+    return recommend(edited, target);
+  };
+
+  const baseline = {};
+  const baselineTies = {};
+  const counterfactuals = [];
+
+  for (const target of targets) {
+    const base = await evaluate(target, dilemma);
+    baseline[target] = base.action || null;
+    if (getTiedActions(base)) baselineTies[target] = getTiedActions(base);
+    const baseOutcome = getOutcomeKey(base);
+
+    const found = [];
+    const weakening = [];
+
+    for (const candidate of candidates) {
+      const recommendAt = async value => evaluate(target, candidate.apply(dilemma, value));
+
+      for (const bound of [candidate.range.max, candidate.range.min]) {
+        if (bound === candidate.value) continue;
+
+        // How much moving to the bound erodes the lead of the current recommendation
+        const atBound = await evaluate(target, candidate.apply(dilemma, bound));
+        weakening.push({ candidate, bound, erosion: getErosion(base, atBound) });
+
+        const flip = await findSmallestFlip(
+          async fraction => getOutcomeKey(await recommendAt(interpolate(candidate, bound, fraction))),
+          baseOutcome,
+          candidate.range.integer ? Math.abs(bound - candidate.value) : null,
+          settings
+        );
+        if (!flip) continue;
+
+        // Confirm the change still holds once the value is rounded for reporting
+        const value = roundValue(candidate, interpolate(candidate, bound, flip.fraction));
+        const changed = await recommendAt(value);
+        if (getOutcomeKey(changed) === baseOutcome) continue;
+
+        const edit = describeEdit(candidate, value);
+        found.push(describeChange(target, base, changed, [edit], edit.distance));
+      }
+    }
+
+    if (settings.maxEdits >= 2) {
+      found.push(...await findPairFlips(dilemma, target, base, weakening, found, evaluate, settings));
+    }
+
+    found
+      .sort(compareCounterfactuals)
+      .slice(0, settings.maxPerTarget)
+      .forEach(counterfactual => counterfactuals.push({
+        ...counterfactual,
+        explanation: explainCounterfactual(counterfactual)
+      }));
+  }
+
+  counterfactuals.sort(compareCounterfactuals);
+
+  return {
+    baseline,
+    ...(Object.keys(baselineTies).length > 0 ? { baseline_tied_actions: baselineTies } : {}),
+    counterfactuals,
+    searched: {
+      candidates: candidates.length,
+      evaluations
+    }
+  };
+}
+
+/**
+ * Sweep each numeric parameter through a recommendation and locate the values at which it
+ * changes, in the shape of a framework's sensitivity thresholds. Used for the final
+ * recommendation, which only the whole pipeline can recompute.
+ * @param {Object} dilemma - The dilemma
+ * @param {Function} recommend - async (dilemma, target) => { action, scores }
+ * @param {string} [target='final'] - Recommendation to sweep
+ * @returns {Promise<Object>} { action, sensitivities: [name], thresholds: { name: { description,
+ *   original_value, sensitivity_score, increase_threshold, decrease_threshold, action_changes:
+ *   { increase, decrease } } } }, where an action change to a tie reads "tie between X and Y"
+ */
+export async function analyzeRecommendationSensitivity(dilemma, recommend, target = 'final') {
+  const { baseline, counterfactuals } = await findCounterfactuals(dilemma, recommend, {
+    targets: [target],
+    candidateTypes: ['parameter'],
+    maxEdits: 1,
+    maxPerTarget: Infinity
+  });
+
+  const parameters = Object.fromEntries(collectNumericParameters(dilemma).map(parameter => [parameter.key, parameter]));
+  const tippingPoints = {};
+  counterfactuals.forEach(counterfactual => {
+    const [edit] = counterfactual.edits;
+    const points = tippingPoints[edit.key] = tippingPoints[edit.key] || {};
+    points[edit.to > edit.from ? 'increase' : 'decrease'] = {
+      threshold: edit.to,
+      action: describeOutcome(counterfactual.to_action, counterfactual.to_tied_actions)
+    };
+  });
+
+  const thresholds = {};
+  Object.entries(tippingPoints).forEach(([key, { increase = null, decrease = null }]) => {
+    const parameter = parameters[key];
+    thresholds[key] = {
+      description: parameter.description,
+      original_value: parameter.value,
+      sensitivity_score: calculateSensitivityScore(parameter, increase, decrease),
+      increase_threshold: increase ? increase.threshold : null,
+      decrease_threshold: decrease ? decrease.threshold : null,
+      action_changes: {
+        increase: increase ? increase.action : null,
+        decrease: decrease ? decrease.action : null
+      }
+    };
+  });
+
+  const sensitivities = Object.keys(thresholds)
+    .sort((a, b) => thresholds[b].sensitivity_score - thresholds[a].sensitivity_score);
+
+  return { action: baseline[target], sensitivities, thresholds };
+}
+
+/**
+ * Search pairs of the most weakening changes for joint edits that change the recommendation,
+ * keeping those closer than any single edit and that neither edit achieves alone
+ * @param {Object} dilemma - The dilemma
+ * @param {string} target - Recommendation being changed
+ * @param {Object} base - Baseline recommendation { action, tied_actions, scores }
+ * @param {Array<Object>} weakening - Candidate directions with their erosion of the lead
+ * @param {Array<Object>} singles - Single-edit counterfactuals already found
+ * @param {Function} evaluate - async (target, dilemma) => { action, scores }
+ * @param {Object} settings - Search settings
+ * @returns {Promise<Array<Object>>} Two-edit counterfactuals
+ */
+async function findPairFlips(dilemma, target, base, weakening, singles, evaluate, settings) {
+  const nearestSingle = singles.reduce((min, single) => Math.min(min, single.distance), Infinity);
+  const directions = weakening
+    .filter(direction => direction.erosion > 0)
+    .sort((a, b) => b.erosion - a.erosion)
+    .slice(0, settings.pairCandidates);
+
+  const pairs = [];
+  for (let i = 0; i < directions.length; i++) {
+    for (let j = i + 1; j < directions.length; j++) {
+      if (directions[i].candidate !== directions[j].candidate) pairs.push([directions[i], directions[j]]);
+    }
+  }
+
+  const baseOutcome = getOutcomeKey(base);
+  const found = [];
+  for (const [first, second] of pairs) {
+    const valuesAt = fraction => [
+      roundValue(first.candidate, interpolate(first.candidate, first.bound, fraction)),
+      roundValue(second.candidate, interpolate(second.candidate, second.bound, fraction))
+    ];
+    const applyBoth = ([firstValue, secondValue]) =>
+      second.candidate.apply(first.candidate.apply(dilemma, firstValue), secondValue);
+
+    const flip = await findSmallestFlip(
+      async fraction => getOutcomeKey(await evaluate(target, applyBoth(valuesAt(fraction)))),
+      baseOutcome,
+      null,
+      settings
+    );
+    if (!flip) continue;
+
+    const [firstValue, secondValue] = valuesAt(flip.fraction);
+    const edits = [describeEdit(first.candidate, firstValue), describeEdit(second.candidate, secondValue)];
+    const distance = edits.reduce((sum, edit) => sum + edit.distance, 0);
+    if (distance >= nearestSingle) continue;
+
+    // A pair is only minimal when neither of its edits changes the recommendation alone
+    const alone = [
+      await evaluate(target, first.candidate.apply(dilemma, firstValue)),
+      await evaluate(target, second.candidate.apply(dilemma, secondValue))
+    ];
+    if (alone.some(result => getOutcomeKey(result) !== baseOutcome)) continue;
+
+    const result = await evaluate(target, applyBoth([firstValue, secondValue]));
+    if (getOutcomeKey(result) === baseOutcome) continue;
+
+    found.push(describeChange(target, base, result, edits, distance));
+  }
+
+  return found;
+}
+
+/**
+ * Find the smallest fraction of the way to a bound at which the recommendation changes.
+ * Probes evenly spaced fractions, then bisects the first interval in which it changes.
+ * @param {Function} recommendAt - async (fraction) => outcome key of the recommendation
+ * @param {string} baseAction - Outcome key of the recommendation at fraction 0
+ * @param {number|null} integerSpan - Number of integer steps to the bound for integer quantities
+ * @param {Object} settings - Search settings
+ * @returns {Promise<Object|null>} { fraction, action }, or null if the recommendation never changes
+ */
+async function findSmallestFlip(recommendAt, baseAction, integerSpan, settings) {
+  // Integer quantities are probed at every integer when there are few enough of them
+  const steps = integerSpan && integerSpan <= settings.steps ? integerSpan : settings.steps;
+
+  let previous = 0;
+  for (let step = 1; step <= steps; step++) {
+    const fraction = step / steps;
+    const action = await recommendAt(fraction);
+    if (action === baseAction) {
+      previous = fraction;
+      continue;
+    }
+
+    let kept = previous;
+    let changed = fraction;
+    let changedAction = action;
+    const minGap = integerSpan ? 1 / integerSpan : 0;
+    for (let i = 0; i < settings.maxBisections && changed - kept > minGap; i++) {
+      const midpoint = (kept + changed) / 2;
+      const midAction = await recommendAt(midpoint);
+      if (midAction === baseAction) {
+        kept = midpoint;
+      } else {
+        changed = midpoint;
+        changedAction = midAction;
+      }
+    }
+
+    return { fraction: changed, action: changedAction };
+  }
+
+  return null;
+}
+
+/**
+ * Actions a recommendation reports as tied, when it names no action
+ * @param {Object} result - Recommendation { action, tied_actions }
+ * @returns {Array<string>|null} Tied actions, or null when there is no tie
+ */
+function getTiedActions(result) {
+  return !result.action && result.tied_actions?.length > 0 ? [...result.tied_actions] : null;
+}
+
+/**
+ * Key identifying what a recommendation recommends: an action, a tie between the same actions
+ * (in any order) or nothing
+ * @param {Object} result - Recommendation { action, tied_actions }
+ * @returns {string} Outcome key
+ */
+function getOutcomeKey(result) {
+  if (result.action) return `action:${result.action}`;
+  const tied = getTiedActions(result);
+  return tied ? `tie:${[...tied].sort().join('|')}` : 'none';
+}
+
+/**
+ * Describe a recommendation's outcome for explanations
+ * @param {string|null} action - Recommended action
+ * @param {Array<string>} [tied] - Tied actions when no action is recommended
+ * @returns {string} The action, "tie between X and Y" or "no recommendation"
+ */
+function describeOutcome(action, tied) {
+  if (action) return action;
+  return tied?.length > 0 ? `tie between ${tied.join(' and ')}` : 'no recommendation';
+}
+
+/**
+ * Build a counterfactual from the baseline and changed recommendations
+ * @param {string} target - Recommendation being changed
+ * @param {Object} base - Baseline recommendation
+ * @param {Object} changed - Recommendation after the edits
+ * @param {Array<Object>} edits - Edits from describeEdit
+ * @param {number} distance - Total distance of the edits
+ * @returns {Object} Counterfactual without its explanation
+ */
+function describeChange(target, base, changed, edits, distance) {
+  const fromTied = getTiedActions(base);
+  const toTied = getTiedActions(changed);
+  return {
+    target,
+    from_action: base.action || null,
+    to_action: changed.action || null,
+    ...(fromTied ? { from_tied_actions: fromTied } : {}),
+    ...(toTied ? { to_tied_actions: toTied } : {}),
+    edits,
+    distance: round(distance)
+  };
+}
+
+/**
+ * Value of a candidate a fraction of the way from its original value to a bound
+ * @param {Object} candidate - Candidate from collectCounterfactualCandidates
+ * @param {number} bound - Bound being moved towards
+ * @param {number} fraction - Fraction of the way (0-1)
+ * @returns {number} Interpolated value
+ */
+function interpolate(candidate, bound, fraction) {
+  return candidate.value + (bound - candidate.value) * fraction;
+}
+
+/**
+ * Round a changed value for reporting, rounding integer quantities away from the original value
+ * so the change is at least as large as the one found
+ * @param {Object} candidate - Candidate from collectCounterfactualCandidates
+ * @param {number} value - Changed value
+ * @returns {number} Reported value
+ */
+function roundValue(candidate, value) {
+  if (candidate.range.integer) {
+    return value > candidate.value ? Math.ceil(value - 1e-9) : Math.floor(value + 1e-9);
+  }
+  const step = value > candidate.value ? Math.ceil : Math.floor;
+  const scale = 10 ** Math.max(0, 3 - Math.ceil(Math.log10(Math.abs(value) + 1)));
+  return Math.max(candidate.range.min, Math.min(candidate.range.max, step(value * scale) / scale));
+}
+
+/**
+ * Describe one changed quantity
+ * @param {Object} candidate - Candidate from collectCounterfactualCandidates
+ * @param {number} value - Changed value
+ * @returns {Object} Edit with type, key, label, from, to, delta and normalized distance
+ */
+function describeEdit(candidate, value) {
+  return {
+    type: candidate.type,
+    key: candidate.key,
+    label: candidate.label,
+    ...(candidate.stakeholder ? { stakeholder: candidate.stakeholder } : { location: candidate.location }),
+    from: candidate.value,
+    to: value,
+    delta: round(value - candidate.value),
+    // Share of the quantity's range covered by the change
+    distance: Math.abs(value - candidate.value) / (candidate.range.max - candidate.range.min)
+  };
+}
+
+/**
+ * How much a change erodes the current recommendation's lead over the runner-up
+ * @param {Object} base - Baseline { action, scores }
+ * @param {Object} changed - Recommendation after the change
+ * @returns {number} Erosion between 0 and 1, where 1 means the recommendation changed
+ */
+function getErosion(base, changed) {
+  if (changed.action !== base.action) return 1;
+
+  const lead = scores => {
+    const values = Object.entries(scores || {})
+      .filter(([action, score]) => action !== base.action && typeof score === 'number');
+    const own = scores?.[base.action];
+    if (typeof own !== 'number' || values.length === 0) return null;
+    return own - Math.max(...values.map(([, score]) => score));
+  };
+
+  const before = lead(base.scores);
+  const after = lead(changed.scores);
+  if (before === null || after === null || before <= 0) return 0;
+  return Math.max(0, Math.min(1, (before - after) / before));
+}
+
+/**
+ * Order counterfactuals nearest first, preferring fewer edits at equal distance
+ * @param {Object} a - First counterfactual
+ * @param {Object} b - Second counterfactual
+ * @returns {number} Sort order
+ */
+function compareCounterfactuals(a, b) {
+  return a.distance - b.distance || a.edits.length - b.edits.length;
+}
+
+/**
+ * Explain a counterfactual in plain language
+ * @param {Object} counterfactual - Counterfactual with target, actions and edits
+ * @returns {string} Explanation
+ */
+function explainCounterfactual(counterfactual) {
+  const changes = counterfactual.edits.map(edit =>
+    `${edit.delta > 0 ? 'raising' : 'lowering'} ${edit.label} from ${edit.from} to ${edit.to}`);
+  const recommendation = counterfactual.target === 'final'
+    ? 'the final recommendation'
+    : `the ${counterfactual.target.replace(/_/g, ' ')} recommendation`;
+  const outcome = (action, tied) => (!action && tied?.length > 0 ? 'a ' : '') + describeOutcome(action, tied);
+  const sentence = `${changes.join(' and ')} would change ${recommendation} from ` +
+    `${outcome(counterfactual.from_action, counterfactual.from_tied_actions)} to ` +
+    `${outcome(counterfactual.to_action, counterfactual.to_tied_actions)}`;
+  return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`;
+}
+
+/**
+ * Round a value for reporting
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,270 @@
+/**
+ * Monte Carlo Uncertainty Module
+ * Propagates uncertainty in a dilemma's parameters to its recommendations. Parameters may declare
+ * a probability distribution next to their point value; each sample draws every uncertain
+ * parameter with a seeded random generator, re-runs the framework evaluators and records which
+ * action each framework, and the frameworks together, recommend.
+ *
+ *   "urgency_option_a": {
+ *     "value": 9,
+ *     "description": "Medical urgency (1-10 scale)",
+ *     "distribution": { "type": "triangular", "min": 7, "max": 10 }
+ *   }
+ */
+
+import { evaluateFramework, getFrameworkContextualWeight } from '../frameworks/registry.js';
+import { getDeclaredParameterRange } from '../utils/parameterAccess.js';
+import { createSeededRandom, getDistributionProblem, sampleDistribution } from '../utils/random.js';
+import { usesMoralUncertainty, resolveCredences } from './moralUncertainty.js';
+
+/**
+ * Default Monte Carlo settings
+ */
+export const MONTE_CARLO_CONFIG = {
+  // Number of sampled scenarios
+  samples: 250,
+  // Seed of the random generator, so runs are reproducible
+  seed: 42,
+  // Coverage of the reported score intervals
+  interval: 0.9
+};
+
+/**
+ * Check whether a dilemma asks for Monte Carlo uncertainty analysis
+ * @param {Object} dilemma - The dilemma
+ * @returns {boolean} True if the dilemma declares `monte_carlo`
+ */
+export function usesMonteCarlo(dilemma) {
+  return Boolean(dilemma?.monte_carlo && typeof dilemma.monte_carlo === 'object');
+}
+
+/**
+ * Collect the parameters of a dilemma that declare a valid distribution
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<Object>} Uncertain parameters with key, name, location, value and distribution
+ */
+export function collectParameterDistributions(dilemma) {
+  const sources = [
+    { location: 'parameters', parameters: dilemma?.parameters },
+    { location: 'situation.parameters', parameters: dilemma?.situation?.parameters }
+  ];
+  const collected = [];
+  const seen = new Set();
+
+  sources.forEach(({ location, parameters }) => {
+    if (!parameters || typeof parameters !== 'object') return;
+
+    Object.entries(parameters).forEach(([name, param]) => {
+      if (!param || typeof param !== 'object' || !param.distribution) return;
+      if (getDistributionProblem(param.distribution)) return;
+
+      // Normal distributions without bounds of their own stay within the parameter's declared range
+      const range = getDeclaredParameterRange(param);
+      const distribution = param.distribution.type === 'normal' && range
+        ? { ...range, ...param.distribution }
+        : param.distribution;
+
+      const key = seen.has(name) ? `${location}.${name}` : name;
+      seen.add(name);
+      collected.push({ key, name, location, value: param.value, distribution });
+    });
+  });
+
+  return collected;
+}
+
+/**
+ * Check every parameter's distribution declaration
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<string>} Warnings for invalid distributions
+ */
+export function validateParameterDistributions(dilemma) {
+  const warnings = [];
+  [dilemma?.parameters, dilemma?.situation?.parameters].forEach(parameters => {
+    if (!parameters || typeof parameters !== 'object') return;
+
+    Object.entries(parameters).forEach(([name, param]) => {
+      if (!param || typeof param !== 'object' || param.distribution === undefined) return;
+      const problem = getDistributionProblem(param.distribution);
+      if (problem) warnings.push(`Parameter "${name}" declares a distribution that ${problem}`);
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Copy a dilemma with every uncertain parameter replaced by a sample
+ * @param {Object} dilemma - The dilemma
+ * @param {Array<Object>} uncertain - Parameters from collectParameterDistributions
+ * @param {Function} random - Seeded random generator
+ * @returns {Object} { dilemma, values } with the sampled dilemma and the value drawn per parameter
+ */
+function sampleDilemma(dilemma, uncertain, random) {
+  const copy = JSON.parse(JSON.stringify(dilemma));
+  const values = {};
+
+  uncertain.forEach(parameter => {
+    const container = parameter.location === 'parameters' ? copy.parameters : copy.situation.parameters;
+    const value = sampleDistribution(parameter.distribution, random, parameter.value);
+    container[parameter.name] = { ...container[parameter.name], value };
+    values[parameter.key] = value;
+  });
+
+  return { dilemma: copy, values };
+}
+
+/**
+ * Get the actions the frameworks recommend together: each framework votes for its recommended
+ * action with its contextual weight, or its credence when the dilemma declares moral uncertainty.
+ * This is a framework vote only; conflict resolutions and stakeholder preferences, which the final
+ * recommendation also weighs, play no part in it.
+ * @param {Object} evaluations - Map of framework to evaluation
+ * @param {Object} dilemma - The (sampled) dilemma
+ * @returns {Array<string>} The actions with the most votes (several when tied, none without votes)
+ */
+function getConsensusActions(evaluations, dilemma) {
+  const frameworks = Object.keys(evaluations);
+  const credences = usesMoralUncertainty(dilemma)
+    ? resolveCredences(frameworks, dilemma.moral_uncertainty.credences)
+    : null;
+
+  const votes = {};
+  frameworks.forEach(framework => {
+    const action = evaluations[framework].recommendedAction;
+    if (!action) return;
+    const weight = credences ? credences[framework] : getFrameworkContextualWeight(framework, dilemma);
+    votes[action] = (votes[action] || 0) + weight;
+  });
+
+  const best = Math.max(0, ...Object.values(votes));
+  return Object.keys(votes).filter(action => best > 0 && best - votes[action] <= 1e-9);
+}
+
+/**
+ * Run the Monte Carlo uncertainty analysis for a set of frameworks
+ * @param {Object} dilemma - The dilemma; `monte_carlo.samples`, `monte_carlo.seed` and
+ *   `monte_carlo.interval` configure the run
+ * @param {Array<string>} frameworks - Registered framework names to evaluate
+ * @param {Object} [options] - Overrides for samples, seed and interval
+ * @returns {Object} { seed, samples, interval, parameters: { key: { distribution, mean, lower,
+ *   upper } }, frameworks: { name: { action_probabilities, most_likely_action, score_intervals:
+ *   { action: { mean, lower, upper } } } }, framework_consensus: { action_probabilities,
+ *   most_likely_action } } where framework_consensus is how often each action wins the weighted
+ *   framework vote (a tied sample counts equally for each tied action), not how often it is the
+ *   final recommendation
+ */
+export function runMonteCarloAnalysis(dilemma, frameworks, options = {}) {
+  const settings = { ...MONTE_CARLO_CONFIG, ...(usesMonteCarlo(dilemma) ? dilemma.monte_carlo : {}), ...options };
+  const samples = Math.max(1, Math.round(settings.samples));
+  const random = createSeededRandom(settings.seed);
+  const uncertain = collectParameterDistributions(dilemma);
+
+  const draws = Object.fromEntries(uncertain.map(parameter => [parameter.key, []]));
+  const recommended = Object.fromEntries(frameworks.map(framework => [framework, {}]));
+  const scores = Object.fromEntries(frameworks.map(framework => [framework, {}]));
+  const consensus = {};
+
+  for (let sample = 0; sample < samples; sample++) {
+    const sampled = sampleDilemma(dilemma, uncertain, random);
+    Object.entries(sampled.values).forEach(([key, value]) => draws[key].push(value));
+
+    const evaluations = {};
+    frameworks.forEach(framework => {
+      // Warnings were reported when the unsampled dilemma was evaluated
+      const evaluation = evaluateFramework(framework, sampled.dilemma, { quiet: true });
+      evaluations[framework] = evaluation;
+
+      const action = evaluation.recommendedAction;
+      if (action) recommended[framework][action] = (recommended[framework][action] || 0) + 1;
+      (evaluation.ranking || []).forEach(entry => {
+        if (typeof entry.score !== 'number' || !Number.isFinite(entry.score)) return;
+        (scores[framework][entry.action] = scores[framework][entry.action] || []).push(entry.score);
+      });
+    });
+
+    const leading = getConsensusActions(evaluations, sampled.dilemma);
+    leading.forEach(action => {
+      consensus[action] = (consensus[action] || 0) + 1 / leading.length;
+    });
+  }
+
+  const toProbabilities = counts => Object.fromEntries(
+    Object.entries(counts)
+      .sort(([, a], [, b]) => b - a)
+      .map(([action, count]) => [action, round(count / samples)])
+  );
+  const mostLikely = counts => Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+
+  return {
+    seed: settings.seed,
+    samples,
+    interval: settings.interval,
+    parameters: Object.fromEntries(uncertain.map(parameter => [parameter.key, {
+      distribution: parameter.distribution,
+      ...(draws[parameter.key].every(value => typeof value === 'number')
+        ? summarize(draws[parameter.key], settings.interval)
+        : { frequencies: toProbabilities(countValues(draws[parameter.key])) })
+    }])),
+    frameworks: Object.fromEntries(frameworks.map(framework => [framework, {
+      action_probabilities: toProbabilities(recommended[framework]),
+      most_likely_action: mostLikely(recommended[framework]),
+      score_intervals: Object.fromEntries(Object.entries(scores[framework])
+        .map(([action, values]) => [action, summarize(values, settings.interval)]))
+    }])),
+    framework_consensus: {
+      action_probabilities: toProbabilities(consensus),
+      most_likely_action: mostLikely(consensus)
+    }
+  };
+}
+
+/**
+ * Count how often each value was drawn
+ * @param {Array<*>} values - Drawn values
+ * @returns {Object} Map of value to count
+ */
+function countValues(values) {
+  const counts = {};
+  values.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Summarize samples by their mean and central interval
+ * @param {Array<number>} values - Samples
+ * @param {number} interval - Coverage of the interval (e.g. 0.9 for the 5th-95th percentiles)
+ * @returns {Object} { mean, lower, upper }
+ */
+function summarize(values, interval) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - interval) / 2;
+  return {
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    lower: round(percentile(sorted, tail)),
+    upper: round(percentile(sorted, 1 - tail))
+  };
+}
+
+/**
+ * Linearly interpolated percentile of sorted samples
+ * @param {Array<number>} sorted - Samples in ascending order
+ * @param {number} fraction - Percentile as a fraction (0-1)
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Round a value for reporting
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
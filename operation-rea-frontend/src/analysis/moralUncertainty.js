@@ -0,0 +1,289 @@
+/**
+ * Moral Uncertainty Module
+ * Aggregates framework evaluations under moral uncertainty: each framework gets a credence, its
+ * action scores are normalized onto a common scale and actions are ranked by expected
+ * choiceworthiness, the credence-weighted sum of their normalized scores
+ */
+
+/**
+ * Default moral uncertainty settings
+ */
+export const MORAL_UNCERTAINTY_CONFIG = {
+  // Normalization used to put framework scores on a common scale
+  normalization: 'variance'
+};
+
+/**
+ * Score normalizations. Each maps a framework's raw scores to a common scale.
+ */
+export const NORMALIZATION_METHODS = {
+  // Mean 0, standard deviation 1: every framework has the same voting power in expectation
+  variance: scores => {
+    const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const deviation = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length);
+    return scores.map(score => (deviation > 0 ? (score - mean) / deviation : 0));
+  },
+  // Best action 1, worst action 0: every framework cares equally about its best and worst option
+  range: scores => {
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    return scores.map(score => (max > min ? (score - min) / (max - min) : 0.5));
+  }
+};
+
+/**
+ * Check whether a dilemma asks for moral uncertainty aggregation
+ * @param {Object} dilemma - The dilemma
+ * @returns {boolean} True if the dilemma declares `moral_uncertainty`
+ */
+export function usesMoralUncertainty(dilemma) {
+  return Boolean(dilemma?.moral_uncertainty && typeof dilemma.moral_uncertainty === 'object');
+}
+
+/**
+ * Resolve the credence in each framework. Declared credences are kept as given (relative to a total
+ * of 1); whatever credence remains is shared equally by frameworks without a declared credence.
+ * The result is normalized to sum to 1.
+ * @param {Array<string>} frameworks - Framework names
+ * @param {Object} [declared] - Map of framework name to credence (0-1)
+ * @returns {Object} Map of framework name to credence
+ */
+export function resolveCredences(frameworks, declared = {}) {
+  const credences = {};
+  const undeclared = [];
+  let assigned = 0;
+
+  frameworks.forEach(framework => {
+    const credence = declared?.[framework];
+    if (typeof credence === 'number' && Number.isFinite(credence) && credence >= 0) {
+      credences[framework] = credence;
+      assigned += credence;
+    } else {
+      undeclared.push(framework);
+    }
+  });
+
+  const remainder = Math.max(0, 1 - assigned);
+  undeclared.forEach(framework => {
+    credences[framework] = remainder / undeclared.length;
+  });
+
+  // Normalize, keeping the frameworks' order
+  const total = Object.values(credences).reduce((sum, credence) => sum + credence, 0);
+  return Object.fromEntries(frameworks.map(framework => [
+    framework,
+    total > 0 ? credences[framework] / total : 1 / frameworks.length
+  ]));
+}
+
+/**
+ * Get a framework's raw choiceworthiness for each action from its evaluation.
+ * Scores come from the framework's ranking. Actions it ranks as impermissible are placed below every
+ * permissible action, and a framework without scores rates its recommended action 1 and the rest 0.
+ * @param {Object} evaluation - Framework result with recommendedAction and optional ranking
+ * @param {Array<string>} actions - Action IDs
+ * @returns {Object} Map of action ID to score, or null for actions the framework did not score
+ */
+function getRawChoiceworthiness(evaluation, actions) {
+  const entries = Array.isArray(evaluation?.ranking) ? evaluation.ranking : [];
+  const scored = entries.filter(entry => typeof entry.score === 'number' && Number.isFinite(entry.score));
+  const raw = {};
+
+  if (scored.length === 0) {
+    actions.forEach(action => {
+      raw[action] = action === evaluation?.recommendedAction ? 1 : 0;
+    });
+    return raw;
+  }
+
+  const values = scored.map(entry => entry.score);
+  const floor = Math.min(...values) - (Math.max(...values) - Math.min(...values) || 1);
+
+  actions.forEach(action => {
+    const entry = entries.find(candidate => candidate.action === action);
+    if (entry && entry.permissible === false) {
+      raw[action] = floor;
+    } else {
+      raw[action] = entry && typeof entry.score === 'number' && Number.isFinite(entry.score) ? entry.score : null;
+    }
+  });
+  return raw;
+}
+
+/**
+ * Normalize a framework's raw choiceworthiness. Unscored actions get the framework's mean
+ * normalized score, so the framework is neutral about them.
+ * @param {Object} raw - Map of action ID to raw score or null
+ * @param {Function} normalize - Normalization from NORMALIZATION_METHODS
+ * @returns {Object} Map of action ID to normalized score
+ */
+function normalizeChoiceworthiness(raw, normalize) {
+  const scoredActions = Object.keys(raw).filter(action => raw[action] !== null);
+  const normalizedValues = scoredActions.length > 0 ? normalize(scoredActions.map(action => raw[action])) : [];
+  const neutral = normalizedValues.length > 0
+    ? normalizedValues.reduce((sum, value) => sum + value, 0) / normalizedValues.length
+    : 0;
+
+  const normalized = {};
+  Object.keys(raw).forEach(action => {
+    const index = scoredActions.indexOf(action);
+    normalized[action] = index >= 0 ? normalizedValues[index] : neutral;
+  });
+  return normalized;
+}
+
+/**
+ * Get a framework's normalized choiceworthiness for each action
+ * @param {Object} evaluation - Framework result with recommendedAction and optional ranking
+ * @param {Array<string>} actions - Action IDs
+ * @param {string} [normalization] - Key of NORMALIZATION_METHODS (MORAL_UNCERTAINTY_CONFIG.normalization
+ *   by default)
+ * @returns {Object} Map of action ID to normalized score
+ */
+export function getNormalizedChoiceworthiness(evaluation, actions, normalization = MORAL_UNCERTAINTY_CONFIG.normalization) {
+  const normalize = NORMALIZATION_METHODS[normalization];
+  if (!normalize) {
+    throw new Error(`Unknown normalization "${normalization}". Valid normalizations: ${Object.keys(NORMALIZATION_METHODS).join(', ')}`);
+  }
+  return normalizeChoiceworthiness(getRawChoiceworthiness(evaluation, actions), normalize);
+}
+
+/**
+ * Rank actions by expected choiceworthiness
+ * @param {Object} normalizedScores - Map of framework to map of action to normalized score
+ * @param {Object} credences - Map of framework to credence
+ * @param {Array<string>} actions - Action IDs; ties keep this order
+ * @returns {Object} Expected choiceworthiness per action and the actions ranked best first
+ */
+function rankByExpectedChoiceworthiness(normalizedScores, credences, actions) {
+  const expected = {};
+  actions.forEach(action => {
+    expected[action] = Object.keys(credences)
+      .reduce((sum, framework) => sum + credences[framework] * normalizedScores[framework][action], 0);
+  });
+
+  return {
+    expected,
+    ranking: [...actions].sort((a, b) => expected[b] - expected[a])
+  };
+}
+
+/**
+ * Trace how the winning action changes as the credence in one framework moves from 0 to 1, with
+ * the other frameworks keeping their relative credences. Expected choiceworthiness is linear in
+ * that credence, so the winner only changes where two actions' lines cross.
+ * @param {string} framework - Framework whose credence varies
+ * @param {Object} normalizedScores - Map of framework to map of action to normalized score
+ * @param {Object} credences - Current credences
+ * @param {Array<string>} actions - Action IDs
+ * @returns {Array<Object>} Credence intervals { from, to, winner } covering 0-1
+ */
+function traceCredence(framework, normalizedScores, credences, actions) {
+  const others = Object.keys(credences).filter(other => other !== framework);
+  const otherTotal = others.reduce((sum, other) => sum + credences[other], 0);
+  const otherShare = other => (otherTotal > 0 ? credences[other] / otherTotal : 1 / others.length);
+
+  // Expected choiceworthiness at credence t is t * own + (1 - t) * rest
+  const own = {};
+  const rest = {};
+  actions.forEach(action => {
+    own[action] = normalizedScores[framework][action];
+    rest[action] = others.reduce((sum, other) => sum + otherShare(other) * normalizedScores[other][action], 0);
+  });
+  const winnerAt = t => [...actions]
+    .sort((a, b) => (t * own[b] + (1 - t) * rest[b]) - (t * own[a] + (1 - t) * rest[a]))[0];
+
+  const breakpoints = new Set([0, 1]);
+  for (let i = 0; i < actions.length; i++) {
+    for (let j = i + 1; j < actions.length; j++) {
+      const a = actions[i];
+      const b = actions[j];
+      const slope = (own[a] - rest[a]) - (own[b] - rest[b]);
+      if (Math.abs(slope) < 1e-12) continue;
+      const t = (rest[b] - rest[a]) / slope;
+      if (t > 0 && t < 1) breakpoints.add(t);
+    }
+  }
+
+  const points = [...breakpoints].sort((a, b) => a - b);
+  const intervals = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const winner = winnerAt((points[i] + points[i + 1]) / 2);
+    const last = intervals[intervals.length - 1];
+    if (last && last.winner === winner) {
+      last.to = points[i + 1];
+    } else {
+      intervals.push({ from: points[i], to: points[i + 1], winner });
+    }
+  }
+
+  return intervals.map(interval => ({ ...interval, from: round(interval.from), to: round(interval.to) }));
+}
+
+/**
+ * Compute expected choiceworthiness across frameworks
+ * @param {Object} frameworkResults - Map of framework name to { recommendedAction, ranking }
+ * @param {Object} dilemma - The dilemma; `moral_uncertainty.credences` and
+ *   `moral_uncertainty.normalization` configure the aggregation
+ * @param {Object} [options] - Overrides for credences and normalization
+ * @returns {Object} { normalization, credences, normalized_scores, expected_choiceworthiness,
+ *   ranking, recommended_action, margin, credence_sensitivity }
+ */
+export function computeExpectedChoiceworthiness(frameworkResults, dilemma, options = {}) {
+  const settings = { ...MORAL_UNCERTAINTY_CONFIG, ...(dilemma?.moral_uncertainty || {}), ...options };
+  const frameworks = Object.keys(frameworkResults || {})
+    .filter(framework => frameworkResults[framework] && !frameworkResults[framework].undetermined);
+  const possibleActions = (dilemma?.possible_actions || []).map(action => action && action.id).filter(Boolean);
+  const actions = possibleActions.length > 0
+    ? possibleActions
+    : [...new Set(frameworks.map(framework => frameworkResults[framework].recommendedAction).filter(Boolean))];
+
+  const credences = resolveCredences(frameworks, settings.credences);
+  const normalizedScores = {};
+  frameworks.forEach(framework => {
+    normalizedScores[framework] = getNormalizedChoiceworthiness(frameworkResults[framework], actions, settings.normalization);
+  });
+
+  const { expected, ranking } = rankByExpectedChoiceworthiness(normalizedScores, credences, actions);
+  const values = ranking.map(action => expected[action]);
+  const spread = values.length > 1 ? values[0] - values[values.length - 1] : 0;
+
+  const credenceSensitivity = {};
+  frameworks.forEach(framework => {
+    const intervals = frameworks.length > 1 ? traceCredence(framework, normalizedScores, credences, actions) : [];
+    const current = round(credences[framework]);
+    const index = intervals.findIndex(interval => current >= interval.from && current <= interval.to);
+    const below = index > 0 ? intervals[index - 1] : null;
+    const above = index >= 0 && index < intervals.length - 1 ? intervals[index + 1] : null;
+    credenceSensitivity[framework] = {
+      credence: current,
+      intervals,
+      // Nearest credences at which the winner changes, and the action that wins beyond them
+      lower_threshold: below ? { credence: below.to, winner: below.winner } : null,
+      upper_threshold: above ? { credence: above.from, winner: above.winner } : null
+    };
+  });
+
+  const roundMap = map => Object.fromEntries(Object.entries(map).map(([key, value]) => [key, round(value)]));
+
+  return {
+    normalization: settings.normalization,
+    credences: roundMap(credences),
+    normalized_scores: Object.fromEntries(Object.entries(normalizedScores).map(([framework, scores]) => [framework, roundMap(scores)])),
+    expected_choiceworthiness: roundMap(expected),
+    ranking,
+    recommended_action: ranking[0] || null,
+    // Gap between the two best actions relative to the spread of all actions (0-1)
+    margin: values.length > 1 && spread > 0 ? round((values[0] - values[1]) / spread) : 1,
+    credence_sensitivity: credenceSensitivity
+  };
+}
+
+/**
+ * Round a value for reporting
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -3,6 +3,9 @@
  * Contains functions for analyzing and resolving conflicts between multiple ethical frameworks
  */
 
+import { usesMoralUncertainty, computeExpectedChoiceworthiness, resolveCredences } from './moralUncertainty.js';
+import { usesSocialChoice, aggregateFrameworkRankings } from './socialChoice.js';
+
 /**
  * Analyzes conflicts between multiple frameworks
  * @param {Object} actionGroups - Groups of frameworks organized by their recommended actions
@@ -57,12 +60,25 @@ export function analyzeMultiFrameworkConflict(actionGroups, frameworkRecommendat
 }
 
 /**
- * Resolves a conflict between multiple frameworks
+ * Resolves a conflict between multiple frameworks.
+ * By default each framework's top pick is counted as a (weighted) vote. When the dilemma declares an
+ * `aggregation` rule, the frameworks' full rankings are aggregated with that voting rule instead.
+ * Otherwise, when it declares `moral_uncertainty`, actions are ranked by expected choiceworthiness
+ * over the frameworks' normalized scores, weighted by the declared credences.
  * @param {Object} conflict - The multi-framework conflict to resolve
  * @param {Object} dilemma - The ethical dilemma context
+ * @param {Object} [frameworkResults] - Results from framework analysis, whose rankings supply the
+ *   ballots and scores used by social choice and moral uncertainty aggregation
  * @returns {Object} The resolution of the multi-framework conflict
  */
-export function resolveMultiFrameworkConflict(conflict, dilemma) {
+export function resolveMultiFrameworkConflict(conflict, dilemma, frameworkResults = null) {
+  if (usesSocialChoice(dilemma)) {
+    return resolveBySocialChoice(conflict, dilemma, frameworkResults);
+  }
+  if (usesMoralUncertainty(dilemma)) {
+    return resolveUnderMoralUncertainty(conflict, dilemma, frameworkResults);
+  }
+  
   // Initialize resolution
   const resolution = {
     weights: {},
@@ -161,6 +177,92 @@ export function resolveMultiFrameworkConflict(conflict, dilemma) {
   return resolution;
 }
 
+/**
+ * Resolves a multi-framework conflict by expected choiceworthiness under moral uncertainty
+ * @param {Object} conflict - The multi-framework conflict to resolve
+ * @param {Object} dilemma - The ethical dilemma context, with `moral_uncertainty` settings
+ * @param {Object} [frameworkResults] - Results from framework analysis
+ * @returns {Object} The resolution, with credences as weights and the full aggregation in
+ *   `moral_uncertainty`
+ */
+function resolveUnderMoralUncertainty(conflict, dilemma, frameworkResults) {
+  const evaluations = getConflictEvaluations(conflict, frameworkResults);
+  const aggregation = computeExpectedChoiceworthiness(evaluations, dilemma);
+  const recommendedAction = aggregation.recommended_action;
+  
+  return {
+    weights: { ...aggregation.credences },
+    reasoning: generateMoralUncertaintyReasoning(aggregation),
+    meta_recommendation: recommendedAction,
+    confidence: 0.5 + (aggregation.margin * 0.5),
+    criticalParameters: identifyCriticalParameters(conflict, dilemma),
+    moral_uncertainty: aggregation
+  };
+}
+
+/**
+ * Resolves a multi-framework conflict by aggregating the frameworks' rankings with a voting rule.
+ * Frameworks vote with equal weight, or with their credences when the dilemma also declares
+ * `moral_uncertainty`.
+ * @param {Object} conflict - The multi-framework conflict to resolve
+ * @param {Object} dilemma - The ethical dilemma context, with `aggregation` settings
+ * @param {Object} [frameworkResults] - Results from framework analysis
+ * @returns {Object} The resolution, with voting weights and the full aggregation in `social_choice`.
+ *   When several actions tie under the rule, meta_recommendation is null and tied_actions lists them.
+ */
+function resolveBySocialChoice(conflict, dilemma, frameworkResults) {
+  const evaluations = getConflictEvaluations(conflict, frameworkResults);
+  const weights = usesMoralUncertainty(dilemma)
+    ? resolveCredences(Object.keys(evaluations), dilemma.moral_uncertainty.credences)
+    : undefined;
+  const aggregation = aggregateFrameworkRankings(evaluations, dilemma, { weights });
+  
+  // Agreement between the rules and a clear winner under the chosen rule both add confidence
+  const ruleCount = Object.keys(aggregation.results).length;
+  const agreement = 1 - aggregation.disagreements.length / (ruleCount - 1);
+  const tied = aggregation.result.tied_winners.length > 1;
+  const decisiveness = tied ? 0 : 1;
+  
+  return {
+    weights: normalizeWeights(aggregation.weights),
+    reasoning: generateSocialChoiceReasoning(aggregation),
+    meta_recommendation: tied ? null : aggregation.winner,
+    ...(tied ? { tied_actions: [...aggregation.result.tied_winners] } : {}),
+    confidence: 0.4 + 0.3 * agreement + 0.2 * decisiveness,
+    criticalParameters: identifyCriticalParameters(conflict, dilemma),
+    social_choice: aggregation
+  };
+}
+
+/**
+ * Get the framework results for the frameworks in a conflict, falling back to their recommendation
+ * when no full result is available
+ * @param {Object} conflict - The multi-framework conflict
+ * @param {Object} [frameworkResults] - Results from framework analysis
+ * @returns {Object} Map of framework name to framework result
+ */
+function getConflictEvaluations(conflict, frameworkResults) {
+  const evaluations = {};
+  for (const framework in conflict.recommendations) {
+    evaluations[framework] = frameworkResults?.frameworks?.[framework] ||
+      { recommendedAction: conflict.recommendations[framework] };
+  }
+  return evaluations;
+}
+
+/**
+ * Scale weights to sum to 1
+ * @param {Object} weights - Map of framework to weight
+ * @returns {Object} Normalized weights
+ */
+function normalizeWeights(weights) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([framework, weight]) => [
+    framework,
+    total > 0 ? weight / total : 0
+  ]));
+}
+
 /**
  * Generates reasoning for a recommendation based on template
  * @param {string} strategy - The resolution strategy
@@ -421,6 +523,81 @@ function generateMultiFrameworkReasoning(recommendedAction, conflict, weights, d
   return reasoning.replace(/\n\s+/g, ' ').trim();
 }
 
+/**
+ * Generates reasoning for an expected choiceworthiness recommendation
+ * @param {Object} aggregation - Result of computeExpectedChoiceworthiness
+ * @returns {string} Generated reasoning
+ */
+function generateMoralUncertaintyReasoning(aggregation) {
+  const [winner, runnerUp] = aggregation.ranking;
+  const expected = aggregation.expected_choiceworthiness;
+  const credences = Object.entries(aggregation.credences)
+    .map(([framework, credence]) => `${framework} ${Math.round(credence * 100)}%`)
+    .join(', ');
+  
+  const sentences = [
+    `Under moral uncertainty (credences: ${credences}), ${winner} has the highest expected choiceworthiness ` +
+    `(${expected[winner]} with ${aggregation.normalization} normalization)` +
+    (runnerUp ? `, ahead of ${runnerUp} (${expected[runnerUp]}).` : '.')
+  ];
+  
+  // Report the credence changes closest to overturning the recommendation
+  const shifts = [];
+  Object.entries(aggregation.credence_sensitivity).forEach(([framework, sensitivity]) => {
+    [sensitivity.lower_threshold, sensitivity.upper_threshold].filter(Boolean).forEach(threshold => {
+      shifts.push({
+        framework,
+        ...threshold,
+        direction: threshold.credence > sensitivity.credence ? 'Raising' : 'Lowering',
+        distance: Math.abs(threshold.credence - sensitivity.credence)
+      });
+    });
+  });
+  shifts.sort((a, b) => a.distance - b.distance);
+  
+  if (shifts.length === 0) {
+    sentences.push(`${winner} remains the recommendation whatever credence any single framework receives.`);
+  } else {
+    sentences.push(...shifts.slice(0, 2).map(shift =>
+      `${shift.direction} the credence in ${shift.framework} past ${Math.round(shift.credence * 100)}% would change the recommendation to ${shift.winner}.`
+    ));
+  }
+  
+  return sentences.join(' ');
+}
+
+/**
+ * Generates reasoning for a social-choice recommendation
+ * @param {Object} aggregation - Result of aggregateFrameworkRankings
+ * @returns {string} Generated reasoning
+ */
+function generateSocialChoiceReasoning(aggregation) {
+  const { rule, winner, result, condorcet_winner: condorcetWinner, smith_set: smithSet, cycles } = aggregation;
+  const sentences = [];
+  
+  if (result.tied_winners.length > 1) {
+    sentences.push(`Under the ${rule} rule, ${result.tied_winners.join(', ')} tie for first, so the rule does not decide between them.`);
+  } else {
+    sentences.push(`Aggregating each framework's full ranking with the ${rule} rule selects ${winner}.`);
+  }
+  
+  if (condorcetWinner) {
+    sentences.push(`${condorcetWinner} is the Condorcet winner, beating every other action in head-to-head comparisons across frameworks.`);
+  } else if (cycles.length > 0) {
+    sentences.push(`There is no Condorcet winner: the frameworks' majorities form a cycle (${cycles[0].join(' > ')}), so the result depends on the rule.`);
+  } else {
+    sentences.push(`There is no Condorcet winner; ${smithSet.join(', ')} tie in head-to-head comparisons.`);
+  }
+  
+  if (aggregation.disagreements.length === 0) {
+    sentences.push('Every other aggregation rule selects the same action.');
+  } else {
+    sentences.push(`Other rules differ: ${aggregation.disagreements.map(d => `${d.rule} selects ${d.winner}`).join(', ')}.`);
+  }
+  
+  return sentences.join(' ');
+}
+
 /**
  * Identifies critical parameters for a multi-framework conflict
  * @param {Object} conflict - The conflict being analyzed
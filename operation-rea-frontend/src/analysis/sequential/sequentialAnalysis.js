@@ -16,6 +16,7 @@ import {
 
 // Import from resolution strategies
 import { 
+  resolutionStrategies as availableStrategies,
   selectResolutionStrategy, 
   applyResolutionStrategy 
 } from '../../resolution/strategies.js';
@@ -23,6 +24,7 @@ import {
 // Import from utilities
 import { getParameterValue } from '../../utils/parameterAccess.js';
 import { getActionDescription } from '../../utils/parameterMapping.js';
+import { getStakeholderConcerns } from '../../utils/general.js';
 
 // Import core analysis functions from appropriate modules
 import { 
@@ -40,9 +42,9 @@ import {
  * Performs a sequential analysis of an ethical dilemma using step-by-step structured thinking
  * This approach breaks the analysis into clearly defined sequential steps with explicit dependencies
  * @param {Object} dilemma - The dilemma to analyze
- * @returns {Object} The sequential analysis result with step-by-step insights
+ * @returns {Promise<Object>} The sequential analysis result with step-by-step insights
  */
-export function performSequentialAnalysis(dilemma) {
+export async function performSequentialAnalysis(dilemma) {
   try {
     console.log("Starting sequential analysis...");
     
@@ -129,6 +131,7 @@ export function performSequentialAnalysis(dilemma) {
             const conflict = {
               type: 'framework_conflict',
               frameworks: [framework1, framework2],
+              between: [framework1, framework2],
               actions: [rec1.recommendedAction, rec2.recommendedAction],
               description: generateConflictDescription(framework1, framework2, rec1, rec2),
               severity: analyzeConflictSeverity(framework1, framework2, 'framework_conflict', dilemma),
@@ -141,6 +144,7 @@ export function performSequentialAnalysis(dilemma) {
             conflicts.push({
               type: 'framework_conflict',
               frameworks: [framework1, framework2],
+              between: [framework1, framework2],
               actions: [rec1.recommendedAction, rec2.recommendedAction],
               description: `Conflict between ${framework1} and ${framework2}`,
               severity: 0.5,
@@ -163,12 +167,15 @@ export function performSequentialAnalysis(dilemma) {
         // Select optimal path through decision tree
         const selectedPath = findOptimalResolutionPath(decisionTree, dilemma);
         
+        // Paths may name strategies that need conflict-specific setup; let the selector choose those
+        const strategy = availableStrategies[selectedPath.strategy] || selectResolutionStrategy(conflict, dilemma);
+        
         // Apply selected strategy
         const resolution = {
           conflict: conflict,
-          strategy: selectedPath.strategy,
+          strategy: strategy.name,
           reasoning: selectedPath.reasoning,
-          result: applyResolutionStrategy(selectedPath.strategy, conflict, dilemma, frameworkAnalyses)
+          result: await applyResolutionStrategy(strategy, conflict, dilemma, frameworkAnalyses)
         };
         
         resolutionStrategies[`${conflict.frameworks[0]}_${conflict.frameworks[1]}`] = resolution;
@@ -385,7 +392,7 @@ function buildSequentialReasoningChain(
  */
 function calculateStakeholderSpecificImpact(stakeholder, action, dilemma) {
   // Extract stakeholder concerns
-  const concerns = stakeholder.concerns.toLowerCase().split(',').map(c => c.trim());
+  const concerns = getStakeholderConcerns(stakeholder).map(c => c.toLowerCase());
   
   // Extract action description
   const actionDesc = getActionDescription(dilemma, action) || "";
@@ -594,7 +601,15 @@ function summarizeResolutionStrategies(resolutionStrategies) {
     if (!resolution || !resolution.result) {
       return `Resolution for ${conflictKey}: Strategy application incomplete`;
     }
-    return `Resolution for ${conflictKey}: Applied ${resolution.strategy || 'unknown'} strategy resulting in "${formatAction(resolution.result.recommendedAction)}"`;
+    const action = resolution.result.recommendedAction || resolution.result.recommended_action;
+    if (!action && resolution.result.weights) {
+      // Balancing strategies weight the frameworks rather than choosing an action
+      const weights = Object.entries(resolution.result.weights)
+        .filter(([, weight]) => typeof weight === 'number')
+        .map(([framework, weight]) => `${framework} ${weight.toFixed(2)}`);
+      return `Resolution for ${conflictKey}: Applied ${resolution.strategy || 'unknown'} strategy weighting ${weights.join(', ')}`;
+    }
+    return `Resolution for ${conflictKey}: Applied ${resolution.strategy || 'unknown'} strategy resulting in "${formatAction(action)}"`;
   });
 }
 
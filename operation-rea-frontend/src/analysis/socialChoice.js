@@ -0,0 +1,421 @@
+/**
+ * Social Choice Module
+ * Treats each framework's full ranking of the actions as a ballot and aggregates the ballots with
+ * a selectable voting rule (plurality, Borda, Condorcet, Schulze, approval or Kemeny), reporting
+ * Condorcet winners, majority cycles and where the rules disagree
+ */
+
+import { getNormalizedChoiceworthiness } from './moralUncertainty.js';
+
+/**
+ * Default aggregation settings
+ */
+export const SOCIAL_CHOICE_CONFIG = {
+  rule: 'borda',
+  // Frameworks approve every action whose range-normalized score reaches this threshold
+  approvalThreshold: 0.5,
+  // Largest number of actions for which Kemeny rankings are found by exhaustive search
+  maxKemenyActions: 7
+};
+
+/**
+ * Get a framework's ballot: its ranking of the actions as tiers of equally ranked actions, best first.
+ * Uses the framework's own rank order and treats adjacent actions with equal (or no) scores as tied;
+ * actions it did not rank share the last tier. Actions the framework marks `undetermined` are left
+ * off the ballot, so it expresses no preference for or against them. A framework without a ranking
+ * only ranks its recommended action above the rest.
+ * @param {Object} evaluation - Framework result with recommendedAction and optional ranking
+ * @param {Array<string>} actions - Action IDs
+ * @returns {Array<Array<string>>} Tiers of action IDs
+ */
+export function getFrameworkBallot(evaluation, actions) {
+  const ranking = Array.isArray(evaluation?.ranking) ? evaluation.ranking : [];
+  const undetermined = ranking.filter(entry => entry.undetermined).map(entry => entry.action);
+  const entries = ranking.filter(entry => actions.includes(entry.action) && typeof entry.rank === 'number');
+
+  if (entries.length === 0) {
+    const recommended = actions.filter(action => action === evaluation?.recommendedAction);
+    const rest = actions.filter(action => action !== evaluation?.recommendedAction);
+    return [recommended, rest].filter(tier => tier.length > 0);
+  }
+
+  const tiers = [];
+  let previous = null;
+  [...entries].sort((a, b) => a.rank - b.rank).forEach(entry => {
+    // Equal scores, or no score for either action, make adjacent actions a tie
+    const tiedWithPrevious = previous && (entry.score ?? null) === (previous.score ?? null);
+    if (tiedWithPrevious) {
+      tiers[tiers.length - 1].push(entry.action);
+    } else {
+      tiers.push([entry.action]);
+    }
+    previous = entry;
+  });
+
+  const unranked = actions.filter(action =>
+    !entries.some(entry => entry.action === action) && !undetermined.includes(action));
+  if (unranked.length > 0) tiers.push(unranked);
+  return tiers;
+}
+
+/**
+ * Build the pairwise preference matrix: support[a][b] is the total weight of frameworks that rank
+ * a strictly above b
+ * @param {Object} ballots - Map of framework to tiers
+ * @param {Object} weights - Map of framework to voting weight
+ * @param {Array<string>} actions - Action IDs
+ * @returns {Object} Pairwise support matrix
+ */
+function buildPairwiseMatrix(ballots, weights, actions) {
+  const support = Object.fromEntries(actions.map(a => [a, Object.fromEntries(actions.map(b => [b, 0]))]));
+
+  Object.entries(ballots).forEach(([framework, tiers]) => {
+    const position = {};
+    tiers.forEach((tier, index) => tier.forEach(action => { position[action] = index; }));
+    actions.forEach(a => {
+      actions.forEach(b => {
+        if (a !== b && position[a] < position[b]) support[a][b] += weights[framework];
+      });
+    });
+  });
+
+  return support;
+}
+
+/**
+ * Order actions by score, best first; ties keep the dilemma's action order
+ * @param {Object} scores - Map of action to score
+ * @param {Array<string>} actions - Action IDs
+ * @returns {Object} Ranking, winner and every action tied for first
+ */
+function rankByScore(scores, actions) {
+  const ranking = [...actions].sort((a, b) => scores[b] - scores[a]);
+  const best = scores[ranking[0]];
+  return {
+    ranking,
+    winner: ranking[0] ?? null,
+    tied_winners: ranking.filter(action => Math.abs(scores[action] - best) < 1e-9),
+    scores: Object.fromEntries(ranking.map(action => [action, round(scores[action])]))
+  };
+}
+
+/**
+ * Plurality: each framework's weight is shared by the actions in its top tier
+ * @param {Object} context - Ballots, weights, actions and pairwise support
+ * @returns {Object} Rule result with ranking, winner and tied_winners
+ */
+function plurality(context) {
+  const { ballots, weights, actions } = context;
+  const scores = Object.fromEntries(actions.map(action => [action, 0]));
+  Object.entries(ballots).forEach(([framework, tiers]) => {
+    tiers[0].forEach(action => { scores[action] += weights[framework] / tiers[0].length; });
+  });
+  return rankByScore(scores, actions);
+}
+
+/**
+ * Borda count: an action earns a point for every action a framework ranks below it and half a
+ * point for every action tied with it. Actions left off a framework's ballot earn nothing from it.
+ * @param {Object} context - Ballots, weights, actions and pairwise support
+ * @returns {Object} Rule result with ranking, winner and tied_winners
+ */
+function borda(context) {
+  const { ballots, weights, actions } = context;
+  const scores = Object.fromEntries(actions.map(action => [action, 0]));
+  Object.entries(ballots).forEach(([framework, tiers]) => {
+    let below = tiers.reduce((count, tier) => count + tier.length, 0);
+    tiers.forEach(tier => {
+      below -= tier.length;
+      tier.forEach(action => {
+        scores[action] += weights[framework] * (below + (tier.length - 1) / 2);
+      });
+    });
+  });
+  return rankByScore(scores, actions);
+}
+
+/**
+ * Copeland-style Condorcet ranking by pairwise wins; the winner is the Condorcet winner when one
+ * exists and the Schulze winner otherwise
+ * @param {Object} context - Ballots, weights, actions and pairwise support
+ * @returns {Object} Rule result with ranking, winner and tied_winners
+ */
+function condorcet(context) {
+  const { support, actions } = context;
+  const scores = Object.fromEntries(actions.map(a => [a, actions.filter(b => support[a][b] > support[b][a]).length +
+    0.5 * actions.filter(b => a !== b && support[a][b] === support[b][a]).length]));
+  const result = rankByScore(scores, actions);
+  const winner = findCondorcetWinner(support, actions);
+  if (winner) {
+    return { ...result, winner, tied_winners: [winner], decided_by: 'condorcet_winner' };
+  }
+  const fallback = schulze(context);
+  return { ...result, winner: fallback.winner, tied_winners: fallback.tied_winners, decided_by: 'schulze' };
+}
+
+/**
+ * Schulze method: rank actions by the strength of their strongest beatpaths
+ * @param {Object} context - Ballots, weights, actions and pairwise support
+ * @returns {Object} Rule result with ranking, winner and tied_winners
+ */
+function schulze(context) {
+  const { support, actions } = context;
+  const strength = {};
+  actions.forEach(a => {
+    strength[a] = {};
+    actions.forEach(b => {
+      strength[a][b] = a !== b && support[a][b] > support[b][a] ? support[a][b] : 0;
+    });
+  });
+
+  // Widest paths (Floyd-Warshall)
+  actions.forEach(k => {
+    actions.forEach(i => {
+      if (i === k) return;
+      actions.forEach(j => {
+        if (j === i || j === k) return;
+        strength[i][j] = Math.max(strength[i][j], Math.min(strength[i][k], strength[k][j]));
+      });
+    });
+  });
+
+  const scores = Object.fromEntries(actions.map(a => [a, actions.filter(b => strength[a][b] > strength[b][a]).length]));
+  return { ...rankByScore(scores, actions), path_strengths: strength };
+}
+
+/**
+ * Approval voting: each framework approves its top tier and every action on its ballot whose
+ * range-normalized score reaches the approval threshold
+ * @param {Object} context - Ballots, weights, actions and pairwise support
+ * @returns {Object} Rule result with ranking, winner and tied_winners
+ */
+function approval(context) {
+  const { ballots, weights, actions, evaluations, approvalThreshold } = context;
+  const scores = Object.fromEntries(actions.map(action => [action, 0]));
+  const approvals = {};
+
+  Object.entries(ballots).forEach(([framework, tiers]) => {
+    const normalized = getNormalizedChoiceworthiness(evaluations[framework], actions, 'range');
+    const onBallot = tiers.flat();
+    approvals[framework] = actions.filter(action =>
+      tiers[0].includes(action) || (onBallot.includes(action) && normalized[action] >= approvalThreshold));
+    approvals[framework].forEach(action => { scores[action] += weights[framework]; });
+  });
+
+  return { ...rankByScore(scores, actions), approvals, threshold: approvalThreshold };
+}
+
+/**
+ * Kemeny ranking: the ordering that agrees with the most pairwise preferences. Found by exhaustive
+ * search for small action sets; larger sets use the Schulze ranking instead.
+ * @param {Object} context - Ballots, weights, actions and pairwise support
+ * @returns {Object} Rule result with ranking, winner and tied_winners
+ */
+function kemeny(context) {
+  const { support, actions, maxKemenyActions } = context;
+  if (actions.length > maxKemenyActions) {
+    const fallback = schulze(context);
+    return { ranking: fallback.ranking, winner: fallback.winner, tied_winners: fallback.tied_winners, approximated_by: 'schulze' };
+  }
+
+  const agreement = order => {
+    let total = 0;
+    for (let i = 0; i < order.length; i++) {
+      for (let j = i + 1; j < order.length; j++) total += support[order[i]][order[j]];
+    }
+    return total;
+  };
+
+  let best = null;
+  let bestScore = -Infinity;
+  const optimal = [];
+  permutations(actions).forEach(order => {
+    const score = agreement(order);
+    if (score > bestScore + 1e-9) {
+      best = order;
+      bestScore = score;
+      optimal.length = 0;
+    }
+    if (Math.abs(score - bestScore) < 1e-9) optimal.push(order);
+  });
+
+  return {
+    ranking: best,
+    winner: best[0] ?? null,
+    tied_winners: [...new Set(optimal.map(order => order[0]))],
+    agreement: round(bestScore),
+    optimal_rankings: optimal.length
+  };
+}
+
+/**
+ * Aggregation rules by name
+ */
+export const AGGREGATION_RULES = {
+  plurality,
+  borda,
+  condorcet,
+  schulze,
+  approval,
+  kemeny
+};
+
+/**
+ * Find the action that beats every other action in pairwise majority comparisons
+ * @param {Object} support - Pairwise support matrix
+ * @param {Array<string>} actions - Action IDs
+ * @returns {string|null} The Condorcet winner, or null if there is none
+ */
+function findCondorcetWinner(support, actions) {
+  return actions.find(a => actions.every(b => a === b || support[a][b] > support[b][a])) || null;
+}
+
+/**
+ * Find the Smith set (the smallest set of actions that each beat every action outside it) and the
+ * majority cycles inside it
+ * @param {Object} support - Pairwise support matrix
+ * @param {Array<string>} actions - Action IDs
+ * @returns {Object} { smith_set, cycles } where each cycle lists actions that beat the next in turn
+ */
+function findMajorityCycles(support, actions) {
+  const beatsOrTies = (a, b) => support[a][b] >= support[b][a];
+
+  // The Smith set is the top of the beats-or-ties order: actions that reach every other action
+  const reaches = {};
+  actions.forEach(a => {
+    reaches[a] = new Set([a]);
+    const stack = [a];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      actions.forEach(b => {
+        if (!reaches[a].has(b) && beatsOrTies(current, b)) {
+          reaches[a].add(b);
+          stack.push(b);
+        }
+      });
+    }
+  });
+  const smithSet = actions.filter(a => actions.every(b => reaches[a].has(b)));
+
+  // Strict majority cycles among the Smith set, each reported once starting from its first action
+  const beats = (a, b) => support[a][b] > support[b][a];
+  const cycles = [];
+  const seen = new Set();
+  const search = (path) => {
+    const last = path[path.length - 1];
+    smithSet.forEach(next => {
+      if (next === path[0] && path.length > 2 && beats(last, next)) {
+        const key = [...path].sort().join('|');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...path, path[0]]);
+        }
+      } else if (!path.includes(next) && smithSet.indexOf(next) > smithSet.indexOf(path[0]) && beats(last, next)) {
+        search([...path, next]);
+      }
+    });
+  };
+  smithSet.forEach(start => search([start]));
+
+  return { smith_set: smithSet, cycles };
+}
+
+/**
+ * Check whether a dilemma asks for social-choice aggregation of framework rankings
+ * @param {Object} dilemma - The dilemma
+ * @returns {boolean} True if the dilemma declares an `aggregation` rule
+ */
+export function usesSocialChoice(dilemma) {
+  return typeof dilemma?.aggregation?.rule === 'string';
+}
+
+/**
+ * Aggregate framework rankings with a voting rule
+ * @param {Object} frameworkResults - Map of framework name to { recommendedAction, ranking }
+ * @param {Object} dilemma - The dilemma; `aggregation.rule` and `aggregation.approval_threshold`
+ *   configure the aggregation
+ * @param {Object} [options] - Overrides: rule, approvalThreshold, weights (framework -> weight)
+ * @returns {Object} { rule, winner, ranking, result, results (every rule), condorcet_winner,
+ *   smith_set, cycles, pairwise, ballots, weights, disagreements }
+ */
+export function aggregateFrameworkRankings(frameworkResults, dilemma, options = {}) {
+  const declared = dilemma?.aggregation || {};
+  const rule = (options.rule || declared.rule || SOCIAL_CHOICE_CONFIG.rule).toLowerCase();
+  if (!AGGREGATION_RULES[rule]) {
+    throw new Error(`Unknown aggregation rule "${rule}". Valid rules: ${Object.keys(AGGREGATION_RULES).join(', ')}`);
+  }
+
+  const frameworks = Object.keys(frameworkResults || {})
+    .filter(framework => frameworkResults[framework] && !frameworkResults[framework].undetermined);
+  const possibleActions = (dilemma?.possible_actions || []).map(action => action && action.id).filter(Boolean);
+  const actions = possibleActions.length > 0
+    ? possibleActions
+    : [...new Set(frameworks.map(framework => frameworkResults[framework].recommendedAction).filter(Boolean))];
+
+  const weights = Object.fromEntries(frameworks.map(framework => [
+    framework,
+    typeof options.weights?.[framework] === 'number' ? options.weights[framework] : 1
+  ]));
+  const ballots = Object.fromEntries(frameworks.map(framework => [
+    framework,
+    getFrameworkBallot(frameworkResults[framework], actions)
+  ]));
+  const support = buildPairwiseMatrix(ballots, weights, actions);
+
+  const context = {
+    ballots,
+    weights,
+    actions,
+    support,
+    evaluations: frameworkResults,
+    approvalThreshold: options.approvalThreshold ?? declared.approval_threshold ?? SOCIAL_CHOICE_CONFIG.approvalThreshold,
+    maxKemenyActions: SOCIAL_CHOICE_CONFIG.maxKemenyActions
+  };
+
+  const results = {};
+  Object.entries(AGGREGATION_RULES).forEach(([name, aggregate]) => {
+    results[name] = aggregate(context);
+  });
+
+  const selected = results[rule];
+  const disagreements = Object.keys(results)
+    .filter(name => name !== rule && results[name].winner !== selected.winner)
+    .map(name => ({ rule: name, winner: results[name].winner }));
+
+  return {
+    rule,
+    winner: selected.winner,
+    ranking: selected.ranking,
+    result: selected,
+    results,
+    condorcet_winner: findCondorcetWinner(support, actions),
+    ...findMajorityCycles(support, actions),
+    pairwise: Object.fromEntries(actions.map(a => [a, Object.fromEntries(
+      actions.filter(b => b !== a).map(b => [b, round(support[a][b])])
+    )])),
+    ballots,
+    weights,
+    disagreements
+  };
+}
+
+/**
+ * List every ordering of the actions
+ * @param {Array<string>} items - Actions
+ * @returns {Array<Array<string>>} Permutations
+ */
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+/**
+ * Round a value for reporting
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,161 @@
+/**
+ * Stakeholder Conflict Analysis Module
+ * Derives each stakeholder's preferences over the possible actions from their estimated impacts
+ * and detects conflicts between stakeholders who want different actions
+ */
+
+import { estimateStakeholderImpact, getStakeholderCareProfile } from '../frameworks/careEthics.js';
+import { getStakeholderConcerns } from '../utils/general.js';
+
+/**
+ * Default stakeholder conflict settings
+ */
+export const STAKEHOLDER_CONFLICT_CONFIG = {
+  // Disagreements below this severity are too mild to report as conflicts
+  minSeverity: 0.2,
+  // Maximum number of stakeholder conflicts reported, most severe first; conflicts as severe as
+  // the last one reported are reported too, so the stakeholders' order does not pick among them
+  maxConflicts: 5,
+  // Impacts closer than this are a tie
+  tieTolerance: 1e-9
+};
+
+/**
+ * Get a stakeholder's influence over the decision, from `influence`, then `power_level`
+ * @param {Object} stakeholder - The stakeholder
+ * @returns {number} Influence between 0 and 1 (0.5 when undeclared)
+ */
+export function getStakeholderInfluence(stakeholder) {
+  const declared = typeof stakeholder?.influence === 'number'
+    ? stakeholder.influence
+    : stakeholder?.power_level;
+  return typeof declared === 'number' && Number.isFinite(declared)
+    ? Math.max(0, Math.min(1, declared))
+    : 0.5;
+}
+
+/**
+ * Compute each stakeholder's preferences over the dilemma's possible actions.
+ * Impacts come from declared `impacts`, the stakeholder's own `impact` map or the alignment of
+ * their concerns with each action. Stakeholders without any impact information, or who are
+ * affected equally by every action, have no preferred action. Stakeholders best served equally by
+ * several actions list them in preferred_actions but have no single preferred_action, since the
+ * dilemma's action order must not pick one for them.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Map of stakeholder ID to { name, influence, vulnerability, concerns,
+ *   impacts, ranking, preferred_actions, preferred_action }
+ */
+export function getStakeholderPreferences(dilemma) {
+  const actions = (dilemma?.possible_actions || []).map(action => action && action.id).filter(Boolean);
+  const preferences = {};
+
+  (dilemma?.stakeholders || []).filter(stakeholder => stakeholder && stakeholder.id).forEach(stakeholder => {
+    const impacts = {};
+    let informed = false;
+    actions.forEach(actionId => {
+      const impact = estimateStakeholderImpact(stakeholder, actionId, dilemma);
+      impacts[actionId] = impact.value;
+      informed = informed || impact.source !== 'none';
+    });
+
+    // Best action first; ties keep the dilemma's action order
+    const { tieTolerance } = STAKEHOLDER_CONFLICT_CONFIG;
+    const ranking = [...actions].sort((a, b) => impacts[b] - impacts[a]);
+    const values = ranking.map(actionId => impacts[actionId]);
+    const hasPreference = informed && values.length > 1 && values[0] - values[values.length - 1] > tieTolerance;
+    const best = hasPreference ? ranking.filter(actionId => values[0] - impacts[actionId] <= tieTolerance) : [];
+
+    preferences[stakeholder.id] = {
+      name: stakeholder.name || stakeholder.id,
+      influence: getStakeholderInfluence(stakeholder),
+      vulnerability: getStakeholderCareProfile(stakeholder).vulnerability,
+      concerns: getStakeholderConcerns(stakeholder).join(', ') || null,
+      impacts,
+      ranking: hasPreference ? ranking : [],
+      preferred_actions: best,
+      preferred_action: best.length === 1 ? best[0] : null
+    };
+  });
+
+  return preferences;
+}
+
+/**
+ * Detect conflicts between stakeholders who prefer different actions.
+ * Severity grows with how much each stakeholder would lose if the other's preferred action were
+ * chosen (impact divergence) and with the stakeholders' combined influence over the decision.
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} [options] - Overrides for STAKEHOLDER_CONFLICT_CONFIG
+ * @returns {Object} Stakeholder conflicts, most severe first, and the preferences they derive from
+ */
+export function detectStakeholderConflicts(dilemma, options = {}) {
+  const { minSeverity, maxConflicts } = { ...STAKEHOLDER_CONFLICT_CONFIG, ...options };
+  const preferences = getStakeholderPreferences(dilemma);
+  const ids = Object.keys(preferences).filter(id => preferences[id].preferred_action);
+  const conflicts = [];
+
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const first = preferences[ids[i]];
+      const second = preferences[ids[j]];
+      const action1 = first.preferred_action;
+      const action2 = second.preferred_action;
+      if (action1 === action2) continue;
+
+      // Impacts lie in -1..1, so each stakeholder's loss lies in 0..2
+      const loss1 = first.impacts[action1] - first.impacts[action2];
+      const loss2 = second.impacts[action2] - second.impacts[action1];
+      const impactDivergence = (loss1 + loss2) / 4;
+      const combinedInfluence = (first.influence + second.influence) / 2;
+      const severity = round(impactDivergence * (0.5 + 0.5 * combinedInfluence));
+      if (severity < minSeverity) continue;
+
+      conflicts.push({
+        type: 'stakeholder_conflict',
+        between: [ids[i], ids[j]],
+        description: `${first.name} is best served by ${action1} and ${second.name} by ${action2}; ` +
+          `choosing the other's action costs them ${round(loss1)} and ${round(loss2)} in impact respectively`,
+        severity,
+        recommendations: {
+          [ids[i]]: action1,
+          [ids[j]]: action2
+        },
+        proposed_actions: [action1, action2],
+        impacts: {
+          [ids[i]]: { [action1]: round(first.impacts[action1]), [action2]: round(first.impacts[action2]) },
+          [ids[j]]: { [action1]: round(second.impacts[action1]), [action2]: round(second.impacts[action2]) }
+        },
+        impact_divergence: round(impactDivergence),
+        influence: {
+          [ids[i]]: first.influence,
+          [ids[j]]: second.influence
+        },
+        vulnerability: {
+          [ids[i]]: first.vulnerability,
+          [ids[j]]: second.vulnerability
+        },
+        concerns: [first, second]
+          .filter(stakeholder => stakeholder.concerns)
+          .map(stakeholder => `${stakeholder.name}: ${stakeholder.concerns}`)
+      });
+    }
+  }
+
+  conflicts.sort((a, b) => b.severity - a.severity);
+  const cutoff = conflicts.length <= maxConflicts ? -Infinity
+    : maxConflicts > 0 ? conflicts[maxConflicts - 1].severity : Infinity;
+
+  return {
+    conflicts: conflicts.filter((conflict, index) => index < maxConflicts || conflict.severity >= cutoff),
+    preferences
+  };
+}
+
+/**
+ * Round a value for display
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -6,8 +6,16 @@ import { v4 as uuidv4 } from 'uuid';
 interface DilemmaInput {
     title: string;
     description: string;
+    // Optional credence in each framework (0-1) for moral uncertainty aggregation
+    credences?: Record<string, number>;
+    normalization?: 'variance' | 'range';
+    // Optional voting rule for aggregating the frameworks' rankings
+    aggregation?: AggregationRule;
+    approvalThreshold?: number;
 }
 
+type AggregationRule = 'plurality' | 'borda' | 'condorcet' | 'schulze' | 'approval' | 'kemeny';
+
 // Define interfaces for REA system types
 interface DilemmaParameter {
     value: number;
@@ -46,6 +54,14 @@ interface Dilemma {
     possible_actions: DilemmaAction[];
     contextual_factors: ContextualFactor[];
     ethical_dimensions: string[];
+    moral_uncertainty?: {
+        credences?: Record<string, number>;
+        normalization?: 'variance' | 'range';
+    };
+    aggregation?: {
+        rule: AggregationRule;
+        approval_threshold?: number;
+    };
 }
 
 interface FrameworkAnalysis {
@@ -75,9 +91,15 @@ interface Resolutions {
     resolutions: Resolution[];
     metadata: { resolution_count: number };
     final_recommendation?: {
-        action: string;
+        action: string | null;
+        tied_actions?: string[];
         justification: string;
+        reasoning?: string;
         confidence: number;
+        confidence_factors?: Record<string, number>;
+        supporting_frameworks?: string[];
+        opposing_frameworks?: string[];
+        critical_parameters?: string[];
     };
 }
 
@@ -167,7 +189,21 @@ function createDilemmaFromInput(input: DilemmaInput): Dilemma {
             'autonomy_vs_beneficence',
             'fair_allocation',
             'rights_based_conflict'
-        ]
+        ],
+        // Aggregate frameworks by expected choiceworthiness when the user states credences
+        ...(input.credences || input.normalization ? {
+            moral_uncertainty: {
+                ...(input.credences ? { credences: input.credences } : {}),
+                ...(input.normalization ? { normalization: input.normalization } : {})
+            }
+        } : {}),
+        // Aggregate the frameworks' full rankings with a voting rule when the user picks one
+        ...(input.aggregation ? {
+            aggregation: {
+                rule: input.aggregation,
+                ...(input.approvalThreshold !== undefined ? { approval_threshold: input.approvalThreshold } : {})
+            }
+        } : {})
     };
 }
 
@@ -189,11 +225,8 @@ function formatAnalysisResponse(
         });
     }
 
-    // Extract the final recommendation if available
-    let finalRecommendation = null;
-    if (resolutions && resolutions.final_recommendation) {
-        finalRecommendation = resolutions.final_recommendation;
-    }
+    // The final recommendation is synthesized by conflict resolution, with or without conflicts
+    const finalRecommendation = resolutions.final_recommendation || null;
 
     // Format the response
     return {
@@ -208,11 +241,7 @@ function formatAnalysisResponse(
                 count: conflicts.conflicts ? conflicts.conflicts.length : 0,
                 details: conflicts.conflicts || []
             } : { count: 0, details: [] },
-            finalRecommendation: finalRecommendation || {
-                action: Object.values(frameworkAnalysis)[0]?.recommendedAction || "no_clear_action",
-                justification: "Based on framework analysis without conflict resolution",
-                confidence: 0.6
-            },
+            finalRecommendation,
             stakeholderImpacts: results.stakeholderImpacts || {}
         }
     };
@@ -227,16 +256,14 @@ export async function POST(request: Request) {
         const dilemma = createDilemmaFromInput(formData);
 
         // Process the dilemma through the REA system
-        const results = processEthicalDilemma(dilemma) as ProcessingResults;
+        const results = await processEthicalDilemma(dilemma) as ProcessingResults;
 
         // Detect conflicts between ethical frameworks
-        const conflicts = detectConflicts(dilemma) as Conflicts;
+        const conflicts = await detectConflicts(dilemma) as Conflicts;
 
-        // Resolve conflicts if any are detected
-        let resolutions: Resolutions = { resolutions: [], metadata: { resolution_count: 0 } };
-        if (conflicts.conflicts && conflicts.conflicts.length > 0) {
-            resolutions = resolveConflicts(results, conflicts, dilemma) as Resolutions;
-        }
+        // Resolve any conflicts; this also synthesizes the final recommendation when the
+        // frameworks agree
+        const resolutions = await resolveConflicts(results, conflicts, dilemma) as Resolutions;
 
         // Format the response with relevant information
         const formattedResponse = formatAnalysisResponse(dilemma, results, conflicts, resolutions);
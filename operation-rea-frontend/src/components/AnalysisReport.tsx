@@ -56,8 +56,15 @@ type AnalysisResultData = {
         };
         finalRecommendation: FinalRecommendation;
         stakeholderImpacts: Record<string, {
-            impact: number;
+            name?: string;
+            action?: string | null;
+            impact: number | null;
             explanation: string;
+            by_action?: Record<string, number>;
+            best_action?: string | null;
+            worst_action?: string | null;
+            best_tied_actions?: string[];
+            worst_tied_actions?: string[];
         }>;
     };
 };
@@ -82,6 +89,11 @@ export function AnalysisReport({ analysisResult }: AnalysisReportProps) {
         return Math.round(severity * 100);
     };
 
+    // Format a -1..1 stakeholder impact with its sign
+    const formatImpact = (impact: number) => {
+        return `${impact > 0 ? '+' : ''}${impact.toFixed(2)}`;
+    };
+
     // Format confidence as percentage
     const formatConfidence = (confidence: number) => {
         return Math.round(confidence * 100);
@@ -128,21 +140,40 @@ export function AnalysisReport({ analysisResult }: AnalysisReportProps) {
                         <div>
                             <h3 className="text-lg font-semibold mb-4">Stakeholder Impact</h3>
                             <Table>
-                                <TableCaption>How this dilemma affects different stakeholders</TableCaption>
+                                <TableCaption>How each possible action affects different stakeholders (-1 to +1)</TableCaption>
                                 <TableHeader>
                                     <TableRow>
                                         <TableHead className="w-[180px]">Stakeholder</TableHead>
-                                        <TableHead className="w-[120px]">Impact</TableHead>
+                                        <TableHead className="w-[140px]">Impact</TableHead>
+                                        <TableHead className="w-[220px]">By Action</TableHead>
                                         <TableHead>Explanation</TableHead>
                                     </TableRow>
                                 </TableHeader>
                                 <TableBody>
                                     {Object.entries(analysis.stakeholderImpacts).map(([stakeholder, impact]) => (
                                         <TableRow key={stakeholder}>
-                                            <TableCell className="font-medium">{stakeholder}</TableCell>
+                                            <TableCell className="font-medium">{impact?.name || stakeholder}</TableCell>
                                             <TableCell>
-                                                <Progress value={(impact?.impact || 0) * 100} className="h-2 w-full" />
-                                                <span className="text-xs mt-1 block">{((impact?.impact || 0) * 10).toFixed(1)}/10</span>
+                                                {impact?.action && typeof impact.impact === 'number' ? (
+                                                    <>
+                                                        <Progress value={(impact.impact + 1) * 50} className="h-2 w-full" />
+                                                        <span className="text-xs mt-1 block">
+                                                            {formatImpact(impact.impact)} under {impact.action}
+                                                        </span>
+                                                    </>
+                                                ) : (
+                                                    <span className="text-xs block">No recommended action</span>
+                                                )}
+                                            </TableCell>
+                                            <TableCell>
+                                                {Object.entries(impact?.by_action || {}).map(([action, value]) => (
+                                                    <span
+                                                        key={action}
+                                                        className={`text-xs block ${action === impact?.best_action || impact?.best_tied_actions?.includes(action) ? 'font-semibold' : ''}`}
+                                                    >
+                                                        {action}: {formatImpact(value)}
+                                                    </span>
+                                                ))}
                                             </TableCell>
                                             <TableCell>{impact?.explanation || 'No explanation provided'}</TableCell>
                                         </TableRow>
@@ -57,8 +57,15 @@ type AnalysisResultData = {
             opposing_frameworks?: string[];
         };
         stakeholderImpacts: Record<string, {
-            impact: number;
+            name?: string;
+            action?: string | null;
+            impact: number | null;
             explanation: string;
+            by_action?: Record<string, number>;
+            best_action?: string | null;
+            worst_action?: string | null;
+            best_tied_actions?: string[];
+            worst_tied_actions?: string[];
         }>;
     };
 };
@@ -0,0 +1,337 @@
+/**
+ * Batch Analysis Module
+ * Runs the full REA pipeline over every dilemma in a directory or glob and aggregates the results:
+ * recommendations per framework, conflict counts, resolution strategies and validation status.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  processEthicalDilemma,
+  detectConflicts,
+  resolveConflicts,
+  generateCounterfactuals
+} from './rea.js';
+import { validateDilemma, standardizeProcessingMode } from '../testing/reaTestFramework.js';
+import { formatOutput } from '../utils/logging.js';
+
+/**
+ * Check whether a path contains glob wildcards
+ * @param {string} target - Path or pattern
+ * @returns {boolean} True if the path contains *, ? or [
+ */
+export function isGlobPattern(target) {
+  return /[*?[]/.test(target);
+}
+
+/**
+ * Convert a glob pattern to a regular expression. `**` matches across directories, `*` and `?`
+ * within one path segment, and `[...]` a character class.
+ * @param {string} pattern - Glob pattern with forward slashes
+ * @returns {RegExp} Regular expression matching whole paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' also matches no directory at all
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      source += end > i ? pattern.slice(i, end + 1) : '\\[';
+      i = end > i ? end : i;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the files below a directory
+ * @param {string} directory - Directory to walk
+ * @param {boolean} recursive - Whether to descend into subdirectories
+ * @returns {Array<string>} File paths
+ */
+function listFiles(directory, recursive) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return recursive ? listFiles(entryPath, true) : [];
+    return entry.isFile() ? [entryPath] : [];
+  });
+}
+
+/**
+ * Resolve a directory or glob to the dilemma files it names
+ * @param {string} target - Directory (every .json file in it) or glob pattern
+ * @returns {Array<string>} Absolute file paths in sorted order
+ */
+export function resolveDilemmaPaths(target) {
+  if (!isGlobPattern(target)) {
+    const directory = path.resolve(target);
+    return listFiles(directory, false).filter(file => file.endsWith('.json')).sort();
+  }
+
+  // Walk from the longest directory prefix without wildcards
+  const segments = path.resolve(target).split(path.sep);
+  const firstGlob = segments.findIndex(isGlobPattern);
+  const base = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+  const pattern = globToRegExp(segments.slice(firstGlob).join('/'));
+  const recursive = segments.length - firstGlob > 1 || segments[firstGlob].includes('**');
+
+  if (!fs.existsSync(base)) return [];
+  return listFiles(base, recursive)
+    .filter(file => pattern.test(path.relative(base, file).split(path.sep).join('/')))
+    .sort();
+}
+
+/**
+ * Get the validation status of a dilemma from its validation result
+ * @param {Object} validationResult - Result of validateDilemma
+ * @returns {string} 'valid', 'corrected' (every issue was auto-corrected) or 'invalid'
+ */
+function getValidationStatus(validationResult) {
+  if (validationResult.errors.length === 0) return 'valid';
+  return validationResult.errors.every(error => error.severity.includes('auto-fixed')) ? 'corrected' : 'invalid';
+}
+
+/**
+ * Validate and analyze one dilemma file
+ * @param {string} filePath - Path to the dilemma file
+ * @param {Object} [options] - { prepare(dilemma) to adjust the dilemma before validation,
+ *   counterfactuals: targets (empty for all) or null, quiet: false to show the pipeline's logging }
+ * @returns {Promise<Object>} { file, id, title, validation, analyzed, results, error }
+ */
+export async function analyzeDilemmaFile(filePath, options = {}) {
+  const entry = { file: filePath, id: null, title: null, validation: null, analyzed: false, results: null, error: null };
+
+  let dilemma;
+  try {
+    dilemma = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    entry.error = `Cannot read dilemma: ${error.message}`;
+    entry.validation = { status: 'invalid', errors: [], warnings: [], corrections: [] };
+    return entry;
+  }
+
+  if (options.prepare) options.prepare(dilemma);
+
+  const validationResult = validateDilemma(dilemma, { sourceName: path.basename(filePath, path.extname(filePath)) });
+  entry.id = dilemma?.id || null;
+  entry.title = dilemma?.title || null;
+  entry.validation = {
+    status: getValidationStatus(validationResult),
+    errors: validationResult.errors
+      .filter(error => !error.severity.includes('auto-fixed'))
+      .map(error => `[${error.severity}] ${error.message}`),
+    warnings: validationResult.warnings.map(warning => warning.message),
+    corrections: validationResult.autoCorrections.details
+      .filter(detail => detail.success)
+      .map(detail => `${detail.error} → ${detail.correction}`)
+  };
+
+  // Critical issues that could not be corrected stop the analysis, as in single-file runs
+  if (validationResult.errors.some(error => error.severity === 'critical')) {
+    return entry;
+  }
+
+  const quiet = options.quiet !== false;
+  const run = async () => {
+    const standardizedDilemma = standardizeProcessingMode(dilemma, dilemma.processing_mode || 'standard').standardizedDilemma;
+    const processing = await processEthicalDilemma(standardizedDilemma, { quiet });
+    const conflicts = await detectConflicts(standardizedDilemma, { quiet });
+    const resolutions = await resolveConflicts(processing, conflicts, standardizedDilemma, { quiet });
+    const counterfactuals = options.counterfactuals
+      ? await generateCounterfactuals(standardizedDilemma, options.counterfactuals.length > 0 ? { targets: options.counterfactuals } : {})
+      : null;
+
+    return {
+      dilemma: {
+        id: standardizedDilemma.id,
+        title: standardizedDilemma.title,
+        description: standardizedDilemma.description,
+        // Kept so the analysis can be harvested as a precedent case
+        ethical_dimensions: standardizedDilemma.ethical_dimensions,
+        situation: standardizedDilemma.situation,
+        possible_actions: standardizedDilemma.possible_actions
+      },
+      validation: entry.validation,
+      processing,
+      conflicts,
+      resolutions,
+      finalRecommendation: resolutions.final_recommendation || null,
+      ...(counterfactuals ? { counterfactuals } : {})
+    };
+  };
+
+  try {
+    entry.results = await run();
+    entry.analyzed = true;
+  } catch (error) {
+    entry.error = `Analysis failed: ${error.message}`;
+  }
+  return entry;
+}
+
+/**
+ * Get the name of the strategy a resolution used
+ * @param {Object} resolution - A resolution
+ * @returns {string} Strategy name
+ */
+function getStrategyName(resolution) {
+  const strategy = resolution.resolution_strategy || resolution.strategy;
+  if (strategy && typeof strategy === 'object') return strategy.name || 'unknown';
+  return strategy || 'unknown';
+}
+
+/**
+ * Count occurrences of each value
+ * @param {Array<string>} values - Values
+ * @returns {Object} Map of value to count, most frequent first
+ */
+function countOccurrences(values) {
+  const counts = {};
+  values.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts).sort(([, a], [, b]) => b - a));
+}
+
+/**
+ * Summarize one analyzed dilemma
+ * @param {Object} entry - Result of analyzeDilemmaFile
+ * @returns {Object} Summary row
+ */
+function summarizeEntry(entry) {
+  const results = entry.results;
+  const conflicts = results?.conflicts?.conflicts || [];
+  const resolutions = results?.resolutions?.resolutions || [];
+
+  return {
+    file: path.relative(process.cwd(), entry.file),
+    id: entry.id,
+    title: entry.title,
+    validation: entry.validation,
+    analyzed: entry.analyzed,
+    error: entry.error,
+    recommendations: Object.fromEntries(Object.entries(results?.processing?.frameworks || {})
+      .map(([framework, result]) => [framework, result.recommendedAction || null])),
+    conflicts: {
+      total: conflicts.length,
+      by_type: countOccurrences(conflicts.map(conflict => conflict.type || 'unknown'))
+    },
+    strategies: resolutions.map(getStrategyName),
+    final_action: results?.finalRecommendation?.action || null,
+    confidence: typeof results?.finalRecommendation?.confidence === 'number'
+      ? Math.round(results.finalRecommendation.confidence * 1000) / 1000
+      : null
+  };
+}
+
+/**
+ * Aggregate the results of a batch
+ * @param {Array<Object>} entries - Results of analyzeDilemmaFile
+ * @returns {Object} { dilemmas: [summary rows], totals }
+ */
+export function summarizeBatch(entries) {
+  const dilemmas = entries.map(summarizeEntry);
+
+  const recommendations = {};
+  dilemmas.forEach(row => {
+    Object.entries(row.recommendations).forEach(([framework, action]) => {
+      if (!action) return;
+      recommendations[framework] = recommendations[framework] || {};
+      recommendations[framework][action] = (recommendations[framework][action] || 0) + 1;
+    });
+  });
+
+  const conflictsByType = {};
+  dilemmas.forEach(row => {
+    Object.entries(row.conflicts.by_type).forEach(([type, count]) => {
+      conflictsByType[type] = (conflictsByType[type] || 0) + count;
+    });
+  });
+
+  return {
+    dilemmas,
+    totals: {
+      dilemmas: dilemmas.length,
+      analyzed: dilemmas.filter(row => row.analyzed).length,
+      validation: countOccurrences(dilemmas.map(row => row.validation.status)),
+      failed: dilemmas.filter(row => row.error).length,
+      recommendations,
+      conflicts: {
+        total: dilemmas.reduce((sum, row) => sum + row.conflicts.total, 0),
+        by_type: conflictsByType
+      },
+      strategies: countOccurrences(dilemmas.flatMap(row => row.strategies)),
+      final_actions: countOccurrences(dilemmas.map(row => row.final_action).filter(Boolean))
+    }
+  };
+}
+
+/**
+ * Format a batch summary as CSV, one row per dilemma with a column per framework
+ * @param {Object} summary - Result of summarizeBatch
+ * @returns {string} CSV text
+ */
+export function formatBatchSummaryCsv(summary) {
+  const frameworks = [...new Set(summary.dilemmas.flatMap(row => Object.keys(row.recommendations)))];
+
+  const rows = summary.dilemmas.map(row => ({
+    File: path.basename(row.file),
+    DilemmaId: row.id || '',
+    Validation: row.validation.status,
+    ValidationErrors: row.validation.errors.length,
+    ValidationWarnings: row.validation.warnings.length,
+    ...Object.fromEntries(frameworks.map(framework => [framework, row.recommendations[framework] || ''])),
+    Conflicts: row.conflicts.total,
+    ...Object.fromEntries(Object.keys(summary.totals.conflicts.by_type)
+      .map(type => [`${type}s`, row.conflicts.by_type[type] || 0])),
+    Strategies: Object.entries(countOccurrences(row.strategies)).map(([name, count]) => `${name} x${count}`).join('; '),
+    FinalAction: row.final_action || '',
+    Confidence: row.confidence ?? '',
+    Error: row.error || ''
+  }));
+
+  return formatOutput(rows, 'csv');
+}
+
+/**
+ * Write per-dilemma results and the aggregate summary of a batch
+ * @param {Array<Object>} entries - Results of analyzeDilemmaFile
+ * @param {Object} summary - Result of summarizeBatch
+ * @param {string} outputDir - Directory to write to (created if missing)
+ * @returns {Object} { results: [paths], summaryJson, summaryCsv }
+ */
+export function writeBatchReport(entries, summary, outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Results are named by dilemma id, with a counter when several files share an id
+  const used = new Set();
+  const results = entries
+    .filter(entry => entry.results)
+    .map(entry => {
+      const name = entry.id || path.basename(entry.file, '.json');
+      let unique = name;
+      for (let count = 2; used.has(unique); count++) unique = `${name}-${count}`;
+      used.add(unique);
+
+      const resultPath = path.join(outputDir, `${unique}-analysis.json`);
+      fs.writeFileSync(resultPath, JSON.stringify(entry.results, null, 2));
+      return resultPath;
+    });
+
+  const summaryJson = path.join(outputDir, 'summary.json');
+  fs.writeFileSync(summaryJson, JSON.stringify(summary, null, 2));
+  const summaryCsv = path.join(outputDir, 'summary.csv');
+  fs.writeFileSync(summaryCsv, formatBatchSummaryCsv(summary));
+
+  return { results, summaryJson, summaryCsv };
+}
@@ -0,0 +1,336 @@
+/**
+ * Virtue Ethics Evaluator Module
+ * Profiles each possible action against a catalogue of virtues and scores it by how close
+ * it comes to the Aristotelian mean between each virtue's deficiency and excess
+ */
+
+import { getVirtueEthicsTemplate } from './templates.js';
+import { getMappedParameterFraction } from '../utils/parameterMapping.js';
+import { getPipelineLogger } from '../utils/logging.js';
+
+/**
+ * Catalogue of virtues. Each virtue is the mean between a vice of deficiency and a vice of
+ * excess; the keyword lists drive the heuristic profile of actions that carry no annotation.
+ * Keywords are general virtue and vice vocabulary matched at the start of a word; what is
+ * particular to one dilemma belongs in its actions' `virtues` annotations.
+ */
+export const VIRTUE_CATALOGUE = {
+  honesty: {
+    name: 'honesty',
+    aliases: ['truthfulness', 'transparency'],
+    deficiency: 'deceitfulness',
+    excess: 'tactlessness',
+    keywords: ['honest', 'truth', 'transparen', 'disclos', 'candid', 'openness', 'inform'],
+    deficiencyKeywords: ['conceal', 'withhold', 'mislead', 'deceiv', 'dishonest', 'secret', 'cover up'],
+    excessKeywords: ['blunt', 'tactless', 'indiscreet', 'regardless of feelings', 'public shaming']
+  },
+  courage: {
+    name: 'courage',
+    aliases: ['bravery'],
+    deficiency: 'cowardice',
+    excess: 'recklessness',
+    keywords: ['courag', 'brave', 'decisive', 'confront', 'stand up', 'take responsibility', 'accept responsibility'],
+    deficiencyKeywords: ['coward', 'timid', 'avoid', 'evade', 'inaction', 'passiv', 'status quo', 'defer'],
+    excessKeywords: ['reckless', 'foolhard', 'heedless', 'regardless', 'gamble', 'at any cost']
+  },
+  compassion: {
+    name: 'compassion',
+    aliases: ['kindness', 'benevolence', 'care'],
+    deficiency: 'callousness',
+    excess: 'sentimentality',
+    keywords: ['care', 'caring', 'compassion', 'kind', 'empath', 'support', 'protect', 'well-being', 'wellbeing', 'relationship'],
+    deficiencyKeywords: ['callous', 'cruel', 'ignore', 'neglect', 'disregard', 'indifferen', 'harmful', 'harms', 'damag'],
+    excessKeywords: ['sentimental', 'indulg', 'pander', 'overprotect', 'spare feelings']
+  },
+  prudence: {
+    name: 'prudence',
+    aliases: ['practical wisdom', 'phronesis', 'wisdom'],
+    deficiency: 'rashness',
+    excess: 'overcaution',
+    keywords: ['prudent', 'wise', 'deliberat', 'balanced', 'assess', 'informed', 'gradual', 'phased', 'adaptive', 'considering', 'evidence', 'research'],
+    deficiencyKeywords: ['rash', 'hasty', 'impulsiv', 'careless', 'ill-considered', 'without assessment', 'untested'],
+    excessKeywords: ['overcautio', 'indecisi', 'delay', 'postpone', 'moratorium', 'pause', 'indefinite']
+  },
+  justice: {
+    name: 'justice',
+    aliases: ['fairness'],
+    deficiency: 'partiality',
+    excess: 'rigid legalism',
+    keywords: ['fair', 'equitab', 'equal', 'impartial', 'rights', 'due process', 'need'],
+    deficiencyKeywords: ['unfair', 'favor', 'favour', 'bias', 'discriminat', 'inequit', 'privileg'],
+    excessKeywords: ['legalis', 'rigid', 'inflexib', 'strict', 'letter of the law', 'punitive']
+  },
+  temperance: {
+    name: 'temperance',
+    aliases: ['moderation', 'self-control'],
+    deficiency: 'self-indulgence',
+    excess: 'austerity',
+    keywords: ['moderat', 'restraint', 'measured', 'balanc', 'self-control', 'sustainab'],
+    deficiencyKeywords: ['greed', 'excessive', 'maximiz', 'maximis', 'overconsum', 'insatiab', 'short-term gain'],
+    excessKeywords: ['auster', 'ascetic', 'self-denial', 'abstain', 'renounc', 'total ban']
+  }
+};
+
+/**
+ * Find a catalogue virtue by ID, name or alias
+ * @param {string} name - Virtue name
+ * @returns {Object|null} Catalogue entry with its ID, or null if the virtue is not catalogued
+ */
+export function findVirtue(name) {
+  const key = String(name || '').toLowerCase().trim();
+  const entry = Object.entries(VIRTUE_CATALOGUE).find(([id, virtue]) =>
+    id === key || virtue.aliases.includes(key)
+  );
+  return entry ? { id: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Read a declared virtue position. Actions may annotate virtues in a `virtues` object as a
+ * number from -1 (deficiency) through 0 (the mean) to 1 (excess), as 'deficiency', 'mean' or
+ * 'excess', or as `{ position, note }`.
+ * @param {*} annotation - Annotation value
+ * @returns {Object|null} Position and note, or null if the annotation is unusable
+ */
+function parseAnnotation(annotation) {
+  const named = { deficiency: -1, mean: 0, excess: 1 };
+  if (typeof annotation === 'number') {
+    return { position: Math.max(-1, Math.min(1, annotation)), note: null };
+  }
+  if (typeof annotation === 'string' && annotation.toLowerCase() in named) {
+    return { position: named[annotation.toLowerCase()], note: null };
+  }
+  if (annotation && typeof annotation === 'object') {
+    const parsed = parseAnnotation(annotation.position);
+    return parsed ? { ...parsed, note: annotation.note || null } : null;
+  }
+  return null;
+}
+
+/**
+ * Profile an action against the virtue catalogue. Declared annotations take precedence;
+ * otherwise virtues are profiled from keywords in the action's text. Virtues the action does
+ * not engage are left out of the profile.
+ * @param {Object} action - A possible action
+ * @param {Object} [options] - { quiet, logger } for warnings about invalid annotations
+ * @returns {Object} Map of virtue ID to { position, state, source, evidence }
+ */
+export function getActionVirtueProfile(action, options = {}) {
+  const profile = {};
+
+  Object.entries(action?.virtues || {}).forEach(([name, annotation]) => {
+    const virtue = findVirtue(name);
+    const parsed = parseAnnotation(annotation);
+    if (!virtue || !parsed) {
+      getPipelineLogger(options).warn(`Ignoring virtue annotation "${name}" on action ${action.id}: unknown virtue or invalid position`);
+      return;
+    }
+    profile[virtue.id] = {
+      position: parsed.position,
+      state: describePosition(parsed.position),
+      source: 'declared',
+      evidence: parsed.note ? [parsed.note] : []
+    };
+  });
+
+  const outcomeTexts = action?.outcomes && typeof action.outcomes === 'object' && !Array.isArray(action.outcomes)
+    ? Object.values(action.outcomes)
+    : [];
+  const text = [action?.action, action?.name, action?.description, action?.predicted_consequences, ...outcomeTexts]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .replace(/_/g, ' ')
+    .toLowerCase();
+
+  Object.entries(VIRTUE_CATALOGUE).forEach(([id, virtue]) => {
+    if (profile[id]) return;
+
+    const matches = keywords => keywords.filter(keyword => startsWord(text, keyword));
+    const meanHits = matches(virtue.keywords);
+    const deficiencyHits = matches(virtue.deficiencyKeywords);
+    const excessHits = matches(virtue.excessKeywords);
+    const total = meanHits.length + deficiencyHits.length + excessHits.length;
+    if (total === 0) return;
+
+    const position = (excessHits.length - deficiencyHits.length) / total;
+    profile[id] = {
+      position,
+      state: describePosition(position),
+      source: 'heuristic',
+      evidence: [
+        ...meanHits,
+        ...deficiencyHits.map(keyword => `${keyword} (${virtue.deficiency})`),
+        ...excessHits.map(keyword => `${keyword} (${virtue.excess})`)
+      ]
+    };
+  });
+
+  return profile;
+}
+
+/**
+ * Weight of each virtue for a dilemma. Defaults to 1; a `<virtue>_expression` parameter scales it
+ * between 0 and 2 across its declared range (0-10 if it declares none), and `virtue_weights` on the dilemma sets it directly.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Map of virtue ID to weight
+ */
+export function getVirtueWeights(dilemma) {
+  const weights = {};
+  Object.keys(VIRTUE_CATALOGUE).forEach(id => {
+    const expression = getMappedParameterFraction(dilemma, `${id}_expression`);
+    weights[id] = expression === null ? 1 : 2 * expression;
+  });
+
+  Object.entries(dilemma?.virtue_weights || {}).forEach(([name, weight]) => {
+    const virtue = findVirtue(name);
+    if (virtue && typeof weight === 'number') {
+      weights[virtue.id] = Math.max(0, weight);
+    }
+  });
+
+  return weights;
+}
+
+/**
+ * Evaluate a dilemma from the virtue ethics perspective
+ * @param {Object} dilemma - The dilemma to evaluate
+ * @param {Object} [options] - { quiet, logger } for warnings about virtue annotations
+ * @returns {Object} Evaluation with ranked actions, per-virtue profiles, the winning action and
+ *   a justification. recommendedAction is null when no action engages any virtue, or when the best
+ *   actions are level on score and vices (they are listed in tied_actions).
+ */
+export function evaluateVirtueEthics(dilemma, options = {}) {
+  const actions = (dilemma?.possible_actions || []).filter(action => action && action.id);
+  const weights = getVirtueWeights(dilemma);
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+  const assessments = actions.map(action => {
+    const profile = getActionVirtueProfile(action, options);
+
+    // Hitting the mean counts fully for a virtue; drifting to either vice counts against it
+    const contribution = Object.entries(profile).reduce((sum, [id, entry]) =>
+      sum + weights[id] * (1 - 2 * Math.abs(entry.position)), 0);
+
+    return {
+      action: action.id,
+      score: Object.keys(profile).length > 0 && totalWeight > 0 ? round(contribution / totalWeight) : null,
+      virtues: Object.entries(profile).map(([id, entry]) => ({
+        virtue: id,
+        position: round(entry.position),
+        state: entry.state,
+        vice: entry.state === 'deficiency'
+          ? VIRTUE_CATALOGUE[id].deficiency
+          : entry.state === 'excess' ? VIRTUE_CATALOGUE[id].excess : null,
+        source: entry.source,
+        evidence: entry.evidence
+      }))
+    };
+  });
+
+  // Equal scores go to the action that drifts into fewer vices; actions level on both are a tie
+  const viceCount = assessment => assessment.virtues.filter(virtue => virtue.vice).length;
+  const compare = (a, b) => b.score - a.score || viceCount(a) - viceCount(b);
+  const scored = assessments
+    .filter(assessment => assessment.score !== null)
+    .sort(compare)
+    .map((assessment, index) => ({ ...assessment, rank: index + 1 }));
+  const unscored = assessments
+    .filter(assessment => assessment.score === null)
+    .map(assessment => ({ ...assessment, rank: null }));
+
+  if (scored.length === 0) {
+    return {
+      recommendedAction: null,
+      justification: null,
+      ranking: unscored,
+      virtueWeights: weights
+    };
+  }
+
+  const tied = scored.filter(assessment => compare(scored[0], assessment) === 0).map(assessment => assessment.action);
+  if (tied.length > 1) {
+    return {
+      recommendedAction: null,
+      tied_actions: tied,
+      justification: `${tied.join(' and ')} are level on virtue score (${scored[0].score}) and on the vices ` +
+        'they risk, so virtue ethics does not decide between them.',
+      ranking: [...scored, ...unscored],
+      virtueWeights: weights
+    };
+  }
+
+  return {
+    recommendedAction: scored[0].action,
+    justification: buildJustification(scored),
+    ranking: [...scored, ...unscored],
+    virtueWeights: weights
+  };
+}
+
+/**
+ * Check whether a keyword occurs in a text at the start of a word, so 'strict' does not match
+ * 'district'
+ * @param {string} text - Lower-case text
+ * @param {string} keyword - Lower-case keyword or keyword stem
+ * @returns {boolean} True if the text contains the keyword at a word start
+ */
+function startsWord(text, keyword) {
+  let index = text.indexOf(keyword);
+  while (index !== -1) {
+    if (index === 0 || !/[a-z0-9]/.test(text[index - 1])) return true;
+    index = text.indexOf(keyword, index + 1);
+  }
+  return false;
+}
+
+/**
+ * Classify a position on the deficiency-excess scale
+ * @param {number} position - Position from -1 (deficiency) to 1 (excess)
+ * @returns {string} 'deficiency', 'mean' or 'excess'
+ */
+function describePosition(position) {
+  if (position <= -1 / 3) return 'deficiency';
+  if (position >= 1 / 3) return 'excess';
+  return 'mean';
+}
+
+/**
+ * Build the virtue ethics justification for the winning action
+ * @param {Array<Object>} scored - Ranked, scored assessments
+ * @returns {string} Justification text
+ */
+function buildJustification(scored) {
+  const winner = scored[0];
+  const atMean = winner.virtues.filter(v => v.state === 'mean').map(v => v.virtue);
+  const vices = winner.virtues.filter(v => v.vice).map(v => `${v.vice} (${v.virtue})`);
+
+  const parts = [getVirtueEthicsTemplate(winner.action, {
+    higher: winner.action,
+    virtues: atMean,
+    metricName: 'the virtues it engages'
+  })];
+
+  if (scored[1]) {
+    parts.push(`Its virtue score is ${winner.score} against ${scored[1].score} for ${scored[1].action}.`);
+  }
+  if (vices.length > 0) {
+    parts.push(`It still risks ${vices.join(', ')}.`);
+  }
+
+  scored.slice(1).forEach(assessment => {
+    const drift = assessment.virtues.filter(v => v.vice).map(v => v.vice);
+    if (drift.length > 0) {
+      parts.push(`${assessment.action} drifts towards ${drift.join(', ')}.`);
+    }
+  });
+
+  return parts.join(' ');
+}
+
+/**
+ * Round a value for display
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
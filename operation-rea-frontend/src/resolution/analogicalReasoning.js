@@ -0,0 +1,215 @@
+/**
+ * Analogical Reasoning Module
+ * Aligns a dilemma with retrieved precedents (paradigm cases) the way a clinical ethics committee
+ * does: it lists the morally relevant similarities and the distinguishing factors, decides whether
+ * each precedent's outcome carries over, is adjusted or is rejected, and states the argument.
+ */
+
+import { PRECEDENT_RETRIEVAL_CONFIG } from '../utils/dilemmaSimilarity.js';
+
+/**
+ * Analogical reasoning settings
+ */
+export const ANALOGICAL_REASONING_CONFIG = {
+  // Precedents retrieved for alignment; rejected ones still appear in the argument
+  candidateCount: 5,
+  // Parameter similarity at or above which two values count as a relevant similarity
+  similarityThreshold: 0.75,
+  // Parameter similarity at or below which a difference in a decisive factor is decisive
+  decisiveThreshold: 0.5,
+  // Factors whose difference can decide whether a precedent applies. A 'reject' factor removes the
+  // ground of the precedent's outcome; an 'adjust' factor keeps the outcome but changes how it
+  // applies.
+  decisiveFactors: {
+    life_at_stake: {
+      effect: 'reject',
+      rationale: 'whether a life is at stake changes which interventions can be justified'
+    },
+    fatal_outcome: {
+      effect: 'reject',
+      rationale: 'an outcome justified to avert death does not carry over when no death is at stake, or the reverse'
+    },
+    alternatives: {
+      effect: 'reject',
+      rationale: 'the precedent\'s outcome rests on how few alternatives were available'
+    },
+    alternatives_exhausted: {
+      effect: 'reject',
+      rationale: 'the precedent\'s outcome rests on whether the alternatives had been exhausted'
+    },
+    patient_consent: {
+      effect: 'adjust',
+      rationale: 'respect for the patient\'s own decision points the other way when the patient\'s consent differs'
+    },
+    patient_capacity: {
+      effect: 'adjust',
+      rationale: 'the weight owed to the patient\'s own wishes depends on their decision-making capacity'
+    },
+    guardian_consent: {
+      effect: 'adjust',
+      rationale: 'a guardian\'s refusal limits what may be done on another\'s behalf'
+    },
+    time_pressure: {
+      effect: 'adjust',
+      rationale: 'urgency changes how much deliberation and consultation the resolution can include'
+    },
+    resource_divisibility: {
+      effect: 'adjust',
+      rationale: 'whether the resource can be divided decides if a shared outcome is possible'
+    },
+    actor_risk: {
+      effect: 'adjust',
+      rationale: 'what may be asked of the agent depends on the risk they bear'
+    }
+  },
+  // Share of a precedent's similarity kept as its applicability when its outcome is adjusted
+  adjustedApplicability: 0.5,
+  // Share kept for each decisive factor the dilemma declares but the precedent does not settle
+  unsettledApplicability: 0.5,
+  // Share kept for each non-decisive distinguishing factor
+  distinctionPenalty: 0.1
+};
+
+/**
+ * Format a parameter and its values for the argument
+ * @param {Object} entry - Compared parameter: { parameter, dilemma, precedent }
+ * @returns {string} Description
+ */
+function describeDifference(entry) {
+  return `${entry.parameter} is ${entry.dilemma} here but was ${entry.precedent} in the precedent`;
+}
+
+/**
+ * Align a dilemma with one retrieved precedent
+ * @param {Object} precedent - Precedent from findRelevantPrecedents, with similarity_components
+ * @returns {Object} { similarities, distinguishing_factors: [{ parameter, dilemma, precedent,
+ *   decisive, effect, rationale }], unestablished, unsettled_factors: [{ parameter, effect,
+ *   rationale }], verdict ('follow', 'adjust' or 'reject'), applicability, adjusted_outcome }.
+ *   A decisive factor the precedent does not settle keeps its outcome from being followed as it
+ *   stands, since nothing shows the precedent was decided on the same footing.
+ */
+export function alignWithPrecedent(precedent) {
+  const {
+    similarityThreshold, decisiveThreshold, decisiveFactors, adjustedApplicability, unsettledApplicability, distinctionPenalty
+  } = ANALOGICAL_REASONING_CONFIG;
+  const { relevantParameters } = PRECEDENT_RETRIEVAL_CONFIG;
+  const components = precedent.similarity_components || {};
+  const compared = (components.parameters?.compared || [])
+    .filter(entry => relevantParameters[entry.parameter] || decisiveFactors[entry.parameter]);
+
+  const similarities = [
+    ...compared
+      .filter(entry => entry.similarity >= similarityThreshold)
+      .map(entry => (entry.similarity === 1
+        ? `${entry.parameter} is ${entry.dilemma} in both cases`
+        : `${entry.parameter} is comparable (${entry.dilemma} here, ${entry.precedent} in the precedent)`)),
+    ...(components.dimensions?.shared.length > 0
+      ? [`both engage ${components.dimensions.shared.join(', ')}`]
+      : [])
+  ];
+
+  const distinguishingFactors = [
+    ...compared
+      .filter(entry => entry.similarity < similarityThreshold)
+      .map(entry => {
+        const factor = decisiveFactors[entry.parameter];
+        const decisive = Boolean(factor) && entry.similarity <= decisiveThreshold;
+        return {
+          parameter: entry.parameter,
+          dilemma: entry.dilemma,
+          precedent: entry.precedent,
+          decisive,
+          effect: decisive ? factor.effect : null,
+          rationale: factor?.rationale || null
+        };
+      }),
+    ...(components.dimensions?.precedent_only || []).map(dimension => ({
+      parameter: `ethical dimension ${dimension}`,
+      dilemma: 'absent',
+      precedent: 'present',
+      decisive: false,
+      effect: null,
+      rationale: null
+    }))
+  ];
+
+  const unestablished = components.parameters?.unmatched || [];
+  const unsettled = unestablished
+    .filter(parameter => decisiveFactors[parameter])
+    .map(parameter => ({ parameter, effect: decisiveFactors[parameter].effect, rationale: decisiveFactors[parameter].rationale }));
+
+  const decisive = distinguishingFactors.filter(factor => factor.decisive);
+  const verdict = decisive.some(factor => factor.effect === 'reject') ? 'reject'
+    : decisive.length > 0 || unsettled.length > 0 ? 'adjust' : 'follow';
+  const minorCount = distinguishingFactors.length - decisive.length;
+  const applicability = verdict === 'reject' ? 0
+    : precedent.similarity
+      * (decisive.length > 0 ? adjustedApplicability : 1)
+      * unsettledApplicability ** unsettled.length
+      * Math.max(0, 1 - distinctionPenalty * minorCount);
+
+  const outcome = precedent.resolution || precedent.outcome;
+  const adaptations = [
+    ...decisive.map(factor => factor.rationale),
+    ...unsettled.map(factor => `the precedent does not settle ${factor.parameter}, and ${factor.rationale}`)
+  ];
+  const adjustedOutcome = verdict === 'reject' || !outcome ? null
+    : verdict === 'adjust'
+      ? `${outcome}, adapted because ${adaptations.join(' and ')}`
+      : outcome;
+
+  return {
+    similarities,
+    distinguishing_factors: distinguishingFactors,
+    unestablished,
+    unsettled_factors: unsettled,
+    verdict,
+    applicability,
+    adjusted_outcome: adjustedOutcome
+  };
+}
+
+/**
+ * State the analogical argument for a dilemma from its aligned precedents
+ * @param {Array<Object>} references - Precedent references with their `alignment`, most applicable
+ *   first
+ * @returns {string} Argument: per precedent the similarities, distinguishing factors and verdict,
+ *   then the conclusion drawn from the paradigm case
+ */
+export function buildAnalogicalArgument(references) {
+  const verdicts = {
+    follow: 'Follows: no distinguishing factor is decisive, so the precedent\'s outcome carries over',
+    adjust: 'Adjusted: the outcome carries over only as adapted to the decisive differences and the decisive factors the precedent leaves unsettled',
+    reject: 'Rejected: a decisive difference removes the ground of the precedent\'s outcome'
+  };
+  const cases = references.map((reference, position) => {
+    const { alignment } = reference;
+    const distinctions = alignment.distinguishing_factors.map(factor => factor.dilemma === 'absent'
+      ? `${factor.parameter} figured in the precedent but not here`
+      : `${describeDifference(factor)}${factor.decisive ? ` (decisive: ${factor.rationale})` : ''}`);
+    return `
+        Case ${position + 1}: "${reference.title}" (similarity: ${Math.round(reference.similarity * 100)}%, applicability: ${Math.round(alignment.applicability * 100)}%)
+        Precedent resolution: ${reference.resolution}
+        Why it matched: ${reference.matched_because}
+        Relevant similarities: ${alignment.similarities.length > 0 ? alignment.similarities.join('; ') : 'none beyond the shared wording'}
+        Distinguishing factors: ${distinctions.length > 0 ? distinctions.join('; ') : 'none among the features both cases declare'}
+        ${alignment.unestablished.length > 0 ? `Not settled by the precedent: ${alignment.unestablished
+          .map(parameter => (alignment.unsettled_factors.some(factor => factor.parameter === parameter) ? `${parameter} (decisive)` : parameter))
+          .join(', ')}` : ''}
+        ${verdicts[alignment.verdict]}`.replace(/\n\s*\n/g, '\n');
+  });
+
+  const paradigm = references.find(reference => reference.alignment.verdict !== 'reject');
+  const conclusion = paradigm
+    ? `The paradigm case is "${paradigm.title}". ${paradigm.alignment.verdict === 'follow'
+      ? 'Its outcome applies to this dilemma'
+      : 'Its outcome applies once adapted'}: ${paradigm.alignment.adjusted_outcome}.`
+    : 'Every retrieved precedent is distinguished on a decisive factor, so none can settle this dilemma; the resolution must rest on general principles.';
+
+  return `
+        Based on the analogical analysis of ${references.length} relevant precedent cases:
+        ${cases.join('\n')}
+
+        ${conclusion}
+      `.trim();
+}
@@ -0,0 +1,345 @@
+/**
+ * Dilemma Schema Module
+ * Versioned JSON Schemas for dilemma files. A dilemma declares its version in `schema_version`;
+ * files without one are version 1, the format of the original dilemma files. Older versions are
+ * brought up to date by the migrations in migrations.js.
+ *
+ * Version history:
+ *   1 - Stakeholder `concerns` may be a comma-separated string or a list, and
+ *       `contextual_factors` may be a list of factors or an object keyed by factor name.
+ *   2 - `schema_version` is required, `concerns` is always a list and `contextual_factors` is
+ *       always a list of { factor, value, relevance, explanation }.
+ */
+
+import { validateAgainstSchema } from './schemaValidator.js';
+import { DISTRIBUTION_TYPES } from '../utils/random.js';
+import { DISTRIBUTIVE_PRINCIPLES } from '../frameworks/justice.js';
+import { NORMALIZATION_METHODS } from '../analysis/moralUncertainty.js';
+import { AGGREGATION_RULES } from '../analysis/socialChoice.js';
+
+/**
+ * The schema version new dilemmas should declare
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * Schema definitions shared by every version
+ */
+const definitions = {
+  scalar: { title: 'scalar', type: ['number', 'string', 'boolean'] },
+
+  distribution: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { enum: Object.keys(DISTRIBUTION_TYPES) },
+      min: { type: 'number' },
+      max: { type: 'number' },
+      mode: { type: 'number' },
+      mean: { type: 'number' },
+      sd: { type: 'number', minimum: 0 },
+      alpha: { type: 'number', exclusiveMinimum: 0 },
+      beta: { type: 'number', exclusiveMinimum: 0 },
+      values: { type: 'array', minItems: 1 },
+      probabilities: { type: 'array', items: { type: 'number', minimum: 0 } }
+    },
+    // Each distribution type needs its own fields
+    allOf: Object.entries(DISTRIBUTION_TYPES).map(([type, required]) => ({
+      if: { properties: { type: { const: type } } },
+      then: { required }
+    }))
+  },
+
+  parameter: {
+    title: 'parameter',
+    type: 'object',
+    severity: 'moderate',
+    required: ['value'],
+    properties: {
+      value: { $ref: '#/definitions/scalar' },
+      description: { type: 'string' },
+      unit: { type: 'string' },
+      distribution: { $ref: '#/definitions/distribution', severity: 'minor' }
+    }
+  },
+
+  action: {
+    type: 'object',
+    severity: 'moderate',
+    required: ['id', 'description'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1, severity: 'minor' },
+      // Letter of the *_option_x parameters that describe this action
+      option: { type: 'string', pattern: '^(option_)?[a-z]$' },
+      outcomes: { type: 'object' }
+    }
+  },
+
+  effect: {
+    type: 'object',
+    required: ['direction', 'magnitude'],
+    properties: {
+      parameter: { type: 'string' },
+      outcome: { type: 'string' },
+      direction: { enum: ['positive', 'negative'] },
+      magnitude: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+
+  stakeholder: {
+    type: 'object',
+    severity: 'moderate',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1, severity: 'minor' },
+      influence: { type: 'number', minimum: 0, maximum: 1, severity: 'minor' },
+      concerns: { type: 'array', items: { type: 'string' }, severity: 'minor' },
+      impact: { type: 'object', additionalProperties: { type: 'number' }, severity: 'minor' },
+      effects: {
+        type: 'object',
+        additionalProperties: { type: 'array', items: { $ref: '#/definitions/effect' } },
+        severity: 'minor'
+      }
+    }
+  },
+
+  contextualFactor: {
+    type: 'object',
+    required: ['factor', 'value'],
+    properties: {
+      factor: { type: 'string', minLength: 1 },
+      value: { $ref: '#/definitions/scalar' },
+      relevance: { type: 'string' },
+      explanation: { type: 'string' }
+    }
+  },
+
+  duty: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      weight: { type: 'number' },
+      absolute: { type: 'boolean' },
+      satisfied_by: { type: 'array', items: { type: 'string' } },
+      violated_by: { type: 'array', items: { type: 'string' } },
+      violation_keywords: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  // Golden outputs checked by the regression runner: framework keys hold that framework's outcome
+  expectedOutcomes: {
+    type: 'object',
+    properties: {
+      conflicts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: { type: 'string' },
+            between: { type: 'array', items: { type: 'string' } },
+            strategy: { type: 'string' }
+          }
+        }
+      },
+      final_action: { type: ['string', 'null'] }
+    },
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        // null records a framework whose recommendation is undetermined
+        action: { type: ['string', 'null'] },
+        original_action: { type: 'string' },
+        adapted_action: { type: 'string' },
+        parameter_sensitivities: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+/**
+ * Properties common to every version. Unknown top-level properties are allowed so dilemmas can
+ * carry framework-specific data.
+ */
+const baseProperties = {
+  id: { type: 'string', minLength: 1, severity: 'critical' },
+  title: { type: 'string', minLength: 1, severity: 'moderate' },
+  description: { type: 'string', minLength: 1, severity: 'moderate' },
+  parameters: {
+    type: 'object',
+    additionalProperties: { $ref: '#/definitions/parameter' },
+    severity: { default: 'critical', minProperties: 'warning' },
+    minProperties: 1
+  },
+  situation: {
+    type: 'object',
+    severity: 'minor',
+    properties: {
+      type: { type: 'string' },
+      parameters: {
+        type: 'object',
+        additionalProperties: { anyOf: [{ $ref: '#/definitions/scalar' }, { $ref: '#/definitions/parameter' }] }
+      },
+      constraints: { type: 'object' }
+    }
+  },
+  frameworks: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    minItems: 1,
+    severity: { default: 'critical', minItems: 'moderate' }
+  },
+  possible_actions: {
+    type: 'array',
+    items: { $ref: '#/definitions/action' },
+    minItems: 1,
+    severity: { default: 'critical', minItems: 'moderate' }
+  },
+  stakeholders: { type: 'array', items: { $ref: '#/definitions/stakeholder' }, severity: 'moderate' },
+  processing_mode: { enum: ['simple', 'standard', 'advanced'], severity: 'minor' },
+  ethical_dimensions: { type: 'array', items: { type: 'string' }, severity: 'minor' },
+  duties: { type: 'array', items: { $ref: '#/definitions/duty' }, severity: 'minor' },
+  justice: {
+    type: 'object',
+    severity: 'minor',
+    properties: { principle: { enum: Object.keys(DISTRIBUTIVE_PRINCIPLES) } }
+  },
+  moral_uncertainty: {
+    type: 'object',
+    severity: 'minor',
+    properties: {
+      credences: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 1 } },
+      normalization: { enum: Object.keys(NORMALIZATION_METHODS) }
+    }
+  },
+  aggregation: {
+    type: 'object',
+    severity: 'minor',
+    required: ['rule'],
+    properties: {
+      rule: { enum: Object.keys(AGGREGATION_RULES) },
+      approval_threshold: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  monte_carlo: {
+    type: 'object',
+    severity: 'minor',
+    properties: {
+      samples: { type: 'integer', minimum: 1 },
+      seed: { type: ['number', 'string'] },
+      interval: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 }
+    }
+  },
+  expected_outcomes: { $ref: '#/definitions/expectedOutcomes', severity: 'minor' },
+  // Precedent library the casuistry strategy draws on instead of the default one
+  precedent_library: { type: 'string', minLength: 1, severity: 'minor' }
+};
+
+const requiredProperties = ['id', 'title', 'description', 'parameters', 'frameworks', 'possible_actions'];
+
+/**
+ * Dilemma schemas by version
+ */
+export const DILEMMA_SCHEMAS = {
+  1: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'dilemma.v1.schema.json',
+    title: 'REA dilemma (schema version 1)',
+    type: 'object',
+    severity: 'critical',
+    required: requiredProperties,
+    properties: {
+      ...baseProperties,
+      schema_version: { const: 1 },
+      contextual_factors: {
+        type: ['array', 'object'],
+        items: { $ref: '#/definitions/contextualFactor' },
+        severity: 'minor'
+      }
+    },
+    definitions: {
+      ...definitions,
+      // A string of comma-separated concerns is still accepted
+      stakeholder: {
+        ...definitions.stakeholder,
+        properties: {
+          ...definitions.stakeholder.properties,
+          concerns: { type: ['string', 'array'], items: { type: 'string' }, severity: 'minor' }
+        }
+      }
+    }
+  },
+
+  2: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'dilemma.v2.schema.json',
+    title: 'REA dilemma (schema version 2)',
+    type: 'object',
+    severity: 'critical',
+    required: ['schema_version', ...requiredProperties],
+    properties: {
+      schema_version: { const: 2 },
+      ...baseProperties,
+      contextual_factors: {
+        type: 'array',
+        items: { $ref: '#/definitions/contextualFactor' },
+        severity: 'minor'
+      }
+    },
+    definitions
+  }
+};
+
+/**
+ * Get the schema version a dilemma declares
+ * @param {Object} dilemma - The dilemma
+ * @returns {*} The declared `schema_version`, or 1 for dilemmas that predate versioning
+ */
+export function detectSchemaVersion(dilemma) {
+  return dilemma?.schema_version === undefined ? 1 : dilemma.schema_version;
+}
+
+/**
+ * Get the schema for a version
+ * @param {number} [version] - Schema version (defaults to the current version)
+ * @returns {Object} The JSON Schema
+ */
+export function getDilemmaSchema(version = CURRENT_SCHEMA_VERSION) {
+  const schema = DILEMMA_SCHEMAS[version];
+  if (!schema) {
+    throw new Error(`Unknown dilemma schema version "${version}". Known versions: ${Object.keys(DILEMMA_SCHEMAS).join(', ')}`);
+  }
+  return schema;
+}
+
+/**
+ * Validate a dilemma against the schema of the version it declares, so every issue points into
+ * the dilemma as written
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} { version, currentVersion, valid, issues: [{ pointer, keyword, message, severity }] }
+ */
+export function validateDilemmaSchema(dilemma) {
+  const version = detectSchemaVersion(dilemma);
+  if (!DILEMMA_SCHEMAS[version]) {
+    return {
+      version,
+      currentVersion: CURRENT_SCHEMA_VERSION,
+      valid: false,
+      issues: [{
+        pointer: '/schema_version',
+        keyword: 'schema_version',
+        message: `must be a known schema version (${Object.keys(DILEMMA_SCHEMAS).join(', ')}), got ${JSON.stringify(version)}`,
+        severity: 'critical'
+      }]
+    };
+  }
+
+  return {
+    version,
+    currentVersion: CURRENT_SCHEMA_VERSION,
+    ...validateAgainstSchema(dilemma, DILEMMA_SCHEMAS[version])
+  };
+}
@@ -0,0 +1,385 @@
+/**
+ * REA Metamorphic Testing
+ * Checks invariants that must hold for any dilemma: transformations that carry no ethical
+ * information (reordering actions or stakeholders, renaming ids, rescaling 1-10 parameters,
+ * adding a stakeholder with no stake) must not change any framework's ranking of the actions.
+ * Reordering and renaming actions or stakeholders must also leave the final recommendation and
+ * the action each conflict resolution recommends unchanged. Each invariant tries its
+ * transformations from smallest to largest and reports the first one that breaks it, so a failure
+ * names the minimal transformation found.
+ */
+
+import { deepCopy } from '../utils/general.js';
+import { getDeclaredParameterRange } from '../utils/parameterAccess.js';
+import { evaluateFramework, getRegisteredFrameworks, hasFramework } from '../frameworks/registry.js';
+import { processEthicalDilemmaSync, detectConflictsSync, resolveConflicts } from '../core/rea.js';
+import { standardizeProcessingMode } from './reaTestFramework.js';
+
+/**
+ * Metamorphic testing configuration
+ */
+const METAMORPHIC_CONFIG = {
+  // Scores closer than this are a tie, whose order may follow the input order
+  scoreTolerance: 1e-9,
+  // Factor applied to every parameter declared on a 1-10 scale
+  scaleFactor: 10
+};
+
+/**
+ * Rename every occurrence of ids in a dilemma: string values equal to an id and object keys equal
+ * to an id
+ * @param {*} node - Dilemma or part of it
+ * @param {Map} renames - Map of old id to new id
+ * @returns {*} Renamed copy
+ */
+function renameIds(node, renames) {
+  if (typeof node === 'string') return renames.has(node) ? renames.get(node) : node;
+  if (Array.isArray(node)) return node.map(item => renameIds(item, renames));
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node)
+      .map(([key, value]) => [renames.has(key) ? renames.get(key) : key, renameIds(value, renames)]));
+  }
+  return node;
+}
+
+/**
+ * Declare the option of every action whose id carries it (e.g. "approve_option_b"), so renaming
+ * the action keeps its *_option_x parameters
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Copy with `option` declared on those actions
+ */
+function keepActionOptions(dilemma) {
+  return {
+    ...dilemma,
+    possible_actions: (dilemma.possible_actions || []).map(action => {
+      const suffix = /option_([a-z])$/.exec(action.id || '');
+      return action.option || !suffix ? action : { ...action, option: suffix[1] };
+    })
+  };
+}
+
+/**
+ * Candidate permutations of a list, smallest first: each adjacent swap, then the reversal
+ * @param {Array} items - Items with ids
+ * @param {string} label - What the items are, for descriptions
+ * @returns {Array<Object>} [{ description, order: [indices] }]
+ */
+function getPermutations(items, label) {
+  const identity = items.map((item, index) => index);
+  const swaps = identity.slice(0, -1).map(index => {
+    const order = [...identity];
+    [order[index], order[index + 1]] = [order[index + 1], order[index]];
+    return { description: `Swap ${label} "${items[index].id}" and "${items[index + 1].id}" (positions ${index + 1} and ${index + 2})`, order };
+  });
+  const reversal = items.length > 2
+    ? [{ description: `Reverse the order of all ${items.length} ${label}s`, order: [...identity].reverse() }]
+    : [];
+  return [...swaps, ...reversal];
+}
+
+/**
+ * Candidate renamings, smallest first: each id alone, then all of them
+ * @param {Array<string>} ids - Ids to rename
+ * @param {string} label - What the ids name, for descriptions
+ * @param {string} prefix - Prefix of the new ids
+ * @returns {Array<Object>} [{ description, renames: Map }]
+ */
+function getRenamings(ids, label, prefix) {
+  const renamed = id => `${prefix}_${ids.indexOf(id) + 1}`;
+  const single = ids.map(id => ({
+    description: `Rename ${label} "${id}" to "${renamed(id)}"`,
+    renames: new Map([[id, renamed(id)]])
+  }));
+  const all = ids.length > 1
+    ? [{ description: `Rename all ${ids.length} ${label}s to ${prefix}_1..${prefix}_${ids.length}`, renames: new Map(ids.map(id => [id, renamed(id)])) }]
+    : [];
+  return [...single, ...all];
+}
+
+/**
+ * Scale a parameter declared on a 1-10 scale, with its declared range and distribution
+ * @param {Object} param - Object-format parameter, modified in place
+ * @param {number} factor - Scale factor
+ */
+function scaleParameter(param, factor) {
+  param.value *= factor;
+  if (typeof param.min === 'number') param.min *= factor;
+  if (typeof param.max === 'number') param.max *= factor;
+  if (typeof param.description === 'string') {
+    param.description = param.description.replace(/\(\s*1\s*-\s*10\s*scale/i, `(${factor}-${10 * factor} scale`);
+  }
+
+  const distribution = param.distribution;
+  if (distribution && typeof distribution === 'object') {
+    ['min', 'max', 'mode', 'mean', 'sd'].forEach(field => {
+      if (typeof distribution[field] === 'number') distribution[field] *= factor;
+    });
+    if (Array.isArray(distribution.values)) {
+      distribution.values = distribution.values.map(value => (typeof value === 'number' ? value * factor : value));
+    }
+  }
+}
+
+/**
+ * Invariants and the transformations that must preserve them. Each candidate has a description,
+ * apply(dilemma) returning the transformed copy, and optionally maps of renamed action ids
+ * (renames) and stakeholder ids (stakeholderRenames). Invariants with `pipeline` set also hold
+ * for the final recommendation and the conflict resolutions.
+ */
+export const METAMORPHIC_INVARIANTS = {
+  action_order: {
+    description: 'Reordering possible_actions does not change any ranking, resolution or the final recommendation',
+    pipeline: true,
+    candidates: dilemma => getPermutations(dilemma.possible_actions || [], 'action').map(({ description, order }) => ({
+      description,
+      apply: original => ({ ...original, possible_actions: order.map(index => original.possible_actions[index]) })
+    }))
+  },
+
+  stakeholder_order: {
+    description: 'Reordering stakeholders does not change any ranking, resolution or the final recommendation',
+    pipeline: true,
+    candidates: dilemma => getPermutations(dilemma.stakeholders || [], 'stakeholder').map(({ description, order }) => ({
+      description,
+      apply: original => ({ ...original, stakeholders: order.map(index => original.stakeholders[index]) })
+    }))
+  },
+
+  action_ids: {
+    description: 'Renaming action ids consistently does not change any ranking, resolution or the final recommendation',
+    pipeline: true,
+    candidates: dilemma => getRenamings((dilemma.possible_actions || []).map(action => action.id), 'action', 'action')
+      .map(({ description, renames }) => ({
+        description,
+        renames,
+        apply: original => renameIds(keepActionOptions(original), renames)
+      }))
+  },
+
+  stakeholder_ids: {
+    description: 'Renaming stakeholder ids consistently does not change any ranking, resolution or the final recommendation',
+    pipeline: true,
+    candidates: dilemma => getRenamings((dilemma.stakeholders || []).map(stakeholder => stakeholder.id), 'stakeholder', 'stakeholder')
+      .map(({ description, renames }) => ({
+        description,
+        stakeholderRenames: renames,
+        apply: original => renameIds(original, renames)
+      }))
+  },
+
+  parameter_scale: {
+    description: `Rescaling every 1-10 parameter to 10-${10 * METAMORPHIC_CONFIG.scaleFactor} does not change any ranking`,
+    candidates: dilemma => {
+      const onScale = Object.entries(dilemma.parameters || {})
+        .filter(([, param]) => {
+          const range = getDeclaredParameterRange(param);
+          return typeof param?.value === 'number' && range?.min === 1 && range?.max === 10;
+        })
+        .map(([name]) => name);
+      if (onScale.length === 0) return [];
+
+      const factor = METAMORPHIC_CONFIG.scaleFactor;
+      return [{
+        description: `Multiply the ${onScale.length} parameters on a 1-10 scale (${onScale.join(', ')}) by ${factor}`,
+        apply: original => {
+          const scaled = deepCopy(original);
+          onScale.forEach(name => scaleParameter(scaled.parameters[name], factor));
+          return scaled;
+        }
+      }];
+    }
+  },
+
+  irrelevant_stakeholder: {
+    description: 'Adding stakeholders with no influence, concerns or impact does not change any ranking',
+    candidates: () => {
+      const bystander = copy => ({
+        id: `metamorphic_bystander_${copy}`,
+        name: `Uninvolved Bystander ${copy}`,
+        influence: 0,
+        concerns: []
+      });
+      return [1, 2].map(count => ({
+        description: count === 1 ? 'Add one stakeholder with no influence, concerns or impact' : 'Add two stakeholders with no influence, concerns or impact',
+        apply: original => ({
+          ...original,
+          stakeholders: [...(original.stakeholders || []), ...Array.from({ length: count }, (unused, index) => bystander(index + 1))]
+        })
+      }));
+    }
+  }
+};
+
+/**
+ * Evaluate every framework of a dilemma
+ * @param {Object} dilemma - The dilemma
+ * @param {Array<string>} frameworks - Framework names
+ * @returns {Object} Map of framework to { recommendedAction, groups } where groups lists the
+ *   ranked actions as tie groups (each sorted), best first
+ */
+function evaluateRankings(dilemma, frameworks) {
+  return Object.fromEntries(frameworks.map(framework => {
+    const { recommendedAction, ranking } = evaluateFramework(framework, dilemma, { quiet: true });
+    const groups = [];
+    (ranking || []).forEach((entry, index) => {
+      const previous = ranking[index - 1];
+      const tied = previous && (entry.score === previous.score ||
+        (typeof entry.score === 'number' && typeof previous.score === 'number' &&
+          Math.abs(entry.score - previous.score) <= METAMORPHIC_CONFIG.scoreTolerance));
+      if (tied) {
+        groups[groups.length - 1].push(entry.action);
+      } else {
+        groups.push([entry.action]);
+      }
+    });
+    return [framework, { recommendedAction, groups: groups.map(group => [...group].sort()) }];
+  }));
+}
+
+/**
+ * Compare the rankings of a transformed dilemma with the original ones
+ * @param {Object} expected - evaluateRankings of the original dilemma
+ * @param {Object} actual - evaluateRankings of the transformed dilemma
+ * @param {Map} [renames] - Action ids renamed by the transformation
+ * @returns {Array<Object>} Frameworks whose ranking changed: [{ framework, expected, actual }]
+ */
+function compareRankings(expected, actual, renames) {
+  const restore = new Map([...(renames || new Map())].map(([from, to]) => [to, from]));
+  const original = action => (restore.has(action) ? restore.get(action) : action);
+  const describe = ({ recommendedAction, groups }) => (groups.length > 0
+    ? `${recommendedAction} (${groups.map(group => group.join(' = ')).join(' > ')})`
+    : 'undetermined (no ranking)');
+
+  return Object.keys(expected).flatMap(framework => {
+    const after = {
+      recommendedAction: original(actual[framework].recommendedAction),
+      groups: actual[framework].groups.map(group => group.map(original).sort())
+    };
+    const unchanged = after.recommendedAction === expected[framework].recommendedAction &&
+      JSON.stringify(after.groups) === JSON.stringify(expected[framework].groups);
+    return unchanged ? [] : [{ framework, expected: describe(expected[framework]), actual: describe(after) }];
+  });
+}
+
+/**
+ * Run the pipeline on a dilemma, without sensitivity sweeps or Monte Carlo sampling
+ * @param {Object} dilemma - The dilemma
+ * @returns {Promise<Object>} { final, resolutions } where final is the recommended action (or the
+ *   sorted tie) and resolutions maps each resolved conflict to the action its resolution
+ *   recommends (or its sorted tie, or null)
+ */
+async function evaluatePipeline(dilemma) {
+  const frameworkResults = processEthicalDilemmaSync(dilemma, { sensitivity: false, monteCarlo: false, quiet: true });
+  const conflicts = detectConflictsSync(dilemma, { quiet: true });
+  const { resolutions, final_recommendation: finalRecommendation } =
+    await resolveConflicts(frameworkResults, conflicts, dilemma, { sensitivity: false, quiet: true });
+
+  const outcome = result => {
+    const action = result?.recommended_action || result?.meta_recommendation || result?.action;
+    if (action) return action;
+    return result?.tied_actions?.length > 0 ? { tie: [...result.tied_actions] } : null;
+  };
+  return {
+    final: outcome(finalRecommendation),
+    resolutions: resolutions
+      .filter(resolution => resolution.conflict_reference)
+      .map(resolution => ({ conflict: resolution.conflict_reference, outcome: outcome(resolution) }))
+  };
+}
+
+/**
+ * Compare the pipeline outcomes of a transformed dilemma with the original ones. Resolutions are
+ * matched by the type of conflict and the parties to it, since the conflicts may be listed in
+ * another order.
+ * @param {Object} expected - evaluatePipeline of the original dilemma
+ * @param {Object} actual - evaluatePipeline of the transformed dilemma
+ * @param {Map} [renames] - Action ids renamed by the transformation
+ * @param {Map} [stakeholderRenames] - Stakeholder ids renamed by the transformation
+ * @returns {Array<Object>} Outcomes that changed: [{ outcome, expected, actual }]
+ */
+function compareOutcomes(expected, actual, renames, stakeholderRenames) {
+  const restorer = map => {
+    const restore = new Map([...(map || new Map())].map(([from, to]) => [to, from]));
+    return id => (restore.has(id) ? restore.get(id) : id);
+  };
+  const originalAction = restorer(renames);
+  const originalStakeholder = restorer(stakeholderRenames);
+  const describe = (outcome, restore = id => id) => {
+    if (!outcome) return 'none';
+    return outcome.tie ? `tie between ${outcome.tie.map(restore).sort().join(', ')}` : restore(outcome);
+  };
+  const byConflict = (entries, restore, restoreParty) => {
+    const grouped = {};
+    entries.forEach(({ conflict, outcome }) => {
+      const parties = (conflict.between || []).map(restoreParty).sort();
+      const key = `${conflict.type}${parties.length > 0 ? ` between ${parties.join(' and ')}` : ''}`;
+      (grouped[key] = grouped[key] || []).push(describe(outcome, restore));
+    });
+    return Object.fromEntries(Object.entries(grouped).map(([key, outcomes]) => [key, outcomes.sort().join('; ')]));
+  };
+
+  const changes = [];
+  const finalBefore = describe(expected.final);
+  const finalAfter = describe(actual.final, originalAction);
+  if (finalBefore !== finalAfter) {
+    changes.push({ outcome: 'final recommendation', expected: finalBefore, actual: finalAfter });
+  }
+
+  const before = byConflict(expected.resolutions, id => id, id => id);
+  const after = byConflict(actual.resolutions, originalAction, originalStakeholder);
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (before[key] !== after[key]) {
+      changes.push({ outcome: `resolution of ${key}`, expected: before[key] || 'not detected', actual: after[key] || 'not detected' });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Check the metamorphic invariants of a dilemma
+ * @param {Object} dilemma - The dilemma to test
+ * @param {Object} [options] - { invariants: names to check (all by default) }
+ * @returns {Promise<Object>} { passed, invariants: [{ name, description, passed, checked,
+ *   failure: { transformation, frameworks: [{ framework, expected, actual }],
+ *   outcomes: [{ outcome, expected, actual }] } | null }] }
+ */
+export async function runMetamorphicTests(dilemma, options = {}) {
+  const names = options.invariants || Object.keys(METAMORPHIC_INVARIANTS);
+  const unknown = names.filter(name => !METAMORPHIC_INVARIANTS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metamorphic invariant(s): ${unknown.join(', ')}. Known: ${Object.keys(METAMORPHIC_INVARIANTS).join(', ')}`);
+  }
+
+  const standardized = standardizeProcessingMode(dilemma, dilemma.processing_mode || 'standard').standardizedDilemma;
+  const frameworks = (standardized.frameworks || getRegisteredFrameworks()).filter(hasFramework);
+
+  const baseline = evaluateRankings(standardized, frameworks);
+  const pipelineBaseline = names.some(name => METAMORPHIC_INVARIANTS[name].pipeline)
+    ? await evaluatePipeline(deepCopy(standardized))
+    : null;
+
+  const invariants = [];
+  for (const name of names) {
+    const invariant = METAMORPHIC_INVARIANTS[name];
+    const candidates = invariant.candidates(standardized);
+    let checked = 0;
+    let failure = null;
+
+    for (const candidate of candidates) {
+      checked++;
+      const transformed = candidate.apply(deepCopy(standardized));
+      const changed = compareRankings(baseline, evaluateRankings(transformed, frameworks), candidate.renames);
+      const outcomes = invariant.pipeline
+        ? compareOutcomes(pipelineBaseline, await evaluatePipeline(transformed), candidate.renames, candidate.stakeholderRenames)
+        : [];
+      if (changed.length > 0 || outcomes.length > 0) {
+        failure = { transformation: candidate.description, frameworks: changed, outcomes };
+        break;
+      }
+    }
+
+    invariants.push({ name, description: invariant.description, passed: !failure, checked, failure });
+  }
+
+  return { passed: invariants.every(invariant => invariant.passed), invariants };
+}
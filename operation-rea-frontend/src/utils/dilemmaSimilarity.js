@@ -1,60 +1,329 @@
 /**
  * REA System - Dilemma Similarity
- * Contains functions for comparing dilemmas and finding relevant precedents
+ * Contains functions for comparing dilemmas and finding relevant precedents. Retrieval blends three
+ * explainable components: BM25 text relevance over title and description, overlap of ethical
+ * dimensions mapped to a controlled vocabulary, and structural similarity of situation parameters.
  */
 
-import { getPrecedentDatabase } from '../precedents.js';
+import { getPrecedentDatabase, PRECEDENT_LIBRARY_CONFIG } from '../precedents.js';
+
+/**
+ * Precedent retrieval configuration
+ */
+export const PRECEDENT_RETRIEVAL_CONFIG = {
+    // Blend of the similarity components; a component a precedent gives no information for
+    // scores 0
+    weights: {
+        text: 0.4,
+        dimensions: 0.3,
+        parameters: 0.3
+    },
+    threshold: 0.2,
+    // BM25 term frequency saturation and length normalization
+    bm25: { k1: 1.2, b: 0.75 },
+    minTermLength: 3,
+    // Short words the precedent library's keyword stop words do not cover
+    stopWords: ['and', 'are', 'but', 'can', 'for', 'has', 'its', 'may', 'not', 'the', 'was', 'who'],
+    // Controlled vocabulary: canonical ethical dimension and the terms that map to it
+    dimensionVocabulary: {
+        autonomy: ['autonomy', 'autonomies', 'consent', 'self_determination', 'liberty', 'freedom'],
+        beneficence: ['beneficence', 'best_interests', 'best_interests_standard', 'wellbeing', 'welfare'],
+        utility: ['utility', 'utilitarian', 'utilitarian_outcomes', 'aggregate_welfare'],
+        justice: ['justice', 'fairness', 'fair', 'allocation', 'distribution', 'equity', 'procedural_justice'],
+        rights: ['rights', 'right', 'right_to_treatment'],
+        professional_ethics: ['professional', 'professional_ethics', 'medical_ethics', 'professional_medical_ethics'],
+        religious_freedom: ['religious', 'religion', 'religious_freedom', 'religious_freedom_boundaries'],
+        authority: ['authority', 'parental', 'parental_authority', 'parental_authority_limits'],
+        vulnerability: ['minor', 'minors', 'child', 'children', 'vulnerable', 'developing_minor_rights'],
+        privacy: ['privacy', 'confidentiality', 'surveillance'],
+        security: ['security', 'safety'],
+        harm: ['harm', 'non_maleficence', 'nonmaleficence']
+    },
+    // Situation parameters that bear on the moral assessment, with their weight in the structural
+    // comparison; other shared parameters count with defaultParameterWeight
+    relevantParameters: {
+        life_at_stake: 3,
+        fatal_outcome: 3,
+        patient_consent: 2,
+        patient_capacity: 2,
+        time_pressure: 2,
+        resource_divisibility: 2,
+        guardian_consent: 1.5,
+        religious_conflict: 1.5,
+        alternatives: 1.5,
+        alternatives_exhausted: 1.5,
+        delay_impact: 1.5,
+        certainty_of_outcome: 1,
+        actor_risk: 1,
+        actor_position: 1,
+        information_availability: 1,
+        num_people_affected: 1,
+        relationship_to_beneficiary: 1,
+        relationship_to_patient: 1
+    },
+    defaultParameterWeight: 0.5,
+    // Ordered levels; two values on the same scale are as similar as they are close on it
+    ordinalScales: [
+        ['none', 'minimal', 'low', 'moderate', 'significant', 'high', 'severe', 'critical'],
+        ['none', 'limited', 'partial', 'substantial', 'full'],
+        ['indivisible', 'partially_divisible', 'divisible']
+    ]
+};
+
+/**
+ * Split text into BM25 terms: lower-case words that are not stop words, without a plural 's'
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+    const { minTermLength, stopWords } = PRECEDENT_RETRIEVAL_CONFIG;
+    return (String(text || '').toLowerCase().match(/[a-z]+/g) || [])
+        .filter(word => word.length >= minTermLength
+            && !stopWords.includes(word)
+            && !PRECEDENT_LIBRARY_CONFIG.stopWords.includes(word))
+        .map(word => (word.length > 4 && /[^sui]s$/.test(word) ? word.slice(0, -1) : word));
+}
+
+/**
+ * Build a BM25 index over the title and description of each precedent
+ * @param {Array<Object>} precedents - Precedent cases
+ * @returns {Object} { documents: [term arrays], documentFrequency: Map, averageLength }
+ */
+function buildTextIndex(precedents) {
+    const documents = precedents.map(precedent => tokenize(`${precedent.title} ${precedent.description}`));
+    const documentFrequency = new Map();
+    documents.forEach(terms => new Set(terms).forEach(term =>
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+    const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / (documents.length || 1);
+    return { documents, documentFrequency, averageLength };
+}
+
+/**
+ * BM25 score of a document for a query, with the contribution of each matched term
+ * @param {Array<string>} queryTerms - Query terms
+ * @param {Array<string>} documentTerms - Document terms
+ * @param {Object} index - Index from buildTextIndex
+ * @returns {Object} { score, contributions: { term: score } }
+ */
+function scoreBM25(queryTerms, documentTerms, index) {
+    const { k1, b } = PRECEDENT_RETRIEVAL_CONFIG.bm25;
+    const count = index.documents.length;
+    const lengthFactor = 1 - b + b * (documentTerms.length / (index.averageLength || 1));
+    const contributions = {};
+
+    new Set(queryTerms).forEach(term => {
+        const frequency = documentTerms.filter(candidate => candidate === term).length;
+        if (frequency === 0) return;
+        const documents = index.documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (count - documents + 0.5) / (documents + 0.5));
+        contributions[term] = idf * (frequency * (k1 + 1)) / (frequency + k1 * lengthFactor);
+    });
+
+    return { score: Object.values(contributions).reduce((sum, value) => sum + value, 0), contributions };
+}
+
+/**
+ * Text relevance of a precedent: its BM25 score for the dilemma's title and description, as a
+ * share of the score the precedent's own text would reach
+ * @param {Array<string>} queryTerms - Dilemma terms
+ * @param {number} position - Index of the precedent in the text index
+ * @param {Object} index - Index from buildTextIndex
+ * @returns {Object} { score, matched_terms: [terms, strongest first] }
+ */
+function compareText(queryTerms, position, index) {
+    const documentTerms = index.documents[position];
+    const match = scoreBM25(queryTerms, documentTerms, index);
+    const ceiling = scoreBM25(documentTerms, documentTerms, index).score;
+
+    return {
+        score: ceiling > 0 ? Math.min(1, match.score / ceiling) : 0,
+        matched_terms: Object.entries(match.contributions)
+            .sort((a, b) => b[1] - a[1])
+            .map(([term]) => term)
+    };
+}
+
+/**
+ * Map ethical dimension labels onto the controlled vocabulary. A label that is a vocabulary term
+ * maps to its canonical dimension; a compound label such as 'autonomy_vs_beneficence' maps to the
+ * dimensions of its parts; a label with no known part is kept as it is.
+ * @param {Array<string>} dimensions - Dimension labels
+ * @returns {Array<string>} Canonical dimensions
+ */
+export function normalizeEthicalDimensions(dimensions) {
+    const vocabulary = Object.entries(PRECEDENT_RETRIEVAL_CONFIG.dimensionVocabulary);
+    const canonicalFor = term => vocabulary.find(([, terms]) => terms.includes(term))?.[0];
+
+    const canonical = (dimensions || []).flatMap(dimension => {
+        const label = String(dimension).toLowerCase().trim().replace(/[\s-]+/g, '_');
+        if (canonicalFor(label)) return [canonicalFor(label)];
+        const parts = label.split(/_vs_|_/).map(canonicalFor).filter(Boolean);
+        return parts.length > 0 ? parts : [label];
+    });
+    return [...new Set(canonical)];
+}
+
+/**
+ * Overlap of the dilemma's and the precedent's canonical ethical dimensions (Jaccard index)
+ * @param {Array<string>} dilemmaDimensions - Canonical dimensions of the dilemma
+ * @param {Array<string>} precedentDimensions - Canonical dimensions of the precedent
+ * @returns {Object|null} { score, shared, dilemma_only, precedent_only }, or null if either side
+ *   declares none
+ */
+function compareDimensions(dilemmaDimensions, precedentDimensions) {
+    if (dilemmaDimensions.length === 0 || precedentDimensions.length === 0) return null;
+
+    const shared = dilemmaDimensions.filter(dimension => precedentDimensions.includes(dimension));
+    const union = new Set([...dilemmaDimensions, ...precedentDimensions]);
+    return {
+        score: shared.length / union.size,
+        shared,
+        dilemma_only: dilemmaDimensions.filter(dimension => !shared.includes(dimension)),
+        precedent_only: precedentDimensions.filter(dimension => !shared.includes(dimension))
+    };
+}
+
+/**
+ * Read situation parameters as plain values, unwrapping the { value } format
+ * @param {Object} parameters - Situation parameters
+ * @returns {Object} Parameter values by name
+ */
+function situationValues(parameters) {
+    return Object.fromEntries(Object.entries(parameters || {})
+        .map(([name, parameter]) => [name, parameter && typeof parameter === 'object' && 'value' in parameter
+            ? parameter.value
+            : parameter])
+        .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object'));
+}
+
+/**
+ * Similarity of two values of the same parameter
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} 1 for equal values, graded for numbers and for levels of one ordinal scale,
+ *   0 otherwise
+ */
+function compareValues(a, b) {
+    if (a === b) return 1;
+    if (typeof a === 'number' && typeof b === 'number') {
+        return 1 - Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b), 1);
+    }
+    if (typeof a === 'string' && typeof b === 'string') {
+        const levelA = a.toLowerCase();
+        const levelB = b.toLowerCase();
+        const scale = PRECEDENT_RETRIEVAL_CONFIG.ordinalScales
+            .find(levels => levels.includes(levelA) && levels.includes(levelB));
+        if (scale) return 1 - Math.abs(scale.indexOf(levelA) - scale.indexOf(levelB)) / (scale.length - 1);
+    }
+    return 0;
+}
+
+/**
+ * Structural similarity of the situation parameters both cases declare, weighted by moral
+ * relevance
+ * @param {Object} dilemmaValues - Dilemma parameter values
+ * @param {Object} precedentValues - Precedent parameter values
+ * @returns {Object|null} { score, compared: [{ parameter, dilemma, precedent, similarity }],
+ *   unmatched: [relevant dilemma parameters the precedent does not declare] }, or null if the
+ *   dilemma declares none. A precedent sharing no parameter scores 0 but still lists the relevant
+ *   ones it leaves unsettled.
+ */
+function compareParameters(dilemmaValues, precedentValues) {
+    const { relevantParameters, defaultParameterWeight } = PRECEDENT_RETRIEVAL_CONFIG;
+    if (Object.keys(dilemmaValues).length === 0) return null;
+    const shared = Object.keys(dilemmaValues).filter(name => name in precedentValues);
+
+    const compared = shared.map(name => ({
+        parameter: name,
+        dilemma: dilemmaValues[name],
+        precedent: precedentValues[name],
+        similarity: compareValues(dilemmaValues[name], precedentValues[name]),
+        weight: relevantParameters[name] || defaultParameterWeight
+    }));
+    const totalWeight = compared.reduce((sum, entry) => sum + entry.weight, 0);
+
+    return {
+        score: totalWeight > 0 ? compared.reduce((sum, entry) => sum + entry.weight * entry.similarity, 0) / totalWeight : 0,
+        compared,
+        unmatched: Object.keys(dilemmaValues).filter(name => relevantParameters[name] && !(name in precedentValues))
+    };
+}
+
+/**
+ * Explain a match in one sentence from its strongest components
+ * @param {Object} components - Similarity components
+ * @returns {string} Explanation
+ */
+function explainMatch(components) {
+    const reasons = [];
+    if (components.text?.matched_terms.length > 0) {
+        reasons.push(`shared terms ${components.text.matched_terms.slice(0, 4).join(', ')}`);
+    }
+    if (components.dimensions?.shared.length > 0) {
+        reasons.push(`shared ethical dimensions ${components.dimensions.shared.join(', ')}`);
+    }
+    const alike = (components.parameters?.compared || [])
+        .filter(entry => entry.similarity === 1 && PRECEDENT_RETRIEVAL_CONFIG.relevantParameters[entry.parameter]);
+    if (alike.length > 0) {
+        reasons.push(`the same ${alike.map(entry => `${entry.parameter} (${entry.dilemma})`).join(', ')}`);
+    }
+    return reasons.length > 0 ? `Matched on ${reasons.join('; ')}` : 'No specific feature in common';
+}
 
 /**
  * Find precedents relevant to the current dilemma
  * @param {Object} dilemma - The dilemma to find precedents for
- * @param {Object} options - Options for precedent search
- * @returns {Array} Relevant precedents with similarity scores
+ * @param {Object} options - Options for precedent search: { precedents (the cases of `library` by
+ *   default), library (library directory, the default library if omitted), threshold, limit,
+ *   weights: { text, dimensions, parameters } overriding PRECEDENT_RETRIEVAL_CONFIG.weights }
+ * @returns {Array} Relevant precedents, most similar first, each with `similarity`,
+ *   `similarity_components` (per component score, weight and evidence), `match_explanation` and
+ *   `differences` (morally relevant parameters whose values differ)
  */
 export function findRelevantPrecedents(dilemma, options = {}) {
-    // Get precedent database
-    const precedents = getPrecedentDatabase();
-
-    // Extract dilemma text for comparison
-    const dilemmaText = `${dilemma.title} ${dilemma.description}`.toLowerCase();
-
-    // Find similarities based on keywords
-    const relevantPrecedents = precedents.map(precedent => {
-        // Calculate simple similarity based on keyword matching
-        let similarityScore = 0;
-
-        // Check for keyword matches
-        const keywords = precedent.similarity_keywords || [];
-        keywords.forEach(keyword => {
-            if (dilemmaText.includes(keyword.toLowerCase())) {
-                similarityScore += 0.1; // Add 0.1 for each keyword match
-            }
-        });
+    // Get precedent database; an analysis of this very dilemma is not a precedent for it
+    const precedents = (options.precedents || getPrecedentDatabase(options.library))
+        .filter(precedent => precedent.source?.type !== 'analysis' || precedent.source.dilemma !== dilemma.id);
+    const weights = { ...PRECEDENT_RETRIEVAL_CONFIG.weights, ...options.weights };
 
-        // Check for ethical dimensions matches
-        const dimensions = precedent.ethical_dimensions || [];
-        const dilemmaDimensions = dilemma.ethical_dimensions || [];
+    const index = buildTextIndex(precedents);
+    const queryTerms = tokenize(`${dilemma.title} ${dilemma.description}`);
+    const dilemmaDimensions = normalizeEthicalDimensions(dilemma.ethical_dimensions);
+    const dilemmaValues = situationValues(dilemma.situation?.parameters);
 
-        dimensions.forEach(dimension => {
-            if (dilemmaDimensions.includes(dimension)) {
-                similarityScore += 0.15; // Add 0.15 for each matching ethical dimension
-            }
-        });
+    const relevantPrecedents = precedents.map((precedent, position) => {
+        const components = {
+            text: compareText(queryTerms, position, index),
+            dimensions: compareDimensions(dilemmaDimensions, normalizeEthicalDimensions(precedent.ethical_dimensions)),
+            parameters: compareParameters(dilemmaValues, situationValues(precedent.situation_parameters))
+        };
 
-        // Cap similarity at 1.0
-        similarityScore = Math.min(similarityScore, 1.0);
+        // Blend the components; one the precedent gives no information for scores 0, so a sparse
+        // precedent cannot outrank a fuller one on the components it happens to declare
+        const totalWeight = Object.keys(components).reduce((sum, name) => sum + Math.max(weights[name] || 0, 0), 0);
+        Object.entries(components).forEach(([name, component]) => {
+            if (component) component.weight = totalWeight > 0 ? Math.max(weights[name] || 0, 0) / totalWeight : 0;
+        });
+        const similarity = Object.values(components)
+            .reduce((sum, component) => sum + (component ? component.weight * component.score : 0), 0);
 
         return {
             ...precedent,
-            similarity: similarityScore
+            similarity: Math.min(similarity, 1.0),
+            similarity_components: components,
+            match_explanation: explainMatch(components),
+            differences: (components.parameters?.compared || [])
+                .filter(entry => entry.similarity < 1 && PRECEDENT_RETRIEVAL_CONFIG.relevantParameters[entry.parameter])
+                .map(({ parameter, dilemma: dilemmaValue, precedent: precedentValue }) =>
+                    ({ parameter, dilemma: dilemmaValue, precedent: precedentValue }))
         };
     });
 
     // Sort by similarity (descending)
     relevantPrecedents.sort((a, b) => b.similarity - a.similarity);
 
-    // Filter out precedents with low similarity if threshold provided
-    const threshold = options.threshold || 0.2;
+    // Filter out precedents with low similarity
+    const threshold = options.threshold ?? PRECEDENT_RETRIEVAL_CONFIG.threshold;
     const filteredPrecedents = relevantPrecedents.filter(p => p.similarity >= threshold);
 
     // Return top N precedents if limit provided
@@ -62,4 +331,4 @@ export function findRelevantPrecedents(dilemma, options = {}) {
     return filteredPrecedents.slice(0, limit);
 }
 
-export default { findRelevantPrecedents }; 
\ No newline at end of file
+export default { findRelevantPrecedents, normalizeEthicalDimensions };
@@ -405,11 +405,27 @@ function createModuleLogger(moduleName) {
     };
 }
 
+// Logger for quiet pipeline runs: progress messages and warnings are discarded
+const QUIET_LOGGER = Object.freeze({ log() {}, info() {}, warn() {} });
+
+/**
+ * Get the logger a pipeline call reports progress and warnings to. Quiet runs get their own
+ * no-op logger instead of silencing the global console, so concurrent runs do not interfere.
+ * @param {Object} [options] - Pipeline options; `quiet: true` discards the output and `logger`
+ *   (an object with log, info and warn methods) replaces the console
+ * @returns {Object} Logger with log, info and warn methods
+ */
+function getPipelineLogger(options = {}) {
+    if (options.quiet) return QUIET_LOGGER;
+    return options.logger || console;
+}
+
 export {
     error,
     warn,
     info,
     debug,
     trace,
-    createModuleLogger
+    createModuleLogger,
+    getPipelineLogger
 }; 
\ No newline at end of file
@@ -304,4 +304,27 @@ export function extractAllParameters(situation) {
   }
   
   return params;
-} 
\ No newline at end of file
+} 
+/**
+ * Get the range a parameter declares for its value: `min`/`max` on an object-format parameter,
+ * or an "(x-y scale)" note in its description (which may continue, e.g. "(1-10 scale, 10 being best)")
+ * 
+ * @param {*} param - The raw parameter (plain value or `{ value, description, min, max }` object)
+ * @returns {Object|null} Range with min and max (either may be undefined when only one bound is
+ *   declared), or null if the parameter declares no range
+ */
+export function getDeclaredParameterRange(param) {
+  if (!param || typeof param !== 'object') return null;
+  
+  if (typeof param.min === 'number' || typeof param.max === 'number') {
+    return {
+      min: typeof param.min === 'number' ? param.min : undefined,
+      max: typeof param.max === 'number' ? param.max : undefined
+    };
+  }
+  
+  const scale = typeof param.description === 'string'
+    ? param.description.match(/\((-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*scale\b/i)
+    : null;
+  return scale ? { min: parseFloat(scale[1]), max: parseFloat(scale[2]) } : null;
+}
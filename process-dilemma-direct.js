@@ -8,6 +8,44 @@
  * 4. Conflict resolution
  * 
  * Usage: node process-dilemma-direct.js path/to/dilemma.json [--format=json|text|csv] [--no-color] [--sequential]
+ *        [--justice-principle=egalitarian|prioritarian|sufficientarian|maximin]
+ *        [--credences=utilitarian:0.4,deontology:0.3] [--normalization=variance|range]
+ *        [--aggregation=plurality|borda|condorcet|schulze|approval|kemeny] [--approval-threshold=0.5]
+ *        [--counterfactuals[=final,utilitarian,...]] [--monte-carlo[=samples]] [--seed=n]
+ *        [--fix [--migrate] [--write]]
+ *        node process-dilemma-direct.js path/to/directory-or-glob [--output-dir=path] [analysis options]
+ *        node process-dilemma-direct.js path/to/dilemma-directory-or-glob --regression|--snapshot|--metamorphic
+ *        node process-dilemma-direct.js path/to/dilemma-directory-or-glob --perturb [--seed=n] [--magnitudes=parameter:0.1,...]
+ *        node process-dilemma-direct.js path/to/dilemma-directory-or-glob --coverage
+ *        node process-dilemma-direct.js precedents list|add|remove|search|import [arguments] [--library=path] [--replace] [--weights=text:0.4,...]
+ *
+ * With --fix the dilemma is not analyzed: its auto-corrections are printed as an RFC 6902 JSON Patch
+ * (with --migrate, followed by the migration to the current schema version) and, with --write, also
+ * applied to the file.
+ *
+ * Given a directory or a glob such as "dilemmas/*.json" instead of a file, every dilemma it names is
+ * analyzed: per-dilemma results and an aggregate summary (summary.json, summary.csv) are written to
+ * the output directory (results/batch by default), and the exit code is 1 if any dilemma fails
+ * validation or analysis.
+ *
+ * With --regression each dilemma's results are compared with the golden outputs in its
+ * `expected_outcomes` and a pass/fail table is printed; --snapshot records the current results as
+ * the new goldens. --metamorphic checks that reordering actions or stakeholders, renaming ids,
+ * rescaling 1-10 parameters or adding uninvolved stakeholders leaves every framework's ranking alone,
+ * and that reordering and renaming leave the resolutions and the final recommendation alone too.
+ * --perturb runs the seeded basic/intermediate/advanced/expert perturbation stages and flags changes
+ * in the results that the perturbations do not explain, or that differ between identical runs; a
+ * stage with nothing to perturb is reported as skipped.
+ * --coverage reports which declared inputs each framework evaluator, strategy and hybrid read, and
+ * which inputs nothing read.
+ *
+ * `precedents` manages the precedent case library that the casuistry strategy draws on (the
+ * precedents directory by default, or --library): list its cases, add case files, remove cases by
+ * id, search by words or for the cases relevant to a dilemma file, and import the
+ * `conflicting_elements` analogues of dilemmas and the outcomes of completed analyses as new cases.
+ * Cases already in the library are kept unless --replace is given. Searching for a dilemma file
+ * shows each case's text, ethical dimension and situation parameter similarity, blended with
+ * --weights, and the morally relevant parameters in which the case differs.
  */
 
 import fs from 'fs';
@@ -17,13 +55,15 @@ import {
   processEthicalDilemma, 
   detectConflicts, 
   resolveConflicts,
+  generateCounterfactuals,
   createREASystemAdapter
 } from './src/core/rea.js';
 import {
   performSequentialAnalysis
 } from './src/analysis/sequential/sequentialAnalysis.js';
-import {
+import testDilemma, {
   validateDilemma,
+  PERTURBATION_CONFIG,
   standardizeResolutionDetail,
   verifyOutputQuality,
   standardizeProcessingMode,
@@ -54,6 +94,31 @@ import {
   analyzeConflictSeverity,
   identifyCompromiseAreas
 } from './src/analysis/conflictAnalysis.js';
+import { DISTRIBUTIVE_PRINCIPLES } from './src/frameworks/justice.js';
+import { hasFramework, getRegisteredFrameworks } from './src/frameworks/registry.js';
+import { NORMALIZATION_METHODS } from './src/analysis/moralUncertainty.js';
+import { AGGREGATION_RULES } from './src/analysis/socialChoice.js';
+import { migrateDilemma } from './src/schema/migrations.js';
+import { applyPatch } from './src/schema/jsonPatch.js';
+import {
+  isGlobPattern,
+  resolveDilemmaPaths,
+  analyzeDilemmaFile,
+  summarizeBatch,
+  writeBatchReport
+} from './src/core/batch.js';
+import { runRegressionTests, snapshotOutcomes } from './src/testing/regressionRunner.js';
+import { runMetamorphicTests } from './src/testing/metamorphicTesting.js';
+import { runParameterCoverage, traceInputReaders } from './src/testing/parameterCoverage.js';
+import {
+  listPrecedents,
+  getPrecedentDatabase,
+  addPrecedent,
+  removePrecedent,
+  searchPrecedents,
+  importPrecedents
+} from './src/precedents.js';
+import { findRelevantPrecedents, PRECEDENT_RETRIEVAL_CONFIG } from './src/utils/dilemmaSimilarity.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -62,10 +127,20 @@ const __dirname = path.dirname(__filename);
 const dilemmaArg = process.argv[2];
 if (!dilemmaArg) {
   console.error('Please provide a path to the dilemma JSON file');
-  console.error('Usage: node process-dilemma-direct.js path/to/dilemma.json [--format=json|text|csv] [--no-color] [--sequential]');
+  console.error('Usage: node process-dilemma-direct.js path/to/dilemma.json [--format=json|text|csv] [--no-color] [--sequential] [--justice-principle=egalitarian|prioritarian|sufficientarian|maximin] [--credences=framework:credence,...] [--normalization=variance|range] [--aggregation=rule] [--approval-threshold=n] [--counterfactuals[=final,framework,...]] [--monte-carlo[=samples]] [--seed=n] [--fix [--migrate] [--write]]');
+  console.error('       node process-dilemma-direct.js path/to/directory-or-glob [--output-dir=path] [analysis options]');
+  console.error('       node process-dilemma-direct.js path/to/dilemma-directory-or-glob --regression|--snapshot|--metamorphic');
+  console.error('       node process-dilemma-direct.js path/to/dilemma-directory-or-glob --perturb [--seed=n] [--magnitudes=parameter:0.1,influence:0.3,rule_conflict:0.5]');
+  console.error('       node process-dilemma-direct.js path/to/dilemma-directory-or-glob --coverage');
+  console.error('       node process-dilemma-direct.js precedents list|add|remove|search|import [arguments] [--library=path] [--replace] [--weights=text:0.4,dimensions:0.3,parameters:0.3]');
   process.exit(1);
 }
 
+// Manage the precedent case library instead of analyzing a dilemma
+if (dilemmaArg === 'precedents') {
+  process.exit(runPrecedentCommand(process.argv.slice(3)));
+}
+
 // Resolve dilemma path
 const dilemmaPath = path.resolve(dilemmaArg);
 
@@ -76,7 +151,26 @@ const options = {
   width: DISPLAY_FORMAT_CONFIG.defaultConsoleWidth,
   testCausal: false,
   testSimilarity: false,
-  useSequential: false
+  useSequential: false,
+  justicePrinciple: null,
+  credences: null,
+  normalization: null,
+  aggregation: null,
+  approvalThreshold: null,
+  counterfactuals: null,
+  monteCarlo: false,
+  samples: null,
+  seed: null,
+  fix: false,
+  migrate: false,
+  write: false,
+  outputDir: null,
+  regression: false,
+  snapshot: false,
+  metamorphic: false,
+  perturb: false,
+  magnitudes: null,
+  coverage: false
 };
 
 process.argv.slice(3).forEach(arg => {
@@ -92,9 +186,156 @@ process.argv.slice(3).forEach(arg => {
     options.testSimilarity = true;
   } else if (arg === '--sequential') {
     options.useSequential = true;
+  } else if (arg.startsWith('--justice-principle=')) {
+    options.justicePrinciple = arg.split('=')[1].toLowerCase();
+  } else if (arg.startsWith('--credences=')) {
+    // e.g. --credences=utilitarian:0.4,deontology:0.3
+    options.credences = {};
+    arg.split('=')[1].split(',').filter(Boolean).forEach(entry => {
+      const [framework, credence] = entry.split(':');
+      options.credences[framework.trim().toLowerCase()] = parseFloat(credence);
+    });
+  } else if (arg.startsWith('--normalization=')) {
+    options.normalization = arg.split('=')[1].toLowerCase();
+  } else if (arg.startsWith('--aggregation=')) {
+    options.aggregation = arg.split('=')[1].toLowerCase();
+  } else if (arg.startsWith('--approval-threshold=')) {
+    options.approvalThreshold = parseFloat(arg.split('=')[1]);
+  } else if (arg === '--counterfactuals') {
+    // Search for changes to the final and every framework recommendation
+    options.counterfactuals = [];
+  } else if (arg.startsWith('--counterfactuals=')) {
+    // e.g. --counterfactuals=final,utilitarian
+    options.counterfactuals = arg.split('=')[1].split(',').map(target => target.trim().toLowerCase()).filter(Boolean);
+  } else if (arg === '--monte-carlo') {
+    options.monteCarlo = true;
+  } else if (arg.startsWith('--monte-carlo=')) {
+    options.monteCarlo = true;
+    options.samples = parseInt(arg.split('=')[1], 10);
+  } else if (arg.startsWith('--seed=')) {
+    options.seed = arg.split('=')[1];
+  } else if (arg === '--fix') {
+    options.fix = true;
+  } else if (arg === '--migrate') {
+    options.migrate = true;
+  } else if (arg === '--write') {
+    options.write = true;
+  } else if (arg.startsWith('--output-dir=')) {
+    options.outputDir = arg.slice('--output-dir='.length);
+  } else if (arg === '--regression') {
+    options.regression = true;
+  } else if (arg === '--snapshot') {
+    options.snapshot = true;
+  } else if (arg === '--metamorphic') {
+    options.metamorphic = true;
+  } else if (arg === '--coverage') {
+    options.coverage = true;
+  } else if (arg === '--perturb') {
+    options.perturb = true;
+  } else if (arg.startsWith('--magnitudes=')) {
+    options.magnitudes = {};
+    arg.split('=')[1].split(',').forEach(pair => {
+      const [name, magnitude] = pair.split(':');
+      options.magnitudes[name.trim()] = parseFloat(magnitude);
+    });
   }
 });
 
+if (options.justicePrinciple && !DISTRIBUTIVE_PRINCIPLES[options.justicePrinciple]) {
+  console.error(`Unknown justice principle: ${options.justicePrinciple}`);
+  console.error(`Valid principles: ${Object.keys(DISTRIBUTIVE_PRINCIPLES).join(', ')}`);
+  process.exit(1);
+}
+
+if (options.credences) {
+  const invalid = Object.entries(options.credences)
+    .filter(([framework, credence]) => !hasFramework(framework) || !(credence >= 0 && credence <= 1));
+  if (invalid.length > 0) {
+    console.error(`Invalid credences: ${invalid.map(([framework, credence]) => `${framework}:${credence}`).join(', ')}`);
+    console.error(`Credences must be between 0 and 1 for registered frameworks: ${getRegisteredFrameworks().join(', ')}`);
+    process.exit(1);
+  }
+}
+
+if (options.normalization && !NORMALIZATION_METHODS[options.normalization]) {
+  console.error(`Unknown normalization: ${options.normalization}`);
+  console.error(`Valid normalizations: ${Object.keys(NORMALIZATION_METHODS).join(', ')}`);
+  process.exit(1);
+}
+
+if (options.aggregation && !AGGREGATION_RULES[options.aggregation]) {
+  console.error(`Unknown aggregation rule: ${options.aggregation}`);
+  console.error(`Valid rules: ${Object.keys(AGGREGATION_RULES).join(', ')}`);
+  process.exit(1);
+}
+
+if (options.approvalThreshold !== null && !(options.approvalThreshold >= 0 && options.approvalThreshold <= 1)) {
+  console.error(`Invalid approval threshold: ${options.approvalThreshold}`);
+  console.error('The approval threshold must be between 0 and 1');
+  process.exit(1);
+}
+
+if (options.counterfactuals) {
+  const invalid = options.counterfactuals.filter(target => target !== 'final' && !hasFramework(target));
+  if (invalid.length > 0) {
+    console.error(`Unknown counterfactual targets: ${invalid.join(', ')}`);
+    console.error(`Valid targets: final, ${getRegisteredFrameworks().join(', ')}`);
+    process.exit(1);
+  }
+}
+
+if ((options.migrate || options.write) && !options.fix) {
+  console.error('--migrate and --write only apply together with --fix');
+  process.exit(1);
+}
+
+if (options.magnitudes) {
+  const invalid = Object.entries(options.magnitudes)
+    .filter(([name, magnitude]) => !(name in PERTURBATION_CONFIG.magnitudes) || !(magnitude > 0) ||
+      // Parameters may move down by their magnitude, which must leave them above zero
+      (name !== 'influence' && magnitude >= 1));
+  if (invalid.length > 0) {
+    console.error(`Invalid perturbation magnitudes: ${invalid.map(([name, magnitude]) => `${name}:${magnitude}`).join(', ')}`);
+    console.error(`Magnitudes are relative changes and must be positive for: ${Object.keys(PERTURBATION_CONFIG.magnitudes).join(', ')}; parameter and rule_conflict must also be below 1`);
+    process.exit(1);
+  }
+  if (!options.perturb) {
+    console.error('--magnitudes only applies together with --perturb');
+    process.exit(1);
+  }
+}
+
+if (options.samples !== null && !(options.samples > 0)) {
+  console.error(`Invalid number of Monte Carlo samples: ${options.samples}`);
+  process.exit(1);
+}
+
+// A directory or glob analyzes every dilemma it names
+const batchMode = isGlobPattern(dilemmaArg) || (fs.existsSync(dilemmaPath) && fs.statSync(dilemmaPath).isDirectory());
+if (batchMode && (options.fix || options.useSequential || options.testCausal || options.testSimilarity)) {
+  console.error('--fix, --sequential, --test-causal and --test-similarity need a single dilemma file, not a directory or glob');
+  process.exit(1);
+}
+if (options.outputDir !== null && !batchMode) {
+  console.error('--output-dir is only used when analyzing a directory or glob of dilemmas');
+  process.exit(1);
+}
+
+// Tests run each dilemma with its own settings, so no other mode or override applies
+const testModes = ['regression', 'snapshot', 'metamorphic', 'perturb', 'coverage'].filter(mode => options[mode]);
+// --perturb takes a seed for its perturbations
+const overridesGiven = options.justicePrinciple || options.credences || options.normalization || options.aggregation
+  || options.approvalThreshold !== null || options.counterfactuals || options.monteCarlo || (options.seed !== null && !options.perturb);
+if (testModes.length > 1) {
+  console.error(`Use only one of ${testModes.map(mode => `--${mode}`).join(', ')}`);
+  process.exit(1);
+}
+if (testModes.length > 0 && (overridesGiven || options.fix || options.useSequential || options.testCausal
+  || options.testSimilarity || options.outputDir !== null)) {
+  console.error('--regression, --snapshot, --metamorphic, --perturb and --coverage run each dilemma with its own settings and take no other options');
+  process.exit(1);
+}
+
 // Configure display formatting
 setColorOutput(options.color);
 DISPLAY_FORMAT_CONFIG.dynamicWidth = true;
@@ -125,6 +366,23 @@ if (options.testSimilarity) {
   process.exit(0);
 }
 
+// Compare with or record the golden outputs, or check the metamorphic invariants
+if (testModes.length > 0) {
+  const files = batchMode ? resolveDilemmaPaths(dilemmaArg) : [dilemmaPath];
+  const runners = { regression: runRegression, snapshot: runSnapshot, metamorphic: runMetamorphic, perturb: runPerturbation, coverage: runCoverage };
+  process.exit(await runners[testModes[0]](files, options));
+}
+
+// Analyze every dilemma in a directory or glob
+if (batchMode) {
+  process.exit(await runBatch(dilemmaArg, options));
+}
+
+// Emit the dilemma's corrections as a JSON Patch instead of analyzing it
+if (options.fix) {
+  process.exit(fixDilemmaFile(dilemmaPath, options));
+}
+
 // Load the dilemma
 console.log(formatConsoleOutput(`Loading dilemma from: ${dilemmaPath}`));
 
@@ -133,8 +391,11 @@ try {
   const dilemmaData = fs.readFileSync(dilemmaPath, 'utf8');
   const dilemma = JSON.parse(dilemmaData);
   
+  // Options given on the command line override the dilemma's own settings
+  applyCommandLineOverrides(dilemma, options);
+  
   // Validate the dilemma
-  const validationResult = validateDilemma(dilemma);
+  const validationResult = validateDilemma(dilemma, { sourceName: path.basename(dilemmaPath, path.extname(dilemmaPath)) });
   if (!validationResult.isValid) {
     printFormatted('VALIDATION ISSUES', 
       `Found ${validationResult.errors.length} validation issues (${validationResult.severityCounts.critical} critical, ${validationResult.severityCounts.moderate} moderate, ${validationResult.severityCounts.minor} minor)`);
@@ -167,6 +428,7 @@ try {
       validationResult.autoCorrections.details
         .filter(corr => corr.success)
         .forEach(corr => console.log(formatConsoleOutput(`  - ${corr.error} → ${corr.correction}`)));
+      console.log(formatConsoleOutput(`\nRun with --fix to review these corrections as a JSON Patch, or --fix --write to save them to ${path.basename(dilemmaPath)}.`));
     }
     
     if (!validationResult.fixed && validationResult.severityCounts.critical > 0) {
@@ -193,7 +455,7 @@ try {
     console.log(formatConsoleOutput(`\nUsing sequential thinking approach for dilemma analysis...`));
     
     // Perform sequential analysis
-    const sequentialResult = performSequentialAnalysis(dilemma);
+    const sequentialResult = await performSequentialAnalysis(dilemma);
     
     // Display sequential reasoning chain
     printFormatted('SEQUENTIAL REASONING CHAIN', '');
@@ -230,7 +492,7 @@ try {
   
   // STEP 1: Framework Analysis
   console.log(formatConsoleOutput('STEP 1: Processing dilemma through framework analysis...'));
-  const results = processEthicalDilemma(standardizedDilemma);
+  const results = await processEthicalDilemma(standardizedDilemma);
   
   // Display framework recommendations
   printFormatted('FRAMEWORK RECOMMENDATIONS', '');
@@ -240,7 +502,7 @@ try {
       const frameworkValidation = validateComponentStructure(analysis, 'framework');
       
       console.log(formatConsoleOutput(`--- ${framework.toUpperCase()} FRAMEWORK ---`));
-      console.log(formatConsoleOutput(`Recommended Action: ${analysis.recommendedAction}`));
+      console.log(formatConsoleOutput(`Recommended Action: ${analysis.recommendedAction || 'undetermined'}`));
       console.log(formatConsoleOutput(`Justification: ${analysis.justification}`));
       
       // Display parameter sensitivities
@@ -272,17 +534,59 @@ try {
     console.log(formatConsoleOutput('No framework recommendations found.'));
   }
   
+  // Display Monte Carlo uncertainty analysis
+  if (results.monteCarlo) {
+    const monteCarlo = results.monteCarlo;
+    const percent = probability => `${(probability * 100).toFixed(1)}%`;
+    printFormatted('MONTE CARLO UNCERTAINTY', '');
+    console.log(formatConsoleOutput(`${monteCarlo.samples} samples, seed ${monteCarlo.seed}, ${percent(monteCarlo.interval)} intervals\n`));
+    
+    console.log(formatConsoleOutput('Uncertain Parameters:'));
+    for (const [parameter, summary] of Object.entries(monteCarlo.parameters)) {
+      const spread = summary.frequencies
+        ? Object.entries(summary.frequencies).map(([value, frequency]) => `${value}: ${percent(frequency)}`).join(', ')
+        : `mean ${summary.mean} [${summary.lower}, ${summary.upper}]`;
+      console.log(formatConsoleOutput(`  - ${parameter} (${summary.distribution.type}): ${spread}`));
+    }
+    
+    for (const [framework, summary] of Object.entries(monteCarlo.frameworks)) {
+      console.log(formatConsoleOutput(`\n${framework}:`));
+      console.log(formatConsoleOutput(`  Recommendation probabilities: ${Object.entries(summary.action_probabilities)
+        .map(([action, probability]) => `${action} ${percent(probability)}`).join(', ')}`));
+      for (const [action, interval] of Object.entries(summary.score_intervals)) {
+        console.log(formatConsoleOutput(`  Score of ${action}: ${interval.mean} [${interval.lower}, ${interval.upper}]`));
+      }
+    }
+    
+    console.log(formatConsoleOutput(`\nFramework consensus (weighted framework vote, not the final recommendation): ${Object.entries(monteCarlo.framework_consensus.action_probabilities)
+      .map(([action, probability]) => `${action} ${percent(probability)}`).join(', ')}\n`));
+  }
+  
   // Display stakeholder impacts
   printFormatted('STAKEHOLDER IMPACTS', '');
-  if (results.stakeholderImpacts) {
-    // Find the stakeholder with the highest impact to display first
+  if (results.stakeholderImpacts && Object.keys(results.stakeholderImpacts).length > 0) {
+    const formatImpact = value => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+    
+    const describeActions = (action, tied) => action || `tie between ${tied.join(', ')}`;
+    
+    // Most benefited stakeholders first, under the action most frameworks recommend
     const stakeholderEntries = Object.entries(results.stakeholderImpacts);
-    stakeholderEntries.sort((a, b) => b[1].impact - a[1].impact);
+    stakeholderEntries.sort((a, b) => (b[1].impact ?? 0) - (a[1].impact ?? 0));
     
     stakeholderEntries.forEach(([stakeholderId, impact]) => {
-      console.log(formatConsoleOutput(`--- ${stakeholderId} ---`));
-      console.log(formatConsoleOutput(`Impact: ${impact.impact.toFixed(2)}`));
-      console.log(formatConsoleOutput(`Explanation: ${impact.explanation}\n`));
+      console.log(formatConsoleOutput(`--- ${impact.name || stakeholderId} ---`));
+      const preference = impact.best_action || impact.best_tied_actions
+        ? `best: ${describeActions(impact.best_action, impact.best_tied_actions)}, ` +
+          `worst: ${describeActions(impact.worst_action, impact.worst_tied_actions)}`
+        : 'affected equally by every action';
+      console.log(formatConsoleOutput(impact.action
+        ? `Impact under ${impact.action}: ${formatImpact(impact.impact)} (${preference})`
+        : `No recommended action to report the impact under (${preference})`));
+      console.log(formatConsoleOutput(`Explanation: ${impact.explanation}`));
+      const byAction = Object.entries(impact.by_action || {})
+        .map(([action, value]) => `${action} ${formatImpact(value)}`)
+        .join(', ');
+      console.log(formatConsoleOutput(`By action: ${byAction}\n`));
     });
   } else {
     console.log(formatConsoleOutput('No stakeholder impact results found.'));
@@ -290,7 +594,7 @@ try {
   
   // STEP 2: Conflict Detection
   console.log(formatConsoleOutput('STEP 2: Detecting ethical conflicts and framework interactions...'));
-  const conflicts = detectConflicts(standardizedDilemma);
+  const conflicts = await detectConflicts(standardizedDilemma);
   
   printFormatted('ETHICAL CONFLICTS', '');
   if (conflicts.conflicts && conflicts.conflicts.length > 0) {
@@ -360,13 +664,13 @@ try {
     console.log(formatConsoleOutput('No framework interactions detected in this dilemma.\n'));
   }
   
-  // STEP 3: Conflict Resolution
-  let resolutions = { resolutions: [], metadata: { resolution_count: 0 } };
+  // STEP 3: Conflict Resolution. Resolving also synthesizes the final recommendation, so it runs
+  // when the frameworks agree as well
+  const hasConflicts = conflicts.conflicts && conflicts.conflicts.length > 0;
+  console.log(formatConsoleOutput(hasConflicts ? 'STEP 3: Resolving ethical conflicts...' : 'STEP 3: No conflicts to resolve.'));
+  const resolutions = await resolveConflicts(results, conflicts, standardizedDilemma);
   
-  if (conflicts.conflicts && conflicts.conflicts.length > 0) {
-    console.log(formatConsoleOutput('STEP 3: Resolving ethical conflicts...'));
-    resolutions = resolveConflicts(results, conflicts, standardizedDilemma);
-    
+  if (hasConflicts) {
     printFormatted('CONFLICT RESOLUTIONS', '');
     if (resolutions.resolutions && resolutions.resolutions.length > 0) {
       console.log(formatConsoleOutput(`Generated ${resolutions.resolutions.length} resolutions:\n`));
@@ -432,7 +736,47 @@ try {
             }
           }
         } else if (strategyName === 'multi_framework_integration') {
-          console.log(formatConsoleOutput(`Meta-Recommendation: ${standardizedResolution.meta_recommendation}`));
+          const metaRecommendation = standardizedResolution.meta_recommendation ||
+            (standardizedResolution.tied_actions ? `tie between ${standardizedResolution.tied_actions.join(', ')}` : 'none');
+          console.log(formatConsoleOutput(`Meta-Recommendation: ${metaRecommendation}`));
+          
+          const uncertainty = standardizedResolution.moral_uncertainty;
+          if (uncertainty) {
+            console.log(formatConsoleOutput(`Normalization: ${uncertainty.normalization}`));
+            console.log(formatConsoleOutput('Credences:'));
+            for (const [framework, credence] of Object.entries(uncertainty.credences)) {
+              console.log(formatConsoleOutput(`  ${framework}: ${(credence * 100).toFixed(0)}%`));
+            }
+            console.log(formatConsoleOutput('Expected Choiceworthiness:'));
+            uncertainty.ranking.forEach(action => {
+              console.log(formatConsoleOutput(`  ${action}: ${uncertainty.expected_choiceworthiness[action].toFixed(3)}`));
+            });
+            console.log(formatConsoleOutput('Credence Sensitivity:'));
+            for (const [framework, sensitivity] of Object.entries(uncertainty.credence_sensitivity)) {
+              const intervals = sensitivity.intervals
+                .map(interval => `${(interval.from * 100).toFixed(0)}-${(interval.to * 100).toFixed(0)}%: ${interval.winner}`)
+                .join(', ');
+              console.log(formatConsoleOutput(`  ${framework}: ${intervals || 'n/a'}`));
+            }
+          }
+          
+          const socialChoice = standardizedResolution.social_choice;
+          if (socialChoice) {
+            console.log(formatConsoleOutput(`Aggregation Rule: ${socialChoice.rule}`));
+            console.log(formatConsoleOutput(`Ranking: ${socialChoice.ranking.join(' > ')}`));
+            console.log(formatConsoleOutput('Winner by Rule:'));
+            for (const [rule, result] of Object.entries(socialChoice.results)) {
+              const tie = result.tied_winners.length > 1 ? ` (tied: ${result.tied_winners.join(', ')})` : '';
+              console.log(formatConsoleOutput(`  ${rule}: ${result.winner}${tie}`));
+            }
+            console.log(formatConsoleOutput(`Condorcet Winner: ${socialChoice.condorcet_winner || 'none'}`));
+            if (!socialChoice.condorcet_winner) {
+              console.log(formatConsoleOutput(`Smith Set: ${socialChoice.smith_set.join(', ')}`));
+            }
+            socialChoice.cycles.forEach(cycle => {
+              console.log(formatConsoleOutput(`Majority Cycle: ${cycle.join(' > ')}`));
+            });
+          }
           
           if (standardizedResolution.action_groups) {
             console.log(formatConsoleOutput('Action Groups:'));
@@ -514,51 +858,74 @@ try {
         console.log(formatConsoleOutput(`\nDescription:\n${insight.description}\n`));
       });
     }
+  }
+  
+  // Display final recommendation if available
+  if (resolutions.finalRecommendation || resolutions.final_recommendation) {
+    // Use whichever property is available
+    const finalRec = resolutions.final_recommendation || resolutions.finalRecommendation;
     
-    // Display final recommendation if available
-    if (resolutions.finalRecommendation || resolutions.final_recommendation) {
-      // Use whichever property is available
-      const finalRec = resolutions.final_recommendation || resolutions.finalRecommendation;
-      
-      printFormatted('FINAL RECOMMENDATION', '');
-      console.log(formatConsoleOutput(`Recommended Action: ${finalRec.action}`));
-      console.log(formatConsoleOutput(`Confidence: ${(finalRec.confidence * 100).toFixed(1)}%`));
-      console.log(formatConsoleOutput(`Supporting Frameworks: ${finalRec.supporting_frameworks.join(', ')}`));
-      console.log(formatConsoleOutput(`Opposing Frameworks: ${finalRec.opposing_frameworks.join(', ')}`));
-      
-      console.log(formatConsoleOutput(`\nConfidence Factors:`));
-      if (finalRec.confidence_factors) {
-        for (const [factor, value] of Object.entries(finalRec.confidence_factors)) {
-          console.log(formatConsoleOutput(`  - ${factor.replace(/_/g, ' ')}: ${(value * 100).toFixed(1)}%`));
-        }
-      }
-      
-      console.log(formatConsoleOutput(`\nFramework Interactions:`));
-      if (finalRec.framework_interactions &&
-          finalRec.framework_interactions.length > 0) {
-        console.log(formatConsoleOutput(``));
-        finalRec.framework_interactions.forEach(interaction => {
-          console.log(formatConsoleOutput(`  - ${interaction}`));
-        });
-      } else {
-        console.log(formatConsoleOutput(`  No significant framework interactions found`));
+    printFormatted('FINAL RECOMMENDATION', '');
+    console.log(formatConsoleOutput(`Recommended Action: ${finalRec.action || `tie between ${finalRec.tied_actions.join(', ')}`}`));
+    console.log(formatConsoleOutput(`Confidence: ${(finalRec.confidence * 100).toFixed(1)}%`));
+    console.log(formatConsoleOutput(`Supporting Frameworks: ${finalRec.supporting_frameworks.join(', ')}`));
+    console.log(formatConsoleOutput(`Opposing Frameworks: ${finalRec.opposing_frameworks.join(', ')}`));
+    
+    console.log(formatConsoleOutput(`\nConfidence Factors:`));
+    if (finalRec.confidence_factors) {
+      for (const [factor, value] of Object.entries(finalRec.confidence_factors)) {
+        console.log(formatConsoleOutput(`  - ${factor.replace(/_/g, ' ')}: ${(value * 100).toFixed(1)}%`));
       }
-      
-      console.log(formatConsoleOutput(`\nReasoning:\n`));
-      console.log(formatConsoleOutput(finalRec.reasoning));
-      
-      console.log(formatConsoleOutput(`\nCritical Parameters:`));
-      if (finalRec.critical_parameters && finalRec.critical_parameters.length > 0) {
-        console.log(formatConsoleOutput(``));
-        finalRec.critical_parameters.forEach(param => {
-          console.log(formatConsoleOutput(`  - ${param}`));
-        });
-      } else {
-        console.log(formatConsoleOutput(`  No critical parameters identified`));
+    }
+    
+    console.log(formatConsoleOutput(`\nFramework Interactions:`));
+    if (finalRec.framework_interactions &&
+        finalRec.framework_interactions.length > 0) {
+      console.log(formatConsoleOutput(``));
+      finalRec.framework_interactions.forEach(interaction => {
+        console.log(formatConsoleOutput(`  - ${interaction}`));
+      });
+    } else {
+      console.log(formatConsoleOutput(`  No significant framework interactions found`));
+    }
+    
+    console.log(formatConsoleOutput(`\nReasoning:\n`));
+    console.log(formatConsoleOutput(finalRec.reasoning));
+    
+    console.log(formatConsoleOutput(`\nCritical Parameters:`));
+    if (finalRec.critical_parameters && finalRec.critical_parameters.length > 0) {
+      console.log(formatConsoleOutput(``));
+      finalRec.critical_parameters.forEach(param => {
+        console.log(formatConsoleOutput(`  - ${param}`));
+      });
+    } else {
+      console.log(formatConsoleOutput(`  No critical parameters identified`));
+    }
+  }
+  
+  // Optional: the smallest changes to the facts that would change the recommendations
+  let counterfactuals = null;
+  if (options.counterfactuals) {
+    console.log(formatConsoleOutput('Searching for counterfactuals...'));
+    counterfactuals = await generateCounterfactuals(standardizedDilemma, options.counterfactuals.length > 0
+      ? { targets: options.counterfactuals }
+      : {});
+    
+    printFormatted('COUNTERFACTUALS', '');
+    console.log(formatConsoleOutput(`Searched ${counterfactuals.searched.candidates} parameters and stakeholder influences (${counterfactuals.searched.evaluations} evaluations)\n`));
+    for (const [target, action] of Object.entries(counterfactuals.baseline)) {
+      const found = counterfactuals.counterfactuals.filter(counterfactual => counterfactual.target === target);
+      const tied = counterfactuals.baseline_tied_actions?.[target];
+      const baselineText = action || (tied ? `tie between ${tied.join(' and ')}` : 'no recommendation');
+      console.log(formatConsoleOutput(`${target === 'final' ? 'Final recommendation' : target}: ${baselineText}`));
+      if (found.length === 0) {
+        console.log(formatConsoleOutput('  No counterfactual found within the declared bounds'));
       }
+      // Explanations are printed in full rather than cut at the console width
+      found.forEach(counterfactual => {
+        console.log(`  - [distance ${counterfactual.distance.toFixed(3)}] ${counterfactual.explanation}`);
+      });
     }
-  } else {
-    console.log(formatConsoleOutput('STEP 3: No conflicts to resolve.'));
   }
   
   // Prepare complete results
@@ -566,13 +933,18 @@ try {
     dilemma: {
       id: standardizedDilemma.id,
       title: standardizedDilemma.title,
-      description: standardizedDilemma.description
+      description: standardizedDilemma.description,
+      // Kept so the analysis can be harvested as a precedent case
+      ethical_dimensions: standardizedDilemma.ethical_dimensions,
+      situation: standardizedDilemma.situation,
+      possible_actions: standardizedDilemma.possible_actions
     },
     processing: results,
     conflicts: conflicts,
     resolutions: resolutions,
     // Use whichever format is available (preference for underscore format)
-    finalRecommendation: resolutions.final_recommendation || resolutions.finalRecommendation
+    finalRecommendation: resolutions.final_recommendation || resolutions.finalRecommendation,
+    ...(counterfactuals ? { counterfactuals } : {})
   };
   
   // Post-process to ensure strategy-specific fields are preserved
@@ -738,6 +1110,505 @@ try {
   process.exit(1);
 }
 
+/**
+ * Analyze every dilemma in a directory or glob, printing one line per dilemma and the aggregate
+ * totals, and write per-dilemma results with summary.json and summary.csv
+ * @param {string} target - Directory or glob pattern
+ * @param {Object} options - Command-line options
+ * @returns {Promise<number>} Exit code: 1 if no dilemmas were found or any failed validation or analysis
+ */
+async function runBatch(target, options) {
+  const files = resolveDilemmaPaths(target);
+  if (files.length === 0) {
+    console.error(`No dilemma files found for: ${target}`);
+    return 1;
+  }
+
+  printFormatted('BATCH ANALYSIS', `Analyzing ${files.length} dilemmas from: ${target}`);
+
+  const entries = [];
+  for (const file of files) {
+    const entry = await analyzeDilemmaFile(file, {
+      prepare: dilemma => applyCommandLineOverrides(dilemma, options),
+      counterfactuals: options.counterfactuals
+    });
+    entries.push(entry);
+
+    const outcome = entry.error
+      || (entry.analyzed
+        ? `${entry.results.finalRecommendation?.action || 'no recommendation'} (confidence ${(entry.results.finalRecommendation?.confidence ?? 0).toFixed(2)})`
+        : 'not analyzed: critical validation issues');
+    console.log(formatConsoleOutput(`  ${path.basename(file)} [${entry.validation.status}] ${outcome}`));
+    entry.validation.errors.forEach(error => console.log(formatConsoleOutput(`      - ${error}`)));
+  }
+
+  const summary = summarizeBatch(entries);
+  const { totals } = summary;
+
+  printFormatted('BATCH SUMMARY',
+    `${totals.analyzed} of ${totals.dilemmas} dilemmas analyzed; validation: ${Object.entries(totals.validation).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  console.log(formatConsoleOutput('\nRecommendations by framework:'));
+  Object.entries(totals.recommendations).forEach(([framework, actions]) => {
+    console.log(formatConsoleOutput(`  ${framework}: ${Object.entries(actions).map(([action, count]) => `${action} x${count}`).join(', ')}`));
+  });
+  console.log(formatConsoleOutput(`\nConflicts: ${totals.conflicts.total} (${Object.entries(totals.conflicts.by_type).map(([type, count]) => `${count} ${type}`).join(', ') || 'none'})`));
+  console.log(formatConsoleOutput(`Strategies: ${Object.entries(totals.strategies).map(([name, count]) => `${name} x${count}`).join(', ') || 'none'}`));
+
+  const outputDir = options.outputDir ? path.resolve(options.outputDir) : path.join(__dirname, 'results', 'batch');
+  const written = writeBatchReport(entries, summary, outputDir);
+  console.log(formatConsoleOutput(`\n=== BATCH COMPLETE ===`));
+  console.log(formatConsoleOutput(`${written.results.length} analyses saved to: ${outputDir}`));
+  console.log(formatConsoleOutput(`Summary saved to: ${written.summaryJson} and ${written.summaryCsv}`));
+
+  return summary.dilemmas.some(row => row.validation.status === 'invalid' || row.error) ? 1 : 0;
+}
+
+/**
+ * Run the regression tests of dilemma files and print a pass/fail table, with the mismatches of
+ * each failing dilemma
+ * @param {Array<string>} files - Dilemma file paths
+ * @returns {Promise<number>} Exit code: 1 if no files were given or any test failed or errored
+ */
+async function runRegression(files) {
+  if (files.length === 0) {
+    console.error('No dilemma files found');
+    return 1;
+  }
+
+  printFormatted('REGRESSION TESTS', `Comparing ${files.length} dilemmas with their expected outcomes`);
+  const report = await runRegressionTests(files);
+
+  const formatCheck = check => (check && check.total > 0 ? `${check.matched}/${check.total}` : '-');
+  const rows = report.tests.map(test => [
+    path.basename(test.file),
+    formatCheck(test.comparison?.checks.frameworks),
+    formatCheck(test.comparison?.checks.conflicts),
+    formatCheck(test.comparison?.checks.strategies),
+    formatCheck(test.comparison?.checks.final),
+    test.status.toUpperCase()
+  ]);
+  const header = ['Dilemma', 'Frameworks', 'Conflicts', 'Strategies', 'Final', 'Result'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(formatConsoleOutput(`\n${formatRow(header)}`));
+  console.log(formatConsoleOutput(widths.map(width => '-'.repeat(width)).join('  ')));
+  rows.forEach(row => console.log(formatConsoleOutput(formatRow(row))));
+
+  report.tests.filter(test => test.status === 'fail' || test.status === 'error').forEach(test => {
+    console.log(formatConsoleOutput(`\n${path.basename(test.file)}:`));
+    (test.error ? [test.error] : test.comparison.mismatches)
+      .forEach(message => console.log(formatConsoleOutput(`  - ${message}`)));
+  });
+
+  const { totals } = report;
+  console.log(formatConsoleOutput(`\n${totals.passed} passed, ${totals.failed} failed, ${totals.errors} errors, ${totals.skipped} skipped (no expected_outcomes)`));
+  if (totals.failed > 0) {
+    console.log(formatConsoleOutput('If a change in results is intended, run with --snapshot to record them as the new expected outcomes.'));
+  }
+
+  return totals.tests === 0 || totals.failed > 0 || totals.errors > 0 ? 1 : 0;
+}
+
+/**
+ * Record the current results of dilemma files as their expected outcomes
+ * @param {Array<string>} files - Dilemma file paths
+ * @returns {Promise<number>} Exit code: 1 if no files were given or any dilemma could not be analyzed
+ */
+async function runSnapshot(files) {
+  if (files.length === 0) {
+    console.error('No dilemma files found');
+    return 1;
+  }
+
+  printFormatted('SNAPSHOT', `Recording the expected outcomes of ${files.length} dilemmas`);
+  const snapshots = await snapshotOutcomes(files);
+  snapshots.forEach(snapshot => {
+    console.log(formatConsoleOutput(`  ${path.basename(snapshot.file)} [${snapshot.status}]${snapshot.error ? ` ${snapshot.error}` : ''}`));
+  });
+
+  return snapshots.some(snapshot => snapshot.status === 'error') ? 1 : 0;
+}
+
+/**
+ * Check the metamorphic invariants of dilemma files, printing each broken invariant with the
+ * minimal transformation that broke it and the rankings and outcomes it changed
+ * @param {Array<string>} files - Dilemma file paths
+ * @returns {Promise<number>} Exit code: 1 if no files were given, a file cannot be read or any invariant fails
+ */
+async function runMetamorphic(files) {
+  if (files.length === 0) {
+    console.error('No dilemma files found');
+    return 1;
+  }
+
+  printFormatted('METAMORPHIC TESTS', `Checking ranking and outcome invariants of ${files.length} dilemmas`);
+
+  let failures = 0;
+  for (const file of files) {
+    let report;
+    try {
+      report = await runMetamorphicTests(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      failures++;
+      console.log(formatConsoleOutput(`\n${path.basename(file)}: ERROR ${error.message}`));
+      continue;
+    }
+
+    const failed = report.invariants.filter(invariant => !invariant.passed);
+    failures += failed.length;
+    console.log(formatConsoleOutput(`\n${path.basename(file)}: ${report.invariants.length - failed.length}/${report.invariants.length} invariants hold`));
+    report.invariants.forEach(invariant => {
+      console.log(formatConsoleOutput(`  [${invariant.passed ? 'PASS' : 'FAIL'}] ${invariant.description} (${invariant.checked} checked)`));
+      if (!invariant.failure) return;
+      console.log(formatConsoleOutput(`      Broken by: ${invariant.failure.transformation}`));
+      invariant.failure.frameworks.forEach(change => {
+        console.log(formatConsoleOutput(`      ${change.framework} before: ${change.expected}`));
+        console.log(formatConsoleOutput(`      ${change.framework} after:  ${change.actual}`));
+      });
+      invariant.failure.outcomes.forEach(change => {
+        console.log(formatConsoleOutput(`      ${change.outcome} before: ${change.expected}`));
+        console.log(formatConsoleOutput(`      ${change.outcome} after:  ${change.actual}`));
+      });
+    });
+  }
+
+  console.log(formatConsoleOutput(`\n${failures === 0 ? 'All invariants hold' : `${failures} invariant failures`}`));
+  return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Run the seeded perturbation stages on dilemma files, printing each stage's perturbations and the
+ * changes they caused with their classification
+ * @param {Array<string>} files - Dilemma file paths
+ * @param {Object} options - Command-line options; `seed` and `magnitudes` configure the perturbations
+ * @returns {Promise<number>} Exit code: 1 if no files were given, a dilemma cannot be tested or any stage fails
+ */
+async function runPerturbation(files, options) {
+  if (files.length === 0) {
+    console.error('No dilemma files found');
+    return 1;
+  }
+
+  // Numeric seeds stay numbers, as for Monte Carlo sampling
+  const seed = options.seed === null ? PERTURBATION_CONFIG.seed : (Number.isFinite(Number(options.seed)) ? Number(options.seed) : options.seed);
+  const magnitudes = { ...PERTURBATION_CONFIG.magnitudes, ...(options.magnitudes || {}) };
+  printFormatted('PERTURBATION TESTS', `Perturbing ${files.length} dilemmas with seed ${seed} (${Object.entries(magnitudes).map(([name, magnitude]) => `${name} ${magnitude}`).join(', ')})`);
+
+  const describe = perturbation => `${perturbation.target} ${perturbation.from} → ${perturbation.to}`;
+  let failures = 0;
+  for (const file of files) {
+    let report;
+    try {
+      report = await testDilemma(JSON.parse(fs.readFileSync(file, 'utf8')), createREASystemAdapter(),
+        { seed, magnitudes, traceReaders: traceInputReaders });
+    } catch (error) {
+      failures++;
+      console.log(formatConsoleOutput(`\n${path.basename(file)}: ERROR ${error.message}`));
+      continue;
+    }
+
+    if (report.stage === 'validation') {
+      failures++;
+      console.log(formatConsoleOutput(`\n${path.basename(file)}: INVALID`));
+      report.errors.forEach(error => console.log(formatConsoleOutput(`  - [${error.severity}] ${error.message}`)));
+      continue;
+    }
+
+    const stages = Object.entries(report.results).filter(([stage]) => stage !== 'validation');
+    const tested = stages.length - report.skippedStages.length;
+    failures += report.failedStages.length;
+    console.log(formatConsoleOutput(`\n${path.basename(file)}: ${tested - report.failedStages.length}/${tested} stages pass` +
+      (report.skippedStages.length > 0 ? `, ${report.skippedStages.length} skipped` : '')));
+    stages.forEach(([stage, result]) => {
+      if (result.skipped) {
+        console.log(formatConsoleOutput(`  [SKIP] ${stage}: ${result.reason}`));
+        return;
+      }
+      const { expected, unexpected, unstable } = result.counts;
+      console.log(formatConsoleOutput(`  [${result.passed ? 'PASS' : 'FAIL'}] ${stage}: ${result.perturbations.length} perturbations, ` +
+        `${expected} expected, ${unexpected} unexpected, ${unstable} unstable changes`));
+      result.perturbations.forEach(perturbation => console.log(formatConsoleOutput(`      Perturbed ${describe(perturbation)}`)));
+      result.changes.forEach(change => {
+        console.log(formatConsoleOutput(`      ${change.classification.toUpperCase()} ${change.kind} ${change.field}: ${change.before} → ${change.after}`));
+        console.log(formatConsoleOutput(`        ${change.reason}`));
+      });
+    });
+  }
+
+  console.log(formatConsoleOutput(`\n${failures === 0 ? 'All stages pass' : `${failures} failed stages`}`));
+  return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Report which declared inputs of dilemma files the pipeline reads, by which component, and which
+ * inputs nothing reads
+ * @param {Array<string>} files - Dilemma file paths
+ * @returns {Promise<number>} Exit code: 1 if no files were given or a dilemma cannot be analyzed
+ */
+async function runCoverage(files) {
+  if (files.length === 0) {
+    console.error('No dilemma files found');
+    return 1;
+  }
+
+  printFormatted('PARAMETER COVERAGE', `Tracing the inputs read while analyzing ${files.length} dilemmas`);
+
+  let errors = 0;
+  for (const file of files) {
+    let report;
+    try {
+      report = await runParameterCoverage(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      errors++;
+      console.log(formatConsoleOutput(`\n${path.basename(file)}: ERROR ${error.message}`));
+      continue;
+    }
+
+    console.log(formatConsoleOutput(`\n${path.basename(file)}: ${report.used}/${report.declared} declared inputs read`));
+    const groupWidth = Math.max(...Object.keys(report.groups).map(group => group.length));
+    Object.entries(report.groups).forEach(([group, counts]) => {
+      console.log(formatConsoleOutput(`  ${group.padEnd(groupWidth)}  ${counts.used}/${counts.declared}`));
+    });
+
+    console.log(formatConsoleOutput('  Read by:'));
+    const componentWidth = Math.max(...report.components.map(entry => entry.component.length));
+    report.components.forEach(({ component, inputs }) => {
+      console.log(formatConsoleOutput(`    ${component.padEnd(componentWidth)}  ${inputs.length} inputs`));
+    });
+
+    if (report.unused.length > 0) {
+      console.log(formatConsoleOutput(`  Never read (${report.unused.length}):`));
+      report.unused.forEach(input => console.log(formatConsoleOutput(`    ${input}`)));
+    }
+    if (report.missing.length > 0) {
+      console.log(formatConsoleOutput(`  Looked up but not declared (${report.missing.length}):`));
+      report.missing.forEach(({ name, locations, readers }) => {
+        console.log(formatConsoleOutput(`    ${name} in ${locations.join(', ')} by ${readers.join(', ')}`));
+      });
+    }
+  }
+
+  return errors > 0 ? 1 : 0;
+}
+
+/**
+ * Apply the analysis options given on the command line to a dilemma, overriding its own settings
+ * @param {Object} dilemma - The dilemma, modified in place
+ * @param {Object} options - Command-line options
+ */
+function applyCommandLineOverrides(dilemma, options) {
+  // A principle given on the command line overrides the one declared by the dilemma
+  if (options.justicePrinciple) {
+    dilemma.justice = { ...(dilemma.justice || {}), principle: options.justicePrinciple };
+  }
+
+  // Credences or a normalization given on the command line switch on moral uncertainty aggregation
+  if (options.credences || options.normalization) {
+    dilemma.moral_uncertainty = {
+      ...(dilemma.moral_uncertainty || {}),
+      ...(options.credences ? { credences: options.credences } : {}),
+      ...(options.normalization ? { normalization: options.normalization } : {})
+    };
+  }
+
+  // An aggregation rule given on the command line switches on social-choice aggregation
+  if (options.aggregation || options.approvalThreshold !== null) {
+    dilemma.aggregation = {
+      ...(dilemma.aggregation || {}),
+      rule: options.aggregation || dilemma.aggregation?.rule || 'approval',
+      ...(options.approvalThreshold !== null ? { approval_threshold: options.approvalThreshold } : {})
+    };
+  }
+
+  // Monte Carlo sampling of the parameters' distributions; numeric seeds stay numbers
+  if (options.monteCarlo || options.seed !== null) {
+    dilemma.monte_carlo = {
+      ...(dilemma.monte_carlo || {}),
+      ...(options.samples ? { samples: options.samples } : {}),
+      ...(options.seed !== null ? { seed: /^\d+$/.test(options.seed) ? Number(options.seed) : options.seed } : {})
+    };
+  }
+}
+
+/**
+ * Print a dilemma file's auto-corrections as a JSON Patch (RFC 6902) on stdout, optionally followed
+ * by its migration to the current schema version, and write the corrected file if asked. Issues
+ * without an auto-correction are reported on stderr.
+ * @param {string} dilemmaPath - Path to the dilemma file
+ * @param {Object} options - Command-line options (migrate, write)
+ * @returns {number} Exit code: 1 if the file cannot be read or critical issues remain
+ */
+function fixDilemmaFile(dilemmaPath, options) {
+  let dilemmaData;
+  let fixed;
+  try {
+    dilemmaData = fs.readFileSync(dilemmaPath, 'utf8');
+    fixed = JSON.parse(dilemmaData);
+  } catch (error) {
+    console.error(`Cannot read ${dilemmaPath}: ${error.message}`);
+    return 1;
+  }
+
+  // The patch is recorded against the file as written
+  const validationResult = validateDilemma(fixed, { sourceName: path.basename(dilemmaPath, path.extname(dilemmaPath)) });
+  const patch = [...validationResult.patch];
+
+  let result = fixed;
+  if (options.migrate) {
+    try {
+      const migration = migrateDilemma(fixed);
+      patch.push(...migration.operations);
+      result = migration.dilemma;
+    } catch (error) {
+      console.error(`Cannot migrate ${dilemmaPath}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  // Check the patch reproduces the corrected dilemma before anyone relies on it
+  const patched = applyPatch(JSON.parse(dilemmaData), patch);
+  if (JSON.stringify(patched) !== JSON.stringify(result)) {
+    console.error('The generated patch does not reproduce the corrected dilemma; nothing was written');
+    return 1;
+  }
+
+  console.log(JSON.stringify(patch, null, 2));
+
+  const remaining = validationResult.errors.filter(error => !error.severity.includes('auto-fixed'));
+  console.error(`${patch.length} change${patch.length === 1 ? '' : 's'} for ${path.basename(dilemmaPath)}`);
+  if (remaining.length > 0) {
+    console.error('Issues that need a manual fix:');
+    remaining.forEach(error => console.error(`  - [${error.severity}] ${error.message}`));
+  }
+
+  if (options.write && patch.length > 0) {
+    const trailingNewline = dilemmaData.endsWith('\n') ? '\n' : '';
+    fs.writeFileSync(dilemmaPath, `${JSON.stringify(result, null, 2)}${trailingNewline}`);
+    console.error(`Wrote ${dilemmaPath}`);
+  }
+
+  return remaining.some(error => error.severity === 'critical') ? 1 : 0;
+}
+
+/**
+ * Manage the precedent case library: list, add, search, remove or import cases
+ * @param {Array<string>} args - Arguments after `precedents`: a subcommand, its operands and
+ *   --library=path, --replace or --weights=component:weight,...
+ * @returns {number} Exit code: 1 on unknown subcommands, missing operands or failed changes
+ */
+function runPrecedentCommand(args) {
+  const [command, ...rest] = args;
+  const operands = rest.filter(arg => !arg.startsWith('--'));
+  const library = rest.find(arg => arg.startsWith('--library='))?.slice('--library='.length);
+  const replace = rest.includes('--replace');
+  const unknown = rest.filter(arg => arg.startsWith('--') && arg !== '--replace'
+    && !arg.startsWith('--library=') && !arg.startsWith('--weights='));
+  if (unknown.length > 0) {
+    console.error(`Unknown precedent options: ${unknown.join(', ')}`);
+    return 1;
+  }
+
+  const weights = {};
+  rest.find(arg => arg.startsWith('--weights='))?.split('=')[1].split(',').forEach(pair => {
+    const [name, weight] = pair.split(':');
+    weights[name.trim()] = parseFloat(weight);
+  });
+  const invalidWeights = Object.entries(weights)
+    .filter(([name, weight]) => !(name in PRECEDENT_RETRIEVAL_CONFIG.weights) || !(weight >= 0));
+  if (invalidWeights.length > 0) {
+    console.error(`Invalid retrieval weights: ${invalidWeights.map(([name, weight]) => `${name}:${weight}`).join(', ')}`);
+    console.error(`Weights must be zero or positive for: ${Object.keys(PRECEDENT_RETRIEVAL_CONFIG.weights).join(', ')}`);
+    return 1;
+  }
+
+  const describe = precedent => `${precedent.id}  ${precedent.title}${precedent.source?.type ? ` [${precedent.source.type}]` : ''}`;
+  const needsOperand = name => {
+    if (operands.length > 0) return false;
+    console.error(`precedents ${command} needs ${name}`);
+    return true;
+  };
+
+  try {
+    switch (command) {
+      case 'list': {
+        const entries = listPrecedents(library);
+        printFormatted('PRECEDENT LIBRARY', `${entries.length} cases`);
+        entries.forEach(entry => console.log(formatConsoleOutput(describe(entry))));
+        return 0;
+      }
+
+      case 'add': {
+        if (needsOperand('a case file')) return 1;
+        operands.forEach(file => {
+          const stored = addPrecedent(JSON.parse(fs.readFileSync(file, 'utf8')), library, { replace });
+          console.log(formatConsoleOutput(`Added ${describe(stored)}`));
+        });
+        return 0;
+      }
+
+      case 'remove': {
+        if (needsOperand('a case id')) return 1;
+        const missing = operands.filter(id => !removePrecedent(id, library));
+        operands.filter(id => !missing.includes(id)).forEach(id => console.log(formatConsoleOutput(`Removed ${id}`)));
+        missing.forEach(id => console.error(`No precedent "${id}" in the library`));
+        return missing.length > 0 ? 1 : 0;
+      }
+
+      case 'search': {
+        if (needsOperand('search words or a dilemma file')) return 1;
+        // A dilemma file finds the precedents casuistry would consider for it
+        if (operands.length === 1 && operands[0].endsWith('.json') && fs.existsSync(operands[0])) {
+          const dilemma = JSON.parse(fs.readFileSync(operands[0], 'utf8'));
+          const matches = findRelevantPrecedents(dilemma, { precedents: getPrecedentDatabase(library), weights });
+          const percent = value => `${(value * 100).toFixed(0).padStart(3)}%`;
+          printFormatted('RELEVANT PRECEDENTS', `${matches.length} cases relevant to ${dilemma.title || path.basename(operands[0])}`);
+          matches.forEach(match => {
+            console.log(formatConsoleOutput(`${percent(match.similarity)}  ${describe(match)}`));
+            const components = Object.entries(match.similarity_components)
+              .map(([name, component]) => `${name} ${component ? `${percent(component.score).trim()} x ${component.weight.toFixed(2)}` : 'n/a'}`);
+            console.log(formatConsoleOutput(`      ${components.join(', ')}`));
+            console.log(formatConsoleOutput(`      ${match.match_explanation}`));
+            if (match.differences.length > 0) {
+              const differences = match.differences.map(difference => `${difference.parameter} ${difference.dilemma} vs ${difference.precedent}`);
+              console.log(formatConsoleOutput(`      Differs in ${differences.join(', ')}`));
+            }
+          });
+          return 0;
+        }
+        const matches = searchPrecedents(operands.join(' '), library);
+        printFormatted('PRECEDENT SEARCH', `${matches.length} cases match "${operands.join(' ')}"`);
+        matches.forEach(match => console.log(formatConsoleOutput(`${describe(match)}  (${match.matches.join(', ')})`)));
+        return 0;
+      }
+
+      case 'import': {
+        if (needsOperand('a dilemma or analysis file, directory or glob')) return 1;
+        const files = operands.flatMap(target => isGlobPattern(target) || fs.statSync(target).isDirectory()
+          ? resolveDilemmaPaths(target)
+          : [path.resolve(target)]);
+        let added = 0;
+        files.forEach(file => {
+          const result = importPrecedents(JSON.parse(fs.readFileSync(file, 'utf8')), library, { replace });
+          added += result.added.length;
+          result.added.forEach(id => console.log(formatConsoleOutput(`${path.basename(file)}: added ${id}`)));
+          result.skipped.forEach(id => console.log(formatConsoleOutput(`${path.basename(file)}: kept ${id}, already in the library`)));
+        });
+        console.log(formatConsoleOutput(`Imported ${added} cases from ${files.length} files`));
+        return 0;
+      }
+
+      default:
+        console.error(`Unknown precedents command: ${command || '(none)'}`);
+        console.error('Commands: list, add <case.json>, remove <id>, search <words|dilemma.json>, import <file|directory|glob>');
+        return 1;
+    }
+  } catch (error) {
+    console.error(`precedents ${command} failed: ${error.message}`);
+    return 1;
+  }
+}
+
 // Add this function at the end of the file
 function testCausalDetection(dilemmaPath) {
   printFormatted("CAUSAL DETECTION TEST", "Testing enhanced causal detection functionality");
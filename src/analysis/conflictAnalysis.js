@@ -3,6 +3,8 @@
  * Contains functions for analyzing ethical conflicts between frameworks
  */
 
+import { getFrameworkDistance } from '../frameworks/registry.js';
+
 /**
  * Analyze the nature of a conflict between two frameworks
  * @param {string} framework1 - First framework
@@ -180,32 +182,8 @@ export function generateConflictDescription(framework1, framework2, rec1, rec2)
  * @returns {number} Distance score between 0-1
  */
 export function calculateFrameworkDistance(framework1, framework2, dilemma) {
-  // Define known framework distances based on ethical theory relationships
-  const knownDistances = {
-    'utilitarian_deontology': 0.8,
-    'utilitarian_virtue_ethics': 0.6,
-    'utilitarian_care_ethics': 0.5,
-    'utilitarian_justice': 0.4,
-    'deontology_virtue_ethics': 0.5,
-    'deontology_care_ethics': 0.6,
-    'deontology_justice': 0.4,
-    'virtue_ethics_care_ethics': 0.3,
-    'virtue_ethics_justice': 0.4,
-    'care_ethics_justice': 0.5
-  };
-  
-  // Check both possible orderings of the frameworks
-  const key1 = `${framework1}_${framework2}`;
-  const key2 = `${framework2}_${framework1}`;
-  
-  if (knownDistances[key1] !== undefined) {
-    return knownDistances[key1];
-  } else if (knownDistances[key2] !== undefined) {
-    return knownDistances[key2];
-  }
-  
-  // If no known distance, use a default moderate distance
-  return 0.5;
+  // Distances are declared by the frameworks themselves in the framework registry
+  return getFrameworkDistance(framework1, framework2);
 }
 
 /**
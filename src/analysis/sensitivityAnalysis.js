@@ -0,0 +1,274 @@
+/**
+ * Sensitivity Analysis Module
+ * Sweeps a dilemma's numeric parameters, re-runs a framework evaluator on each perturbed
+ * dilemma and locates the exact values at which the recommended action changes
+ */
+
+import { evaluateFramework } from '../frameworks/registry.js';
+import { getDeclaredParameterRange } from '../utils/parameterAccess.js';
+
+/**
+ * Default sweep settings
+ */
+export const SENSITIVITY_CONFIG = {
+  // Evenly spaced probes between the original value and each bound
+  steps: 16,
+  // Maximum bisection iterations when narrowing a tipping point
+  maxBisections: 40,
+  // Sweep bound as a multiple of the original value when no range is declared
+  rangeMultiplier: 10,
+  // Sweep bound used for parameters whose original value is zero
+  zeroValueRange: 10
+};
+
+/**
+ * Collect the numeric parameters of a dilemma from `parameters` and `situation.parameters`.
+ * Parameters may be plain numbers or `{ value, description, min, max }` objects.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<Object>} Parameters with key, name, location, value, description and range
+ */
+export function collectNumericParameters(dilemma) {
+  const sources = [
+    { location: 'parameters', parameters: dilemma?.parameters },
+    { location: 'situation.parameters', parameters: dilemma?.situation?.parameters }
+  ];
+
+  const collected = [];
+  const seen = new Set();
+
+  sources.forEach(({ location, parameters }) => {
+    if (!parameters || typeof parameters !== 'object') return;
+
+    Object.entries(parameters).forEach(([name, param]) => {
+      const value = param && typeof param === 'object' ? param.value : param;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+      // Parameters shadowed by an earlier location are reported under their location
+      const key = seen.has(name) ? `${location}.${name}` : name;
+      seen.add(name);
+
+      collected.push({
+        key,
+        name,
+        location,
+        value,
+        description: (param && typeof param === 'object' && param.description) || `${name.replace(/_/g, ' ')}`,
+        range: getSweepRange(param, value)
+      });
+    });
+  });
+
+  return collected;
+}
+
+/**
+ * Determine the range to sweep for a parameter. Declared `min`/`max` take precedence, then an
+ * "(x-y scale)" note in the description, then a multiple of the original value.
+ * @param {*} param - The raw parameter
+ * @param {number} value - The original value
+ * @returns {Object} Range with min, max and whether the parameter is integer-valued
+ */
+function getSweepRange(param, value) {
+  const declared = getDeclaredParameterRange(param);
+
+  let min;
+  let max;
+  if (declared) {
+    min = declared.min ?? Math.min(0, value);
+    max = declared.max ?? Math.max(value * SENSITIVITY_CONFIG.rangeMultiplier, value + 1);
+  } else if (value === 0) {
+    min = 0;
+    max = SENSITIVITY_CONFIG.zeroValueRange;
+  } else {
+    const span = Math.abs(value) * SENSITIVITY_CONFIG.rangeMultiplier;
+    min = value > 0 ? 0 : value - span;
+    max = value > 0 ? value + span : 0;
+  }
+
+  return {
+    min: Math.min(min, value),
+    max: Math.max(max, value),
+    integer: Number.isInteger(value) && Number.isInteger(min) && Number.isInteger(max)
+  };
+}
+
+/**
+ * Copy a dilemma with one parameter set to a new value
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} parameter - Parameter from collectNumericParameters
+ * @param {number} value - New value
+ * @returns {Object} Perturbed dilemma
+ */
+export function withParameterValue(dilemma, parameter, value) {
+  const copy = JSON.parse(JSON.stringify(dilemma));
+  const container = parameter.location === 'parameters' ? copy.parameters : copy.situation.parameters;
+  const original = container[parameter.name];
+
+  container[parameter.name] = original && typeof original === 'object'
+    ? { ...original, value }
+    : value;
+
+  return copy;
+}
+
+/**
+ * Find the nearest value in one direction at which the recommended action changes.
+ * Probes evenly spaced values towards the bound, then bisects the first interval in which the
+ * recommendation flips, so the returned threshold is the closest value that produces the new action.
+ * @param {Function} recommend - (value) => recommended action
+ * @param {Object} parameter - Parameter from collectNumericParameters
+ * @param {string} baseAction - Recommended action at the original value
+ * @param {number} bound - Sweep bound in this direction
+ * @returns {Object|null} Threshold and new action, or null if the action never changes
+ */
+function findTippingPoint(recommend, parameter, baseAction, bound) {
+  const origin = parameter.value;
+  if (bound === origin) return null;
+
+  const { steps, maxBisections } = SENSITIVITY_CONFIG;
+  const snap = value => parameter.range.integer ? Math.round(value) : value;
+
+  let previous = origin;
+  for (let step = 1; step <= steps; step++) {
+    const probe = snap(origin + (bound - origin) * step / steps);
+    if (probe === previous) continue;
+
+    const action = recommend(probe);
+    if (action === baseAction) {
+      previous = probe;
+      continue;
+    }
+
+    // Narrow the interval (previous keeps baseAction, probe does not)
+    let kept = previous;
+    let changed = probe;
+    let changedAction = action;
+    for (let i = 0; i < maxBisections; i++) {
+      const midpoint = snap((kept + changed) / 2);
+      if (midpoint === kept || midpoint === changed) break;
+
+      const midAction = recommend(midpoint);
+      if (midAction === baseAction) {
+        kept = midpoint;
+      } else {
+        changed = midpoint;
+        changedAction = midAction;
+      }
+    }
+
+    return {
+      threshold: parameter.range.integer ? changed : roundThreshold(recommend, kept, changed, changedAction),
+      action: changedAction
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Analyze how sensitive a framework's recommendation is to each numeric parameter
+ * @param {Object} dilemma - The dilemma to analyze
+ * @param {string} framework - Registered framework name
+ * @returns {Object} Parameters ranked by sensitivity and per-parameter thresholds in the shape
+ *   { sensitivities: [name], thresholds: { name: { description, original_value, sensitivity_score,
+ *   increase_threshold, decrease_threshold, action_changes: { increase, decrease } } } }
+ */
+export function analyzeParameterSensitivity(dilemma, framework) {
+  // The recommendation step has already reported the evaluator's warnings for this dilemma
+  const baseline = evaluateFramework(framework, dilemma, { quiet: true });
+  const baseAction = baseline.recommendedAction;
+  const baselineSignature = getEvaluationSignature(baseline);
+  const thresholds = {};
+
+  collectNumericParameters(dilemma).forEach(parameter => {
+    const evaluateAt = value => evaluateFramework(framework, withParameterValue(dilemma, parameter, value), { quiet: true });
+
+    // Skip parameters the evaluator does not read: nothing changes even at the sweep bounds
+    const atMin = evaluateAt(parameter.range.min);
+    const atMax = evaluateAt(parameter.range.max);
+    if (getEvaluationSignature(atMin) === baselineSignature && getEvaluationSignature(atMax) === baselineSignature) {
+      return;
+    }
+
+    const recommend = value => evaluateAt(value).recommendedAction;
+    const increase = findTippingPoint(recommend, parameter, baseAction, parameter.range.max);
+    const decrease = findTippingPoint(recommend, parameter, baseAction, parameter.range.min);
+
+    if (!increase && !decrease) return;
+
+    thresholds[parameter.key] = {
+      description: parameter.description,
+      location: parameter.location,
+      original_value: parameter.value,
+      sensitivity_score: calculateSensitivityScore(parameter, increase, decrease),
+      increase_threshold: increase ? increase.threshold : null,
+      decrease_threshold: decrease ? decrease.threshold : null,
+      action_changes: {
+        increase: increase ? increase.action : null,
+        decrease: decrease ? decrease.action : null
+      },
+      sweep_range: { min: parameter.range.min, max: parameter.range.max }
+    };
+  });
+
+  const sensitivities = Object.keys(thresholds)
+    .sort((a, b) => thresholds[b].sensitivity_score - thresholds[a].sensitivity_score);
+
+  return { sensitivities, thresholds };
+}
+
+/**
+ * Score how close a parameter is to flipping the recommendation: near 1 when a tiny change flips
+ * it, 0.1 when it only flips at the end of the sweep range and 0 when it never flips
+ * @param {Object} parameter - Parameter from collectNumericParameters
+ * @param {Object|null} increase - Upward tipping point ({ threshold })
+ * @param {Object|null} decrease - Downward tipping point ({ threshold })
+ * @returns {number} Sensitivity score between 0 and 1
+ */
+export function calculateSensitivityScore(parameter, increase, decrease) {
+  const closeness = (tippingPoint, bound) => {
+    if (!tippingPoint || bound === parameter.value) return 0;
+    const distance = Math.abs(tippingPoint.threshold - parameter.value) / Math.abs(bound - parameter.value);
+    return Math.max(0.1, 1 - 0.9 * distance);
+  };
+
+  const score = Math.max(
+    closeness(increase, parameter.range.max),
+    closeness(decrease, parameter.range.min)
+  );
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Summarize an evaluation so unchanged results can be detected cheaply
+ * @param {Object} evaluation - Framework evaluation
+ * @returns {string} Signature of the recommendation and ranking scores
+ */
+function getEvaluationSignature(evaluation) {
+  const ranking = Array.isArray(evaluation.ranking)
+    ? evaluation.ranking.map(entry => `${entry.action}:${entry.score}`).join('|')
+    : '';
+  return `${evaluation.recommendedAction}#${ranking}`;
+}
+
+/**
+ * Round a tipping point for reporting without moving it across the flip: the fewest significant
+ * digits whose rounded value still lies beyond the last unchanged value and produces the new action
+ * @param {Function} recommend - (value) => recommended action
+ * @param {number} kept - Closest probed value that keeps the original action
+ * @param {number} changed - Closest probed value that changes it
+ * @param {string} changedAction - Action recommended at the changed value
+ * @returns {number} Reported threshold
+ */
+function roundThreshold(recommend, kept, changed, changedAction) {
+  const direction = Math.sign(changed - kept);
+
+  for (let digits = 3; digits <= 12; digits++) {
+    const candidate = Number(changed.toPrecision(digits));
+    if (Math.sign(candidate - kept) === direction && recommend(candidate) === changedAction) {
+      return candidate;
+    }
+  }
+
+  return changed;
+}
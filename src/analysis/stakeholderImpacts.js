@@ -0,0 +1,107 @@
+/**
+ * Stakeholder Impact Analysis Module
+ * Computes how each possible action affects each stakeholder, with an explanation of where every
+ * impact comes from
+ */
+
+import { estimateStakeholderImpact } from '../frameworks/careEthics.js';
+
+/**
+ * Explanations for impacts that carry no description of their own, by impact source
+ */
+const SOURCE_EXPLANATIONS = {
+  declared: 'Impact declared by the dilemma for this action',
+  stakeholder_impact: "Impact from the stakeholder's declared impact scores",
+  concern_alignment: 'The action does not speak to any of their stated concerns',
+  none: 'No effects, impacts or concerns declared for this stakeholder'
+};
+
+/**
+ * Compute the action × stakeholder impact matrix of a dilemma.
+ * Impacts lie in -1..1 and come from the stakeholder's declared effects where present, otherwise
+ * from declared impacts or the alignment of their concerns with the action.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} { actions: [id], stakeholders: [{ id, name }], matrix: { action: { stakeholder:
+ *   { impact, source, explanation, contributions } } } }
+ */
+export function buildStakeholderImpactMatrix(dilemma) {
+  const actions = (dilemma?.possible_actions || []).map(action => action && action.id).filter(Boolean);
+  const stakeholders = (dilemma?.stakeholders || []).filter(stakeholder => stakeholder && stakeholder.id);
+  const matrix = {};
+
+  actions.forEach(actionId => {
+    matrix[actionId] = {};
+    stakeholders.forEach(stakeholder => {
+      const impact = estimateStakeholderImpact(stakeholder, actionId, dilemma);
+      matrix[actionId][stakeholder.id] = {
+        impact: round(impact.value),
+        source: impact.source,
+        explanation: impact.description || SOURCE_EXPLANATIONS[impact.source],
+        ...(impact.contributions ? { contributions: impact.contributions } : {})
+      };
+    });
+  });
+
+  return {
+    actions,
+    stakeholders: stakeholders.map(stakeholder => ({ id: stakeholder.id, name: stakeholder.name || stakeholder.id })),
+    matrix
+  };
+}
+
+/**
+ * Summarize the impact matrix per stakeholder around one action, typically the action the
+ * frameworks recommend
+ * @param {Object} impactMatrix - Result of buildStakeholderImpactMatrix
+ * @param {string|null} [actionId] - Action to report each stakeholder's impact for; without one
+ *   (no framework recommends an action) action, impact and source are null
+ * @returns {Object} Map of stakeholder ID to { name, action, impact, explanation, source,
+ *   by_action: { action: impact }, best_action, worst_action }. Best and worst actions are null
+ *   when every action affects the stakeholder equally; when several actions share the best or
+ *   worst impact, the action is null and best_tied_actions or worst_tied_actions lists them, so
+ *   the dilemma's action order never picks one.
+ */
+export function summarizeStakeholderImpacts(impactMatrix, actionId) {
+  const { actions, stakeholders, matrix } = impactMatrix;
+  const focus = actions.includes(actionId) ? actionId : null;
+  const summary = {};
+  if (actions.length === 0) return summary;
+
+  stakeholders.forEach(({ id, name }) => {
+    const byAction = {};
+    actions.forEach(action => {
+      byAction[action] = matrix[action][id].impact;
+    });
+    const highest = Math.max(...Object.values(byAction));
+    const lowest = Math.min(...Object.values(byAction));
+    const indifferent = highest === lowest;
+    const best = actions.filter(action => byAction[action] === highest);
+    const worst = actions.filter(action => byAction[action] === lowest);
+
+    summary[id] = {
+      name,
+      action: focus,
+      impact: focus ? matrix[focus][id].impact : null,
+      explanation: focus
+        ? matrix[focus][id].explanation
+        : 'No framework recommends an action, so no impact is reported under one',
+      source: focus ? matrix[focus][id].source : null,
+      by_action: byAction,
+      best_action: !indifferent && best.length === 1 ? best[0] : null,
+      worst_action: !indifferent && worst.length === 1 ? worst[0] : null,
+      ...(!indifferent && best.length > 1 ? { best_tied_actions: best } : {}),
+      ...(!indifferent && worst.length > 1 ? { worst_tied_actions: worst } : {})
+    };
+  });
+
+  return summary;
+}
+
+/**
+ * Round a value for reporting
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
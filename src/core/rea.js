@@ -42,156 +42,130 @@ import {
 
 // Import parameter mapping utilities
 import {
-  getMappedParameterValue,
   validateParameterMapping,
   postProcessActionReferences
 } from '../utils/parameterMapping.js';
 
+// Import final recommendation synthesis
+import { synthesizeFinalRecommendation } from '../resolution/finalRecommendation.js';
+
+// Import stakeholder conflict analysis
+import { detectStakeholderConflicts } from '../analysis/stakeholderConflicts.js';
+
+// Import stakeholder impact analysis
+import { buildStakeholderImpactMatrix, summarizeStakeholderImpacts } from '../analysis/stakeholderImpacts.js';
+import { validateStakeholderEffects } from '../utils/impactModel.js';
+
+// Import sensitivity analysis
+import { analyzeParameterSensitivity } from '../analysis/sensitivityAnalysis.js';
+
+// Import counterfactual analysis
+import { findCounterfactuals, analyzeRecommendationSensitivity } from '../analysis/counterfactuals.js';
+import { getPipelineLogger } from '../utils/logging.js';
+
+// Import Monte Carlo uncertainty analysis
+import {
+  usesMonteCarlo,
+  runMonteCarloAnalysis,
+  validateParameterDistributions
+} from '../analysis/monteCarlo.js';
+
+// Import the framework registry
+import {
+  requireFramework,
+  evaluateFramework,
+  hasFramework,
+  getRegisteredFrameworks,
+  getFrameworkContextualWeight
+} from '../frameworks/registry.js';
+
+// Re-export the registry so callers can add frameworks through the core module
+export {
+  registerFramework,
+  unregisterFramework,
+  getFramework,
+  getRegisteredFrameworks
+} from '../frameworks/registry.js';
+
 /**
  * Gets a framework's recommendation for a dilemma
  * @param {Object} dilemma - The dilemma to analyze
  * @param {string} framework - The ethical framework to use
+ * @param {Object} [options] - { quiet, logger } as for processEthicalDilemma
  * @returns {Object} Framework recommendation
  */
-export function getFrameworkRecommendation(dilemma, framework) {
+export function getFrameworkRecommendation(dilemma, framework, options = {}) {
   // This is a simplified implementation migrated from the testing adapter
-  console.log(`Getting ${framework} recommendation for dilemma ${dilemma.id}`);
-  
-  // Default values if not found
-  const available_actions = dilemma.available_actions || ['action_a', 'action_b', 'action_c'];
-  const actions = [...available_actions]; // Clone to avoid modifying original
-  
-  // For demonstration, use a deterministic but framework-specific selection
-  let recommendedAction;
-  let justification;
-  
-  switch(framework.toLowerCase()) {
-    case 'utilitarian':
-      // Utilitarians focus on greatest good for greatest number
-      recommendedAction = actions[0]; // First action
-      justification = "This action maximizes overall utility by producing the greatest amount of good for the greatest number of people.";
-      break;
-      
-    case 'deontology':
-      // Deontology focuses on duties and rules
-      recommendedAction = actions[actions.length > 1 ? 1 : 0]; // Second action or first if only one exists
-      justification = "This action aligns with universal moral duties and respects the autonomy of all persons involved.";
-      break;
-      
-    case 'virtue_ethics':
-      // Virtue ethics focuses on character and virtues
-      recommendedAction = actions[actions.length > 2 ? 2 : 0]; // Third action or first if less than 3 exist
-      justification = "This action exemplifies the virtues of wisdom, courage, and justice that a virtuous person would demonstrate.";
-      break;
-      
-    case 'care_ethics':
-      // Care ethics focuses on relationships and care
-      recommendedAction = actions[actions.length > 1 ? 1 : 0]; // Second action or first if only one exists
-      justification = "This action prioritizes relationships and caring for the vulnerable stakeholders in this situation.";
-      break;
-      
-    case 'justice':
-      // Justice focuses on fairness and equality
-      recommendedAction = actions[actions.length > 2 ? 2 : 0]; // Third action or first if less than 3 exist
-      justification = "This action ensures a fair distribution of benefits and burdens among all stakeholders.";
-      break;
-      
-    default:
-      // Default case
-      recommendedAction = actions[0]; // Default to first action
-      justification = "This action represents a balance of ethical considerations.";
-  }
+  getPipelineLogger(options).log(`Getting ${framework} recommendation for dilemma ${dilemma.id}`);
   
-  return {
+  // Evaluate with the registered framework; unknown frameworks are an error rather than a silent default
+  const definition = requireFramework(framework);
+  const { recommendedAction, justification, ranking, undetermined, tied_actions: tiedActions } = evaluateFramework(framework, dilemma, options);
+  
+  const recommendation = {
     recommendedAction,
     justification,
+    undetermined,
+    ...(tiedActions?.length > 0 ? { tied_actions: tiedActions } : {}),
     framework,
     confidence: 0.8, // Default confidence level
-    values_emphasized: getFrameworkValues(framework),
-    methodology: getFrameworkMethodology(framework)
+    values_emphasized: definition.values,
+    methodology: definition.methodology
   };
+  
+  // Include the scored ranking of actions when the framework evaluator produced one
+  if (ranking) {
+    recommendation.ranking = ranking;
+  }
+  
+  return recommendation;
 }
 
 /**
  * Performs sensitivity analysis for a dilemma using a specific framework
  * @param {Object} dilemma - The dilemma to analyze
  * @param {string} framework - The ethical framework to use
+ * @param {Object} [options] - { quiet, logger } as for processEthicalDilemma
  * @returns {Object} Sensitivity analysis results
  */
-export function performSensitivityAnalysis(dilemma, framework) {
-  // This is a simplified implementation migrated from the testing adapter
-  console.log(`Performing sensitivity analysis for ${framework} on dilemma ${dilemma.id}`);
+export function performSensitivityAnalysis(dilemma, framework, options = {}) {
+  getPipelineLogger(options).log(`Performing sensitivity analysis for ${framework} on dilemma ${dilemma.id}`);
   
-  // Get the current recommendation
-  const baseRecommendation = getFrameworkRecommendation(dilemma, framework);
-  
-  // Identify parameters that might be sensitive
-  const sensitivities = [];
-  const thresholds = {};
-  
-  // Sample parameters for different frameworks
-  if (framework === 'utilitarian') {
-    sensitivities.push('harm_level', 'benefit_distribution');
-    
-    thresholds['harm_level'] = {
-      sensitivity_score: 0.8,
-      increase_threshold: 8,
-      decrease_threshold: 2,
-      action_changes: {
-        increase: dilemma.available_actions?.[1] || 'fallback_action',
-        decrease: baseRecommendation.recommendedAction
-      }
-    };
-  } 
-  else if (framework === 'deontology') {
-    sensitivities.push('rights_violation', 'duty_fulfillment');
-    
-    thresholds['rights_violation'] = {
-      sensitivity_score: 0.9,
-      increase_threshold: 7,
-      action_changes: {
-        increase: dilemma.available_actions?.[0] || 'fallback_action'
-      }
-    };
-  }
-  else if (framework === 'virtue_ethics') {
-    sensitivities.push('integrity_impact', 'character_development');
-  }
-  else if (framework === 'care_ethics') {
-    sensitivities.push('relationship_impact', 'vulnerability_factor');
-    
-    thresholds['vulnerability_factor'] = {
-      sensitivity_score: 0.7,
-      increase_threshold: 8,
-      action_changes: {
-        increase: dilemma.available_actions?.[2] || 'fallback_action'
-      }
-    };
-  }
-  else if (framework === 'justice') {
-    sensitivities.push('fairness_perception', 'equality_impact');
-  }
-  
-  return {
-    sensitivities,
-    thresholds
-  };
+  // Sweep every numeric parameter and record where the recommendation tips over
+  return analyzeParameterSensitivity(dilemma, framework);
 }
 
 /**
  * Process an ethical dilemma through the REA system
  * Enhanced with validation and action reference resolution
  * @param {Object} dilemma - The dilemma to analyze
+ * @param {Object} [options] - Processing options; `sensitivity: false` skips the parameter sweeps,
+ *   `monteCarlo: false` skips the uncertainty sampling, `quiet: true` discards the progress
+ *   messages and warnings and `logger` replaces the console they are written to
+ * @returns {Promise<Object>} Framework analysis results
+ */
+export async function processEthicalDilemma(dilemma, options = {}) {
+  return processEthicalDilemmaSync(dilemma, options);
+}
+
+/**
+ * Synchronous facade for processEthicalDilemma. Framework evaluation has no asynchronous
+ * steps, so callers that cannot await may use it safely.
+ * @param {Object} dilemma - The dilemma to analyze
+ * @param {Object} [options] - Processing options; `sensitivity: false` skips the parameter sweeps,
+ *   `monteCarlo: false` skips the uncertainty sampling, `quiet: true` discards the progress
+ *   messages and warnings and `logger` replaces the console they are written to
  * @returns {Object} Framework analysis results
  */
-export function processEthicalDilemma(dilemma) {
-  console.log(`Processing dilemma via core REA module: ${dilemma.id}`);
+export function processEthicalDilemmaSync(dilemma, options = {}) {
+  const logger = getPipelineLogger(options);
+  logger.log(`Processing dilemma via core REA module: ${dilemma.id}`);
   
   // Apply processing mode standardization
   const processingModeResult = standardizeProcessingMode(dilemma, dilemma.processing_mode || "standard");
   if (!processingModeResult.isValid) {
-    console.warn('Processing mode standardization found issues:');
-    processingModeResult.issues.forEach(issue => console.warn(` - ${issue}`));
+    logger.warn('Processing mode standardization found issues:');
+    processingModeResult.issues.forEach(issue => logger.warn(` - ${issue}`));
   }
   
   // Use the standardized dilemma for further processing
@@ -200,25 +174,31 @@ export function processEthicalDilemma(dilemma) {
   // Validate parameter mappings before processing
   const validationResult = validateParameterMapping(standardizedDilemma);
   if (!validationResult.isValid) {
-    console.warn('Parameter mapping validation failed:');
-    validationResult.errors.forEach(error => console.warn(` - ${error}`));
+    logger.warn('Parameter mapping validation failed:');
+    validationResult.errors.forEach(error => logger.warn(` - ${error}`));
   }
   
   // Log validation warnings
   if (validationResult.warnings.length > 0) {
-    console.warn('Parameter validation warnings:');
-    validationResult.warnings.forEach(warning => console.warn(` - ${warning}`));
+    logger.warn('Parameter validation warnings:');
+    validationResult.warnings.forEach(warning => logger.warn(` - ${warning}`));
   }
   
   // Log suggested fixes
   if (validationResult.fixes.length > 0) {
-    console.info('Suggested fixes for validation issues:');
-    validationResult.fixes.forEach(fix => console.info(` - ${fix.suggestion}`));
+    logger.info('Suggested fixes for validation issues:');
+    validationResult.fixes.forEach(fix => logger.info(` - ${fix.suggestion}`));
   }
   
   // Ensure dilemma has required fields
   if (!standardizedDilemma.frameworks) {
-    standardizedDilemma.frameworks = ['utilitarian', 'justice', 'deontology', 'care_ethics', 'virtue_ethics'];
+    standardizedDilemma.frameworks = getRegisteredFrameworks();
+  }
+  
+  // Frameworks that are not registered cannot be evaluated; report them instead of guessing
+  const unknownFrameworks = standardizedDilemma.frameworks.filter(framework => !hasFramework(framework));
+  if (unknownFrameworks.length > 0) {
+    logger.warn(`Skipping unregistered frameworks: ${unknownFrameworks.join(', ')}. Registered frameworks: ${getRegisteredFrameworks().join(', ')}`);
   }
   
   // Create result template
@@ -227,16 +207,20 @@ export function processEthicalDilemma(dilemma) {
     frameworks: {},
     stakeholderImpacts: {},
     validation: {
-      warnings: [...validationResult.warnings],
+      warnings: [
+        ...validationResult.warnings,
+        ...unknownFrameworks.map(framework => `Framework "${framework}" is not registered and was not analyzed`)
+      ],
       fixes: [...validationResult.fixes],
-      processingModeIssues: processingModeResult.issues
+      processingModeIssues: processingModeResult.issues,
+      unknownFrameworks
     },
     processing_mode: standardizedDilemma.processing_mode || "standard"
   };
   
-  // Analyze through each framework
-  standardizedDilemma.frameworks.forEach(framework => {
-    const recommendation = getFrameworkRecommendation(standardizedDilemma, framework);
+  // Analyze through each registered framework
+  standardizedDilemma.frameworks.filter(framework => hasFramework(framework)).forEach(framework => {
+    const recommendation = getFrameworkRecommendation(standardizedDilemma, framework, options);
     
     // Collect validation warnings from framework-specific processing
     if (recommendation.validationInfo) {
@@ -249,82 +233,46 @@ export function processEthicalDilemma(dilemma) {
     }
     
     // Perform sensitivity analysis for this framework
-    const sensitivityAnalysis = performSensitivityAnalysis(standardizedDilemma, framework);
+    const sensitivityAnalysis = options.sensitivity === false
+      ? { sensitivities: [], thresholds: {} }
+      : performSensitivityAnalysis(standardizedDilemma, framework, options);
     
     // Store recommendation in results
     results.frameworks[framework] = {
       recommendedAction: recommendation.recommendedAction,
       justification: recommendation.justification,
+      ...(recommendation.undetermined ? { undetermined: true } : {}),
+      ...(recommendation.tied_actions ? { tied_actions: recommendation.tied_actions } : {}),
+      confidence: recommendation.confidence,
+      ...(recommendation.ranking ? { ranking: recommendation.ranking } : {}),
       parameter_sensitivities: sensitivityAnalysis.sensitivities,
       sensitivity_thresholds: sensitivityAnalysis.thresholds
     };
   });
   
-  // Calculate meaningful stakeholder impacts instead of random values
-  standardizedDilemma.stakeholders?.forEach(stakeholder => {
-    // Base impact factors
-    let alignmentScore = 0.5; // Neutral starting point
-    let parameterScore = 0.5; // Neutral starting point
-    
-    // Parse stakeholder concerns
-    const stakeholderType = stakeholder.id.toLowerCase();
-    const stakeholderConcerns = typeof stakeholder.concerns === 'string' 
-      ? stakeholder.concerns.toLowerCase() 
-      : '';
-    
-    // Assess parameter alignment with stakeholder concerns
-    if (standardizedDilemma.parameters) {
-      if (stakeholderType.includes('migrant') || 
-          stakeholderConcerns.includes('humanitarian')) {
-        // Higher humanitarian benefit and lower deportation risk are positive for migrants
-        const humanitarianBenefit = getMappedParameterValue(standardizedDilemma, 'humanitarian_benefit', 5);
-        const deportationRisk = getMappedParameterValue(standardizedDilemma, 'deportation_expansion', 5);
-        parameterScore = (humanitarianBenefit / 10) * (1 - deportationRisk / 10);
-      } 
-      else if (stakeholderType.includes('base') || 
-               stakeholderConcerns.includes('progressive')) {
-        // Progressive base cares about humanitarian aspects and dislikes political compromise
-        const humanitarianBenefit = getMappedParameterValue(standardizedDilemma, 'humanitarian_benefit', 5);
-        const baseAlienation = getMappedParameterValue(standardizedDilemma, 'base_alienation', 5);
-        parameterScore = (humanitarianBenefit / 10) * (1 - baseAlienation / 10);
-      }
-      else if (stakeholderType.includes('voter') || 
-               stakeholderConcerns.includes('bipartisan')) {
-        // Swing voters care about bipartisanship and public opinion
-        const bipartisanValue = getMappedParameterValue(standardizedDilemma, 'bipartisan_value', 5);
-        const publicOpinion = getMappedParameterValue(standardizedDilemma, 'public_opinion', 5);
-        parameterScore = (bipartisanValue / 10) * (publicOpinion / 10);
-      }
-      else if (stakeholderType.includes('dem') || stakeholderType.includes('party')) {
-        // Party leadership and vulnerable Dems care about political benefit
-        const politicalBenefit = getMappedParameterValue(standardizedDilemma, 'political_benefit', 5);
-        parameterScore = politicalBenefit / 10;
-      }
-    }
-    
-    // Calculate overall impact score
-    // Use stakeholder influence to weight the impact
-    const influenceWeight = stakeholder.influence || 0.5;
-    const impactScore = parameterScore * influenceWeight;
-    
-    // Generate appropriate explanation
-    let explanation;
-    if (impactScore > 0.7) {
-      explanation = `Strong positive impact on ${stakeholder.name} based on their concerns`;
-    } else if (impactScore > 0.5) {
-      explanation = `Moderate positive impact on ${stakeholder.name} based on their concerns`;
-    } else if (impactScore > 0.3) {
-      explanation = `Slight positive impact on ${stakeholder.name} based on their concerns`;
-    } else {
-      explanation = `Limited or negative impact on ${stakeholder.name} based on their concerns`;
+  // Sample the parameters' declared distributions; each framework's confidence becomes the
+  // probability that it still recommends the same action
+  results.validation.warnings.push(...validateParameterDistributions(standardizedDilemma));
+  if (usesMonteCarlo(standardizedDilemma) && options.monteCarlo !== false) {
+    const monteCarlo = runMonteCarloAnalysis(standardizedDilemma, Object.keys(results.frameworks));
+    if (Object.keys(monteCarlo.parameters).length === 0) {
+      results.validation.warnings.push('Monte Carlo analysis was requested, but no parameter declares a distribution');
     }
-    
-    // Store the calculated impact
-    results.stakeholderImpacts[stakeholder.id] = {
-      impact: impactScore,
-      explanation: explanation
-    };
-  });
+    Object.entries(results.frameworks).forEach(([framework, result]) => {
+      result.confidence = monteCarlo.frameworks[framework].action_probabilities[result.recommendedAction] || 0;
+    });
+    results.monteCarlo = monteCarlo;
+  }
+  
+  // Compute the action × stakeholder impact matrix from the stakeholders' declared effects and
+  // report each stakeholder's impact under the action most frameworks recommend
+  const impactMatrix = buildStakeholderImpactMatrix(standardizedDilemma);
+  results.stakeholderImpactMatrix = impactMatrix;
+  results.stakeholderImpacts = summarizeStakeholderImpacts(
+    impactMatrix,
+    getMostRecommendedAction(results.frameworks, impactMatrix.actions, standardizedDilemma)
+  );
+  results.validation.warnings.push(...validateStakeholderEffects(standardizedDilemma));
   
   // Perform framework interaction analysis
   const frameworkInteractions = analyzeFrameworkInteractions(results);
@@ -337,24 +285,46 @@ export function processEthicalDilemma(dilemma) {
 }
 
 /**
- * Detect conflicts in a dilemma - enhanced with improved analysis
+ * Detect conflicts in a dilemma - enhanced with improved analysis.
+ * Reports conflicts between frameworks and between stakeholders who prefer different actions.
+ * @param {Object} dilemma - The dilemma to analyze
+ * @param {Object} [options] - { quiet, logger } as for processEthicalDilemma
+ * @returns {Promise<Object>} Detected conflicts with enhanced analysis
+ */
+export async function detectConflicts(dilemma, options = {}) {
+  return detectConflictsSync(dilemma, options);
+}
+
+/**
+ * Synchronous facade for detectConflicts. Conflict detection only evaluates frameworks and
+ * stakeholder impacts, so callers that cannot await may use it safely.
  * @param {Object} dilemma - The dilemma to analyze
+ * @param {Object} [options] - { quiet, logger } as for processEthicalDilemma
  * @returns {Object} Detected conflicts with enhanced analysis
  */
-export function detectConflicts(dilemma) {
-  console.log(`Detecting conflicts via core REA module for: ${dilemma.id}`);
+export function detectConflictsSync(dilemma, options = {}) {
+  const logger = getPipelineLogger(options);
+  logger.log(`Detecting conflicts via core REA module for: ${dilemma.id}`);
   
   const conflicts = [];
   const interactions = []; // To store framework interactions
   
-  // Get all unique pairs of frameworks
-  const frameworks = dilemma.frameworks || [];
+  // Get all unique pairs of registered frameworks
+  const frameworks = (dilemma.frameworks || []).filter(framework => hasFramework(framework));
+  if (frameworks.length < (dilemma.frameworks || []).length) {
+    const skipped = dilemma.frameworks.filter(framework => !hasFramework(framework));
+    logger.warn(`Conflict detection skips unregistered frameworks: ${skipped.join(', ')}`);
+  }
   
-  // First, process dilemma through each framework to get recommendations
+  // First, process dilemma through each framework to get recommendations. A framework that
+  // cannot decide takes no side, so it is left out of the conflicts
   const frameworkRecommendations = {};
+  const undeterminedFrameworks = [];
   frameworks.forEach(framework => {
-    const recommendation = getFrameworkRecommendation(dilemma, framework);
-    if (recommendation) {
+    const recommendation = getFrameworkRecommendation(dilemma, framework, options);
+    if (recommendation?.undetermined) {
+      undeterminedFrameworks.push(framework);
+    } else if (recommendation) {
       frameworkRecommendations[framework] = recommendation;
     }
   });
@@ -454,11 +424,17 @@ export function detectConflicts(dilemma) {
     conflicts.push(multiConflict);
   }
   
+  // Detect conflicts between stakeholders who are best served by different actions
+  const stakeholderAnalysis = detectStakeholderConflicts(dilemma);
+  conflicts.push(...stakeholderAnalysis.conflicts);
+  
   return {
     dilemma_id: dilemma.id,
     conflicts: conflicts,
     interactions: interactions,
-    action_groups: actionGroups
+    action_groups: actionGroups,
+    undetermined_frameworks: undeterminedFrameworks,
+    stakeholder_preferences: stakeholderAnalysis.preferences
   };
 }
 
@@ -468,36 +444,49 @@ export function detectConflicts(dilemma) {
  * @param {Object} frameworkResults - Results from framework analysis
  * @param {Object} conflicts - Detected conflicts
  * @param {Object} dilemma - The dilemma context
- * @returns {Object} Conflict resolutions
+ * @param {Object} [options] - { sensitivity: false } skips sweeping the parameters through the
+ *   pipeline to find where the final recommendation changes; { quiet, logger } as for
+ *   processEthicalDilemma
+ * @returns {Promise<Object>} Conflict resolutions and the synthesized final recommendation. Strategies such as casuistry load modules
+ *   asynchronously, so there is no synchronous facade for conflict resolution.
  */
-export function resolveConflicts(frameworkResults, conflicts, dilemma) {
-  console.log(`Resolving conflicts via core REA module for: ${dilemma.id}`);
+export async function resolveConflicts(frameworkResults, conflicts, dilemma, options = {}) {
+  const logger = getPipelineLogger(options);
+  logger.log(`Resolving conflicts via core REA module for: ${dilemma.id}`);
   
   const resolutions = [];
   
-  // Process each conflict
-  conflicts.conflicts.forEach((conflict, index) => {
+  // Process each conflict in order, awaiting each strategy
+  for (const [index, conflict] of conflicts.conflicts.entries()) {
     let resolution;
     
     // Special handling for multi-framework conflicts
     if (conflict.type === 'multi_framework_conflict') {
       try {
         // Resolve multi-framework conflict
-        const multiResult = resolveMultiFrameworkConflict(conflict, dilemma);
+        const multiResult = resolveMultiFrameworkConflict(conflict, dilemma, frameworkResults);
         
         resolution = {
           id: `resolution-${index}`,
           conflict_reference: conflict,
           resolution_strategy: 'multi_framework_integration',
-          description: 'Integration of multiple ethical frameworks',
+          description: multiResult.social_choice
+            ? `Aggregation of framework rankings by the ${multiResult.social_choice.rule} rule`
+            : multiResult.moral_uncertainty
+              ? 'Expected choiceworthiness across frameworks under moral uncertainty'
+              : 'Integration of multiple ethical frameworks',
           weights: multiResult.weights || {},
           reasoning: multiResult.reasoning || 'Integration of multiple ethical frameworks to determine optimal recommendation.',
           meta_recommendation: multiResult.meta_recommendation,
+          ...(multiResult.tied_actions ? { tied_actions: multiResult.tied_actions } : {}),
+          confidence: multiResult.confidence,
+          ...(multiResult.moral_uncertainty ? { moral_uncertainty: multiResult.moral_uncertainty } : {}),
+          ...(multiResult.social_choice ? { social_choice: multiResult.social_choice } : {}),
           processing_mode: dilemma.processing_mode || "standard",
           detail_level: "high"
         };
       } catch (error) {
-        console.warn(`Error resolving multi-framework conflict: ${error.message}`);
+        logger.warn(`Error resolving multi-framework conflict: ${error.message}`);
         // Create fallback resolution for multi-framework conflicts
         const actionGroups = conflict.action_groups || {};
         const fallbackAction = Object.keys(actionGroups)[0] || 'undetermined';
@@ -520,9 +509,11 @@ export function resolveConflicts(frameworkResults, conflicts, dilemma) {
       if (standardStrategy) {
         try {
           // Apply the standard strategy
-          const result = applyResolutionStrategy(standardStrategy, conflict, dilemma, frameworkResults);
+          const result = await applyResolutionStrategy(standardStrategy, conflict, dilemma, frameworkResults);
         
           resolution = {
+            // Keep strategy-specific output such as compromise proposals and recommended actions
+            ...result,
             id: `resolution-${index}`,
             conflict_reference: conflict,
             resolution_strategy: standardStrategy,
@@ -530,10 +521,10 @@ export function resolveConflicts(frameworkResults, conflicts, dilemma) {
             weights: result.weights || {},
             reasoning: result.reasoning || generateReasoningFromTemplate(standardStrategy, conflict, dilemma),
             processing_mode: dilemma.processing_mode || "standard",
-            detail_level: getStrategyDetailLevel(standardStrategy)
+            detail_level: getStrategyDetailLevel(standardStrategy.name)
           };
         } catch (error) {
-          console.warn(`Error applying standard strategy ${standardStrategy}: ${error.message}`);
+          logger.warn(`Error applying standard strategy ${standardStrategy.name}: ${error.message}`);
           // Create a basic fallback resolution to prevent null resolutions
           resolution = {
             id: `resolution-${index}`,
@@ -565,16 +556,72 @@ export function resolveConflicts(frameworkResults, conflicts, dilemma) {
       const standardizedResolution = standardizeResolutionDetail(resolution);
       resolutions.push(standardizedResolution);
     }
-  });
+  }
+  
+  // The final recommendation's critical parameters come from sweeping the whole pipeline, since
+  // it can change where no single framework does
+  const finalSensitivity = options.sensitivity === false
+    ? null
+    : await analyzeRecommendationSensitivity(dilemma, recommendForCounterfactual);
   
   return {
     dilemma_id: dilemma.id,
-    resolutions: resolutions
+    resolutions: resolutions,
+    // Aggregate resolutions, framework consensus and stakeholder preferences into one recommendation
+    final_recommendation: synthesizeFinalRecommendation(frameworkResults, conflicts, resolutions, dilemma, finalSensitivity)
+  };
+}
+
+/**
+ * Find the smallest changes to a dilemma's parameters and stakeholder influences that would change
+ * its final recommendation or a framework's recommendation
+ * @param {Object} dilemma - The dilemma to analyze
+ * @param {Object} [options] - Counterfactual search options; `targets` lists 'final' and/or
+ *   framework names (defaults to 'final' and every framework of the dilemma)
+ * @returns {Promise<Object>} Baseline recommendations and counterfactuals ranked by distance
+ */
+export async function generateCounterfactuals(dilemma, options = {}) {
+  const standardizedDilemma = standardizeProcessingMode(dilemma, dilemma.processing_mode || "standard").standardizedDilemma;
+  const frameworks = (standardizedDilemma.frameworks || getRegisteredFrameworks()).filter(framework => hasFramework(framework));
+  const targets = options.targets || ['final', ...frameworks];
+  
+  const unknownTargets = targets.filter(target => target !== 'final' && !hasFramework(target));
+  if (unknownTargets.length > 0) {
+    throw new Error(`Unknown counterfactual targets: ${unknownTargets.join(', ')}. Use "final" or a registered framework: ${getRegisteredFrameworks().join(', ')}`);
+  }
+  
+  return findCounterfactuals(standardizedDilemma, recommendForCounterfactual, { ...options, targets });
+}
+
+/**
+ * Get the recommendation a counterfactual search tries to change. Framework recommendations come
+ * straight from the evaluator; the final recommendation runs the whole pipeline quietly and
+ * without sensitivity sweeps.
+ * @param {Object} dilemma - The (changed) dilemma
+ * @param {string} target - 'final' or a framework name
+ * @returns {Promise<Object>} { action, tied_actions, scores } where tied_actions lists the tied
+ *   actions when action is null and scores maps actions to scores
+ */
+async function recommendForCounterfactual(dilemma, target) {
+  if (target !== 'final') {
+    const { recommendedAction, ranking, tied_actions: tiedActions } = evaluateFramework(target, dilemma, { quiet: true });
+    const scores = Object.fromEntries((ranking || []).map(entry => [entry.action, entry.score]));
+    return { action: recommendedAction, tied_actions: tiedActions, scores };
+  }
+  
+  const frameworkResults = processEthicalDilemmaSync(dilemma, { sensitivity: false, monteCarlo: false, quiet: true });
+  const conflicts = detectConflictsSync(dilemma, { quiet: true });
+  const recommendation = (await resolveConflicts(frameworkResults, conflicts, dilemma, { sensitivity: false, quiet: true })).final_recommendation;
+  return {
+    action: recommendation?.action || null,
+    tied_actions: recommendation?.tied_actions,
+    scores: recommendation?.action_scores
   };
 }
 
 /**
- * Create a REA system adapter with the methods
+ * Create a REA system adapter with the methods. Every pipeline method returns a Promise;
+ * the synchronous facades are exposed for the steps that are safe to run without awaiting.
  * @returns {Object} REA system adapter
  */
 export function createREASystemAdapter() {
@@ -582,7 +629,10 @@ export function createREASystemAdapter() {
     processEthicalDilemma,
     detectConflicts,
     resolveConflicts,
-    performSequentialAnalysis
+    performSequentialAnalysis,
+    generateCounterfactuals,
+    processEthicalDilemmaSync,
+    detectConflictsSync
   };
 }
 
@@ -600,45 +650,45 @@ function getStrategyDetailLevel(strategyName) {
     compromise: 'medium',
     procedural: 'low',
     meta_ethical: 'high',
-    stakeholder_compromise: 'medium'
+    stakeholder_compromise: 'medium',
+    stakeholder_cvar: 'high'
   };
   
   return detailLevels[strategyName] || 'medium';
 }
 
 /**
- * Helper functions for framework recommendation
+ * Contextual weights closer than this are level when picking the most recommended action
  */
-function getFrameworkValues(framework) {
-  switch(framework.toLowerCase()) {
-    case 'utilitarian':
-      return ['utility', 'happiness', 'well-being'];
-    case 'deontology':
-      return ['duty', 'respect', 'autonomy'];
-    case 'virtue_ethics':
-      return ['wisdom', 'courage', 'justice'];
-    case 'care_ethics':
-      return ['care', 'relationships', 'empathy'];
-    case 'justice':
-      return ['fairness', 'equality', 'rights'];
-    default:
-      return ['balance', 'moderation'];
-  }
-}
+const MOST_RECOMMENDED_TIE_TOLERANCE = 1e-9;
 
-function getFrameworkMethodology(framework) {
-  switch(framework.toLowerCase()) {
-    case 'utilitarian':
-      return 'consequentialist';
-    case 'deontology':
-      return 'rule-based';
-    case 'virtue_ethics':
-      return 'character-based';
-    case 'care_ethics':
-      return 'relationship-based';
-    case 'justice':
-      return 'fairness-based';
-    default:
-      return 'balanced';
-  }
-} 
\ No newline at end of file
+/**
+ * Get the action recommended by the most frameworks. Ties go to the action whose recommending
+ * frameworks carry the most contextual weight; neither the order in which the dilemma lists its
+ * actions nor their names ever decides.
+ * @param {Object} frameworks - Framework results keyed by framework name
+ * @param {Array<string>} actions - The dilemma's action IDs
+ * @param {Object} dilemma - The dilemma, for the frameworks' contextual weights
+ * @returns {string|null} The most recommended action; null when no framework recommends one or
+ *   the leading actions are level on votes and weight
+ */
+function getMostRecommendedAction(frameworks, actions, dilemma) {
+  const votes = {};
+  const weights = {};
+  Object.entries(frameworks || {}).forEach(([framework, result]) => {
+    if (result.recommendedAction) {
+      votes[result.recommendedAction] = (votes[result.recommendedAction] || 0) + 1;
+      weights[result.recommendedAction] = (weights[result.recommendedAction] || 0) +
+        getFrameworkContextualWeight(framework, dilemma);
+    }
+  });
+  
+  const compare = (a, b) => {
+    const weightDifference = (weights[b] || 0) - (weights[a] || 0);
+    return (votes[b] || 0) - (votes[a] || 0) ||
+      (Math.abs(weightDifference) > MOST_RECOMMENDED_TIE_TOLERANCE ? weightDifference : 0);
+  };
+  const ranked = actions.filter(action => votes[action]).sort(compare);
+  if (ranked.length === 0 || (ranked.length > 1 && compare(ranked[0], ranked[1]) === 0)) return null;
+  return ranked[0];
+}
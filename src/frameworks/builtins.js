@@ -0,0 +1,112 @@
+/**
+ * Built-in Frameworks Module
+ * Registry definitions for the ethical frameworks that ship with REA
+ */
+
+import { evaluateUtilitarian } from './utilitarian.js';
+import { evaluateJustice } from './justice.js';
+import { evaluateDeontology } from './deontology.js';
+import { evaluateCareEthics } from './careEthics.js';
+import { evaluateVirtueEthics } from './virtueEthics.js';
+
+/**
+ * Check whether any dilemma parameter name contains one of the given factors
+ * @param {Object} dilemma - The dilemma
+ * @param {Array<string>} factors - Parameter name fragments
+ * @returns {boolean} True if a matching parameter exists
+ */
+function hasParameterFactor(dilemma, factors) {
+  return factors.some(factor =>
+    dilemma.parameters && Object.keys(dilemma.parameters).some(p => p.includes(factor))
+  );
+}
+
+/**
+ * Check whether any stakeholder name contains one of the given terms
+ * @param {Object} dilemma - The dilemma
+ * @param {Array<string>} terms - Lower-case name fragments
+ * @returns {boolean} True if a matching stakeholder exists
+ */
+function hasStakeholderTerm(dilemma, terms) {
+  return dilemma.stakeholders?.some(s =>
+    terms.some(term => s.name?.toLowerCase().includes(term))
+  ) || false;
+}
+
+/**
+ * Built-in framework definitions, in the default analysis order.
+ * Distances are declared once per pair; the registry looks them up in both directions.
+ */
+export const BUILTIN_FRAMEWORKS = [
+  {
+    name: 'utilitarian',
+    evaluate: evaluateUtilitarian,
+    values: ['utility', 'happiness', 'well-being'],
+    methodology: 'consequentialist',
+    distances: {
+      deontology: 0.8,
+      virtue_ethics: 0.6,
+      care_ethics: 0.5,
+      justice: 0.4
+    },
+    // More important when large populations affected or quantifiable benefits
+    contextualWeight: dilemma =>
+      0.5 + (hasParameterFactor(dilemma, ['population_served', 'people_affected', 'total_benefit']) ? 0.2 : 0)
+  },
+  {
+    name: 'justice',
+    evaluate: evaluateJustice,
+    values: ['fairness', 'equality', 'rights'],
+    methodology: 'fairness-based',
+    distances: {},
+    // More important with fair distribution or equity issues, and when marginalized groups are involved
+    contextualWeight: dilemma =>
+      0.5 +
+      (hasParameterFactor(dilemma, ['fairness', 'equity', 'equality', 'discrimination']) ? 0.2 : 0) +
+      (hasStakeholderTerm(dilemma, ['marginalized', 'minority', 'disadvantaged']) ? 0.2 : 0)
+  },
+  {
+    name: 'deontology',
+    evaluate: evaluateDeontology,
+    values: ['duty', 'respect', 'autonomy'],
+    methodology: 'rule-based',
+    distances: {
+      virtue_ethics: 0.5,
+      care_ethics: 0.6,
+      justice: 0.4
+    },
+    // More important with rights violations, moral duties or principles at stake, and in high urgency situations
+    contextualWeight: dilemma => {
+      const hasHighUrgency = dilemma.parameters?.urgency_option_a?.value > 0.7 ||
+                            dilemma.parameters?.urgency_option_b?.value > 0.7;
+      return 0.5 +
+        (hasParameterFactor(dilemma, ['rights_violation', 'moral_duty', 'legal_requirement']) ? 0.2 : 0) +
+        (hasHighUrgency ? 0.1 : 0);
+    }
+  },
+  {
+    name: 'care_ethics',
+    evaluate: evaluateCareEthics,
+    values: ['care', 'relationships', 'empathy'],
+    methodology: 'relationship-based',
+    distances: {
+      justice: 0.5
+    },
+    // More important with vulnerable populations or care relationships
+    contextualWeight: dilemma =>
+      0.5 + (hasStakeholderTerm(dilemma, ['vulnerable', 'patient', 'child', 'elderly']) ? 0.3 : 0)
+  },
+  {
+    name: 'virtue_ethics',
+    evaluate: evaluateVirtueEthics,
+    values: ['wisdom', 'courage', 'justice'],
+    methodology: 'character-based',
+    distances: {
+      care_ethics: 0.3,
+      justice: 0.4
+    },
+    // More important with character-building or public integrity issues
+    contextualWeight: dilemma =>
+      0.5 + (hasParameterFactor(dilemma, ['integrity', 'character', 'virtue', 'public_opinion']) ? 0.2 : 0)
+  }
+];
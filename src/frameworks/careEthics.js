@@ -0,0 +1,348 @@
+/**
+ * Care Ethics Evaluator Module
+ * Scores possible actions by how well they protect dependent and vulnerable stakeholders,
+ * weighting each stakeholder by vulnerability, dependency and relationship
+ */
+
+import { getCareEthicsTemplate } from './templates.js';
+import { getMappedParameterFraction } from '../utils/parameterMapping.js';
+import { extractKeywords, getStakeholderConcerns } from '../utils/general.js';
+import { evaluateStakeholderEffects } from '../utils/impactModel.js';
+
+/**
+ * Relationship closeness used when a stakeholder declares a `relationship` type.
+ * Closer relationships carry stronger responsibilities of care.
+ */
+const RELATIONSHIP_CLOSENESS = {
+  dependent: 1.0,
+  family: 0.9,
+  patient: 0.9,
+  child: 1.0,
+  community: 0.6,
+  caregiver: 0.5,
+  professional: 0.4,
+  colleague: 0.4,
+  institutional: 0.2,
+  commercial: 0.2,
+  none: 0
+};
+
+/**
+ * Care scores closer than this are a tie, which the dilemma's action order must not break
+ */
+const CARE_TIE_TOLERANCE = 1e-9;
+
+/**
+ * Read a dilemma parameter as a 0-1 weight across its declared range (0-10 if it declares none)
+ * @param {Object} dilemma - The dilemma
+ * @param {Array<string>} names - Parameter names to try in order
+ * @param {number} defaultWeight - Weight when none of the parameters is numeric
+ * @returns {number} Weight between 0 and 1
+ */
+function getCareWeight(dilemma, names, defaultWeight = 0.5) {
+  for (const name of names) {
+    const weight = getMappedParameterFraction(dilemma, name);
+    if (weight !== null) {
+      return weight;
+    }
+  }
+  return defaultWeight;
+}
+
+/**
+ * Build the care profile of a stakeholder: how vulnerable and dependent they are and how
+ * close the decision-maker's relationship to them is. Declared `vulnerability` and
+ * `relationship` fields take precedence; otherwise low influence is read as dependency.
+ * @param {Object} stakeholder - The stakeholder
+ * @returns {Object} Care profile with vulnerability, dependency and relationship values (0-1)
+ */
+export function getStakeholderCareProfile(stakeholder) {
+  const influence = typeof stakeholder.influence === 'number' ? stakeholder.influence : 0.5;
+  const power = typeof stakeholder.power_level === 'number' ? stakeholder.power_level : influence;
+  const dependency = Math.max(0, Math.min(1, 1 - power));
+
+  const hasVulnerability = typeof stakeholder.vulnerability === 'number';
+  const vulnerability = hasVulnerability
+    ? Math.max(0, Math.min(1, stakeholder.vulnerability))
+    : dependency;
+
+  // Relationship may be a type name, a 0-1 closeness, or { type, closeness }
+  let relationshipType = null;
+  let closeness = 0.5;
+  const relationship = stakeholder.relationship;
+  if (typeof relationship === 'string') {
+    relationshipType = relationship;
+    closeness = RELATIONSHIP_CLOSENESS[relationship.toLowerCase()] ?? 0.5;
+  } else if (typeof relationship === 'number') {
+    closeness = Math.max(0, Math.min(1, relationship));
+  } else if (relationship && typeof relationship === 'object') {
+    relationshipType = relationship.type || null;
+    closeness = typeof relationship.closeness === 'number'
+      ? Math.max(0, Math.min(1, relationship.closeness))
+      : (RELATIONSHIP_CLOSENESS[String(relationshipType).toLowerCase()] ?? 0.5);
+  }
+
+  return {
+    vulnerability,
+    vulnerability_source: hasVulnerability ? 'declared' : 'estimated_from_influence',
+    dependency,
+    relationship: relationshipType,
+    closeness
+  };
+}
+
+/**
+ * Estimate the impact of an action on a stakeholder on a -1..1 scale.
+ * Uses, in order: dilemma.impacts[action][stakeholder], the parameters and outcomes the stakeholder
+ * declares in `effects`, the stakeholder's own `impact` map (-10..10), or the overlap between the
+ * stakeholder's concerns and the action text.
+ * @param {Object} stakeholder - The stakeholder
+ * @param {string} actionId - The action ID
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Impact with value, source and description (and contributions for declared effects)
+ */
+export function estimateStakeholderImpact(stakeholder, actionId, dilemma) {
+  const declared = dilemma?.impacts?.[actionId]?.[stakeholder.id];
+  if (declared && typeof declared.value === 'number') {
+    return {
+      value: Math.max(-1, Math.min(1, declared.value)),
+      source: 'declared',
+      description: declared.description || null
+    };
+  }
+
+  const modeled = evaluateStakeholderEffects(stakeholder, actionId, dilemma);
+  if (modeled) {
+    return {
+      value: modeled.value,
+      source: 'effects',
+      description: modeled.explanation,
+      contributions: modeled.contributions
+    };
+  }
+
+  const ownImpact = stakeholder.impact?.[actionId];
+  if (typeof ownImpact === 'number') {
+    return {
+      value: Math.max(-1, Math.min(1, ownImpact / 10)),
+      source: 'stakeholder_impact',
+      description: null
+    };
+  }
+
+  const action = (dilemma?.possible_actions || []).find(a => a.id === actionId);
+  const concerns = getStakeholderConcerns(stakeholder);
+  if (!action || concerns.length === 0) {
+    return { value: 0, source: 'none', description: null };
+  }
+
+  // Share of the stakeholder's concerns the action speaks to
+  const outcomeTexts = action.outcomes && typeof action.outcomes === 'object' && !Array.isArray(action.outcomes)
+    ? Object.values(action.outcomes)
+    : [];
+  const actionWords = extractKeywords(
+    [action.action, action.name, action.description, action.predicted_consequences, ...outcomeTexts]
+      .filter(text => typeof text === 'string')
+      .join(' ')
+  );
+  const addressed = concerns.filter(concern =>
+    extractKeywords(concern).some(word =>
+      actionWords.some(actionWord => actionWord.slice(0, 5) === word.slice(0, 5))
+    )
+  );
+
+  return {
+    value: addressed.length / concerns.length,
+    source: 'concern_alignment',
+    description: addressed.length > 0 ? `addresses ${addressed.join(', ')}` : null
+  };
+}
+
+/**
+ * Evaluate a dilemma from the care ethics perspective
+ * @param {Object} dilemma - The dilemma to evaluate
+ * @returns {Object} Evaluation with ranked actions, per-stakeholder reasoning, the winning action
+ *   and a justification. recommendedAction is null when there are no stakeholders or actions, when
+ *   no action affects any stakeholder, or when the best actions tie (they are listed in tied_actions).
+ *   Stakeholders no action affects are left out of the weighting (their profile has involved: false).
+ */
+export function evaluateCareEthics(dilemma) {
+  const actions = (dilemma?.possible_actions || []).filter(action => action && action.id);
+  const stakeholders = (dilemma?.stakeholders || []).filter(stakeholder => stakeholder && stakeholder.id);
+
+  if (actions.length === 0 || stakeholders.length === 0) {
+    return {
+      recommendedAction: null,
+      justification: null,
+      ranking: actions.map(action => ({ action: action.id, score: null, rank: null, stakeholders: [] })),
+      stakeholderProfiles: {}
+    };
+  }
+
+  // Dilemma-level emphasis on protecting the vulnerable, valuing relationships and compassion
+  const protection = getCareWeight(dilemma, ['vulnerable_patients_protection', 'vulnerable_population_protection']);
+  const relational = getCareWeight(dilemma, ['existing_relationships_value']);
+  const compassion = getCareWeight(dilemma, ['compassion_expression']);
+
+  const profiles = {};
+  stakeholders.forEach(stakeholder => {
+    const profile = getStakeholderCareProfile(stakeholder);
+    profiles[stakeholder.id] = {
+      ...profile,
+      care_weight: round(1 + 2 * protection * profile.vulnerability + relational * profile.closeness)
+    };
+  });
+
+  // Stakeholders no action affects have no claim on care here; counting them would only dilute
+  // the weights of those who are affected (and an estimated vulnerability could make them the
+  // most vulnerable)
+  const impacts = Object.fromEntries(stakeholders.map(stakeholder => [stakeholder.id,
+    Object.fromEntries(actions.map(action => [action.id, estimateStakeholderImpact(stakeholder, action.id, dilemma)]))]));
+  const involved = stakeholders.filter(stakeholder =>
+    Object.values(impacts[stakeholder.id]).some(impact => impact.value !== 0));
+  stakeholders.forEach(stakeholder => {
+    profiles[stakeholder.id].involved = involved.includes(stakeholder);
+  });
+
+  // With nobody affected every action scores 0, which says nothing about which one cares better
+  if (involved.length === 0) {
+    return {
+      recommendedAction: null,
+      justification: 'No action affects any stakeholder, so care ethics has no basis to prefer one of them.',
+      ranking: actions.map(action => ({ action: action.id, score: null, rank: null, stakeholders: [] })),
+      stakeholderProfiles: profiles
+    };
+  }
+
+  // The most vulnerable stakeholders get extra attention proportional to compassion. Stakeholders
+  // level on vulnerability share it, so it does not go to whichever one is listed first
+  const topVulnerability = Math.max(...involved.map(stakeholder => profiles[stakeholder.id].vulnerability));
+  const mostVulnerable = involved.filter(stakeholder =>
+    topVulnerability - profiles[stakeholder.id].vulnerability <= CARE_TIE_TOLERANCE);
+
+  const scored = actions.map(action => {
+    let weightedImpact = 0;
+    let totalWeight = 0;
+
+    const stakeholderReasoning = involved.map(stakeholder => {
+      const profile = profiles[stakeholder.id];
+      const impact = impacts[stakeholder.id][action.id];
+      weightedImpact += profile.care_weight * impact.value;
+      totalWeight += profile.care_weight;
+
+      return {
+        stakeholder: stakeholder.id,
+        name: stakeholder.name || stakeholder.id,
+        vulnerability: round(profile.vulnerability),
+        relationship: profile.relationship,
+        care_weight: profile.care_weight,
+        impact: round(impact.value),
+        impact_source: impact.source,
+        reasoning: describeStakeholderCare(stakeholder, profile, impact)
+      };
+    });
+
+    const vulnerableImpact = mostVulnerable.reduce((sum, stakeholder) =>
+      sum + impacts[stakeholder.id][action.id].value, 0) / mostVulnerable.length;
+    const score = (totalWeight > 0 ? weightedImpact / totalWeight : 0) + 0.5 * compassion * vulnerableImpact;
+
+    return { action: action.id, score, stakeholders: stakeholderReasoning };
+  });
+
+  const sorted = scored.sort((a, b) => b.score - a.score);
+  const tied = sorted.filter(entry => sorted[0].score - entry.score <= CARE_TIE_TOLERANCE);
+  const ranking = sorted.map((entry, index) => ({ ...entry, score: round(entry.score), rank: index + 1 }));
+
+  if (tied.length > 1) {
+    const tiedActions = tied.map(entry => entry.action);
+    return {
+      recommendedAction: null,
+      tied_actions: tiedActions,
+      justification: `${tiedActions.join(' and ')} are level on care score (${ranking[0].score}), ` +
+        'so care ethics does not decide between them.',
+      ranking,
+      stakeholderProfiles: profiles
+    };
+  }
+
+  const winner = ranking[0];
+
+  return {
+    recommendedAction: winner.action,
+    justification: buildJustification(winner, ranking[1], mostVulnerable, profiles),
+    ranking,
+    stakeholderProfiles: profiles
+  };
+}
+
+/**
+ * Describe how an action affects a stakeholder from the care perspective
+ * @param {Object} stakeholder - The stakeholder
+ * @param {Object} profile - The stakeholder's care profile
+ * @param {Object} impact - The estimated impact
+ * @returns {string} Reasoning sentence
+ */
+function describeStakeholderCare(stakeholder, profile, impact) {
+  const name = stakeholder.name || stakeholder.id;
+  const standing = profile.vulnerability >= 0.7
+    ? 'highly vulnerable'
+    : profile.vulnerability >= 0.4 ? 'moderately vulnerable' : 'less vulnerable';
+  const article = /^[aeiou]/i.test(profile.relationship || '') ? 'an' : 'a';
+  const relation = profile.relationship ? ` with ${article} ${profile.relationship} relationship` : '';
+
+  let effect;
+  if (impact.value > 0.5) effect = 'is well cared for';
+  else if (impact.value > 0) effect = 'is partly cared for';
+  else if (impact.value === 0) effect = 'is not directly addressed';
+  else effect = 'is harmed';
+
+  const detail = impact.description ? ` (${impact.description})` : '';
+  return `${name} (${standing}${relation}) ${effect} by this action${detail}.`;
+}
+
+/**
+ * Build the care ethics justification for the winning action
+ * @param {Object} winner - Highest ranked entry
+ * @param {Object|undefined} runnerUp - Second ranked entry, if any
+ * @param {Array<Object>} mostVulnerable - The most vulnerable stakeholders
+ * @param {Object} profiles - Stakeholder care profiles
+ * @returns {string} Justification text
+ */
+function buildJustification(winner, runnerUp, mostVulnerable, profiles) {
+  const parts = [];
+
+  if (runnerUp) {
+    parts.push(getCareEthicsTemplate(winner.action, {
+      valueA: winner.score,
+      valueB: runnerUp.score,
+      higher: winner.action,
+      ratio: winner.score > 0 && runnerUp.score > 0 ? winner.score / runnerUp.score : null,
+      difference: round(winner.score - runnerUp.score),
+      metricName: 'care score'
+    }));
+  } else {
+    parts.push(`Option ${winner.action} is the only action available to care for the stakeholders involved.`);
+  }
+
+  const vulnerableEntries = winner.stakeholders.filter(s => mostVulnerable.some(stakeholder => stakeholder.id === s.stakeholder));
+  if (vulnerableEntries.length > 0) {
+    parts.push(`Most vulnerable: ${vulnerableEntries.map(entry => entry.reasoning).join(' ')}`);
+  }
+
+  const weighted = Object.entries(profiles)
+    .sort((a, b) => b[1].care_weight - a[1].care_weight)
+    .slice(0, 3)
+    .map(([id, profile]) => `${id} (${profile.care_weight})`);
+  parts.push(`Care weights prioritise ${weighted.join(', ')}.`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Round a value for display
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
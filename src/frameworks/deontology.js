@@ -0,0 +1,229 @@
+/**
+ * Deontological Evaluator Module
+ * Checks possible actions against a dilemma's declared duties, rights and prohibitions,
+ * marks violating actions impermissible and ranks the rest by duty alignment
+ */
+
+import { getDeontologicalTemplate } from './templates.js';
+import { getOptionParameterValue } from '../utils/parameterMapping.js';
+
+/**
+ * Constraint types a dilemma can declare in its `duties` array.
+ * Prohibitions and rights are hard constraints unless marked `absolute: false`;
+ * positive duties are prima facie unless marked `absolute: true`.
+ */
+const CONSTRAINT_TYPES = {
+  duty: { label: 'duty', absoluteByDefault: false },
+  right: { label: 'right', absoluteByDefault: true },
+  prohibition: { label: 'prohibition', absoluteByDefault: true }
+};
+
+/**
+ * Normalize the duties, rights and prohibitions declared by a dilemma.
+ * Accepts a `duties` array of objects or plain strings, plus optional `rights` and
+ * `prohibitions` arrays for dilemmas that prefer to declare them separately.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<Object>} Normalized constraints
+ */
+export function getDeclaredConstraints(dilemma) {
+  const declared = [
+    ...toArray(dilemma?.duties).map(entry => ({ type: 'duty', entry })),
+    ...toArray(dilemma?.rights).map(entry => ({ type: 'right', entry })),
+    ...toArray(dilemma?.prohibitions).map(entry => ({ type: 'prohibition', entry }))
+  ];
+
+  return declared.map(({ type, entry }, index) => {
+    const constraint = typeof entry === 'string' ? { description: entry } : { ...entry };
+    const constraintType = CONSTRAINT_TYPES[constraint.type] ? constraint.type : type;
+
+    return {
+      id: constraint.id || `${constraintType}_${index + 1}`,
+      type: constraintType,
+      description: constraint.description || constraint.id || `Unnamed ${constraintType}`,
+      holder: constraint.holder || null,
+      absolute: typeof constraint.absolute === 'boolean'
+        ? constraint.absolute
+        : CONSTRAINT_TYPES[constraintType].absoluteByDefault,
+      weight: typeof constraint.weight === 'number' ? constraint.weight : 1,
+      violated_by: toArray(constraint.violated_by),
+      satisfied_by: toArray(constraint.satisfied_by),
+      violation_keywords: toArray(constraint.violation_keywords).map(k => String(k).toLowerCase()),
+      satisfaction_keywords: toArray(constraint.satisfaction_keywords).map(k => String(k).toLowerCase())
+    };
+  });
+}
+
+/**
+ * Check a single action against the declared constraints
+ * @param {Object} action - A possible action
+ * @param {Array<Object>} constraints - Normalized constraints
+ * @returns {Object} Satisfied and violated constraints for the action
+ */
+export function checkActionAgainstConstraints(action, constraints) {
+  const actionText = [action.action, action.description, action.predicted_consequences]
+    .filter(text => typeof text === 'string')
+    .join(' ')
+    .toLowerCase();
+
+  const satisfied = [];
+  const violated = [];
+
+  constraints.forEach(constraint => {
+    const summary = {
+      id: constraint.id,
+      type: constraint.type,
+      description: constraint.description,
+      absolute: constraint.absolute
+    };
+
+    const isViolated = constraint.violated_by.includes(action.id) ||
+      constraint.violation_keywords.some(keyword => actionText.includes(keyword));
+
+    if (isViolated) {
+      violated.push(summary);
+      return;
+    }
+
+    const isSatisfied = constraint.satisfied_by.includes(action.id) ||
+      constraint.satisfaction_keywords.some(keyword => actionText.includes(keyword)) ||
+      // A prohibition or right that is not violated is respected
+      (constraint.type !== 'duty' && (constraint.violated_by.length > 0 || constraint.violation_keywords.length > 0));
+
+    if (isSatisfied) {
+      satisfied.push(summary);
+    }
+  });
+
+  return { satisfied, violated };
+}
+
+/**
+ * Evaluate a dilemma from the deontological perspective
+ * @param {Object} dilemma - The dilemma to evaluate
+ * @returns {Object} Evaluation with ranked actions, per-action constraint checks, the winning
+ *   action and a justification. recommendedAction is null when there is nothing to evaluate, or
+ *   when the best actions are level (they are listed in tied_actions).
+ */
+export function evaluateDeontology(dilemma) {
+  const actions = (dilemma?.possible_actions || []).filter(action => action && action.id);
+  const constraints = getDeclaredConstraints(dilemma);
+
+  const assessments = actions.map(action => {
+    const { satisfied, violated } = checkActionAgainstConstraints(action, constraints);
+    const alignment = getOptionParameterValue(dilemma, 'duty_alignment', action.id);
+    const hasAlignment = typeof alignment === 'number';
+
+    // Prima facie duties adjust the alignment score; absolute violations rule the action out
+    const weightOf = id => constraints.find(c => c.id === id)?.weight || 1;
+    const adjustment = satisfied.reduce((sum, c) => sum + weightOf(c.id), 0) -
+      violated.filter(c => !c.absolute).reduce((sum, c) => sum + weightOf(c.id), 0);
+    const hasEvidence = hasAlignment || satisfied.length > 0 || violated.length > 0;
+
+    return {
+      action: action.id,
+      permissible: !violated.some(c => c.absolute),
+      score: hasEvidence ? (hasAlignment ? alignment : 0) + adjustment : null,
+      duty_alignment: hasAlignment ? alignment : null,
+      satisfied,
+      violated
+    };
+  });
+
+  if (!assessments.some(a => a.score !== null)) {
+    return {
+      recommendedAction: null,
+      justification: null,
+      ranking: assessments.map(a => ({ ...a, rank: null })),
+      constraints,
+      impermissibleActions: assessments.filter(a => !a.permissible).map(a => a.action)
+    };
+  }
+
+  // Permissible actions first, then by fewest absolute violations, then by score
+  const absoluteViolations = a => a.violated.filter(c => c.absolute).length;
+  const compare = (a, b) => {
+    if (a.permissible !== b.permissible) return a.permissible ? -1 : 1;
+    if (absoluteViolations(a) !== absoluteViolations(b)) return absoluteViolations(a) - absoluteViolations(b);
+    if (a.score === b.score) return 0;
+    return (b.score ?? -Infinity) - (a.score ?? -Infinity);
+  };
+  const ranking = [...assessments]
+    .sort(compare)
+    .map((assessment, index) => ({ ...assessment, rank: index + 1 }));
+
+  // Actions the constraints and scores leave level are a tie, not a win for the first listed
+  const tied = ranking.filter(assessment => compare(ranking[0], assessment) === 0).map(assessment => assessment.action);
+  if (tied.length > 1) {
+    return {
+      recommendedAction: null,
+      tied_actions: tied,
+      justification: `${tied.join(' and ')} are level on the declared constraints and duty alignment, ` +
+        'so the deontological evaluation does not decide between them.',
+      ranking,
+      constraints,
+      impermissibleActions: ranking.filter(a => !a.permissible).map(a => a.action)
+    };
+  }
+
+  const winner = ranking[0];
+
+  return {
+    recommendedAction: winner.action,
+    justification: buildJustification(winner, ranking),
+    ranking,
+    constraints,
+    impermissibleActions: ranking.filter(a => !a.permissible).map(a => a.action)
+  };
+}
+
+/**
+ * Build the deontological justification for the winning action
+ * @param {Object} winner - Highest ranked assessment
+ * @param {Array<Object>} ranking - All ranked assessments
+ * @returns {string} Justification text
+ */
+function buildJustification(winner, ranking) {
+  const parts = [];
+  const rivals = ranking.filter(a => a.action !== winner.action && a.permissible === winner.permissible && a.score !== null);
+
+  if (!winner.permissible) {
+    parts.push(`Every available action breaks at least one absolute constraint; ${winner.action} breaks the fewest.`);
+  } else if (winner.score === null) {
+    parts.push(`${winner.action} respects the declared moral constraints; no duty-alignment data distinguishes it from the other permissible actions.`);
+  } else if (rivals.length > 0) {
+    const runnerUp = rivals[0];
+    parts.push(getDeontologicalTemplate(winner.action, {
+      valueA: winner.score,
+      valueB: runnerUp.score,
+      higher: winner.action,
+      ratio: winner.score > 0 && runnerUp.score > 0 ? winner.score / runnerUp.score : null,
+      difference: winner.score - runnerUp.score,
+      metricName: 'duty alignment'
+    }));
+  } else {
+    parts.push(`${winner.action} is the only action consistent with the declared moral constraints.`);
+  }
+
+  if (winner.satisfied.length > 0) {
+    parts.push(`It honours: ${winner.satisfied.map(c => c.description).join('; ')}.`);
+  }
+
+  ranking
+    .filter(a => !a.permissible && a.action !== winner.action)
+    .forEach(a => {
+      const broken = a.violated.filter(c => c.absolute).map(c => c.description).join('; ');
+      parts.push(`${a.action} is impermissible because it violates: ${broken}.`);
+    });
+
+  return parts.join(' ');
+}
+
+/**
+ * Wrap a single value or array into an array
+ * @param {*} value - Value to wrap
+ * @returns {Array} Array of values
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,327 @@
+/**
+ * Justice Evaluator Module
+ * Builds the distribution of outcomes each possible action produces across stakeholders
+ * and scores it under a selectable distributive principle
+ */
+
+import { getJusticeTemplate } from './templates.js';
+import { estimateStakeholderImpact } from './careEthics.js';
+import { getPipelineLogger } from '../utils/logging.js';
+
+/**
+ * Default welfare level (0-1) below which a stakeholder counts as insufficiently provided for.
+ * 0.5 corresponds to an action that leaves the stakeholder neither better nor worse off.
+ */
+const DEFAULT_SUFFICIENCY_THRESHOLD = 0.5;
+
+/**
+ * Distributive principles a dilemma or the CLI can select.
+ * Each scores a distribution of welfare levels (0-1) with population weights; higher is more just.
+ */
+export const DISTRIBUTIVE_PRINCIPLES = {
+  egalitarian: {
+    label: 'egalitarian',
+    metricName: 'equality-adjusted welfare',
+    description: 'mean welfare discounted by inequality (1 - Gini)',
+    score: metrics => metrics.mean * (1 - metrics.gini)
+  },
+  prioritarian: {
+    label: 'prioritarian',
+    metricName: 'priority-weighted welfare',
+    description: 'gains to the worse off count for more (concave transform of welfare)',
+    score: metrics => metrics.prioritarian
+  },
+  sufficientarian: {
+    label: 'sufficientarian',
+    metricName: 'sufficiency',
+    description: 'smallest average shortfall below the sufficiency threshold',
+    score: metrics => -metrics.shortfall
+  },
+  maximin: {
+    label: 'Rawlsian maximin',
+    metricName: 'worst-off welfare',
+    description: 'welfare of the worst-off stakeholder',
+    score: metrics => metrics.minimum
+  }
+};
+
+export const DEFAULT_DISTRIBUTIVE_PRINCIPLE = 'maximin';
+
+/**
+ * Scores and welfare levels closer than this are equal
+ */
+const JUSTICE_TIE_TOLERANCE = 1e-9;
+
+/**
+ * Resolve the justice settings of a dilemma. The principle may be declared as
+ * `justice: { principle, sufficiency_threshold }` or as a top-level `justice_principle`.
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} [options] - { quiet, logger } for the warning about an unknown principle
+ * @returns {Object} Principle ID and sufficiency threshold
+ */
+export function getJusticeSettings(dilemma, options = {}) {
+  const declared = dilemma?.justice && typeof dilemma.justice === 'object' ? dilemma.justice : {};
+  const requested = declared.principle || dilemma?.justice_principle || DEFAULT_DISTRIBUTIVE_PRINCIPLE;
+  const principle = String(requested).toLowerCase();
+
+  let resolved = principle;
+  if (!DISTRIBUTIVE_PRINCIPLES[principle]) {
+    getPipelineLogger(options).warn(`Unknown distributive principle "${requested}", using ${DEFAULT_DISTRIBUTIVE_PRINCIPLE}. ` +
+      `Valid principles: ${Object.keys(DISTRIBUTIVE_PRINCIPLES).join(', ')}`);
+    resolved = DEFAULT_DISTRIBUTIVE_PRINCIPLE;
+  }
+
+  const threshold = typeof declared.sufficiency_threshold === 'number'
+    ? Math.max(0, Math.min(1, declared.sufficiency_threshold))
+    : DEFAULT_SUFFICIENCY_THRESHOLD;
+
+  return { principle: resolved, sufficiency_threshold: threshold };
+}
+
+/**
+ * Build the distribution of outcomes an action produces across stakeholders.
+ * Impacts (-1..1) are mapped to welfare levels (0..1). Stakeholder groups are weighted by
+ * their declared `number` when every stakeholder declares one, otherwise counted equally.
+ * @param {Object} dilemma - The dilemma
+ * @param {string} actionId - The action ID
+ * @returns {Array<Object>} Per-stakeholder outcomes
+ */
+export function getOutcomeDistribution(dilemma, actionId) {
+  const stakeholders = (dilemma?.stakeholders || []).filter(stakeholder => stakeholder && stakeholder.id);
+  const weightByPopulation = stakeholders.length > 0 &&
+    stakeholders.every(stakeholder => typeof stakeholder.number === 'number' && stakeholder.number > 0);
+
+  return stakeholders.map(stakeholder => {
+    const impact = estimateStakeholderImpact(stakeholder, actionId, dilemma);
+    return {
+      stakeholder: stakeholder.id,
+      name: stakeholder.name || stakeholder.id,
+      weight: weightByPopulation ? stakeholder.number : 1,
+      impact: impact.value,
+      welfare: (impact.value + 1) / 2,
+      impact_source: impact.source
+    };
+  });
+}
+
+/**
+ * Calculate the distributive metrics of an outcome distribution
+ * @param {Array<Object>} distribution - Per-stakeholder outcomes with weight and welfare
+ * @param {number} threshold - Sufficiency threshold (0-1)
+ * @returns {Object} Mean, minimum, Gini coefficient, sufficiency shortfall and prioritarian value
+ */
+export function calculateDistributionMetrics(distribution, threshold = DEFAULT_SUFFICIENCY_THRESHOLD) {
+  const totalWeight = distribution.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) {
+    return { mean: 0, minimum: 0, gini: 0, shortfall: 0, prioritarian: 0 };
+  }
+
+  const weightedMean = fn => distribution.reduce((sum, entry) => sum + entry.weight * fn(entry.welfare), 0) / totalWeight;
+  const mean = weightedMean(welfare => welfare);
+
+  // Weighted Gini: mean absolute difference between all pairs, relative to twice the mean
+  let pairwiseDifference = 0;
+  distribution.forEach(a => {
+    distribution.forEach(b => {
+      pairwiseDifference += a.weight * b.weight * Math.abs(a.welfare - b.welfare);
+    });
+  });
+  const gini = mean > 0 ? pairwiseDifference / (2 * totalWeight * totalWeight * mean) : 0;
+
+  return {
+    mean,
+    minimum: Math.min(...distribution.map(entry => entry.welfare)),
+    gini,
+    shortfall: weightedMean(welfare => Math.max(0, threshold - welfare)),
+    prioritarian: weightedMean(welfare => Math.sqrt(welfare))
+  };
+}
+
+/**
+ * Evaluate a dilemma from the justice perspective
+ * @param {Object} dilemma - The dilemma to evaluate
+ * @param {Object} [options] - { quiet, logger } for warnings about the justice settings
+ * @returns {Object} Evaluation with ranked actions, per-action distributions and metrics, the
+ *   winning action under the selected principle, the winner under every other principle and a
+ *   justification. recommendedAction is null when there are no stakeholders or actions, when no
+ *   action affects any stakeholder, or when the best actions tie (they are listed in tied_actions).
+ *   A principle under which the best actions tie has null in principleComparison and lists them
+ *   in principleTies.
+ */
+export function evaluateJustice(dilemma, options = {}) {
+  const actions = (dilemma?.possible_actions || []).filter(action => action && action.id);
+  const settings = getJusticeSettings(dilemma, options);
+  const principle = DISTRIBUTIVE_PRINCIPLES[settings.principle];
+
+  if (actions.length === 0 || !(dilemma?.stakeholders || []).some(stakeholder => stakeholder && stakeholder.id)) {
+    return {
+      recommendedAction: null,
+      justification: null,
+      ranking: actions.map(action => ({ action: action.id, score: null, rank: null, distribution: [] })),
+      principle: settings.principle,
+      sufficiencyThreshold: settings.sufficiency_threshold,
+      principleComparison: {}
+    };
+  }
+
+  const assessments = actions.map(action => {
+    const distribution = getOutcomeDistribution(dilemma, action.id);
+    const metrics = calculateDistributionMetrics(distribution, settings.sufficiency_threshold);
+    const worstOff = distribution.reduce((worst, entry) => entry.welfare < worst.welfare ? entry : worst);
+    return { action: action.id, distribution, metrics, worstOff };
+  });
+
+  // Without any impact every action leaves everyone at the same welfare, which decides nothing
+  if (assessments.every(assessment => assessment.distribution.every(entry => entry.impact === 0))) {
+    return {
+      recommendedAction: null,
+      justification: 'No action affects any stakeholder, so there is no distribution of outcomes to compare.',
+      ranking: actions.map(action => ({ action: action.id, score: null, rank: null, distribution: [] })),
+      principle: settings.principle,
+      sufficiencyThreshold: settings.sufficiency_threshold,
+      principleComparison: {}
+    };
+  }
+
+  const rankBy = principleId => [...assessments].sort((a, b) =>
+    compareUnderPrinciple(a, b, principleId)
+  );
+  // Actions the principle and its tie-breaks cannot separate from the best one
+  const leadersBy = principleId => {
+    const ranked = rankBy(principleId);
+    return ranked.filter(assessment => compareUnderPrinciple(ranked[0], assessment, principleId) === 0)
+      .map(assessment => assessment.action);
+  };
+
+  const ranking = rankBy(settings.principle).map((assessment, index) => ({
+    action: assessment.action,
+    score: round(principle.score(assessment.metrics)),
+    rank: index + 1,
+    worst_off: assessment.worstOff.stakeholder,
+    metrics: {
+      mean_welfare: round(assessment.metrics.mean),
+      minimum_welfare: round(assessment.metrics.minimum),
+      gini: round(assessment.metrics.gini),
+      sufficiency_shortfall: round(assessment.metrics.shortfall),
+      prioritarian_welfare: round(assessment.metrics.prioritarian)
+    },
+    distribution: assessment.distribution.map(entry => ({
+      ...entry,
+      impact: round(entry.impact),
+      welfare: round(entry.welfare)
+    }))
+  }));
+
+  // Show how the choice of principle affects the outcome
+  const principleComparison = {};
+  const principleTies = {};
+  Object.keys(DISTRIBUTIVE_PRINCIPLES).forEach(principleId => {
+    const leaders = leadersBy(principleId);
+    principleComparison[principleId] = leaders.length === 1 ? leaders[0] : null;
+    if (leaders.length > 1) principleTies[principleId] = leaders;
+  });
+
+  const tied = principleTies[settings.principle];
+  if (tied) {
+    return {
+      recommendedAction: null,
+      tied_actions: tied,
+      justification: `${tied.join(' and ')} are level under the ${principle.label} principle ` +
+        `(${principle.metricName} ${ranking[0].score}) and on mean welfare, so justice does not decide between them.`,
+      ranking,
+      principle: settings.principle,
+      sufficiencyThreshold: settings.sufficiency_threshold,
+      principleComparison,
+      principleTies
+    };
+  }
+
+  return {
+    recommendedAction: ranking[0].action,
+    justification: buildJustification(ranking, settings, principleComparison, principleTies),
+    ranking,
+    principle: settings.principle,
+    sufficiencyThreshold: settings.sufficiency_threshold,
+    principleComparison,
+    principleTies
+  };
+}
+
+/**
+ * Order two assessments under a principle (best first). Maximin breaks ties leximin-style by
+ * comparing the next worst-off stakeholders; other principles break ties by mean welfare.
+ * @param {Object} a - First assessment
+ * @param {Object} b - Second assessment
+ * @param {string} principleId - Distributive principle ID
+ * @returns {number} Sort order
+ */
+function compareUnderPrinciple(a, b, principleId) {
+  const score = DISTRIBUTIVE_PRINCIPLES[principleId].score;
+  const difference = score(b.metrics) - score(a.metrics);
+  if (Math.abs(difference) > JUSTICE_TIE_TOLERANCE) return difference;
+
+  if (principleId === 'maximin') {
+    const levelsA = a.distribution.map(entry => entry.welfare).sort((x, y) => x - y);
+    const levelsB = b.distribution.map(entry => entry.welfare).sort((x, y) => x - y);
+    for (let i = 0; i < Math.min(levelsA.length, levelsB.length); i++) {
+      if (Math.abs(levelsA[i] - levelsB[i]) > JUSTICE_TIE_TOLERANCE) return levelsB[i] - levelsA[i];
+    }
+  }
+
+  const meanDifference = b.metrics.mean - a.metrics.mean;
+  return Math.abs(meanDifference) > JUSTICE_TIE_TOLERANCE ? meanDifference : 0;
+}
+
+/**
+ * Build the justice justification for the winning action
+ * @param {Array<Object>} ranking - Ranked actions
+ * @param {Object} settings - Resolved justice settings
+ * @param {Object} principleComparison - Winning action under each principle (null when tied)
+ * @param {Object} principleTies - Tied best actions of the principles that do not decide
+ * @returns {string} Justification text
+ */
+function buildJustification(ranking, settings, principleComparison, principleTies) {
+  const principle = DISTRIBUTIVE_PRINCIPLES[settings.principle];
+  const winner = ranking[0];
+  const runnerUp = ranking[1];
+  const parts = [];
+
+  if (runnerUp) {
+    parts.push(getJusticeTemplate(winner.action, {
+      valueA: winner.score,
+      valueB: runnerUp.score,
+      higher: winner.action,
+      ratio: winner.score > 0 && runnerUp.score > 0 ? winner.score / runnerUp.score : null,
+      difference: round(winner.score - runnerUp.score),
+      metricName: principle.metricName
+    }));
+  } else {
+    parts.push(`Option ${winner.action} is the only action whose distribution of outcomes can be assessed.`);
+  }
+
+  parts.push(`Under the ${principle.label} principle (${principle.description}), ` +
+    `its worst-off stakeholder is ${winner.worst_off} (welfare ${winner.metrics.minimum_welfare}) ` +
+    `and its Gini coefficient is ${winner.metrics.gini}.`);
+
+  const dissenting = Object.entries(principleComparison)
+    .filter(([principleId, action]) => principleId !== settings.principle && action !== winner.action)
+    .map(([principleId, action]) => (action
+      ? `${DISTRIBUTIVE_PRINCIPLES[principleId].label} favours ${action}`
+      : `${DISTRIBUTIVE_PRINCIPLES[principleId].label} ties ${principleTies[principleId].join(' and ')}`));
+  if (dissenting.length > 0) {
+    parts.push(`Other principles disagree: ${dissenting.join('; ')}.`);
+  } else {
+    parts.push('All distributive principles agree on this action.');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Round a value for display
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,207 @@
+/**
+ * Framework Registry Module
+ * Central registry of ethical frameworks. Each framework registers its evaluator, the values
+ * it emphasizes, its methodology, its distance to other frameworks and a contextual-weight hook,
+ * so new frameworks can be added without editing the modules that consume them.
+ */
+
+import { BUILTIN_FRAMEWORKS } from './builtins.js';
+import { getPipelineLogger } from '../utils/logging.js';
+
+/**
+ * Distance used between two registered frameworks when neither declares one
+ */
+export const DEFAULT_FRAMEWORK_DISTANCE = 0.5;
+
+/**
+ * Contextual weight used when a framework has no contextual-weight hook
+ */
+export const DEFAULT_CONTEXTUAL_WEIGHT = 0.5;
+
+const frameworks = new Map();
+
+/**
+ * Normalize a framework name for registry lookups
+ * @param {string} name - Framework name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+/**
+ * Register an ethical framework
+ * @param {Object} definition - Framework definition
+ * @param {string} definition.name - Unique framework name, e.g. 'contractualism'
+ * @param {Function} definition.evaluate - (dilemma, options) => { recommendedAction, justification,
+ *   ranking }; recommendedAction may be null when the framework cannot decide. options carries the
+ *   caller's { quiet, logger } for the evaluator's warnings
+ * @param {Array<string>} [definition.values] - Values the framework emphasizes
+ * @param {string} [definition.methodology] - Methodology label, e.g. 'rule-based'
+ * @param {Object} [definition.distances] - Map of other framework names to a 0-1 distance
+ * @param {Function} [definition.contextualWeight] - (dilemma) => 0-1 importance of the framework
+ *   for the dilemma
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.replace=false] - Replace an existing framework with the same name
+ * @returns {Object} The registered definition
+ */
+export function registerFramework(definition, options = {}) {
+  const name = normalizeName(definition?.name);
+  if (!name) {
+    throw new Error('Framework definition requires a name');
+  }
+  if (typeof definition.evaluate !== 'function') {
+    throw new Error(`Framework "${name}" requires an evaluate(dilemma) function`);
+  }
+  if (frameworks.has(name) && !options.replace) {
+    throw new Error(`Framework "${name}" is already registered; pass { replace: true } to override it`);
+  }
+
+  const distances = {};
+  Object.entries(definition.distances || {}).forEach(([other, distance]) => {
+    if (typeof distance !== 'number' || distance < 0 || distance > 1) {
+      throw new Error(`Framework "${name}" declares an invalid distance to "${other}": expected a number between 0 and 1`);
+    }
+    distances[normalizeName(other)] = distance;
+  });
+
+  const registered = {
+    name,
+    evaluate: definition.evaluate,
+    values: Array.isArray(definition.values) ? [...definition.values] : [],
+    methodology: definition.methodology || name,
+    distances,
+    contextualWeight: typeof definition.contextualWeight === 'function' ? definition.contextualWeight : null
+  };
+
+  frameworks.set(name, registered);
+  return registered;
+}
+
+/**
+ * Remove a framework from the registry
+ * @param {string} name - Framework name
+ * @returns {boolean} True if a framework was removed
+ */
+export function unregisterFramework(name) {
+  return frameworks.delete(normalizeName(name));
+}
+
+/**
+ * Check whether a framework is registered
+ * @param {string} name - Framework name
+ * @returns {boolean} True if registered
+ */
+export function hasFramework(name) {
+  return frameworks.has(normalizeName(name));
+}
+
+/**
+ * Get a registered framework definition
+ * @param {string} name - Framework name
+ * @returns {Object|null} Framework definition, or null if not registered
+ */
+export function getFramework(name) {
+  return frameworks.get(normalizeName(name)) || null;
+}
+
+/**
+ * Get a registered framework definition, throwing if it is unknown
+ * @param {string} name - Framework name
+ * @returns {Object} Framework definition
+ */
+export function requireFramework(name) {
+  const framework = getFramework(name);
+  if (!framework) {
+    throw new Error(`Unknown ethical framework "${name}". Registered frameworks: ${getRegisteredFrameworks().join(', ')}`);
+  }
+  return framework;
+}
+
+/**
+ * Evaluate a dilemma with a registered framework. When the evaluator cannot decide, no action is
+ * picked for it: recommendedAction is null and `undetermined` is set, so conflict detection and
+ * synthesis leave the framework out. An evaluator whose best actions tie reports them in
+ * `tied_actions` and keeps its ranking, since the scores still order the remaining actions.
+ * @param {string} name - Framework name
+ * @param {Object} dilemma - The dilemma to evaluate
+ * @param {Object} [options] - { quiet, logger } for the evaluator's warnings, as for
+ *   processEthicalDilemma
+ * @returns {Object} Evaluation with recommendedAction, justification, ranking, undetermined and
+ *   tied_actions when the best actions tie
+ */
+export function evaluateFramework(name, dilemma, options = {}) {
+  const framework = requireFramework(name);
+  const evaluation = framework.evaluate(dilemma, options) || {};
+
+  if (evaluation.recommendedAction) {
+    return { ...evaluation, undetermined: false };
+  }
+
+  return {
+    ...evaluation,
+    recommendedAction: null,
+    justification: evaluation.justification ||
+      `The ${name} evaluation could not decide between the actions of this dilemma, so its recommendation is undetermined.`,
+    ranking: evaluation.tied_actions?.length > 0 ? evaluation.ranking : undefined,
+    undetermined: true
+  };
+}
+
+/**
+ * List registered framework names in registration order
+ * @returns {Array<string>} Framework names
+ */
+export function getRegisteredFrameworks() {
+  return [...frameworks.keys()];
+}
+
+/**
+ * Get the conceptual distance between two frameworks (0 = identical, 1 = maximally distant).
+ * Distances may be declared by either framework. Unknown frameworks are reported and given the
+ * default distance.
+ * @param {string} framework1 - First framework name
+ * @param {string} framework2 - Second framework name
+ * @param {Object} [options] - { quiet, logger } for the warning about unregistered frameworks
+ * @returns {number} Distance between 0 and 1
+ */
+export function getFrameworkDistance(framework1, framework2, options = {}) {
+  const first = getFramework(framework1);
+  const second = getFramework(framework2);
+
+  if (!first || !second) {
+    const unknown = [framework1, framework2].filter(name => !hasFramework(name));
+    getPipelineLogger(options).warn(`Framework distance requested for unregistered framework(s): ${unknown.join(', ')}; using default distance ${DEFAULT_FRAMEWORK_DISTANCE}`);
+    return DEFAULT_FRAMEWORK_DISTANCE;
+  }
+
+  if (first.name === second.name) return 0;
+
+  return first.distances[second.name] ??
+    second.distances[first.name] ??
+    DEFAULT_FRAMEWORK_DISTANCE;
+}
+
+/**
+ * Get how important a framework is in the context of a dilemma
+ * @param {string} name - Framework name
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} [options] - { quiet, logger } for the warning about an unregistered framework
+ * @returns {number} Weight between 0 and 1
+ */
+export function getFrameworkContextualWeight(name, dilemma, options = {}) {
+  const framework = getFramework(name);
+  if (!framework) {
+    getPipelineLogger(options).warn(`Contextual weight requested for unregistered framework "${name}"; using default weight ${DEFAULT_CONTEXTUAL_WEIGHT}`);
+    return DEFAULT_CONTEXTUAL_WEIGHT;
+  }
+  if (!dilemma || !framework.contextualWeight) return DEFAULT_CONTEXTUAL_WEIGHT;
+
+  const weight = framework.contextualWeight(dilemma);
+  return typeof weight === 'number' && Number.isFinite(weight)
+    ? Math.max(0, Math.min(1, weight))
+    : DEFAULT_CONTEXTUAL_WEIGHT;
+}
+
+// Register the frameworks that ship with REA
+BUILTIN_FRAMEWORKS.forEach(definition => registerFramework(definition));
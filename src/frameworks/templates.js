@@ -13,7 +13,14 @@ export function getUtilitarianTemplate(action, params) {
   if (params.valueA === params.valueB) {
     return `Equal ${params.metricName} values (${params.valueA} vs ${params.valueB}) lead to a default recommendation based on secondary considerations.`;
   }
-  
+
+  // Ratios are meaningless when either value is zero or negative, so compare by difference instead
+  if (params.ratio == null && typeof params.difference === 'number') {
+    return `Option ${params.higher} has ${params.difference} more ${params.metricName} ` +
+           `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
+           `indicating greater overall benefit.`;
+  }
+
   return `Option ${params.higher} has ${params.ratio === Infinity ? "∞" : params.ratio ? params.ratio.toFixed(1) : '?'}x higher ${params.metricName} ` +
          `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
          `indicating greater overall benefit.`;
@@ -29,6 +36,12 @@ export function getDeontologicalTemplate(action, params) {
   if (params.valueA === params.valueB) {
     return `Equal ${params.metricName} values (${params.valueA} vs ${params.valueB}) require deliberation to fulfill competing moral duties.`;
   }
+
+  if (params.ratio == null && typeof params.difference === 'number') {
+    return `Option ${params.higher} has ${params.difference} more ${params.metricName} ` +
+           `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
+           `presenting stronger moral obligation.`;
+  }
   
   return `Option ${params.higher} has ${params.ratio === Infinity ? "∞" : params.ratio ? params.ratio.toFixed(1) : '?'}x higher ${params.metricName} ` +
          `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
@@ -42,6 +55,11 @@ export function getDeontologicalTemplate(action, params) {
  * @returns {string} A formatted justification
  */
 export function getVirtueEthicsTemplate(action, params) {
+  // Virtues found at the mean by the evaluator take precedence over the per-action defaults
+  if (Array.isArray(params.virtues) && params.virtues.length > 0) {
+    return `Option ${params.higher} comes closest to the mean between deficiency and excess, expressing ${params.virtues.join(', ')}.`;
+  }
+
   if (action === 'negotiate_compromises') {
     return `Character virtues of compassion and practical wisdom suggest negotiation.`;
   } else if (action === 'approve_option_b') {
@@ -61,6 +79,12 @@ export function getCareEthicsTemplate(action, params) {
   if (params.valueA === params.valueB) {
     return `Equal ${params.metricName} values (${params.valueA} vs ${params.valueB}) suggest a balanced approach to care relationships.`;
   }
+
+  if (params.ratio == null && typeof params.difference === 'number') {
+    return `Option ${params.higher} has ${params.difference} more ${params.metricName} ` +
+           `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
+           `supporting critical care relationships.`;
+  }
   
   return `Option ${params.higher} has ${params.ratio === Infinity ? "∞" : params.ratio ? params.ratio.toFixed(1) : '?'}x higher ${params.metricName} ` +
          `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
@@ -77,6 +101,12 @@ export function getJusticeTemplate(action, params) {
   if (params.valueA === params.valueB) {
     return `Equal ${params.metricName} values (${params.valueA} vs ${params.valueB}) shift the focus to fair process rather than outcomes.`;
   }
+
+  if (params.ratio == null && typeof params.difference === 'number') {
+    return `Option ${params.higher} has ${params.difference} more ${params.metricName} ` +
+           `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
+           `serving more people fairly.`;
+  }
   
   return `Option ${params.higher} has ${params.ratio === Infinity ? "∞" : params.ratio ? params.ratio.toFixed(1) : '?'}x higher ${params.metricName} ` +
          `(${Math.max(params.valueA, params.valueB)} vs ${Math.min(params.valueA, params.valueB)}) ` +
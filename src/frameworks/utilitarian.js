@@ -0,0 +1,179 @@
+/**
+ * Utilitarian Evaluator Module
+ * Scores a dilemma's possible actions by their expected utility and ranks them
+ */
+
+import { getUtilitarianTemplate } from './templates.js';
+import { getOptionParameterValue } from '../utils/parameterMapping.js';
+
+/**
+ * Scores closer than this are a tie, which the dilemma's action order must not break
+ */
+const UTILITY_TIE_TOLERANCE = 1e-9;
+
+/**
+ * Scoring methods in order of preference. The first method that can score at least one
+ * action is used for every action so that all scores share the same scale. Actions that
+ * method cannot score are undetermined rather than ranked below the scored actions.
+ */
+const SCORING_METHODS = [
+  {
+    id: 'expected_utility',
+    metricName: 'expected utility',
+    score: (dilemma, action) => calculateExpectedUtility(action)
+  },
+  {
+    id: 'population_benefit',
+    metricName: 'aggregate benefit',
+    score: (dilemma, action) => {
+      const population = getOptionParameterValue(dilemma, 'population_served', action.id);
+      const benefit = getOptionParameterValue(dilemma, 'benefit_per_person', action.id);
+      return typeof population === 'number' && typeof benefit === 'number' ? population * benefit : null;
+    }
+  },
+  {
+    id: 'net_benefit',
+    metricName: 'net benefit',
+    score: (dilemma, action) => {
+      const benefit = getOptionParameterValue(dilemma, 'benefit', action.id);
+      const harm = getOptionParameterValue(dilemma, 'harm', action.id);
+      return typeof benefit === 'number' && typeof harm === 'number' ? benefit - harm : null;
+    }
+  }
+];
+
+/**
+ * Calculate the probability-weighted expected utility of an action's outcomes.
+ * Outcome utilities may be a number or an object with a `total` field. Probabilities are
+ * normalized by their sum so incompletely specified outcome sets are still comparable.
+ * @param {Object} action - A possible action with quantitative_data.outcomes
+ * @returns {number|null} Expected utility, or null if the action has no usable outcomes
+ */
+export function calculateExpectedUtility(action) {
+  const outcomes = action?.quantitative_data?.outcomes;
+  if (!Array.isArray(outcomes) || outcomes.length === 0) {
+    return null;
+  }
+
+  let weightedTotal = 0;
+  let probabilityTotal = 0;
+
+  outcomes.forEach(outcome => {
+    const utility = typeof outcome.utility === 'number' ? outcome.utility : outcome.utility?.total;
+    if (typeof utility !== 'number' || typeof outcome.probability !== 'number' || outcome.probability < 0) {
+      return;
+    }
+
+    weightedTotal += outcome.probability * utility;
+    probabilityTotal += outcome.probability;
+  });
+
+  return probabilityTotal > 0 ? weightedTotal / probabilityTotal : null;
+}
+
+/**
+ * Evaluate a dilemma from the utilitarian perspective
+ * @param {Object} dilemma - The dilemma to evaluate
+ * @returns {Object} Evaluation with ranked actions, the winning action and a justification.
+ *   recommendedAction is null when no action could be scored, or when the best actions tie (they
+ *   are listed in tied_actions). Ranking entries of actions the
+ *   scoring method could not score have `undetermined: true` and no rank, and are listed in
+ *   undetermined_actions so consumers leave them out of comparisons.
+ */
+export function evaluateUtilitarian(dilemma) {
+  const actions = (dilemma?.possible_actions || []).filter(action => action && action.id);
+
+  // Pick the first scoring method that applies to this dilemma
+  let method = null;
+  let scores = [];
+  for (const candidate of SCORING_METHODS) {
+    scores = actions.map(action => ({ action: action.id, score: candidate.score(dilemma, action) }));
+    if (scores.some(entry => typeof entry.score === 'number' && Number.isFinite(entry.score))) {
+      method = candidate;
+      break;
+    }
+  }
+
+  if (!method) {
+    return {
+      recommendedAction: null,
+      justification: null,
+      ranking: actions.map(action => ({ action: action.id, score: null, rank: null, undetermined: true })),
+      undetermined_actions: actions.map(action => action.id),
+      method: 'none',
+      metricName: null
+    };
+  }
+
+  // Rank scored actions (highest first); unscored actions are listed last as undetermined
+  const sorted = scores
+    .filter(entry => typeof entry.score === 'number' && Number.isFinite(entry.score))
+    .sort((a, b) => b.score - a.score);
+  const scored = sorted.map((entry, index) => ({ action: entry.action, score: roundScore(entry.score), rank: index + 1 }));
+  const unscored = scores
+    .filter(entry => !(typeof entry.score === 'number' && Number.isFinite(entry.score)))
+    .map(entry => ({ action: entry.action, score: null, rank: null, undetermined: true }));
+
+  // Actions level on the metric tie; listing one of them first does not make it better
+  const tied = sorted.filter(entry => sorted[0].score - entry.score <= UTILITY_TIE_TOLERANCE).map(entry => entry.action);
+  if (tied.length > 1) {
+    return {
+      recommendedAction: null,
+      tied_actions: tied,
+      justification: `${tied.join(' and ')} are level on ${method.metricName} (${scored[0].score}), ` +
+        'so the utilitarian evaluation does not decide between them.',
+      ranking: [...scored, ...unscored],
+      undetermined_actions: unscored.map(entry => entry.action),
+      method: method.id,
+      metricName: method.metricName
+    };
+  }
+
+  const winner = scored[0];
+  const runnerUp = scored[1];
+
+  return {
+    recommendedAction: winner.action,
+    justification: buildJustification(winner, runnerUp, scored, method),
+    ranking: [...scored, ...unscored],
+    undetermined_actions: unscored.map(entry => entry.action),
+    method: method.id,
+    metricName: method.metricName
+  };
+}
+
+/**
+ * Build the utilitarian justification for the winning action
+ * @param {Object} winner - Highest ranked entry
+ * @param {Object|undefined} runnerUp - Second ranked entry, if any
+ * @param {Array} scored - All ranked entries
+ * @param {Object} method - The scoring method used
+ * @returns {string} Justification text
+ */
+function buildJustification(winner, runnerUp, scored, method) {
+  if (!runnerUp) {
+    return `Option ${winner.action} is the only action with a computable ${method.metricName} (${winner.score}).`;
+  }
+
+  const ratio = winner.score > 0 && runnerUp.score > 0 ? winner.score / runnerUp.score : null;
+  const comparison = getUtilitarianTemplate(winner.action, {
+    valueA: winner.score,
+    valueB: runnerUp.score,
+    higher: winner.action,
+    ratio,
+    difference: roundScore(winner.score - runnerUp.score),
+    metricName: method.metricName
+  });
+
+  const ranking = scored.map(entry => `${entry.action} (${entry.score})`).join(' > ');
+  return `${comparison} Ranking by ${method.metricName}: ${ranking}.`;
+}
+
+/**
+ * Round a score for display while keeping small values readable
+ * @param {number} value - Raw score
+ * @returns {number} Rounded score
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
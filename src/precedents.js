@@ -0,0 +1,318 @@
+/**
+ * REA System Precedents
+ * Precedent case library for casuistry analysis. Each case is a JSON file in the library directory,
+ * listed in the library's index; cases can be added, listed, searched and removed, and harvested
+ * from the `conflicting_elements` analogues of dilemmas and from completed analyses.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Precedent library configuration
+ */
+export const PRECEDENT_LIBRARY_CONFIG = {
+  // Library directory: the library shipped with the source tree
+  directory: fileURLToPath(new URL('../precedents/', import.meta.url)),
+  indexFile: 'index.json',
+  // Fields every case must have
+  requiredFields: ['id', 'title', 'description'],
+  // Case ids double as file names
+  idPattern: /^[a-z0-9][a-z0-9_-]*$/i,
+  // Keywords derived for cases that do not list their own
+  keywordCount: 8,
+  minKeywordLength: 4,
+  stopWords: [
+    'about', 'against', 'also', 'another', 'been', 'being', 'between', 'case', 'dilemma', 'even',
+    'from', 'have', 'into', 'must', 'other', 'over', 'should', 'such', 'than', 'that', 'their',
+    'there', 'these', 'they', 'this', 'through', 'when', 'where', 'which', 'while', 'with', 'would'
+  ]
+};
+
+/**
+ * Resolve the library directory
+ * @param {string} [directory] - Library directory, relative to the working directory unless absolute
+ *   (PRECEDENT_LIBRARY_CONFIG.directory by default)
+ * @returns {string} Absolute directory path
+ */
+function resolveLibraryDirectory(directory) {
+  return path.resolve(directory || PRECEDENT_LIBRARY_CONFIG.directory);
+}
+
+/**
+ * Read the library index
+ * @param {string} [directory] - Library directory
+ * @returns {Object} { cases: [{ id, title, file, ethical_dimensions, source }] }, empty if the
+ *   library does not exist yet
+ */
+function readIndex(directory) {
+  const indexPath = path.join(resolveLibraryDirectory(directory), PRECEDENT_LIBRARY_CONFIG.indexFile);
+  if (!fs.existsSync(indexPath)) return { cases: [] };
+
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    return { ...index, cases: Array.isArray(index.cases) ? index.cases : [] };
+  } catch (error) {
+    console.warn(`Cannot read precedent index ${indexPath}: ${error.message}`);
+    return { cases: [] };
+  }
+}
+
+/**
+ * Write the library index, creating the library directory if needed
+ * @param {Object} index - Library index
+ * @param {string} [directory] - Library directory
+ */
+function writeIndex(index, directory) {
+  const libraryDirectory = resolveLibraryDirectory(directory);
+  fs.mkdirSync(libraryDirectory, { recursive: true });
+  const cases = [...index.cases].sort((a, b) => a.id.localeCompare(b.id));
+  fs.writeFileSync(path.join(libraryDirectory, PRECEDENT_LIBRARY_CONFIG.indexFile), `${JSON.stringify({ ...index, cases }, null, 2)}\n`);
+}
+
+/**
+ * Derive similarity keywords from text: its most frequent words that are not stop words
+ * @param {string} text - Text to derive keywords from
+ * @returns {Array<string>} Keywords
+ */
+function deriveKeywords(text) {
+  const { keywordCount, minKeywordLength, stopWords } = PRECEDENT_LIBRARY_CONFIG;
+  const counts = new Map();
+  (text.toLowerCase().match(/[a-z]+/g) || [])
+    .filter(word => word.length >= minKeywordLength && !stopWords.includes(word))
+    .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, keywordCount)
+    .map(([word]) => word);
+}
+
+/**
+ * Turn an identifier into a title, e.g. 'heinz_dilemma' into 'Heinz Dilemma'
+ * @param {string} id - Identifier
+ * @returns {string} Title
+ */
+function titleFromId(id) {
+  return id.split(/[_-]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Check a precedent case and fill in its optional fields
+ * @param {Object} precedent - Precedent case
+ * @returns {Object} Normalized case
+ * @throws {Error} If a required field is missing or the id cannot be used as a file name
+ */
+export function normalizePrecedent(precedent) {
+  const missing = PRECEDENT_LIBRARY_CONFIG.requiredFields.filter(field => !precedent?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Precedent is missing required fields: ${missing.join(', ')}`);
+  }
+  if (!PRECEDENT_LIBRARY_CONFIG.idPattern.test(precedent.id)) {
+    throw new Error(`Invalid precedent id "${precedent.id}": use letters, digits, '_' and '-'`);
+  }
+
+  const normalized = {
+    id: precedent.id,
+    title: precedent.title,
+    description: precedent.description,
+    ethical_dimensions: precedent.ethical_dimensions || [],
+    similarity_keywords: precedent.similarity_keywords || deriveKeywords(`${precedent.title} ${precedent.description}`),
+    outcome: precedent.outcome || null,
+    resolution: precedent.resolution || null,
+    reasoning: precedent.reasoning || null
+  };
+  // Common fields come first, in a fixed order, so case files read alike
+  return { ...normalized, ...precedent, ...normalized, source: precedent.source || { type: 'manual' } };
+}
+
+/**
+ * List the cases in the library without loading them
+ * @param {string} [directory] - Library directory
+ * @returns {Array<Object>} Index entries: { id, title, file, ethical_dimensions, source }
+ */
+export function listPrecedents(directory) {
+  return readIndex(directory).cases;
+}
+
+/**
+ * Load one case from the library
+ * @param {string} id - Case id
+ * @param {string} [directory] - Library directory
+ * @returns {Object|null} The case, or null if it is not in the library or cannot be read
+ */
+export function getPrecedent(id, directory) {
+  const entry = listPrecedents(directory).find(candidate => candidate.id === id);
+  if (!entry) return null;
+
+  const casePath = path.join(resolveLibraryDirectory(directory), entry.file);
+  try {
+    return JSON.parse(fs.readFileSync(casePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Cannot read precedent ${id} from ${casePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the precedent case database: every case in the library
+ * @param {string} [directory] - Library directory
+ * @returns {Array} Array of precedent cases
+ */
+export function getPrecedentDatabase(directory) {
+  return listPrecedents(directory)
+    .map(entry => getPrecedent(entry.id, directory))
+    .filter(Boolean);
+}
+
+/**
+ * Add a case to the library
+ * @param {Object} precedent - Precedent case with at least an id, title and description
+ * @param {string} [directory] - Library directory
+ * @param {Object} [options] - { replace: overwrite a case with the same id }
+ * @returns {Object} The stored case
+ * @throws {Error} If the case is invalid, or already in the library and not replaced
+ */
+export function addPrecedent(precedent, directory, options = {}) {
+  const stored = normalizePrecedent(precedent);
+  const index = readIndex(directory);
+  if (!options.replace && index.cases.some(entry => entry.id === stored.id)) {
+    throw new Error(`Precedent "${stored.id}" is already in the library`);
+  }
+
+  const file = `${stored.id}.json`;
+  const libraryDirectory = resolveLibraryDirectory(directory);
+  fs.mkdirSync(libraryDirectory, { recursive: true });
+  fs.writeFileSync(path.join(libraryDirectory, file), `${JSON.stringify(stored, null, 2)}\n`);
+
+  index.cases = [
+    ...index.cases.filter(entry => entry.id !== stored.id),
+    { id: stored.id, title: stored.title, file, ethical_dimensions: stored.ethical_dimensions, source: stored.source }
+  ];
+  writeIndex(index, directory);
+  return stored;
+}
+
+/**
+ * Remove a case from the library
+ * @param {string} id - Case id
+ * @param {string} [directory] - Library directory
+ * @returns {boolean} True if the case was in the library
+ */
+export function removePrecedent(id, directory) {
+  const index = readIndex(directory);
+  const entry = index.cases.find(candidate => candidate.id === id);
+  if (!entry) return false;
+
+  const casePath = path.join(resolveLibraryDirectory(directory), entry.file);
+  if (fs.existsSync(casePath)) fs.unlinkSync(casePath);
+  index.cases = index.cases.filter(candidate => candidate.id !== id);
+  writeIndex(index, directory);
+  return true;
+}
+
+/**
+ * Search the library for cases mentioning the words of a query in their title, description,
+ * keywords or ethical dimensions
+ * @param {string} query - Search words
+ * @param {string} [directory] - Library directory
+ * @returns {Array<Object>} Matching cases with `matches` (the query words they contain), most
+ *   matches first
+ */
+export function searchPrecedents(query, directory) {
+  const terms = [...new Set(query.toLowerCase().match(/[a-z0-9]+/g) || [])];
+
+  return getPrecedentDatabase(directory)
+    .map(precedent => {
+      const text = [
+        precedent.title,
+        precedent.description,
+        ...(precedent.similarity_keywords || []),
+        ...(precedent.ethical_dimensions || [])
+      ].join(' ').toLowerCase();
+      return { ...precedent, matches: terms.filter(term => text.includes(term)) };
+    })
+    .filter(precedent => precedent.matches.length > 0)
+    .sort((a, b) => b.matches.length - a.matches.length || a.id.localeCompare(b.id));
+}
+
+/**
+ * Harvest the analogous cases a dilemma lists under `conflicting_elements`, each of the form
+ * { similarity, ethical_dimensions, conclusion, framework_specific: { framework: position } }. A
+ * case keeps only the ethical dimensions its element declares: the host dilemma's describe the
+ * host, not the analogue.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<Object>} Precedent cases
+ */
+export function harvestConflictingElements(dilemma) {
+  return Object.entries(dilemma?.conflicting_elements || {})
+    .filter(([, element]) => element && typeof element === 'object')
+    .map(([name, element]) => {
+      const positions = element.framework_specific || {};
+      return {
+        id: name,
+        title: titleFromId(name),
+        description: element.similarity || titleFromId(name),
+        ethical_dimensions: element.ethical_dimensions || [],
+        resolution: element.conclusion || null,
+        reasoning: Object.entries(positions).map(([framework, position]) => `${framework}: ${position}.`).join(' ') || null,
+        framework_positions: positions,
+        source: { type: 'conflicting_elements', dilemma: dilemma.id || null }
+      };
+    });
+}
+
+/**
+ * Harvest a completed analysis, as saved by the analysis tool, as a case whose outcome is the
+ * final recommendation
+ * @param {Object} analysis - { dilemma, processing, finalRecommendation }
+ * @returns {Object|null} Precedent case, or null if the analysis has no final recommendation
+ */
+export function harvestAnalysis(analysis) {
+  const dilemma = analysis?.dilemma;
+  const action = analysis?.finalRecommendation?.action;
+  if (!dilemma?.id || !action) return null;
+
+  const chosen = (dilemma.possible_actions || []).find(candidate => candidate.id === action);
+  return {
+    id: `analysis_${dilemma.id}`,
+    title: dilemma.title || titleFromId(dilemma.id),
+    description: dilemma.description || dilemma.title || dilemma.id,
+    ethical_dimensions: dilemma.ethical_dimensions || [],
+    outcome: action,
+    resolution: chosen?.description || action,
+    reasoning: analysis.finalRecommendation.justification || null,
+    framework_positions: Object.fromEntries(Object.entries(analysis.processing?.frameworks || {})
+      .map(([framework, result]) => [framework, result.recommendedAction])),
+    situation_parameters: dilemma.situation?.parameters || null,
+    source: { type: 'analysis', dilemma: dilemma.id }
+  };
+}
+
+/**
+ * Import the cases a document provides into the library: the `conflicting_elements` of a dilemma
+ * and the final recommendation of a completed analysis
+ * @param {Object} document - A dilemma or a completed analysis
+ * @param {string} [directory] - Library directory
+ * @param {Object} [options] - { replace: overwrite cases with the same id }
+ * @returns {Object} { added: [ids], skipped: [ids already in the library] }
+ */
+export function importPrecedents(document, directory, options = {}) {
+  const candidates = [
+    ...harvestConflictingElements(document),
+    harvestAnalysis(document)
+  ].filter(Boolean);
+
+  const existing = new Set(listPrecedents(directory).map(entry => entry.id));
+  const result = { added: [], skipped: [] };
+  candidates.forEach(precedent => {
+    if (existing.has(precedent.id) && !options.replace) {
+      result.skipped.push(precedent.id);
+      return;
+    }
+    addPrecedent(precedent, directory, { replace: options.replace });
+    result.added.push(precedent.id);
+  });
+  return result;
+}
@@ -0,0 +1,447 @@
+/**
+ * Final Recommendation Module
+ * Synthesizes framework recommendations, conflict resolutions and stakeholder preferences into a
+ * single recommended action with reasoning, a confidence breakdown and critical parameters
+ */
+
+import { getFrameworkContextualWeight } from '../frameworks/registry.js';
+import { getStakeholderPreferences } from '../analysis/stakeholderConflicts.js';
+import { usesMoralUncertainty, resolveCredences } from '../analysis/moralUncertainty.js';
+
+/**
+ * Synthesis settings
+ */
+export const SYNTHESIS_CONFIG = {
+  // Share of the combined score contributed by each source of evidence
+  sourceWeights: {
+    frameworks: 0.4,
+    resolutions: 0.35,
+    stakeholders: 0.25
+  },
+  // How much a resolution's vote counts at each detail level
+  detailLevelWeights: {
+    high: 1.0,
+    medium: 0.75,
+    low: 0.5
+  },
+  // Confidence assumed for resolutions that do not report one
+  defaultResolutionConfidence: 0.7,
+  // Contribution of each factor to the overall confidence
+  confidenceWeights: {
+    framework_agreement: 0.3,
+    resolution_support: 0.25,
+    stakeholder_support: 0.15,
+    decision_margin: 0.15,
+    parameter_stability: 0.15,
+    outcome_robustness: 0.2
+  },
+  // Maximum number of critical parameters reported
+  maxCriticalParameters: 5,
+  // Differences in score or support below this count as a tie
+  tieTolerance: 1e-9
+};
+
+/**
+ * Synthesize the final recommendation for a dilemma
+ * @param {Object} frameworkResults - Results from processEthicalDilemma
+ * @param {Object} conflicts - Results from detectConflicts
+ * @param {Array<Object>} resolutions - Resolutions from resolveConflicts
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} [finalSensitivity] - analyzeRecommendationSensitivity of the final
+ *   recommendation; without it, or when its sweep reached another action, no critical parameters
+ *   are reported and parameter stability does not count towards the confidence
+ * @returns {Object|null} Recommendation with action, justification, reasoning, confidence,
+ *   confidence_factors, supporting, opposing and undetermined frameworks, framework_interactions,
+ *   critical_parameters and per-action scores; null if no action can be recommended. When the
+ *   leading actions are level on combined score and on framework and stakeholder support, action
+ *   is null and tied_actions lists them: the dilemma's action order does not pick one.
+ */
+export function synthesizeFinalRecommendation(frameworkResults, conflicts, resolutions, dilemma, finalSensitivity = null) {
+  // Frameworks that could not decide neither support nor oppose any action
+  const allFrameworks = frameworkResults?.frameworks || {};
+  const undetermined = Object.keys(allFrameworks).filter(framework => !allFrameworks[framework]?.recommendedAction);
+  const frameworks = Object.fromEntries(
+    Object.entries(allFrameworks).filter(([framework]) => !undetermined.includes(framework))
+  );
+  const { sourceWeights } = SYNTHESIS_CONFIG;
+
+  const sources = {
+    frameworks: getFrameworkSupport(frameworks, dilemma, frameworkResults?.monteCarlo),
+    resolutions: getResolutionSupport(resolutions || [], frameworks),
+    stakeholders: getStakeholderSupport(dilemma)
+  };
+
+  // Only sources that produced evidence share the combined score
+  const activeSources = Object.keys(sources).filter(source => Object.keys(sources[source]).length > 0);
+  const activeWeight = activeSources.reduce((sum, source) => sum + sourceWeights[source], 0);
+  if (activeWeight === 0) return null;
+
+  const scores = {};
+  activeSources.forEach(source => {
+    Object.entries(sources[source]).forEach(([action, share]) => {
+      scores[action] = (scores[action] || 0) + share * sourceWeights[source] / activeWeight;
+    });
+  });
+
+  // Highest combined score wins; ties go to the action with more framework support, then more
+  // stakeholder support. Actions level on all three are a tie.
+  const tieBreakers = [scores, sources.frameworks, sources.stakeholders];
+  const compare = (a, b) => {
+    for (const values of tieBreakers) {
+      const difference = (values[b] || 0) - (values[a] || 0);
+      if (Math.abs(difference) > SYNTHESIS_CONFIG.tieTolerance) return difference;
+    }
+    return 0;
+  };
+  const ranked = Object.keys(scores).sort((a, b) => compare(a, b) || a.localeCompare(b));
+  const tied = ranked.filter(candidate => compare(ranked[0], candidate) === 0);
+  if (tied.length > 1) {
+    return buildTie(tied, ranked, scores, sources, activeSources, undetermined);
+  }
+  const action = ranked[0];
+  const runnerUp = ranked[1];
+
+  const supporting = Object.keys(frameworks).filter(framework => frameworks[framework].recommendedAction === action);
+  const opposing = Object.keys(frameworks).filter(framework => frameworks[framework].recommendedAction !== action);
+  // The sweep only describes this recommendation if the pipeline reached the same action in it
+  const sweep = finalSensitivity?.action === action ? finalSensitivity : null;
+  const criticalParameters = getCriticalParameters(sweep);
+
+  const confidenceFactors = {
+    framework_agreement: sources.frameworks[action] || 0,
+    resolution_support: sources.resolutions[action] || 0,
+    stakeholder_support: sources.stakeholders[action] || 0,
+    decision_margin: runnerUp ? (scores[action] - scores[runnerUp]) / scores[action] : 1,
+    parameter_stability: 1 - criticalParameters.reduce((max, param) => Math.max(max, param.sensitivity_score), 0)
+  };
+  // How often the frameworks supporting the action keep recommending it when uncertain
+  // parameters are sampled
+  if (frameworkResults?.monteCarlo) {
+    confidenceFactors.outcome_robustness = getOutcomeRobustness(frameworks, dilemma, action, frameworkResults.monteCarlo);
+  }
+
+  // Factors without evidence behind them do not count towards the confidence
+  const countedFactors = Object.keys(confidenceFactors).filter(factor =>
+    (factor !== 'resolution_support' || activeSources.includes('resolutions')) &&
+    (factor !== 'stakeholder_support' || activeSources.includes('stakeholders')) &&
+    (factor !== 'parameter_stability' || sweep)
+  );
+  const { confidenceWeights } = SYNTHESIS_CONFIG;
+  const countedWeight = countedFactors.reduce((sum, factor) => sum + confidenceWeights[factor], 0);
+  const confidence = countedFactors.reduce((sum, factor) =>
+    sum + confidenceFactors[factor] * confidenceWeights[factor], 0) / countedWeight;
+
+  Object.keys(confidenceFactors).forEach(factor => {
+    confidenceFactors[factor] = round(confidenceFactors[factor]);
+  });
+
+  const justification = buildJustification(action, runnerUp, scores, supporting, opposing, sources);
+
+  return {
+    action,
+    justification,
+    reasoning: buildReasoning(justification, action, resolutions || [], criticalParameters, sweep),
+    confidence: round(confidence),
+    confidence_factors: confidenceFactors,
+    supporting_frameworks: supporting,
+    opposing_frameworks: opposing,
+    undetermined_frameworks: undetermined,
+    framework_interactions: describeFrameworkInteractions(supporting, action, conflicts),
+    critical_parameters: criticalParameters.map(param => param.summary),
+    action_scores: Object.fromEntries(ranked.map(candidate => [candidate, round(scores[candidate])])),
+    evidence: Object.fromEntries(activeSources.map(source => [source, roundShares(sources[source])]))
+  };
+}
+
+/**
+ * Recommendation reporting a tie between the leading actions
+ * @param {Array<string>} tied - Tied actions
+ * @param {Array<string>} ranked - All actions, best first
+ * @param {Object} scores - Combined score of each action
+ * @param {Object} sources - Share of support for each action from each source
+ * @param {Array<string>} activeSources - Sources that produced evidence
+ * @param {Array<string>} undetermined - Frameworks that could not decide
+ * @returns {Object} Recommendation without an action, with tied_actions
+ */
+function buildTie(tied, ranked, scores, sources, activeSources, undetermined) {
+  const justification = `${tied.join(' and ')} are level on combined score (${round(scores[tied[0]])}) ` +
+    'and on framework and stakeholder support, so the evidence does not decide between them.';
+  return {
+    action: null,
+    tied_actions: tied,
+    justification,
+    reasoning: justification,
+    confidence: 0,
+    confidence_factors: {},
+    supporting_frameworks: [],
+    opposing_frameworks: [],
+    undetermined_frameworks: undetermined,
+    framework_interactions: [],
+    critical_parameters: [],
+    action_scores: Object.fromEntries(ranked.map(candidate => [candidate, round(scores[candidate])])),
+    evidence: Object.fromEntries(activeSources.map(source => [source, roundShares(sources[source])]))
+  };
+}
+
+/**
+ * Weight of each framework's vote: its contextual importance for the dilemma, or its credence
+ * when the dilemma declares moral uncertainty
+ * @param {Object} frameworks - Framework results
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Map of framework to weight
+ */
+function getFrameworkWeights(frameworks, dilemma) {
+  if (usesMoralUncertainty(dilemma)) {
+    return resolveCredences(Object.keys(frameworks), dilemma.moral_uncertainty.credences);
+  }
+  return Object.fromEntries(Object.keys(frameworks).map(framework => [
+    framework,
+    getFrameworkContextualWeight(framework, dilemma)
+  ]));
+}
+
+/**
+ * Share of framework support for each action. Each framework votes with its weight for its
+ * recommended action; after a Monte Carlo analysis it splits its vote across actions by how often
+ * it recommended each one in the sampled scenarios.
+ * @param {Object} frameworks - Framework results
+ * @param {Object} dilemma - The dilemma
+ * @param {Object} [monteCarlo] - Monte Carlo analysis from processEthicalDilemma
+ * @returns {Object} Map of action to share of support (sums to 1)
+ */
+function getFrameworkSupport(frameworks, dilemma, monteCarlo) {
+  const weights = getFrameworkWeights(frameworks, dilemma);
+  const votes = {};
+  Object.entries(frameworks).forEach(([framework, result]) => {
+    if (!result?.recommendedAction) return;
+    const probabilities = monteCarlo?.frameworks?.[framework]?.action_probabilities;
+    const split = probabilities && Object.keys(probabilities).length > 0
+      ? probabilities
+      : { [result.recommendedAction]: 1 };
+    Object.entries(split).forEach(([action, probability]) => {
+      votes[action] = (votes[action] || 0) + weights[framework] * probability;
+    });
+  });
+  return normalize(votes);
+}
+
+/**
+ * How robust the recommended action is to the sampled parameter uncertainty: the weighted
+ * average, over the frameworks that support the action, of how often each still recommends it
+ * in the Monte Carlo samples. Frameworks opposing the action do not count, however confident.
+ * @param {Object} frameworks - Framework results
+ * @param {Object} dilemma - The dilemma
+ * @param {string} action - Recommended action
+ * @param {Object} monteCarlo - Monte Carlo analysis from processEthicalDilemma
+ * @returns {number} Robustness between 0 and 1 (0 if no framework supports the action)
+ */
+function getOutcomeRobustness(frameworks, dilemma, action, monteCarlo) {
+  const weights = getFrameworkWeights(frameworks, dilemma);
+  const supporting = Object.keys(frameworks).filter(framework => frameworks[framework].recommendedAction === action);
+  const totalWeight = supporting.reduce((sum, framework) => sum + weights[framework], 0);
+  if (totalWeight === 0) return 0;
+  return supporting.reduce((sum, framework) =>
+    sum + weights[framework] * (monteCarlo.frameworks?.[framework]?.action_probabilities?.[action] || 0), 0) / totalWeight;
+}
+
+/**
+ * Share of resolution support for each action. Each resolution votes with its confidence times
+ * the weight of its detail level. Resolutions that report a tie split their vote across the tied
+ * actions, and resolutions that weight frameworks instead of naming an action split it across the
+ * actions those frameworks recommend.
+ * @param {Array<Object>} resolutions - Conflict resolutions
+ * @param {Object} frameworks - Framework results
+ * @returns {Object} Map of action to share of support (sums to 1)
+ */
+function getResolutionSupport(resolutions, frameworks) {
+  const { detailLevelWeights, defaultResolutionConfidence } = SYNTHESIS_CONFIG;
+  const votes = {};
+
+  resolutions.forEach(resolution => {
+    const confidence = typeof resolution.confidence === 'number' ? resolution.confidence : defaultResolutionConfidence;
+    const vote = confidence * (detailLevelWeights[resolution.detail_level] ?? detailLevelWeights.medium);
+    const action = resolution.recommended_action || resolution.meta_recommendation || resolution.action;
+
+    if (action) {
+      votes[action] = (votes[action] || 0) + vote;
+      return;
+    }
+
+    // A resolution that cannot choose between its best candidates splits its vote among them
+    if (resolution.tied_actions?.length > 0) {
+      resolution.tied_actions.forEach(tiedAction => {
+        votes[tiedAction] = (votes[tiedAction] || 0) + vote / resolution.tied_actions.length;
+      });
+      return;
+    }
+
+    const frameworkWeights = Object.entries(resolution.weights || {})
+      .filter(([framework, weight]) => frameworks[framework]?.recommendedAction && typeof weight === 'number');
+    const totalWeight = frameworkWeights.reduce((sum, [, weight]) => sum + weight, 0);
+    frameworkWeights.forEach(([framework, weight]) => {
+      const recommended = frameworks[framework].recommendedAction;
+      votes[recommended] = (votes[recommended] || 0) + vote * weight / totalWeight;
+    });
+  });
+
+  return normalize(votes);
+}
+
+/**
+ * Share of stakeholder support for each action. Each stakeholder backs their preferred actions
+ * with their influence plus vulnerability, so weak but vulnerable stakeholders still count.
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object} Map of action to share of support (sums to 1)
+ */
+function getStakeholderSupport(dilemma) {
+  const votes = {};
+  Object.values(getStakeholderPreferences(dilemma)).forEach(preference => {
+    // A stakeholder best served equally by several actions splits their support among them
+    (preference.preferred_actions || []).forEach(action => {
+      votes[action] = (votes[action] || 0) +
+        (preference.influence + preference.vulnerability) / preference.preferred_actions.length;
+    });
+  });
+  return normalize(votes);
+}
+
+/**
+ * Parameters that could change the final recommendation, most sensitive first
+ * @param {Object|null} finalSensitivity - analyzeRecommendationSensitivity of the final recommendation
+ * @returns {Array<Object>} Parameters with name, sensitivity score and a summary
+ */
+function getCriticalParameters(finalSensitivity) {
+  return (finalSensitivity?.sensitivities || [])
+    .slice(0, SYNTHESIS_CONFIG.maxCriticalParameters)
+    .map(name => {
+      const threshold = finalSensitivity.thresholds[name];
+      const changes = [];
+      if (threshold.increase_threshold !== null) {
+        changes.push(`rises to ${threshold.increase_threshold} (${threshold.action_changes.increase})`);
+      }
+      if (threshold.decrease_threshold !== null) {
+        changes.push(`falls to ${threshold.decrease_threshold} (${threshold.action_changes.decrease})`);
+      }
+
+      return {
+        name,
+        sensitivity_score: threshold.sensitivity_score,
+        summary: `${name} (currently ${threshold.original_value}): the final recommendation changes if it ${changes.join(' or ')}`
+      };
+    });
+}
+
+/**
+ * Describe how the frameworks relate to the recommended action
+ * @param {Array<string>} supporting - Frameworks recommending the action
+ * @param {string} action - Recommended action
+ * @param {Object} conflicts - Results from detectConflicts
+ * @returns {Array<string>} Interaction descriptions
+ */
+function describeFrameworkInteractions(supporting, action, conflicts) {
+  const interactions = [];
+  if (supporting.length > 1) {
+    interactions.push(`${supporting.join(', ')} converge on ${action}`);
+  }
+
+  (conflicts?.conflicts || [])
+    .filter(conflict => conflict.type === 'framework_conflict')
+    .filter(conflict => conflict.between.some(framework => supporting.includes(framework)))
+    .forEach(conflict => {
+      const [framework1, framework2] = conflict.between;
+      interactions.push(`${framework1} and ${framework2} conflict (severity ${round(conflict.severity)})`);
+    });
+
+  return interactions;
+}
+
+/**
+ * Build the short justification for the recommended action
+ * @param {string} action - Recommended action
+ * @param {string} runnerUp - Next best action, if any
+ * @param {Object} scores - Combined score of each action
+ * @param {Array<string>} supporting - Frameworks recommending the action
+ * @param {Array<string>} opposing - Frameworks recommending another action
+ * @param {Object} sources - Share of support for each action from each source
+ * @returns {string} Justification text
+ */
+function buildJustification(action, runnerUp, scores, supporting, opposing, sources) {
+  const parts = [`${action} has the strongest combined support (score ${round(scores[action])}` +
+    (runnerUp ? ` against ${round(scores[runnerUp])} for ${runnerUp}).` : ').')];
+
+  if (supporting.length > 0) {
+    parts.push(`It is recommended by ${supporting.join(', ')}` +
+      (opposing.length > 0 ? `, while ${opposing.join(', ')} recommend${opposing.length === 1 ? 's' : ''} otherwise.` : '.'));
+  } else {
+    parts.push('No single framework recommends it; it emerges from the conflict resolutions and stakeholder preferences.');
+  }
+
+  if (sources.resolutions[action]) {
+    parts.push(`It receives ${Math.round(sources.resolutions[action] * 100)}% of the weighted support from conflict resolutions.`);
+  }
+  if (sources.stakeholders[action]) {
+    parts.push(`Stakeholders carrying ${Math.round(sources.stakeholders[action] * 100)}% of the influence and vulnerability prefer it.`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Build the full reasoning for the recommended action
+ * @param {string} justification - Short justification
+ * @param {string} action - Recommended action
+ * @param {Array<Object>} resolutions - Conflict resolutions
+ * @param {Array<Object>} criticalParameters - Parameters from getCriticalParameters
+ * @param {Object|null} sweep - Sensitivity sweep of the final recommendation for this action;
+ *   null when it was skipped or reached another action, in which case stability is not claimed
+ * @returns {string} Reasoning text
+ */
+function buildReasoning(justification, action, resolutions, criticalParameters, sweep) {
+  const parts = [justification];
+
+  const backing = resolutions
+    .filter(resolution => (resolution.recommended_action || resolution.meta_recommendation || resolution.action) === action)
+    .map(resolution => typeof resolution.resolution_strategy === 'object'
+      ? resolution.resolution_strategy.name
+      : resolution.resolution_strategy);
+  if (backing.length > 0) {
+    parts.push(`Resolution strategies that arrive at it: ${[...new Set(backing)].join(', ')}.`);
+  }
+
+  if (criticalParameters.length > 0) {
+    parts.push(`The final recommendation is most sensitive to ${criticalParameters.map(param => param.name).join(', ')}.`);
+  } else if (sweep) {
+    parts.push('No parameter within its sweep range changes the final recommendation.');
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Normalize votes to shares that sum to 1
+ * @param {Object} votes - Map of action to vote weight
+ * @returns {Object} Map of action to share
+ */
+function normalize(votes) {
+  const total = Object.values(votes).reduce((sum, vote) => sum + vote, 0);
+  if (total <= 0) return {};
+  return Object.fromEntries(Object.entries(votes).map(([action, vote]) => [action, vote / total]));
+}
+
+/**
+ * Round every share for display
+ * @param {Object} shares - Map of action to share
+ * @returns {Object} Map of action to rounded share
+ */
+function roundShares(shares) {
+  return Object.fromEntries(Object.entries(shares).map(([action, share]) => [action, round(share)]));
+}
+
+/**
+ * Round a value for display
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
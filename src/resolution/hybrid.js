@@ -9,6 +9,9 @@ import { normalizeFrameworkName } from './core.js';
 import { detectCausalLanguage, extractCausalStatements } from '../analysis/causalDetection.js';
 import { CausalGraph } from '../analysis/causalGraph.js';
 import { ConsequenceSchema } from '../analysis/consequenceSchema.js';
+import { evaluateDeontology } from '../frameworks/deontology.js';
+import { evaluateUtilitarian } from '../frameworks/utilitarian.js';
+import { evaluateVirtueEthics, findVirtue } from '../frameworks/virtueEthics.js';
 
 /**
  * Apply duty-bounded utilitarianism approach to resolve conflicts
@@ -34,10 +37,10 @@ function applyDutyBoundedUtilitarianism(path1, path2, dilemma) {
     }
     
     // Extract duties/constraints from deontological path
-    const constraints = extractDuties(deonPath);
+    const constraints = extractDuties(deonPath, dilemma);
     
     // Extract utility calculations from utilitarian path
-    const utilities = extractUtilities(utilPath);
+    const utilities = extractUtilities(utilPath, dilemma);
     
     // Apply constraints to utility calculations
     const boundedUtilities = applyConstraints(utilities, constraints);
@@ -54,8 +57,12 @@ function applyDutyBoundedUtilitarianism(path1, path2, dilemma) {
     let recommendedAction = deonPath.action || utilPath.action;
     let actionJustification = "";
     
-    if (hasViolations) {
-        // If there are violations, prefer the deontological action
+    if (hasViolations && boundedUtilities.impermissibleActions.includes(utilPath.action)) {
+        // The utilitarian choice breaks a hard constraint: take the best permissible action instead
+        recommendedAction = boundedUtilities.permissibleActions[0] || deonPath.action;
+        actionJustification = `The utilitarian choice ${utilPath.action} violates a moral constraint, so the highest-utility permissible action is recommended instead.`;
+    } else if (hasViolations && !hasPermissibleActions) {
+        // If there are violations and no known permissible actions, prefer the deontological action
         recommendedAction = deonPath.action;
         actionJustification = "Due to potential violations of moral constraints, the deontological perspective takes precedence.";
     } else if (hasPermissibleActions) {
@@ -159,13 +166,13 @@ function applyVirtueGuidedConsequentialism(path1, path2, dilemma) {
     }
     
     // Extract virtues from virtue ethics path
-    const virtues = extractVirtues(virtuePath);
+    const virtues = extractVirtues(virtuePath, dilemma);
     
     // Extract consequences from consequentialist path
     const consequences = extractConsequences(consequentialistPath);
     
     // Evaluate consequences through the lens of virtues
-    const evaluatedConsequences = evaluateConsequencesWithVirtues(consequences, virtues);
+    const evaluatedConsequences = evaluateConsequencesWithVirtues(consequences.consequences, virtues.assessed);
     
     // Determine if there are virtue-aligned outcomes
     const hasAlignedOutcomes = evaluatedConsequences.alignments && 
@@ -206,7 +213,7 @@ function applyVirtueGuidedConsequentialism(path1, path2, dilemma) {
         : "No specific character considerations were identified.";
     
     const consequenceAnalysis = consequences.consequences && consequences.consequences.length > 0
-        ? `Key consequences identified: ${consequences.consequences.slice(0, 3).join('; ')}${consequences.consequences.length > 3 ? '...' : ''}`
+        ? `Key consequences identified: ${consequences.consequences.slice(0, 3).map(c => c.consequence || c.description || c).join('; ')}${consequences.consequences.length > 3 ? '...' : ''}`
         : "No specific consequences were identified.";
     
     // Create argument text with more detailed analysis
@@ -491,16 +498,46 @@ function isJusticePath(path) {
 }
 
 /**
- * Helper function stubs - these would be implemented with actual logic
+ * Extract structured duties and constraints for a deontological path.
+ * Uses the dilemma's declared duties, rights and prohibitions, evaluated per action.
+ * @param {Object} path - The deontological reasoning path
+ * @param {Object} dilemma - The ethical dilemma
+ * @returns {Object} Constraint descriptions grouped by type, plus per-action assessments
  */
-function extractDuties(path) {
-    // Implementation would extract duties from a deontological path
-    return { duties: [] };
+function extractDuties(path, dilemma) {
+    const evaluation = evaluateDeontology(dilemma);
+    const describe = type => evaluation.constraints
+        .filter(constraint => constraint.type === type)
+        .map(constraint => constraint.description);
+    
+    return {
+        duties: describe('duty'),
+        principles: describe('right'),
+        constraints: describe('prohibition'),
+        declared: evaluation.constraints,
+        actionAssessments: evaluation.ranking,
+        impermissibleActions: evaluation.impermissibleActions,
+        recommendedAction: evaluation.recommendedAction || path?.action || null
+    };
 }
 
-function extractUtilities(path) {
-    // Implementation would extract utility calculations from a utilitarian path
-    return { utilities: [], welfare: [], calculations: [] };
+/**
+ * Extract structured utility calculations for a utilitarian path
+ * @param {Object} path - The utilitarian reasoning path
+ * @param {Object} dilemma - The ethical dilemma
+ * @returns {Object} Utility descriptions plus the ranked action scores
+ */
+function extractUtilities(path, dilemma) {
+    const evaluation = evaluateUtilitarian(dilemma);
+    const scored = evaluation.ranking.filter(entry => entry.score !== null);
+    
+    return {
+        utilities: scored.map(entry => `${entry.action}: ${evaluation.metricName} ${entry.score}`),
+        welfare: evaluation.metricName ? [`Actions compared by ${evaluation.metricName}`] : [],
+        calculations: scored.map(entry => `Rank ${entry.rank}: ${entry.action} (${entry.score})`),
+        ranking: evaluation.ranking,
+        recommendedAction: evaluation.recommendedAction || path?.action || null
+    };
 }
 
 /**
@@ -511,84 +548,37 @@ function extractUtilities(path) {
  */
 function applyConstraints(utilities, constraints) {
     if (!utilities || !constraints) {
-        return { boundedUtilities: [], constraintViolations: [], permissibleActions: [] };
+        return { boundedUtilities: [], constraintViolations: [], permissibleActions: [], impermissibleActions: [] };
     }
     
     const boundedUtilities = [];
     const constraintViolations = [];
     const permissibleActions = [];
+    const impermissibleActions = constraints.impermissibleActions || [];
+    const assessments = constraints.actionAssessments || [];
     
-    // Extract all utility considerations
-    const allUtilityConsiderations = [
-        ...(utilities.utilities || []),
-        ...(utilities.welfare || []),
-        ...(utilities.calculations || [])
-    ];
-    
-    // Extract all constraints
-    const allConstraints = [
-        ...(constraints.constraints || []),
-        ...(constraints.duties || []),
-        ...(constraints.principles || [])
-    ];
-    
-    // If no utilities or constraints, return empty result
-    if (allUtilityConsiderations.length === 0 || allConstraints.length === 0) {
-        return { boundedUtilities, constraintViolations, permissibleActions };
-    }
-    
-    // Keywords that indicate potential constraint violations
-    const violationKeywords = [
-        'violate', 'breach', 'infringe', 'disregard', 'ignore', 'override',
-        'sacrifice', 'compromise', 'undermine', 'neglect', 'disrespect'
-    ];
-    
-    // Keywords that indicate permissible actions
-    const permissibleKeywords = [
-        'permissible', 'allowed', 'acceptable', 'compatible', 'consistent',
-        'respect', 'uphold', 'maintain', 'preserve', 'honor', 'align'
-    ];
-    
-    // Check each utility consideration against each constraint
-    allUtilityConsiderations.forEach(utility => {
-        let isConstrained = false;
-        let violatedConstraints = [];
+    // Walk the utility ranking (best first) and drop actions that break a hard constraint
+    (utilities.ranking || []).forEach(entry => {
+        const assessment = assessments.find(a => a.action === entry.action);
         
-        // Check for direct violations
-        allConstraints.forEach(constraint => {
-            // Check if utility consideration directly violates a constraint
-            if (violationKeywords.some(keyword => 
-                utility.toLowerCase().includes(keyword) && 
-                constraint.toLowerCase().split(' ').some(word => utility.toLowerCase().includes(word))
-            )) {
-                isConstrained = true;
-                violatedConstraints.push(constraint);
-                constraintViolations.push(`Utility consideration "${utility}" violates constraint "${constraint}"`);
-            }
-        });
+        if (impermissibleActions.includes(entry.action)) {
+            const broken = (assessment?.violated || [])
+                .filter(constraint => constraint.absolute)
+                .map(constraint => constraint.description);
+            constraintViolations.push(`Action "${entry.action}" violates constraint "${broken.join('; ')}"`);
+            return;
+        }
         
-        // If not constrained, check if explicitly permissible
-        if (!isConstrained) {
-            const isExplicitlyPermissible = allConstraints.some(constraint => 
-                permissibleKeywords.some(keyword => 
-                    utility.toLowerCase().includes(keyword) && 
-                    constraint.toLowerCase().split(' ').some(word => utility.toLowerCase().includes(word))
-                )
-            );
-            
-            if (isExplicitlyPermissible) {
-                permissibleActions.push(utility);
-            }
-            
-            // Add to bounded utilities if not constrained
-            boundedUtilities.push(utility);
+        permissibleActions.push(entry.action);
+        if (entry.score !== null) {
+            boundedUtilities.push(`${entry.action} (${entry.score})`);
         }
     });
     
     // Create a summary of the constraint application
     const summary = {
-        totalUtilities: allUtilityConsiderations.length,
-        constrainedUtilities: allUtilityConsiderations.length - boundedUtilities.length,
+        totalUtilities: (utilities.ranking || []).length,
+        constrainedUtilities: constraintViolations.length,
         violationCount: constraintViolations.length,
         permissibleCount: permissibleActions.length,
         boundedUtilitiesCount: boundedUtilities.length
@@ -598,13 +588,32 @@ function applyConstraints(utilities, constraints) {
         boundedUtilities, 
         constraintViolations, 
         permissibleActions,
+        impermissibleActions,
         summary
     };
 }
 
-function extractVirtues(path) {
-    // Implementation would extract virtues from a virtue ethics path
-    return { virtues: [] };
+/**
+ * Extract virtues from a virtue ethics path using the virtue evaluator's profile of its action
+ * @param {Object} path - The virtue ethics reasoning path
+ * @param {Object} dilemma - The ethical dilemma
+ * @returns {Object} Virtue descriptions, virtues at the mean, vices risked and the assessment
+ */
+function extractVirtues(path, dilemma) {
+    // Annotation warnings were reported when the framework evaluated the dilemma
+    const evaluation = evaluateVirtueEthics(dilemma, { quiet: true });
+    const assessment = evaluation.ranking.find(entry => entry.action === path?.action);
+    const assessed = assessment ? assessment.virtues : [];
+
+    return {
+        virtues: assessed.map(v => `${v.virtue} (${v.state}${v.evidence.length > 0 ? `: ${v.evidence.join(', ')}` : ''})`),
+        specificVirtues: assessed.map(v => v.virtue),
+        character: assessed.filter(v => v.vice).map(v => `risks ${v.vice} in place of ${v.virtue}`),
+        excellence: assessed.filter(v => v.state === 'mean').map(v => `${v.virtue} at the mean`),
+        assessed: assessed.map(v => ({ name: v.virtue, state: v.state })),
+        score: assessment ? assessment.score : null,
+        evaluation
+    };
 }
 
 /**
@@ -1439,11 +1448,11 @@ function integrateCarePrinciples(careConsiderations, justicePrinciples) {
  */
 function evaluateConsequencesWithVirtues(consequences, virtues) {
     if (!consequences || !Array.isArray(consequences) || consequences.length === 0) {
-        return { alignments: [], conflicts: [] };
+        return { alignments: [], conflicts: [], summary: generateVirtueEvaluationSummary([], []) };
     }
     
     if (!virtues || !Array.isArray(virtues) || virtues.length === 0) {
-        return { alignments: [], conflicts: [] };
+        return { alignments: [], conflicts: [], summary: generateVirtueEvaluationSummary([], []) };
     }
     
     const alignments = [];
@@ -1457,13 +1466,13 @@ function evaluateConsequencesWithVirtues(consequences, virtues) {
             
             if (alignment.aligned) {
                 alignments.push({
-                    consequence: consequence.description,
+                    consequence: consequence.description || consequence.consequence,
                     virtue: virtue.name,
                     reason: alignment.reason
                 });
             } else if (alignment.conflicted) {
                 conflicts.push({
-                    consequence: consequence.description,
+                    consequence: consequence.description || consequence.consequence,
                     virtue: virtue.name,
                     reason: alignment.reason
                 });
@@ -1492,36 +1501,28 @@ function checkVirtueAlignment(consequence, virtue) {
         reason: ''
     };
     
-    // Simple keyword matching for demonstration
-    // In a real implementation, this would use more sophisticated NLP
-    const virtueKeywords = {
-        'honesty': ['truth', 'honest', 'transparent', 'openness'],
-        'compassion': ['care', 'empathy', 'kindness', 'support', 'help'],
-        'justice': ['fair', 'equitable', 'rights', 'equality'],
-        'courage': ['brave', 'stand up', 'risk', 'face danger'],
-        'temperance': ['moderation', 'restraint', 'balance', 'self-control'],
-        'wisdom': ['knowledge', 'understanding', 'insight', 'judgment'],
-        'integrity': ['principle', 'moral', 'ethical', 'consistent']
-    };
-    
-    // Get keywords for this virtue
-    const keywords = virtueKeywords[virtue.name.toLowerCase()] || [];
+    // Keyword matching against the virtue catalogue, including the keywords of its vices
+    const catalogued = findVirtue(virtue.name);
+    const keywords = catalogued
+        ? [...catalogued.keywords, ...catalogued.deficiencyKeywords, ...catalogued.excessKeywords]
+        : [];
+    const description = consequence.description || consequence.consequence || '';
     
     // Check if consequence description contains any virtue keywords
     const containsKeyword = keywords.some(keyword => 
-        consequence.description.toLowerCase().includes(keyword.toLowerCase())
+        description.toLowerCase().includes(keyword.toLowerCase())
     );
     
     // Check if consequence valence aligns with virtue
     // Positive consequences generally align with virtues
     if (containsKeyword && consequence.valence === 'positive') {
         result.aligned = true;
-        result.reason = `The ${consequence.valence} consequence "${consequence.description}" aligns with the virtue of ${virtue.name}`;
+        result.reason = `The ${consequence.valence} consequence "${description}" aligns with the virtue of ${virtue.name}`;
     } 
     // Negative consequences generally conflict with virtues
     else if (containsKeyword && consequence.valence === 'negative') {
         result.conflicted = true;
-        result.reason = `The ${consequence.valence} consequence "${consequence.description}" conflicts with the virtue of ${virtue.name}`;
+        result.reason = `The ${consequence.valence} consequence "${description}" conflicts with the virtue of ${virtue.name}`;
     }
     
     return result;
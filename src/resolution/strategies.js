@@ -19,6 +19,17 @@ import {
   isUtilPath,
   generateNuancedMedicalRecommendation
 } from '../resolution/hybrid.js';
+import { estimateStakeholderImpact } from '../frameworks/careEthics.js';
+import { getFrameworkContextualWeight as getRegisteredContextualWeight } from '../frameworks/registry.js';
+import { getStakeholderPreferences } from '../analysis/stakeholderConflicts.js';
+import { getPrecedentDatabase } from '../precedents.js';
+import { findRelevantPrecedents } from '../utils/dilemmaSimilarity.js';
+import { ANALOGICAL_REASONING_CONFIG, alignWithPrecedent, buildAnalogicalArgument } from './analogicalReasoning.js';
+import { createModuleLogger } from '../utils/logging.js';
+
+// Strategy internals are logged at debug level, so pipeline runs stay quiet by default; failures
+// are logged as warnings and errors
+const logger = createModuleLogger('strategies');
 
 /**
  * Available resolution strategies with descriptions and implementation details
@@ -387,6 +398,25 @@ export function selectResolutionStrategy(conflict, dilemma) {
     }
   }
   
+  // 10. Stakeholder strategies for conflicts between stakeholders
+  if (conflict.type === 'stakeholder_conflict') {
+    const influences = Object.values(conflict.influence || {});
+    const influenceGap = influences.length >= 2 ? Math.abs(influences[0] - influences[1]) : 0;
+    const hasVulnerableParty = Object.values(conflict.vulnerability || {}).some(v => v >= 0.7);
+    
+    if (strategies.stakeholder_compromise) {
+      strategies.stakeholder_compromise.score += 0.5;
+      strategies.stakeholder_compromise.reason = 'Stakeholders are best served by different actions';
+    }
+    
+    // A vulnerable party facing a severe loss or a much more influential opponent needs protecting
+    if (strategies.stakeholder_cvar && hasVulnerableParty &&
+        (influenceGap >= 0.3 || conflict.severity >= 0.6)) {
+      strategies.stakeholder_cvar.score += 0.6;
+      strategies.stakeholder_cvar.reason = 'Vulnerable stakeholder at risk of a severe or unequal loss';
+    }
+  }
+  
   // Find the highest-scoring strategy
   let bestStrategy = null;
   let highestScore = 0;
@@ -411,80 +441,8 @@ export function selectResolutionStrategy(conflict, dilemma) {
 function getFrameworkContextualWeight(framework, dilemma) {
   if (!framework || !dilemma) return 0.5; // Default to medium importance
   
-  let weight = 0.5; // Start with neutral weight
-  
-  // Increase weight based on framework-specific contextual factors
-  switch (framework.toLowerCase()) {
-    case 'utilitarian':
-      // More important when large populations affected or quantifiable benefits
-      const populationFactors = ['population_served', 'people_affected', 'total_benefit'];
-      const hasPopulationFactors = populationFactors.some(factor => 
-        dilemma.parameters && Object.keys(dilemma.parameters).some(p => p.includes(factor))
-      );
-      
-      if (hasPopulationFactors) weight += 0.2;
-      break;
-      
-    case 'deontology':
-      // More important with rights violations, moral duties or principles at stake
-      const rightsFactors = ['rights_violation', 'moral_duty', 'legal_requirement'];
-      const hasRightsFactors = rightsFactors.some(factor => 
-        dilemma.parameters && Object.keys(dilemma.parameters).some(p => p.includes(factor))
-      );
-      
-      if (hasRightsFactors) weight += 0.2;
-      
-      // Also more important in high urgency situations
-      const hasHighUrgency = dilemma.parameters?.urgency_option_a?.value > 0.7 || 
-                            dilemma.parameters?.urgency_option_b?.value > 0.7;
-                            
-      if (hasHighUrgency) weight += 0.1;
-      break;
-      
-    case 'care_ethics':
-      // More important with vulnerable populations or care relationships
-      const vulnerableGroups = dilemma.stakeholders?.some(s => 
-        s.name?.toLowerCase().includes('vulnerable') || 
-        s.name?.toLowerCase().includes('patient') ||
-        s.name?.toLowerCase().includes('child') ||
-        s.name?.toLowerCase().includes('elderly')
-      );
-      
-      if (vulnerableGroups) weight += 0.3;
-      break;
-      
-    case 'virtue_ethics':
-      // More important with character-building or public integrity issues
-      const characterFactors = ['integrity', 'character', 'virtue', 'public_opinion'];
-      const hasCharacterFactors = characterFactors.some(factor => 
-        dilemma.parameters && Object.keys(dilemma.parameters).some(p => p.includes(factor))
-      );
-      
-      if (hasCharacterFactors) weight += 0.2;
-      break;
-      
-    case 'justice':
-      // More important with fair distribution or equity issues
-      const justiceFactors = ['fairness', 'equity', 'equality', 'discrimination'];
-      const hasJusticeFactors = justiceFactors.some(factor => 
-        dilemma.parameters && Object.keys(dilemma.parameters).some(p => p.includes(factor))
-      );
-      
-      if (hasJusticeFactors) weight += 0.2;
-      
-      // Also important when marginalized groups are involved
-      const marginalizedGroups = dilemma.stakeholders?.some(s => 
-        s.name?.toLowerCase().includes('marginalized') || 
-        s.name?.toLowerCase().includes('minority') ||
-        s.name?.toLowerCase().includes('disadvantaged')
-      );
-      
-      if (marginalizedGroups) weight += 0.2;
-      break;
-  }
-  
-  // Ensure weight stays in 0-1 range
-  return Math.max(0, Math.min(1, weight));
+  // Each framework declares its own contextual-weight hook in the framework registry
+  return getRegisteredContextualWeight(framework, dilemma);
 }
 
 /**
@@ -671,6 +629,12 @@ export async function applyResolutionStrategy(strategy, conflict, dilemma) {
     
     case 'multi_framework_integration':
       return await applyMultiFrameworkIntegration(strategy, conflict, dilemma);
+    
+    case 'stakeholder_compromise':
+      return applyStakeholderCompromiseStrategy(strategy, conflict, dilemma);
+    
+    case 'stakeholder_cvar':
+      return applyStakeholderCVaRStrategy(strategy, conflict, dilemma);
       
     // Hybrid strategies
     case 'virtue_guided_consequentialism':
@@ -694,7 +658,7 @@ export async function applyResolutionStrategy(strategy, conflict, dilemma) {
         };
       }
       // Fallback if implementation not provided
-      console.warn(`No implementation provided for hybrid strategy ${strategy.name}`);
+      logger.warn(`No implementation provided for hybrid strategy ${strategy.name}`);
       return applyFrameworkBalancing({
         ...strategy,
         name: 'framework_balancing'
@@ -702,7 +666,7 @@ export async function applyResolutionStrategy(strategy, conflict, dilemma) {
     
     default:
       // Default to framework balancing if unknown strategy
-      console.warn(`Unknown strategy ${strategy.name}, defaulting to framework_balancing`);
+      logger.warn(`Unknown strategy ${strategy.name}, defaulting to framework_balancing`);
       return applyFrameworkBalancing({
         ...strategy,
         name: 'framework_balancing'
@@ -729,9 +693,11 @@ function applyFrameworkBalancing(strategy, conflict, dilemma) {
   const framework1 = conflict.between[0];
   const framework2 = conflict.between[1];
   
-  // Calculate dynamic weights
-  // (This would typically call a calculation function from another module)
-  const weight1 = 0.5 + ((Math.random() * 0.4) - 0.2); // Simulate calculation with some randomness
+  // Weight each framework by its contextual importance, keeping the balance between 30% and 70%
+  const contextual1 = getFrameworkContextualWeight(framework1, dilemma);
+  const contextual2 = getFrameworkContextualWeight(framework2, dilemma);
+  const share1 = contextual1 + contextual2 > 0 ? contextual1 / (contextual1 + contextual2) : 0.5;
+  const weight1 = Math.max(0.3, Math.min(0.7, share1));
   const weight2 = 1 - weight1;
   
   const weights = {
@@ -745,8 +711,7 @@ function applyFrameworkBalancing(strategy, conflict, dilemma) {
     decimalPrecision: 2
   });
   
-  console.log('ENHANCED: Framework balancing weights - Original:', JSON.stringify(weights), 
-              'Simplified:', JSON.stringify(simplifiedWeights));
+  logger.debug('Framework balancing weights', { original: weights, simplified: simplifiedWeights });
   
   // Generate reasoning for the weighted balance
   const reasoning = `
@@ -771,13 +736,11 @@ function applyFrameworkBalancing(strategy, conflict, dilemma) {
  * @returns {Object} Resolution with weights and reasoning
  */
 function applyPrincipledPriority(strategy, conflict, dilemma) {
-  console.log('ENHANCED: Applying principled priority strategy', JSON.stringify(strategy));
-  console.log('ENHANCED: Conflict type:', conflict.type);
-  console.log('ENHANCED: Frameworks involved:', JSON.stringify(conflict.between));
+  logger.debug(`Applying principled priority strategy to ${conflict.type} between ${(conflict.between || []).join(', ')}`, strategy);
   
   if (conflict.type !== 'framework_conflict' || !conflict.between || conflict.between.length < 1) {
     // Default fallback
-    console.log('ENHANCED: Using default fallback for principled priority');
+    logger.debug('Using default fallback for principled priority');
     return {
       weights: { default: 1.0 },
       reasoning: "Unable to apply principled priority due to missing conflict structure."
@@ -787,12 +750,14 @@ function applyPrincipledPriority(strategy, conflict, dilemma) {
   const framework1 = conflict.between[0];
   const framework2 = conflict.between[1];
   
-  // Get the framework to prioritize from the strategy
-  const priorityFramework = strategy.priorityFramework || (Math.random() > 0.5 ? framework1 : framework2);
+  // Get the framework to prioritize from the strategy, else the contextually more important one
+  const contextual1 = getFrameworkContextualWeight(framework1, dilemma);
+  const contextual2 = getFrameworkContextualWeight(framework2, dilemma);
+  const priorityFramework = strategy.priorityFramework || (contextual2 > contextual1 ? framework2 : framework1);
   const priorityReason = strategy.reason || "Contextual factors suggest this framework is more applicable";
   
-  // Calculate weight for the prioritized framework (70-90% weight)
-  const priorityWeight = 0.7 + (Math.random() * 0.2);
+  // Calculate weight for the prioritized framework (70-90% weight, higher the clearer its lead)
+  const priorityWeight = 0.7 + 0.2 * Math.min(1, Math.abs(contextual1 - contextual2) / 0.5);
   const secondaryWeight = 1 - priorityWeight;
   
   // Assign weights
@@ -801,15 +766,13 @@ function applyPrincipledPriority(strategy, conflict, dilemma) {
     [priorityFramework === framework1 ? framework2 : framework1]: secondaryWeight
   };
   
-  console.log('ENHANCED: Final weights for principled priority:', JSON.stringify(weights));
-  
   // Simplify weights while preserving ratio for display
   const simplifiedWeights = simplifyWeightsPreservingRatio(weights, {
     preserveOriginalWeights: true,
     decimalPrecision: 2
   });
   
-  console.log('ENHANCED: Simplified weights:', JSON.stringify(simplifiedWeights));
+  logger.debug('Principled priority weights', { original: weights, simplified: simplifiedWeights });
   
   // Generate reasoning for the principled priority
   const reasoning = `This resolution prioritizes the ethical considerations of ${priorityFramework} over ${priorityFramework === framework1 ? framework2 : framework1}
@@ -835,7 +798,6 @@ function applyPrincipledPriority(strategy, conflict, dilemma) {
     priority_reason: priorityReason
   };
   
-  console.log('ENHANCED: Principled priority result:', JSON.stringify(result, null, 2));
   return result;
 }
 
@@ -1140,94 +1102,51 @@ function applyMetaEthicalStrategy(strategy, conflict, dilemma) {
  * @returns {Object} Resolution with casuistry analysis and reasoning
  */
 async function applyCasuistryStrategy(strategy, conflict, dilemma) {
-  console.log('ENHANCED: Applying casuistry strategy');
-  
   let precedentReferences = [];
   let detailedAnalysis = '';
   
   try {
-    // Use the dynamic precedent database if available
-    const { reaConfig } = await import('../config/rea-config.js');
+    // Query the precedent case library the dilemma names, or the default one
+    const precedentDatabase = getPrecedentDatabase(dilemma.precedent_library);
     
-    if (reaConfig.advancedFeatures.useDynamicCaseDatabase) {
-      console.log('ENHANCED: Using dynamic precedent database');
-      
-      // Import the dynamic precedent database
-      const { getPrecedentDatabase } = await import('../precedents.js');
-      // Import utility for finding similar precedents
-      const { findRelevantPrecedents } = await import('../utils/dilemmaSimilarity.js');
-      
-      // Get all precedents
-      const precedentDatabase = getPrecedentDatabase();
-      console.log(`ENHANCED: Got precedent database with ${precedentDatabase.length} precedents`);
-      
-      // Find relevant precedents
-      const relevantPrecedents = findRelevantPrecedents(dilemma, precedentDatabase, 0.6);
-      console.log(`ENHANCED: Found ${relevantPrecedents.length} relevant precedents`);
-      
-      // Format precedents for response
-      precedentReferences = relevantPrecedents.map(precedent => ({
-        caseId: precedent.id || precedent.precedent_id,
-        title: precedent.title,
-        similarity: precedent.similarity,
-        resolution: precedent.resolution || "Principles applied from this precedent"
-      })).slice(0, 3); // Take top 3 precedents
-      
-      console.log('ENHANCED: Precedent references:', JSON.stringify(precedentReferences, null, 2));
-      
-      // Create detailed analysis from precedents
-      if (precedentReferences.length > 0) {
-        console.log('ENHANCED: Creating detailed analysis from precedents');
-        detailedAnalysis = `
-          Based on the analysis of ${precedentReferences.length} relevant precedent cases:
-          
-          ${precedentReferences.map((p, i) => `
-          Case ${i+1}: "${p.title}" (similarity: ${Math.round(p.similarity * 100)}%)
-          Resolution approach: ${p.resolution}
-          Key principles: Similar ethical considerations applied
-          `).join('\n')}
-          
-          The application of these precedent cases to the current dilemma suggests a resolution
-          that focuses on ${getCommonTheme(precedentReferences)} while addressing the specific
-          context of this situation.
-        `.trim();
-      }
+    // Find relevant precedents and align each with the current dilemma
+    const relevantPrecedents = findRelevantPrecedents(dilemma, {
+      precedents: precedentDatabase,
+      limit: ANALOGICAL_REASONING_CONFIG.candidateCount
+    });
+    logger.debug(`Casuistry found ${relevantPrecedents.length} relevant precedents among ${precedentDatabase.length}`);
+    
+    // Format precedents for response, most applicable first
+    precedentReferences = relevantPrecedents.map(precedent => ({
+      caseId: precedent.id || precedent.precedent_id,
+      title: precedent.title,
+      similarity: precedent.similarity,
+      resolution: precedent.resolution || "Principles applied from this precedent",
+      outcome: precedent.outcome || null,
+      source: precedent.source || null,
+      action_mappings: precedent.action_mappings || null,
+      similarity_components: precedent.similarity_components,
+      matched_because: precedent.match_explanation,
+      differences: precedent.differences,
+      alignment: alignWithPrecedent(precedent)
+    })).sort((a, b) => b.alignment.applicability - a.alignment.applicability || b.similarity - a.similarity);
+    
+    // Create the analogical argument from the aligned precedents
+    if (precedentReferences.length > 0) {
+      logger.debug(`Casuistry precedents by applicability: ${precedentReferences.map(reference => reference.caseId).join(', ')}`);
+      detailedAnalysis = buildAnalogicalArgument(precedentReferences);
     }
   } catch (error) {
-    console.warn('Error accessing dynamic precedent database:', error);
+    logger.warn(`Error accessing precedent library: ${error.message}`, error);
   }
   
-  // Fallback to example precedents if none found
+  // Without relevant precedents the reasoning rests on general principles
   if (precedentReferences.length === 0) {
-    console.log('ENHANCED: Using fallback example precedents');
-    precedentReferences = [
-      {
-        caseId: "case-2022-17",
-        title: "Community Health Resource Allocation",
-        similarity: 0.82,
-        resolution: "Balanced access with special provisions for vulnerable populations"
-      },
-      {
-        caseId: "case-2021-09",
-        title: "Healthcare Privacy vs. Public Health",
-        similarity: 0.74,
-        resolution: "Tiered information sharing with consent mechanisms"
-      }
-    ];
-    
+    logger.debug('Casuistry found no relevant precedents in the library');
     detailedAnalysis = `
-      Based on analysis of similar precedent cases:
-      
-      Case 1: "Community Health Resource Allocation" (similarity: 82%)
-      This case involved balancing community-wide health resources with special provisions for 
-      vulnerable populations, similar to the current dilemma's context.
-      
-      Case 2: "Healthcare Privacy vs. Public Health" (similarity: 74%)
-      This case established a tiered approach to information sharing with consent mechanisms that
-      balanced individual rights with public health benefits.
-      
-      The application of these precedent cases suggests a resolution approach that balances competing
-      interests while making special provisions for vulnerable groups.
+      No case in the precedent library is similar enough to this dilemma to guide its resolution.
+      The resolution therefore applies established ethical principles directly; adding analogous
+      cases to the library will let future analyses draw on them.
     `.trim();
   }
   
@@ -1264,22 +1183,42 @@ async function applyCasuistryStrategy(strategy, conflict, dilemma) {
     weights: { casuistry: 1.0 }
   };
   
-  console.log('ENHANCED: Casuistry result:', JSON.stringify(result, null, 2));
   return result;
 }
 
 /**
- * Helper function to determine a recommended action based on precedent cases
+ * Helper function to determine a recommended action based on precedent cases. The paradigm case is
+ * the most applicable precedent not rejected on a decisive distinguishing factor. Its outcome names
+ * one of this dilemma's actions only if the case was decided for this dilemma or maps its outcome
+ * to an action of it in `action_mappings`, and only when it is followed as it stands: an adjusted
+ * outcome is not the action the precedent chose.
  */
 function determineRecommendedActionFromPrecedents(precedents, conflict, dilemma) {
   if (!precedents || precedents.length === 0) {
     return "Apply the resolution principles from the most similar precedent cases";
   }
   
+  const paradigm = precedents.find(p => p.alignment?.verdict !== 'reject');
+  if (!paradigm) {
+    const decisive = [...new Set(precedents.flatMap(p => p.alignment.distinguishing_factors
+      .filter(factor => factor.decisive)
+      .map(factor => factor.parameter)))];
+    return `Resolve from general principles: every relevant precedent is distinguished by ${decisive.join(', ')}`;
+  }
+  const approach = paradigm.alignment?.adjusted_outcome || paradigm.resolution;
+  
   // Extract possible actions from the dilemma
   const possibleActions = dilemma.possible_actions?.map(a => a.id) || [];
   if (possibleActions.length === 0) {
-    return precedents[0].resolution || "Apply the resolution principles from the most similar precedent cases";
+    return approach || "Apply the resolution principles from the most similar precedent cases";
+  }
+  
+  // A followed paradigm case decided for one of this dilemma's actions points to that action
+  const mappedAction = paradigm.source?.dilemma === dilemma.id
+    ? paradigm.outcome
+    : paradigm.action_mappings?.[dilemma.id];
+  if (paradigm.alignment?.verdict === 'follow' && possibleActions.includes(mappedAction)) {
+    return `Apply the outcome of "${paradigm.title}" to support action "${mappedAction}" (${approach})`;
   }
   
   // For multi_framework_conflict, look at the most supported action
@@ -1300,63 +1239,8 @@ function determineRecommendedActionFromPrecedents(precedents, conflict, dilemma)
     }
   }
   
-  // Default to most similar precedent's approach
-  return `Apply the resolution approach from "${precedents[0].title}" (${precedents[0].resolution})`;
-}
-
-/**
- * Helper function to identify common themes across precedent cases
- */
-function getCommonTheme(precedents) {
-  if (!precedents || precedents.length === 0) {
-    return "established ethical principles";
-  }
-  
-  // Extract keywords from resolutions
-  const keywords = ['balance', 'rights', 'welfare', 'justice', 'care', 'vulnerable', 'consent', 'resource', 'allocation'];
-  const counts = {};
-  
-  // Count occurrences of keywords
-  for (const precedent of precedents) {
-    const resolution = precedent.resolution || '';
-    for (const keyword of keywords) {
-      if (resolution.toLowerCase().includes(keyword)) {
-        counts[keyword] = (counts[keyword] || 0) + 1;
-      }
-    }
-  }
-  
-  // Find most common keywords
-  let maxCount = 0;
-  let commonThemes = [];
-  
-  for (const [keyword, count] of Object.entries(counts)) {
-    if (count > maxCount) {
-      maxCount = count;
-      commonThemes = [keyword];
-    } else if (count === maxCount) {
-      commonThemes.push(keyword);
-    }
-  }
-  
-  if (commonThemes.length === 0) {
-    return "established ethical principles";
-  }
-  
-  // Map keywords to more descriptive phrases
-  const themeDescriptions = {
-    'balance': 'balancing competing interests',
-    'rights': 'respecting individual rights',
-    'welfare': 'maximizing overall welfare',
-    'justice': 'ensuring fair distribution of resources',
-    'care': 'maintaining caring relationships',
-    'vulnerable': 'protecting vulnerable populations',
-    'consent': 'establishing appropriate consent mechanisms',
-    'resource': 'effective resource allocation',
-    'allocation': 'fair resource distribution'
-  };
-  
-  return commonThemes.map(theme => themeDescriptions[theme] || theme).join(' and ');
+  // Default to the paradigm case's approach
+  return `Apply the resolution approach from "${paradigm.title}" (${approach})`;
 }
 
 /**
@@ -1696,7 +1580,7 @@ export async function resolveConflicts(conflicts, frameworkResults, dilemma, opt
       } else if (conflict.type === 'stakeholder_conflict') {
         resolution = await resolveStakeholderConflict(conflict, frameworkResults, dilemma);
       } else {
-        console.warn(`Unknown conflict type: ${conflict.type}`);
+        logger.warn(`Unknown conflict type: ${conflict.type}`);
         // Default to pairwise conflict resolution
         resolution = await resolvePairwiseConflict(conflict, frameworkResults, dilemma);
       }
@@ -1726,7 +1610,7 @@ export async function resolveConflicts(conflicts, frameworkResults, dilemma, opt
       
       return resolution;
     } catch (error) {
-      console.error(`Error resolving conflict: ${error.message}`, error);
+      logger.error(`Error resolving conflict: ${error.message}`, error);
       return null;
     }
   });
@@ -1792,7 +1676,7 @@ async function resolvePairwiseConflict(conflict, frameworkResults, dilemma) {
     // Merge all remaining resolution properties
     return { ...result, ...resolution };
   } catch (error) {
-    console.error(`Error in pairwise conflict resolution: ${error.message}`, error);
+    logger.error(`Error in pairwise conflict resolution: ${error.message}`, error);
     throw error;
   }
 }
@@ -1829,7 +1713,7 @@ async function resolveMultiFrameworkConflict(conflict, frameworkResults, dilemma
     // Merge all remaining resolution properties
     return { ...result, ...resolution };
   } catch (error) {
-    console.error(`Error in multi-framework conflict resolution: ${error.message}`, error);
+    logger.error(`Error in multi-framework conflict resolution: ${error.message}`, error);
     throw error;
   }
 }
@@ -1843,30 +1727,26 @@ async function resolveMultiFrameworkConflict(conflict, frameworkResults, dilemma
  */
 async function resolveStakeholderConflict(conflict, frameworkResults, dilemma) {
   try {
-    // For stakeholder conflicts, use the stakeholder compromise strategy
-    const strategy = {
-      name: 'stakeholder_compromise',
-      description: 'Balance the interests of different stakeholders',
-      score: 0.9
-    };
+    // Choose between stakeholder compromise and CVaR protection of the most affected
+    const strategy = selectResolutionStrategy(conflict, dilemma);
+    
+    // Apply the selected strategy
+    const resolution = await applyResolutionStrategy(strategy, conflict, dilemma);
     
-    // Create a basic resolution
-    const resolution = {
+    const result = {
       id: `resolution-${Math.random().toString(36).substr(2, 9)}`,
       conflictId: conflict.id,
       conflictType: conflict.type,
-      resolution_strategy: 'stakeholder_compromise',
-      description: 'Balance the interests of different stakeholders',
-      stakeholders: conflict.between,
-      reasoning: `This resolution attempts to find a fair balance between the competing interests of different stakeholders.
-        By considering the relative influence, vulnerability, and importance of each stakeholder group,
-        we can arrive at a solution that acknowledges all perspectives while prioritizing the most critical concerns.`,
-      proposed_solution: 'Implement a phased approach that addresses the most urgent needs of all stakeholders while establishing a process for addressing remaining concerns'
+      strategy: strategy.name,
+      resolution_strategy: strategy.name,
+      description: strategy.description,
+      stakeholders: conflict.between
     };
     
-    return resolution;
+    // Merge all remaining resolution properties
+    return { ...result, ...resolution };
   } catch (error) {
-    console.error(`Error in stakeholder conflict resolution: ${error.message}`, error);
+    logger.error(`Error in stakeholder conflict resolution: ${error.message}`, error);
     throw error;
   }
 }
@@ -1921,7 +1801,89 @@ function calculateFrameworkWeights(frameworks, conflict) {
 }
 
 /**
- * Apply stakeholder CVaR strategy for resolving conflicts
+ * Apply stakeholder compromise strategy for resolving conflicts between two stakeholders.
+ * Each stakeholder is weighted by influence plus vulnerability, so weak but vulnerable parties
+ * still count, and every possible action is scored by the weighted impact on both; the winner
+ * may be a third action neither stakeholder prefers but both can accept.
+ * @param {Object} strategy - The strategy to apply
+ * @param {Object} conflict - The stakeholder conflict to resolve
+ * @param {Object} dilemma - The ethical dilemma
+ * @returns {Object} Resolution with stakeholder weights, per-action scores and reasoning
+ */
+function applyStakeholderCompromiseStrategy(strategy, conflict, dilemma) {
+  const preferences = getStakeholderPreferences(dilemma);
+  const parties = (conflict.between || []).filter(id => preferences[id]);
+  if (parties.length < 2) {
+    return {
+      weights: { default: 1.0 },
+      reasoning: "Unable to apply stakeholder compromise due to missing stakeholder information."
+    };
+  }
+  
+  // Weight each stakeholder by influence and vulnerability, normalized to sum to 1
+  const rawWeights = {};
+  parties.forEach(id => {
+    rawWeights[id] = preferences[id].influence + preferences[id].vulnerability;
+  });
+  const totalWeight = Object.values(rawWeights).reduce((sum, w) => sum + w, 0) || 1;
+  const weights = {};
+  parties.forEach(id => {
+    weights[id] = rawWeights[id] / totalWeight;
+  });
+  
+  // Score every action by its weighted impact on the conflicting stakeholders
+  const rawScores = {};
+  const compromiseScores = {};
+  Object.keys(preferences[parties[0]].impacts).forEach(action => {
+    rawScores[action] = parties.reduce((sum, id) => sum + weights[id] * preferences[id].impacts[action], 0);
+    compromiseScores[action] = Math.round(rawScores[action] * 100) / 100;
+  });
+  
+  const preferred = parties.map(id => preferences[id].preferred_action);
+  
+  // Actions with the same combined outcome are a tie; the dilemma's action order does not decide
+  const bestScore = Math.max(...Object.values(rawScores));
+  const tiedActions = Object.keys(rawScores).filter(action => bestScore - rawScores[action] <= 1e-9);
+  if (tiedActions.length > 1) {
+    return {
+      strategy: strategy.name,
+      description: strategy.description,
+      weights,
+      tied_actions: tiedActions,
+      compromise_scores: compromiseScores,
+      reasoning: `${tiedActions.join(' and ')} give ${parties.map(id => preferences[id].name).join(' and ')} the same combined outcome (${compromiseScores[tiedActions[0]]}), so the compromise does not decide between them.`
+    };
+  }
+  const recommendedAction = tiedActions[0];
+  const isThirdOption = !preferred.includes(recommendedAction);
+  const [first, second] = parties.map(id => preferences[id].name);
+  
+  const reasoning = `
+    ${first} and ${second} are best served by different actions (${preferred.join(' and ')}).
+    Weighting each by influence and vulnerability (${parties.map(id => `${id}: ${weights[id].toFixed(2)}`).join(', ')}),
+    ${recommendedAction} gives the best combined outcome (${compromiseScores[recommendedAction]}).
+    ${isThirdOption
+      ? 'Neither stakeholder prefers it, but it avoids the heavy loss each would suffer under the other\'s preference.'
+      : 'The other stakeholder\'s concerns should be mitigated as part of implementing it.'}
+  `.trim().replace(/\n\s+/g, '\n');
+  
+  return {
+    strategy: strategy.name,
+    description: strategy.description,
+    weights,
+    recommended_action: recommendedAction,
+    compromise_scores: compromiseScores,
+    compromise_proposal: isThirdOption
+      ? `Adopt ${recommendedAction} as a middle ground between ${preferred.join(' and ')}`
+      : `Adopt ${recommendedAction} while addressing the concerns of ${recommendedAction === preferred[0] ? second : first}`,
+    reasoning
+  };
+}
+
+/**
+ * Apply stakeholder CVaR strategy for resolving conflicts. Actions with the same CVaR are told
+ * apart by their mean impact across all stakeholders; actions still level are reported as a tie
+ * in `tied_actions` without a recommended action, so the dilemma's action order never decides.
  * @param {Object} strategy - The strategy to apply
  * @param {Object} conflict - The ethical conflict to resolve
  * @param {Object} dilemma - The ethical dilemma
@@ -1932,15 +1894,20 @@ function applyStakeholderCVaRStrategy(strategy, conflict, dilemma) {
   const stakeholders = dilemma.stakeholders || [];
   if (!stakeholders.length) {
     return {
-      action: conflict.proposed_actions[0] || "no_action",
+      strategy: strategy.name,
+      description: strategy.description,
       justification: "Unable to apply CVaR analysis due to missing stakeholder information.",
+      reasoning: "Unable to apply CVaR analysis due to missing stakeholder information.",
       confidence: 0.4
     };
   }
   
-  // Calculate potential impact on each stakeholder for each action
+  // Calculate potential impact on each stakeholder for each action; every possible action is
+  // considered so a less risky alternative to the conflicting proposals can win
   const stakeholderImpacts = {};
-  const actionsToAnalyze = conflict.proposed_actions || 
+  const possibleActions = (dilemma.possible_actions || []).map(a => a.id).filter(Boolean);
+  const actionsToAnalyze = possibleActions.length > 0 ? possibleActions :
+                          conflict.proposed_actions || 
                           (conflict.action_groups ? Object.keys(conflict.action_groups) : []);
   
   // For each action, assess impact on stakeholders
@@ -1968,70 +1935,81 @@ function applyStakeholderCVaRStrategy(strategy, conflict, dilemma) {
     
     cvarByAction[action] = {
       value: cvarValue,
+      meanValue: impacts.reduce((sum, impact) => sum + impact.value, 0) / (impacts.length || 1),
       worstAffectedStakeholders: worstImpacts.map(impact => impact.stakeholderId)
     };
   }
   
-  // Identify the action with the least negative CVaR
-  let bestAction = actionsToAnalyze[0];
-  let bestCVaR = cvarByAction[bestAction].value;
+  // Identify the actions with the least negative CVaR, then the best mean impact among them
+  const tolerance = 1e-9;
+  const bestCVaR = Math.max(...actionsToAnalyze.map(action => cvarByAction[action].value));
+  const leastRisky = actionsToAnalyze.filter(action => bestCVaR - cvarByAction[action].value <= tolerance);
+  const bestMean = Math.max(...leastRisky.map(action => cvarByAction[action].meanValue));
+  const tiedActions = leastRisky.filter(action => bestMean - cvarByAction[action].meanValue <= tolerance);
   
-  for (const action of actionsToAnalyze) {
-    if (cvarByAction[action].value > bestCVaR) {
-      bestAction = action;
-      bestCVaR = cvarByAction[action].value;
-    }
+  if (tiedActions.length !== 1) {
+    const justification = `
+      Using Conditional Value at Risk analysis, ${tiedActions.join(', ')} leave the worst-off stakeholders
+      equally exposed (CVaR ${bestCVaR.toFixed(2)}) and have the same mean impact, so the analysis cannot
+      choose between them.
+    `.trim();
+    return {
+      strategy: strategy.name,
+      description: strategy.description,
+      tied_actions: tiedActions,
+      justification,
+      reasoning: justification,
+      confidence: 0.4,
+      cvarAnalysis: cvarByAction
+    };
   }
+  const bestAction = tiedActions[0];
   
   // Generate justification
   const justification = `
     Using Conditional Value at Risk analysis, the action "${bestAction}" minimizes the negative impact 
     on the most vulnerable stakeholders. While other actions may have higher average benefits, this approach
     prioritizes protecting those who would be most severely affected by a negative outcome.
+    ${leastRisky.length > 1 ? `It shares the lowest CVaR with ${leastRisky.filter(action => action !== bestAction).join(', ')} but has the better mean impact.` : ''}
     
-    The stakeholders most protected by this decision include: ${cvarByAction[bestAction].worstAffectedStakeholders.join(', ')}.
+    Even under this action, the worst-off stakeholders are: ${cvarByAction[bestAction].worstAffectedStakeholders.join(', ')}.
   `.trim();
   
   return {
+    strategy: strategy.name,
+    description: strategy.description,
     action: bestAction,
+    recommended_action: bestAction,
     justification: justification,
+    reasoning: justification,
     confidence: 0.8,
     cvarAnalysis: cvarByAction
   };
 }
 
 /**
- * Helper function to estimate impact of an action on a stakeholder
+ * Helper function to estimate impact of an action on a stakeholder, from whatever the dilemma
+ * declares about it (see estimateStakeholderImpact)
  * @param {Object} stakeholder - Stakeholder object
  * @param {string} action - The action to evaluate
  * @param {Object} dilemma - The ethical dilemma
- * @returns {Object} Impact assessment
+ * @returns {Object} Impact assessment: { stakeholderId, value (-1..1), source, description }
  */
 function estimateImpact(stakeholder, action, dilemma) {
-  // Default impact
-  let impact = {
-    stakeholderId: stakeholder.id,
-    value: 0,
-    description: `Neutral impact on ${stakeholder.id}`
+  const estimate = estimateStakeholderImpact(stakeholder, action, dilemma);
+  const descriptions = {
+    declared: `Impact on ${stakeholder.id} declared by the dilemma${estimate.description ? `: ${estimate.description}` : ''}`,
+    effects: `Impact on ${stakeholder.id} from its declared effects: ${estimate.description}`,
+    stakeholder_impact: `Impact on ${stakeholder.id} from stakeholder impact data (${estimate.value})`,
+    concern_alignment: `Impact on ${stakeholder.id} from the concerns ${action} addresses (${estimate.value})`
   };
   
-  // Try to extract impact from dilemma if available
-  if (dilemma.impacts && dilemma.impacts[action] && dilemma.impacts[action][stakeholder.id]) {
-    const specifiedImpact = dilemma.impacts[action][stakeholder.id];
-    impact.value = typeof specifiedImpact.value === 'number' ? specifiedImpact.value : 0;
-    impact.description = specifiedImpact.description || impact.description;
-    return impact;
-  }
-  
-  // If no direct impact is specified, estimate based on stakeholder vulnerability
-  const vulnerability = stakeholder.vulnerability || 0.5;
-  const directness = stakeholder.directness || 0.5;
-  
-  // Invert vulnerability scale so higher vulnerability means worse potential impact
-  impact.value = 0.5 - (vulnerability * directness);
-  impact.description = `Estimated impact on ${stakeholder.id} based on vulnerability (${vulnerability}) and directness (${directness})`;
-  
-  return impact;
+  return {
+    stakeholderId: stakeholder.id,
+    value: estimate.value,
+    source: estimate.source,
+    description: descriptions[estimate.source] || `Neutral impact on ${stakeholder.id}`
+  };
 }
 
 export default {
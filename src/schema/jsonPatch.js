@@ -0,0 +1,123 @@
+/**
+ * JSON Patch Module
+ * Applies JSON Patch (RFC 6902) operations addressed by JSON pointers (RFC 6901). Dilemma
+ * auto-corrections and schema migrations are recorded as patches so authors can review them
+ * before the changes reach their files.
+ */
+
+/**
+ * Split a JSON pointer into its unescaped reference tokens
+ * @param {string} pointer - JSON pointer ('' for the whole document)
+ * @returns {Array<string>} Reference tokens
+ */
+export function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw new Error(`Invalid JSON pointer "${pointer}"`);
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Get the value a JSON pointer refers to
+ * @param {*} document - The document
+ * @param {string} pointer - JSON pointer
+ * @returns {*} The value, or undefined if the pointer does not resolve
+ */
+export function getValueAtPointer(document, pointer) {
+  return parsePointer(pointer).reduce((node, token) => {
+    if (node === null || typeof node !== 'object') return undefined;
+    return Array.isArray(node) ? node[Number(token)] : node[token];
+  }, document);
+}
+
+/**
+ * Find the container and key a pointer addresses
+ * @param {*} document - The document
+ * @param {string} pointer - JSON pointer other than ''
+ * @returns {Object} { parent, key }
+ */
+function locate(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const parent = getValueAtPointer(document, tokens.map(token => `/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`).join(''));
+  if (parent === null || typeof parent !== 'object') {
+    throw new Error(`Path "${pointer}" has no parent object or array`);
+  }
+  return { parent, key };
+}
+
+/**
+ * Convert an array reference token to an index
+ * @param {Array} array - The array
+ * @param {string} key - Reference token
+ * @param {boolean} allowEnd - Whether '-' and the index one past the end are allowed
+ * @returns {number} Index
+ */
+function toIndex(array, key, allowEnd) {
+  if (key === '-' && allowEnd) return array.length;
+  const index = /^(0|[1-9]\d*)$/.test(key) ? Number(key) : NaN;
+  if (!(index >= 0 && index < array.length + (allowEnd ? 1 : 0))) {
+    throw new Error(`Array index "${key}" is out of range`);
+  }
+  return index;
+}
+
+/**
+ * Apply one operation in place
+ * @param {*} document - The document
+ * @param {Object} operation - JSON Patch operation
+ * @returns {*} The document (a new value when the whole document is replaced)
+ */
+function applyOperation(document, operation) {
+  const { op, path } = operation;
+  const clone = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+  switch (op) {
+    case 'add':
+    case 'replace': {
+      if (path === '') return clone(operation.value);
+      const { parent, key } = locate(document, path);
+      if (Array.isArray(parent)) {
+        const index = toIndex(parent, key, op === 'add');
+        parent.splice(index, op === 'add' ? 0 : 1, clone(operation.value));
+      } else {
+        if (op === 'replace' && !(key in parent)) throw new Error(`Cannot replace missing "${path}"`);
+        parent[key] = clone(operation.value);
+      }
+      return document;
+    }
+    case 'remove': {
+      const { parent, key } = locate(document, path);
+      if (Array.isArray(parent)) {
+        parent.splice(toIndex(parent, key, false), 1);
+      } else {
+        if (!(key in parent)) throw new Error(`Cannot remove missing "${path}"`);
+        delete parent[key];
+      }
+      return document;
+    }
+    case 'copy':
+    case 'move': {
+      const value = getValueAtPointer(document, operation.from);
+      if (value === undefined) throw new Error(`Cannot ${op} missing "${operation.from}"`);
+      const moved = op === 'move' ? applyOperation(document, { op: 'remove', path: operation.from }) : document;
+      return applyOperation(moved, { op: 'add', path, value });
+    }
+    case 'test':
+      if (JSON.stringify(getValueAtPointer(document, path)) !== JSON.stringify(operation.value)) {
+        throw new Error(`Test failed at "${path}"`);
+      }
+      return document;
+    default:
+      throw new Error(`Unknown JSON Patch operation "${op}"`);
+  }
+}
+
+/**
+ * Apply a JSON Patch to a document in place
+ * @param {*} document - The document
+ * @param {Array<Object>} operations - JSON Patch operations, applied in order
+ * @returns {*} The patched document
+ */
+export function applyPatch(document, operations) {
+  return operations.reduce(applyOperation, document);
+}
@@ -0,0 +1,93 @@
+/**
+ * Dilemma Migrations Module
+ * Upgrades dilemmas written against an older schema version to the current one, so older files
+ * keep loading. Each migration moves a dilemma up exactly one version and records the changes it
+ * made as JSON Patch (RFC 6902) operations against its input.
+ */
+
+import { CURRENT_SCHEMA_VERSION, DILEMMA_SCHEMAS, detectSchemaVersion } from './dilemmaSchema.js';
+import { appendPointer } from './schemaValidator.js';
+import { deepCopy } from '../utils/general.js';
+
+/**
+ * Migrations keyed by the version they upgrade from
+ */
+export const MIGRATIONS = {
+  1: {
+    to: 2,
+    description: 'List stakeholder concerns and contextual factors, and declare schema_version',
+    /**
+     * @param {Object} dilemma - Version 1 dilemma, modified in place
+     * @returns {Array<Object>} JSON Patch operations applied
+     */
+    migrate(dilemma) {
+      const operations = [];
+
+      // Comma-separated concerns become a list
+      (Array.isArray(dilemma.stakeholders) ? dilemma.stakeholders : []).forEach((stakeholder, index) => {
+        if (typeof stakeholder?.concerns !== 'string') return;
+        stakeholder.concerns = stakeholder.concerns.split(',').map(concern => concern.trim()).filter(Boolean);
+        operations.push({
+          op: 'replace',
+          path: appendPointer(appendPointer('/stakeholders', index), 'concerns'),
+          value: stakeholder.concerns
+        });
+      });
+
+      // Contextual factors keyed by name become a list of factors
+      const factors = dilemma.contextual_factors;
+      if (factors && typeof factors === 'object' && !Array.isArray(factors)) {
+        dilemma.contextual_factors = Object.entries(factors).map(([factor, entry]) => {
+          if (!entry || typeof entry !== 'object') return { factor, value: entry };
+          const { value, description, explanation, ...rest } = entry;
+          return {
+            factor,
+            value,
+            ...rest,
+            ...(explanation ?? description ? { explanation: explanation ?? description } : {})
+          };
+        });
+        operations.push({ op: 'replace', path: '/contextual_factors', value: dilemma.contextual_factors });
+      }
+
+      dilemma.schema_version = 2;
+      operations.push({ op: 'add', path: '/schema_version', value: 2 });
+      return operations;
+    }
+  }
+};
+
+/**
+ * Migrate a dilemma to a schema version. The input is not modified.
+ * @param {Object} dilemma - The dilemma
+ * @param {number} [targetVersion] - Version to migrate to (defaults to the current version)
+ * @returns {Object} { dilemma, fromVersion, toVersion, applied: [{ from, to, description }],
+ *   operations } where operations is the JSON Patch turning the input into the migrated dilemma
+ */
+export function migrateDilemma(dilemma, targetVersion = CURRENT_SCHEMA_VERSION) {
+  const fromVersion = detectSchemaVersion(dilemma);
+  if (!DILEMMA_SCHEMAS[fromVersion]) {
+    throw new Error(`Unknown dilemma schema version "${fromVersion}". Known versions: ${Object.keys(DILEMMA_SCHEMAS).join(', ')}`);
+  }
+  if (!DILEMMA_SCHEMAS[targetVersion]) {
+    throw new Error(`Unknown dilemma schema version "${targetVersion}". Known versions: ${Object.keys(DILEMMA_SCHEMAS).join(', ')}`);
+  }
+  if (targetVersion < fromVersion) {
+    throw new Error(`Cannot migrate a version ${fromVersion} dilemma down to version ${targetVersion}`);
+  }
+
+  const migrated = deepCopy(dilemma);
+  const applied = [];
+  const operations = [];
+  let version = fromVersion;
+
+  while (version < targetVersion) {
+    const migration = MIGRATIONS[version];
+    if (!migration) throw new Error(`No migration from dilemma schema version ${version}`);
+    operations.push(...migration.migrate(migrated));
+    applied.push({ from: version, to: migration.to, description: migration.description });
+    version = migration.to;
+  }
+
+  return { dilemma: migrated, fromVersion, toVersion: version, applied, operations };
+}
@@ -0,0 +1,256 @@
+/**
+ * Schema Validator Module
+ * A small JSON Schema (draft-07 subset) validator. Every issue is located by a JSON pointer
+ * (RFC 6901) into the validated document and carries a severity taken from the schema.
+ *
+ * Supported keywords: $ref (local), type, enum, const, required, properties,
+ * additionalProperties, items, minItems, minProperties, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, minLength, pattern, allOf, anyOf, if/then/else.
+ *
+ * Severities are an annotation on schema nodes: `severity` is either a level, or a map from
+ * keyword to level with an optional `default`. Nodes without one inherit their parent's level.
+ */
+
+/**
+ * Issue severities, most severe first. Warnings do not make a document invalid.
+ */
+export const SEVERITY_LEVELS = ['critical', 'moderate', 'minor', 'warning'];
+
+/**
+ * Escape one reference token of a JSON pointer
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped token
+ */
+export function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Append a token to a JSON pointer
+ * @param {string} pointer - Parent pointer ('' for the document root)
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Child pointer
+ */
+export function appendPointer(pointer, token) {
+  return `${pointer}/${escapePointerToken(token)}`;
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - The value
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type
+ * @param {*} value - The value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  const actual = getJsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local reference such as '#/definitions/parameter'
+ * @param {Object} root - The root schema
+ * @param {string} ref - The reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local schema references are supported, got "${ref}"`);
+  }
+  const target = ref.slice(1).split('/').filter(Boolean)
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, token) => (node ? node[token] : undefined), root);
+  if (!target) throw new Error(`Unresolved schema reference "${ref}"`);
+  return target;
+}
+
+/**
+ * Follow $ref chains to the schema that holds the constraints
+ * @param {Object} root - The root schema
+ * @param {Object} schema - Schema that may be a reference
+ * @returns {Object} Dereferenced schema, keeping a severity declared next to the reference
+ */
+function dereference(root, schema) {
+  let current = schema;
+  while (current && current.$ref) {
+    const target = resolveRef(root, current.$ref);
+    current = current.severity && !target.severity ? { ...target, severity: current.severity } : target;
+  }
+  return current;
+}
+
+/**
+ * Get the severity a schema node assigns to a failed keyword
+ * @param {Object} schema - Schema node
+ * @param {string} keyword - The failed keyword
+ * @param {string} inherited - Severity of the enclosing node
+ * @returns {string} Severity level
+ */
+function getSeverity(schema, keyword, inherited) {
+  const { severity } = schema || {};
+  if (typeof severity === 'string') return severity;
+  if (severity && typeof severity === 'object') return severity[keyword] || severity.default || inherited;
+  return inherited;
+}
+
+/**
+ * Describe a value briefly for an error message
+ * @param {*} value - The value
+ * @returns {string} Short description
+ */
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+}
+
+/**
+ * Validate a value against a schema node, collecting issues
+ * @param {*} value - The value
+ * @param {Object} schema - Schema node
+ * @param {Object} context - { root, pointer, severity, issues }
+ */
+function validateNode(value, schema, context) {
+  const node = dereference(context.root, schema);
+  if (!node || node === true) return;
+
+  const { root, pointer, issues } = context;
+  const severity = getSeverity(node, 'default', context.severity);
+  const report = (keyword, message) => issues.push({
+    pointer,
+    keyword,
+    message,
+    severity: getSeverity(node, keyword, context.severity)
+  });
+  const child = (childValue, childSchema, token) => validateNode(childValue, childSchema, {
+    root, issues, severity, pointer: appendPointer(pointer, token)
+  });
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => hasType(value, type))) {
+      report('type', `must be ${types.join(' or ')}, got ${getJsonType(value)}`);
+      // The remaining keywords assume the declared type
+      return;
+    }
+  }
+
+  if (node.const !== undefined && JSON.stringify(value) !== JSON.stringify(node.const)) {
+    report('const', `must be ${describeValue(node.const)}`);
+  }
+  if (node.enum && !node.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    report('enum', `must be one of ${node.enum.map(describeValue).join(', ')}, got ${describeValue(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) report('minimum', `must be at least ${node.minimum}, got ${value}`);
+    if (node.maximum !== undefined && value > node.maximum) report('maximum', `must be at most ${node.maximum}, got ${value}`);
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) report('exclusiveMinimum', `must be greater than ${node.exclusiveMinimum}, got ${value}`);
+    if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) report('exclusiveMaximum', `must be less than ${node.exclusiveMaximum}, got ${value}`);
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      report('minLength', node.minLength === 1 ? 'must not be empty' : `must have at least ${node.minLength} characters`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) report('pattern', `must match ${node.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      report('minItems', node.minItems === 1 ? 'must not be empty' : `must have at least ${node.minItems} items`);
+    }
+    if (node.items) value.forEach((item, index) => child(item, node.items, index));
+  }
+
+  if (getJsonType(value) === 'object') {
+    const keys = Object.keys(value);
+    if (node.minProperties !== undefined && keys.length < node.minProperties) {
+      report('minProperties', node.minProperties === 1 ? 'must not be empty' : `must have at least ${node.minProperties} properties`);
+    }
+
+    // Declared properties in schema order, then the rest in document order; missing properties
+    // take the severity of the property's own schema
+    const declared = Object.keys(node.properties || {});
+    const required = node.required || [];
+    const missing = name => {
+      const propertySchema = node.properties?.[name] && dereference(root, node.properties[name]);
+      issues.push({
+        pointer: appendPointer(pointer, name),
+        keyword: 'required',
+        message: 'is required',
+        severity: getSeverity(propertySchema, 'required', getSeverity(node, 'required', context.severity))
+      });
+    };
+
+    required.filter(name => !declared.includes(name) && value[name] === undefined).forEach(missing);
+    declared.forEach(name => {
+      if (value[name] !== undefined) {
+        child(value[name], node.properties[name], name);
+      } else if (required.includes(name)) {
+        missing(name);
+      }
+    });
+
+    keys.filter(name => !declared.includes(name)).forEach(name => {
+      if (node.additionalProperties === false) {
+        issues.push({
+          pointer: appendPointer(pointer, name),
+          keyword: 'additionalProperties',
+          message: 'is not an allowed property',
+          severity: getSeverity(node, 'additionalProperties', context.severity)
+        });
+      } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        child(value[name], node.additionalProperties, name);
+      }
+    });
+  }
+
+  (node.allOf || []).forEach(part => validateNode(value, part, { ...context, severity }));
+
+  if (node.anyOf) {
+    const matches = node.anyOf.some(option => validateAgainstSchema(value, option, root).valid);
+    if (!matches) {
+      const shapes = node.anyOf.map(option => dereference(root, option).title || dereference(root, option).type || 'schema');
+      report('anyOf', `must match one of: ${shapes.flat().join(', ')}`);
+    }
+  }
+
+  if (node.if) {
+    const branch = validateAgainstSchema(value, node.if, root).valid ? node.then : node.else;
+    if (branch) validateNode(value, branch, { ...context, severity });
+  }
+}
+
+/**
+ * Validate a document against a JSON Schema
+ * @param {*} document - The document
+ * @param {Object} schema - The schema to validate against
+ * @param {Object} [root] - Root schema for resolving references (defaults to the schema)
+ * @returns {Object} { valid, issues: [{ pointer, keyword, message, severity }] } with the issues
+ *   of declared properties in schema order; the document is valid when no issue is more severe than a warning
+ */
+export function validateAgainstSchema(document, schema, root = schema) {
+  const issues = [];
+  validateNode(document, schema, {
+    root,
+    pointer: '',
+    severity: getSeverity(root, 'default', 'moderate'),
+    issues
+  });
+
+  return {
+    valid: issues.every(issue => issue.severity === 'warning'),
+    issues
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * REA Parameter Coverage
+ * Runs the whole pipeline on a dilemma through a diagnostic wrapper and reports which declared
+ * inputs (parameters, contextual factors, stakeholder fields and action outcome data) were read by
+ * which framework evaluator, resolution strategy and hybrid, so inputs that nothing consults can be
+ * found and removed or wired up.
+ */
+
+import { processEthicalDilemma, detectConflicts, resolveConflicts } from '../core/rea.js';
+import { getFramework, getRegisteredFrameworks } from '../frameworks/registry.js';
+import { resolutionStrategies } from '../resolution/strategies.js';
+import { createDiagnosticWrapper, standardizeProcessingMode } from './reaTestFramework.js';
+
+/**
+ * Coverage configuration
+ */
+export const COVERAGE_CONFIG = {
+  // Input groups, most specific prefix first
+  groups: ['situation.parameters', 'parameters', 'contextual_factors', 'stakeholders', 'possible_actions'],
+  // Functions implementing the hybrid strategies, by hybrid name
+  hybrids: {
+    applyDutyBoundedUtilitarianism: 'duty_bounded_utilitarianism',
+    applyVirtueGuidedConsequentialism: 'virtue_guided_consequentialism',
+    applyCareBasedJustice: 'care_based_justice'
+  }
+};
+
+/**
+ * Name the framework evaluator, hybrid or strategy behind an access: the innermost frame that
+ * belongs to one. Other readers fall back to their module.
+ * @param {Array<Object>} frames - Call stack, innermost first, each { fn, module }
+ * @param {Object} evaluators - Map of evaluator function name to framework name
+ * @returns {string|undefined} 'framework:<name>', 'hybrid:<name>' or 'strategy:<name>'
+ */
+function identifyComponent(frames, evaluators) {
+  const strategyNames = Object.keys(resolutionStrategies);
+
+  for (const { fn, module } of frames) {
+    if (evaluators[fn]) return `framework:${evaluators[fn]}`;
+    if (module === 'resolution/hybrid' && COVERAGE_CONFIG.hybrids[fn]) return `hybrid:${COVERAGE_CONFIG.hybrids[fn]}`;
+
+    // Strategies are implemented by apply<Name> or apply<Name>Strategy
+    const implementation = module === 'resolution/strategies' && fn.match(/^apply(\w+?)(?:Strategy)?$/);
+    if (implementation) {
+      const strategy = strategyNames.find(name => name.replace(/_/g, '') === implementation[1].toLowerCase());
+      if (strategy) return `strategy:${strategy}`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Split an input key into its group and name
+ * @param {string} input - Input key, e.g. 'situation.parameters.time_pressure'
+ * @returns {Object} { group, name }
+ */
+function splitInput(input) {
+  const group = COVERAGE_CONFIG.groups.find(prefix => input.startsWith(`${prefix}.`));
+  return group ? { group, name: input.slice(group.length + 1) } : { group: null, name: input };
+}
+
+/**
+ * Run the pipeline on a dilemma and report which of its inputs were read, and by what
+ * @param {Object} dilemma - The dilemma to analyze
+ * @returns {Promise<Object>} { id, declared, used, groups: { group: { declared, used } },
+ *   inputs: [{ input, group, used, readers }], components: [{ component, inputs }], unused,
+ *   missing: [{ name, locations, readers }] } where missing lists inputs that were looked up but
+ *   not declared
+ */
+export async function runParameterCoverage(dilemma) {
+  const evaluators = Object.fromEntries(getRegisteredFrameworks()
+    .map(name => [getFramework(name).evaluate.name, name])
+    .filter(([fn]) => fn));
+  const wrapped = createDiagnosticWrapper(dilemma, { identifyReader: frames => identifyComponent(frames, evaluators) });
+
+  const standardizedDilemma = standardizeProcessingMode(wrapped, wrapped.processing_mode || 'standard').standardizedDilemma;
+  const processing = await processEthicalDilemma(standardizedDilemma, { quiet: true });
+  const conflicts = await detectConflicts(standardizedDilemma, { quiet: true });
+  // The final recommendation's sweep only re-runs the pipeline on untracked copies
+  await resolveConflicts(processing, conflicts, standardizedDilemma, { sensitivity: false, quiet: true });
+
+  const accessLog = wrapped.getAccessLog();
+  const patterns = wrapped.analyzeAccessPatterns();
+  const unused = new Set(patterns.unusedInputs);
+  const declaredInputs = [...Object.keys(accessLog.inputs), ...patterns.unusedInputs];
+
+  const inputs = declaredInputs.map(input => ({
+    input,
+    group: splitInput(input).group,
+    used: !unused.has(input),
+    readers: Object.keys(accessLog.inputs[input]?.components || {}).sort()
+  })).sort((a, b) => COVERAGE_CONFIG.groups.indexOf(a.group) - COVERAGE_CONFIG.groups.indexOf(b.group) ||
+    a.input.localeCompare(b.input));
+
+  const groups = {};
+  inputs.forEach(({ group, used }) => {
+    if (!groups[group]) groups[group] = { declared: 0, used: 0 };
+    groups[group].declared++;
+    if (used) groups[group].used++;
+  });
+
+  // Lookups fall through several locations, so a missing input is reported once per name
+  const missing = new Map();
+  Object.entries(accessLog.missing).forEach(([input, data]) => {
+    const { group, name } = splitInput(input);
+    const entry = missing.get(name) || { name, locations: [], readers: [] };
+    entry.locations.push(group);
+    entry.readers = [...new Set([...entry.readers, ...Object.keys(data.components)])].sort();
+    missing.set(name, entry);
+  });
+
+  return {
+    id: dilemma.id || null,
+    declared: inputs.length,
+    used: inputs.filter(input => input.used).length,
+    groups,
+    inputs,
+    components: patterns.inputsByComponent
+      .map(({ component, inputs: componentInputs }) => ({ component, inputs: [...componentInputs].sort() }))
+      .sort((a, b) => a.component.localeCompare(b.component)),
+    unused: inputs.filter(input => !input.used).map(input => input.input),
+    missing: [...missing.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Map each declared input of a dilemma to the components that read it, e.g. for the
+ * perturbation tests' traceReaders
+ * @param {Object} dilemma - The dilemma to analyze
+ * @returns {Promise<Object>} Map of input key to reader labels
+ */
+export async function traceInputReaders(dilemma) {
+  const { inputs } = await runParameterCoverage(dilemma);
+  return Object.fromEntries(inputs.map(({ input, readers }) => [input, readers]));
+}
@@ -0,0 +1,189 @@
+/**
+ * REA Regression Runner
+ * Runs the full pipeline over dilemmas that declare `expected_outcomes` (golden outputs) and
+ * compares the results with compareOutcomes. Snapshot mode records the current outputs as the new
+ * goldens in the dilemma files.
+ */
+
+import fs from 'fs';
+import { analyzeDilemmaFile } from '../core/batch.js';
+import { compareOutcomes } from './reaTestFramework.js';
+
+/**
+ * Record the outcomes of an analysis in the `expected_outcomes` format
+ * @param {Object} results - Full pipeline results ({ processing, conflicts, resolutions, finalRecommendation })
+ * @returns {Object} Expected outcomes: per framework { action }, conflicts [{ type, between, strategy }]
+ *   and final_action
+ */
+export function captureOutcomes(results) {
+  const outcomes = {};
+  Object.entries(results.processing?.frameworks || {}).forEach(([framework, result]) => {
+    outcomes[framework] = { action: result.recommendedAction };
+  });
+
+  // Resolutions reference the conflict they resolve
+  const strategies = new Map((results.resolutions?.resolutions || [])
+    .filter(resolution => resolution.conflict_reference)
+    .map(resolution => {
+      const strategy = resolution.resolution_strategy;
+      return [resolution.conflict_reference, typeof strategy === 'object' ? strategy?.name : strategy];
+    }));
+
+  outcomes.conflicts = (results.conflicts?.conflicts || []).map(conflict => ({
+    type: conflict.type,
+    ...(conflict.between ? { between: conflict.between } : {}),
+    ...(strategies.get(conflict) ? { strategy: strategies.get(conflict) } : {})
+  }));
+  outcomes.final_action = results.finalRecommendation?.action || null;
+  return outcomes;
+}
+
+/**
+ * Find where a top-level property's value sits in a JSON text
+ * @param {string} text - JSON text of an object
+ * @param {string} key - Property name
+ * @returns {Object|null} { start, end } offsets of the value, or null if the property is absent
+ */
+function findTopLevelValue(text, key) {
+  let depth = 0;
+  let valueStart = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      let end = i + 1;
+      while (text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+      const colon = text.slice(end + 1).match(/^\s*:\s*/);
+      if (depth === 1 && valueStart < 0 && colon && JSON.parse(text.slice(i, end + 1)) === key) {
+        valueStart = end + 1 + colon[0].length;
+      }
+      i = end;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']' || char === ',') {
+      if (valueStart >= 0 && depth <= 1) {
+        return { start: valueStart, end: text.slice(0, i).trimEnd().length };
+      }
+      if (char !== ',') depth--;
+    }
+  }
+  return null;
+}
+
+/**
+ * Set a top-level property in a JSON text, leaving the formatting of the rest of the file alone
+ * @param {string} text - JSON text of an object
+ * @param {string} key - Property name
+ * @param {*} value - New value
+ * @returns {string} Updated JSON text
+ */
+function setTopLevelProperty(text, key, value) {
+  const formatted = JSON.stringify(value, null, 2).replace(/\n/g, '\n  ');
+  const existing = findTopLevelValue(text, key);
+  if (existing) {
+    return `${text.slice(0, existing.start)}${formatted}${text.slice(existing.end)}`;
+  }
+
+  const close = text.lastIndexOf('}');
+  const before = text.slice(0, close).trimEnd();
+  const separator = before.endsWith('{') ? '' : ',';
+  return `${before}${separator}\n  ${JSON.stringify(key)}: ${formatted}\n${text.slice(close)}`;
+}
+
+/**
+ * Read a dilemma file
+ * @param {string} filePath - Path to the dilemma file
+ * @returns {Object} { text, dilemma } or { error }
+ */
+function readDilemmaFile(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return { text, dilemma: JSON.parse(text) };
+  } catch (error) {
+    return { error: `Cannot read dilemma: ${error.message}` };
+  }
+}
+
+/**
+ * Run the regression tests of a set of dilemma files. Dilemmas without `expected_outcomes` are
+ * skipped.
+ * @param {Array<string>} files - Dilemma file paths
+ * @returns {Promise<Object>} { tests: [{ file, id, status, comparison, error }], totals } where
+ *   status is 'pass', 'fail', 'skip' or 'error'
+ */
+export async function runRegressionTests(files) {
+  const tests = [];
+
+  for (const file of files) {
+    const { dilemma, error } = readDilemmaFile(file);
+    if (error) {
+      tests.push({ file, id: null, status: 'error', comparison: null, error });
+      continue;
+    }
+    if (!dilemma.expected_outcomes) {
+      tests.push({ file, id: dilemma.id || null, status: 'skip', comparison: null, error: null });
+      continue;
+    }
+
+    const entry = await analyzeDilemmaFile(file);
+    if (!entry.analyzed) {
+      tests.push({
+        file,
+        id: entry.id,
+        status: 'error',
+        comparison: null,
+        error: entry.error || `Not analyzed: ${entry.validation.errors.join('; ')}`
+      });
+      continue;
+    }
+
+    const comparison = compareOutcomes(dilemma, entry.results);
+    tests.push({ file, id: entry.id, status: comparison.passed ? 'pass' : 'fail', comparison, error: null });
+  }
+
+  const count = status => tests.filter(test => test.status === status).length;
+  return {
+    tests,
+    totals: { tests: tests.length, passed: count('pass'), failed: count('fail'), skipped: count('skip'), errors: count('error') }
+  };
+}
+
+/**
+ * Record the current outputs of a set of dilemma files as their `expected_outcomes`
+ * @param {Array<string>} files - Dilemma file paths
+ * @returns {Promise<Array<Object>>} [{ file, id, status, error }] where status is 'created',
+ *   'updated', 'unchanged' or 'error'
+ */
+export async function snapshotOutcomes(files) {
+  const snapshots = [];
+
+  for (const file of files) {
+    const { text, dilemma, error } = readDilemmaFile(file);
+    if (error) {
+      snapshots.push({ file, id: null, status: 'error', error });
+      continue;
+    }
+
+    const entry = await analyzeDilemmaFile(file);
+    if (!entry.analyzed) {
+      snapshots.push({
+        file,
+        id: entry.id,
+        status: 'error',
+        error: entry.error || `Not analyzed: ${entry.validation.errors.join('; ')}`
+      });
+      continue;
+    }
+
+    const outcomes = captureOutcomes(entry.results);
+    if (JSON.stringify(outcomes) === JSON.stringify(dilemma.expected_outcomes)) {
+      snapshots.push({ file, id: entry.id, status: 'unchanged', error: null });
+      continue;
+    }
+
+    fs.writeFileSync(file, setTopLevelProperty(text, 'expected_outcomes', outcomes));
+    snapshots.push({ file, id: entry.id, status: dilemma.expected_outcomes ? 'updated' : 'created', error: null });
+  }
+
+  return snapshots;
+}
@@ -277,10 +277,25 @@ function areEthicalSynonyms(term1, term2) {
     return false;
 }
 
+/**
+ * Get a stakeholder's concerns as a list. Dilemmas before schema version 2 may declare them as
+ * one comma-separated string.
+ * @param {Object} stakeholder - The stakeholder
+ * @returns {Array<string>} Concerns, empty if none are declared
+ */
+function getStakeholderConcerns(stakeholder) {
+    const concerns = stakeholder?.concerns;
+    if (typeof concerns === 'string') {
+        return concerns.split(',').map(concern => concern.trim()).filter(Boolean);
+    }
+    return Array.isArray(concerns) ? concerns.filter(concern => typeof concern === 'string' && concern.trim()) : [];
+}
+
 // Export functions
 export {
     deepCopy,
     extractKeywords,
+    getStakeholderConcerns,
     calculateSimilarity,
     calculateContainment,
     calculateWordOverlap,
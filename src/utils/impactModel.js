@@ -0,0 +1,291 @@
+/**
+ * Stakeholder Impact Model Utility
+ * Evaluates the effects a dilemma declares for each stakeholder: which parameters and outcomes of
+ * an action help or harm them, in which direction and by how much.
+ *
+ * Stakeholders declare effects per action ID, with "*" for effects that apply to every action:
+ *
+ *   "effects": {
+ *     "approve_option_a": [
+ *       { "parameter": "urgency_option_a", "direction": "positive", "magnitude": 0.8 },
+ *       { "outcome": "Stable patients wait longer for treatment", "direction": "negative", "magnitude": 0.3 }
+ *     ],
+ *     "*": [
+ *       { "parameter": "benefit_per_person", "direction": "positive", "magnitude": 0.5 }
+ *     ]
+ *   }
+ *
+ * A parameter effect contributes its magnitude times the parameter's value normalized to 0-1.
+ * Parameter names without an option suffix resolve per action through getActionOptionSuffix, so
+ * "benefit_per_person" reads benefit_per_person_option_a for the action mapped to option a. An outcome effect contributes its magnitude,
+ * scaled by its `probability` when one is given; outcomes naming a key of the action's `outcomes`
+ * object are described with that outcome's text.
+ */
+
+import { getDeclaredParameterRange } from './parameterAccess.js';
+import { getActionOptionSuffix } from './parameterMapping.js';
+
+/**
+ * Key for effects that apply to every action
+ */
+export const ALL_ACTIONS_KEY = '*';
+
+const DIRECTION_SIGNS = {
+  positive: 1,
+  negative: -1
+};
+
+/**
+ * Find a raw parameter in `parameters`, then `situation.parameters`
+ * @param {Object} dilemma - The dilemma
+ * @param {string} name - Parameter name
+ * @returns {Object|null} The parameter's name, raw value and container, or null if undeclared
+ */
+function findParameter(dilemma, name) {
+  const containers = [dilemma?.parameters, dilemma?.situation?.parameters];
+  for (const container of containers) {
+    if (container && typeof container === 'object' && container[name] !== undefined) {
+      return { name, param: container[name], container };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the parameter an effect refers to for an action: the exact name, or the action's
+ * option-suffixed variant (e.g. "urgency" -> "urgency_option_b")
+ * @param {Object} dilemma - The dilemma
+ * @param {string} name - Parameter name from the effect
+ * @param {string} actionId - The action ID
+ * @returns {Object|null} The resolved parameter, or null if neither exists
+ */
+function resolveParameter(dilemma, name, actionId) {
+  const exact = findParameter(dilemma, name);
+  if (exact) return exact;
+
+  const suffix = getActionOptionSuffix(dilemma, actionId);
+  return suffix ? findParameter(dilemma, `${name}_${suffix}`) : null;
+}
+
+/**
+ * Normalize a parameter value to 0-1. Uses the effect's `range`, then the parameter's declared
+ * range, then the largest value among the parameter's option variants; values already within
+ * 0-1 are used as they are, and other positive values count fully.
+ * @param {Object} resolved - Parameter from resolveParameter
+ * @param {Array<number>} [effectRange] - Optional [min, max] declared on the effect
+ * @returns {number|null} Normalized value, or null if the parameter is not numeric
+ */
+function normalizeParameter(resolved, effectRange) {
+  const { name, param, container } = resolved;
+  const raw = param && typeof param === 'object' ? param.value : param;
+  const value = typeof raw === 'boolean' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+
+  let range = Array.isArray(effectRange) && effectRange.length === 2
+    ? { min: effectRange[0], max: effectRange[1] }
+    : getDeclaredParameterRange(param);
+
+  if (!range) {
+    // Compare against the same quantity for the other options, e.g. population_served_option_*
+    const base = name.replace(/_option_[a-z]$/, '');
+    const siblings = base === name ? [] : Object.entries(container)
+      .filter(([other]) => other.startsWith(`${base}_option_`))
+      .map(([, other]) => (other && typeof other === 'object' ? other.value : other))
+      .filter(other => typeof other === 'number' && Number.isFinite(other));
+    if (siblings.length > 1) {
+      range = { min: Math.min(0, ...siblings), max: Math.max(...siblings) };
+    }
+  }
+
+  if (!range) {
+    return value >= 0 && value <= 1 ? value : (value > 0 ? 1 : 0);
+  }
+
+  const min = range.min ?? Math.min(0, value);
+  const max = range.max ?? Math.max(value, min + 1);
+  if (max <= min) return value >= max ? 1 : 0;
+  return Math.max(0, Math.min(1, (value - min) / (max - min)));
+}
+
+/**
+ * Get the effects a stakeholder declares for an action, including those for every action
+ * @param {Object} stakeholder - The stakeholder
+ * @param {string} actionId - The action ID
+ * @returns {Array<Object>} Declared effects
+ */
+function getDeclaredEffects(stakeholder, actionId) {
+  const effects = stakeholder?.effects;
+  if (!effects || typeof effects !== 'object') return [];
+
+  return [effects[actionId], effects[ALL_ACTIONS_KEY]]
+    .filter(Array.isArray)
+    .flat();
+}
+
+/**
+ * Check an effect declaration
+ * @param {Object} effect - The declared effect
+ * @returns {string|null} Problem with the declaration, or null if it is valid
+ */
+function getEffectProblem(effect) {
+  if (!effect || typeof effect !== 'object') return 'is not an object';
+
+  const hasParameter = typeof effect.parameter === 'string' && effect.parameter.length > 0;
+  const hasOutcome = typeof effect.outcome === 'string' && effect.outcome.length > 0;
+  if (hasParameter === hasOutcome) return 'must name exactly one of "parameter" or "outcome"';
+
+  if (!DIRECTION_SIGNS[effect.direction]) return 'needs a direction of "positive" or "negative"';
+  if (effect.magnitude !== undefined &&
+      (typeof effect.magnitude !== 'number' || effect.magnitude < 0 || effect.magnitude > 1)) {
+    return 'has a magnitude outside 0-1';
+  }
+  if (effect.probability !== undefined &&
+      (typeof effect.probability !== 'number' || effect.probability < 0 || effect.probability > 1)) {
+    return 'has a probability outside 0-1';
+  }
+  return null;
+}
+
+/**
+ * Evaluate the effects a stakeholder declares for an action.
+ * Invalid effects and effects on parameters the dilemma does not declare are ignored here;
+ * validateStakeholderEffects reports them.
+ * @param {Object} stakeholder - The stakeholder
+ * @param {string} actionId - The action ID
+ * @param {Object} dilemma - The dilemma
+ * @returns {Object|null} Impact with value (-1..1), contributions and explanation, or null if the
+ *   stakeholder declares no effects for the action
+ */
+export function evaluateStakeholderEffects(stakeholder, actionId, dilemma) {
+  const effects = getDeclaredEffects(stakeholder, actionId).filter(effect => !getEffectProblem(effect));
+  if (effects.length === 0) return null;
+
+  const action = (dilemma?.possible_actions || []).find(a => a.id === actionId);
+  const contributions = [];
+
+  effects.forEach(effect => {
+    const sign = DIRECTION_SIGNS[effect.direction];
+    const magnitude = effect.magnitude ?? 1;
+
+    if (effect.parameter) {
+      const resolved = resolveParameter(dilemma, effect.parameter, actionId);
+      const normalized = resolved ? normalizeParameter(resolved, effect.range) : null;
+      if (normalized === null) return;
+
+      const raw = resolved.param && typeof resolved.param === 'object' ? resolved.param.value : resolved.param;
+      contributions.push({
+        type: 'parameter',
+        parameter: resolved.name,
+        label: `${resolved.name.replace(/_/g, ' ')} = ${raw}`,
+        direction: effect.direction,
+        magnitude,
+        normalized_value: round(normalized),
+        contribution: round(sign * magnitude * normalized)
+      });
+      return;
+    }
+
+    const probability = effect.probability ?? 1;
+    const outcomeText = action?.outcomes && typeof action.outcomes === 'object' && !Array.isArray(action.outcomes)
+      ? action.outcomes[effect.outcome]
+      : undefined;
+    contributions.push({
+      type: 'outcome',
+      outcome: effect.outcome,
+      label: typeof outcomeText === 'string' ? `${effect.outcome} outcome (${outcomeText})` : effect.outcome,
+      direction: effect.direction,
+      magnitude,
+      probability,
+      contribution: round(sign * magnitude * probability)
+    });
+  });
+
+  if (contributions.length === 0) return null;
+
+  const total = contributions.reduce((sum, contribution) => sum + contribution.contribution, 0);
+  return {
+    value: round(Math.max(-1, Math.min(1, total))),
+    contributions,
+    explanation: explainContributions(contributions)
+  };
+}
+
+/**
+ * Describe which declared effects help and which harm a stakeholder
+ * @param {Array<Object>} contributions - Contributions from evaluateStakeholderEffects
+ * @returns {string} Explanation
+ */
+function explainContributions(contributions) {
+  const describe = contribution =>
+    `${contribution.label} (${contribution.contribution > 0 ? '+' : ''}${contribution.contribution})`;
+  const byStrength = [...contributions].sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+  const helped = byStrength.filter(contribution => contribution.contribution > 0).map(describe);
+  const harmed = byStrength.filter(contribution => contribution.contribution < 0).map(describe);
+
+  const parts = [];
+  if (helped.length > 0) parts.push(`helped by ${helped.join(', ')}`);
+  if (harmed.length > 0) parts.push(`harmed by ${harmed.join(', ')}`);
+  if (parts.length === 0) return 'Declared effects are negligible under this action';
+
+  const sentence = parts.join('; ');
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+}
+
+/**
+ * Check every stakeholder's effect declarations against the dilemma
+ * @param {Object} dilemma - The dilemma
+ * @returns {Array<string>} Warnings for invalid effects, unknown actions and unknown parameters
+ */
+export function validateStakeholderEffects(dilemma) {
+  const actionIds = new Set((dilemma?.possible_actions || []).map(action => action && action.id).filter(Boolean));
+  const warnings = [];
+
+  (dilemma?.stakeholders || []).forEach(stakeholder => {
+    const effects = stakeholder?.effects;
+    if (effects === undefined) return;
+
+    const owner = `Stakeholder "${stakeholder.id}"`;
+    if (!effects || typeof effects !== 'object' || Array.isArray(effects)) {
+      warnings.push(`${owner} declares effects that are not a map of action IDs to effect lists`);
+      return;
+    }
+
+    Object.entries(effects).forEach(([actionId, list]) => {
+      if (actionId !== ALL_ACTIONS_KEY && !actionIds.has(actionId)) {
+        warnings.push(`${owner} declares effects for unknown action "${actionId}"`);
+        return;
+      }
+      if (!Array.isArray(list)) {
+        warnings.push(`${owner} effects for "${actionId}" should be a list`);
+        return;
+      }
+
+      list.forEach((effect, index) => {
+        const problem = getEffectProblem(effect);
+        if (problem) {
+          warnings.push(`${owner} effect ${index + 1} for "${actionId}" ${problem}`);
+          return;
+        }
+        if (!effect.parameter) return;
+
+        const targets = actionId === ALL_ACTIONS_KEY ? [...actionIds] : [actionId];
+        const missing = targets.filter(target => !resolveParameter(dilemma, effect.parameter, target));
+        if (missing.length > 0) {
+          warnings.push(`${owner} effect ${index + 1} for "${actionId}" refers to parameter "${effect.parameter}", ` +
+            `which the dilemma does not declare for ${missing.join(', ')}`);
+        }
+      });
+    });
+  });
+
+  return warnings;
+}
+
+/**
+ * Round a value for reporting
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
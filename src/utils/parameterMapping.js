@@ -5,7 +5,7 @@
  * Integrates with existing DilemmaAdapter and parameterAccess utilities.
  */
 
-import { getParameterValue, setParameterValue } from './parameterAccess.js';
+import { getParameterValue, setParameterValue, getDeclaredParameterRange } from './parameterAccess.js';
 import { dilemmaAdapter } from '../adaptation/registry/dilemmaAdapter.js';
 
 /**
@@ -91,6 +91,27 @@ export function getMappedParameterValue(dilemma, paramName, defaultValue = 0) {
   return getParameterValue(dilemma, mappedParamName, defaultValue);
 }
 
+/**
+ * Get a numeric parameter as a fraction of its declared range (its min/max, or the "(1-10 scale)"
+ * in its description), so the result does not depend on the scale the dilemma uses
+ * @param {Object} dilemma - The dilemma object
+ * @param {string} paramName - The parameter name expected by the framework
+ * @param {Object} [defaultRange] - Range assumed when the parameter declares none
+ * @returns {number|null} Value between 0 and 1, or null if the parameter is not numeric
+ */
+export function getMappedParameterFraction(dilemma, paramName, defaultRange = { min: 0, max: 10 }) {
+  const value = getMappedParameterValue(dilemma, paramName, null);
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+
+  const name = parameterMappingRegistry[dilemma?.id]?.[paramName] || paramName;
+  const param = dilemma?.parameters?.[name] ?? dilemma?.situation?.parameters?.[name];
+  const declared = getDeclaredParameterRange(param);
+  const min = declared?.min ?? defaultRange.min;
+  const max = declared?.max ?? defaultRange.max;
+  if (max <= min) return value >= max ? 1 : 0;
+  return Math.max(0, Math.min(1, (value - min) / (max - min)));
+}
+
 /**
  * Map a framework action ID to a dilemma-specific action ID
  * @param {Object} dilemma - The dilemma object
@@ -187,6 +208,52 @@ export function registerActionMapping(dilemmaId, mapping) {
   return true;
 }
 
+/**
+ * Resolve the option suffix (e.g. "option_a") that per-action parameters use for an action.
+ * An action maps to its options explicitly: through an `option` key it declares (e.g. "b"), or
+ * through an id (or registered action mapping) named like "approve_option_b". Actions with neither
+ * have no per-action parameters; their position in possible_actions is never used.
+ * @param {Object} dilemma - The dilemma object
+ * @param {string} actionId - The action ID
+ * @returns {string|null} The option suffix or null if the action cannot be mapped
+ */
+export function getActionOptionSuffix(dilemma, actionId) {
+  if (!actionId) return null;
+
+  // An option declared on the action wins
+  const action = (dilemma?.possible_actions || []).find(a => a.id === actionId);
+  const declared = /^(?:option_)?([a-z])$/.exec(String(action?.option ?? '').toLowerCase());
+  if (declared) {
+    return `option_${declared[1]}`;
+  }
+
+  // Honour registered action mappings (e.g. support_bill -> approve_option_b)
+  const frameworkActionId = mapDilemmaActionToFrameworkAction(dilemma, actionId);
+  const suffixMatch = /option_([a-z])$/.exec(frameworkActionId);
+  if (suffixMatch) {
+    return `option_${suffixMatch[1]}`;
+  }
+
+  return null;
+}
+
+/**
+ * Get a per-action parameter value such as "population_served_option_a" for an action
+ * @param {Object} dilemma - The dilemma object
+ * @param {string} baseName - Parameter name without the option suffix (e.g. "population_served")
+ * @param {string} actionId - The action ID
+ * @param {*} defaultValue - Default value if parameter not found
+ * @returns {*} The parameter value
+ */
+export function getOptionParameterValue(dilemma, baseName, actionId, defaultValue = null) {
+  const suffix = getActionOptionSuffix(dilemma, actionId);
+  if (!suffix) {
+    return defaultValue;
+  }
+
+  return getMappedParameterValue(dilemma, `${baseName}_${suffix}`, defaultValue);
+}
+
 /**
  * Get the action description from a dilemma for a given action ID
  * @param {Object} dilemma - The dilemma object
@@ -448,10 +515,13 @@ export function postProcessActionReferences(results, dilemma) {
 
 export default {
   getMappedParameterValue,
+  getMappedParameterFraction,
   mapActionIdToDilemmaAction,
   mapDilemmaActionToFrameworkAction,
   registerParameterMapping,
   registerActionMapping,
+  getActionOptionSuffix,
+  getOptionParameterValue,
   getActionDescription,
   validateParameterMapping,
   standardizeWithMapping,
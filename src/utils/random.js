@@ -0,0 +1,181 @@
+/**
+ * Seeded Random Utility
+ * Reproducible random numbers and samplers for the probability distributions dilemma parameters
+ * may declare. The same seed always produces the same sequence, so sampled analyses can be re-run
+ * exactly.
+ */
+
+/**
+ * Distributions a parameter may declare, with the fields each one needs. Fields marked optional
+ * fall back to the parameter's point value or to the documented default.
+ */
+export const DISTRIBUTION_TYPES = {
+  // { min, max }
+  uniform: ['min', 'max'],
+  // { min, mode (optional, defaults to the value), max }
+  triangular: ['min', 'max'],
+  // { mean (optional, defaults to the value), sd, min (optional), max (optional) }
+  normal: ['sd'],
+  // { alpha, beta, min (optional, 0), max (optional, 1) }
+  beta: ['alpha', 'beta'],
+  // { values, probabilities (optional, equal) }
+  discrete: ['values']
+};
+
+/**
+ * Turn a seed into a 32-bit integer. Strings are hashed so any label can serve as a seed.
+ * @param {number|string} seed - The seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+function toSeedInteger(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+  // FNV-1a hash of the string form
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - The seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = toSeedInteger(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sample a standard normal value (Box-Muller)
+ * @param {Function} random - Seeded random generator
+ * @returns {number} Sample with mean 0 and standard deviation 1
+ */
+function sampleStandardNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Sample a gamma distributed value with scale 1 (Marsaglia-Tsang)
+ * @param {number} shape - Shape parameter (> 0)
+ * @param {Function} random - Seeded random generator
+ * @returns {number} Sample
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    // Boost the shape above 1 and correct the sample
+    return sampleGamma(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const x = sampleStandardNormal(random);
+    const v = (1 + c * x) ** 3;
+    if (v <= 0) continue;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+/**
+ * Check a distribution declaration
+ * @param {Object} distribution - The declared distribution
+ * @returns {string|null} Problem with the declaration, or null if it is valid
+ */
+export function getDistributionProblem(distribution) {
+  if (!distribution || typeof distribution !== 'object') return 'is not an object';
+
+  const required = DISTRIBUTION_TYPES[distribution.type];
+  if (!required) return `has unknown type "${distribution.type}" (expected ${Object.keys(DISTRIBUTION_TYPES).join(', ')})`;
+
+  const missing = required.filter(field => distribution[field] === undefined);
+  if (missing.length > 0) return `needs ${missing.join(' and ')}`;
+
+  switch (distribution.type) {
+    case 'uniform':
+    case 'triangular':
+      if (!(distribution.max > distribution.min)) return 'needs max greater than min';
+      if (distribution.mode !== undefined && !(distribution.mode >= distribution.min && distribution.mode <= distribution.max)) {
+        return 'has a mode outside min-max';
+      }
+      return null;
+    case 'normal':
+      return distribution.sd >= 0 ? null : 'needs a non-negative sd';
+    case 'beta':
+      return distribution.alpha > 0 && distribution.beta > 0 ? null : 'needs positive alpha and beta';
+    case 'discrete': {
+      const { values, probabilities } = distribution;
+      if (!Array.isArray(values) || values.length === 0) return 'needs a non-empty list of values';
+      if (probabilities !== undefined &&
+          (!Array.isArray(probabilities) || probabilities.length !== values.length ||
+           probabilities.some(probability => !(probability >= 0)) ||
+           probabilities.reduce((sum, probability) => sum + probability, 0) <= 0)) {
+        return 'needs one non-negative probability per value';
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Draw a sample from a declared distribution
+ * @param {Object} distribution - A valid distribution (see DISTRIBUTION_TYPES)
+ * @param {Function} random - Seeded random generator
+ * @param {number} [pointValue] - The parameter's point value, the default mode or mean
+ * @returns {*} Sampled value
+ */
+export function sampleDistribution(distribution, random, pointValue) {
+  switch (distribution.type) {
+    case 'uniform':
+      return distribution.min + (distribution.max - distribution.min) * random();
+    case 'triangular': {
+      const { min, max } = distribution;
+      const mode = Math.max(min, Math.min(max, distribution.mode ?? pointValue ?? (min + max) / 2));
+      const u = random();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'normal': {
+      const mean = distribution.mean ?? pointValue ?? 0;
+      const sample = mean + distribution.sd * sampleStandardNormal(random);
+      // Clamp to the declared bounds
+      return Math.max(distribution.min ?? -Infinity, Math.min(distribution.max ?? Infinity, sample));
+    }
+    case 'beta': {
+      const x = sampleGamma(distribution.alpha, random);
+      const y = sampleGamma(distribution.beta, random);
+      const min = distribution.min ?? 0;
+      const max = distribution.max ?? 1;
+      return min + (max - min) * (x / (x + y));
+    }
+    case 'discrete': {
+      const { values } = distribution;
+      const weights = distribution.probabilities || values.map(() => 1);
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let threshold = random() * total;
+      for (let i = 0; i < values.length; i++) {
+        threshold -= weights[i];
+        if (threshold < 0) return values[i];
+      }
+      return values[values.length - 1];
+    }
+    default:
+      throw new Error(`Unknown distribution type "${distribution.type}"`);
+  }
+}